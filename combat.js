@@ -49,19 +49,29 @@ var threnodyTitle = "Durenstein 1";
 var bonusHonor = 0;
 var honorReward = 0;
 
+var battleOutcome = 0; // 1 victory, -1 defeat, 0 battle still running
+var battleHonorAmount = 0;
+
+var BATTLE_FRAME_MS = 16;
+var battleFrameTimer = 0;
+
 
 //NON-CANVAS BATTLE LOGIC
 
 function checkForBattles(){
     if (drifterCount>warTrigger && probeCount > 0 && battles.length < maxBattles){
-        var r = (Math.random()*100); 
+        var r = (rng()*100); 
         if (r>=50){
-            if (battleFlag == 0){battleFlag = 1};
+            if (battleFlag == 0){
+                battleFlag = 1;
+                emitGameEvent("firstBattle");
+            }
             createBattle();
         }
     }
 }
 
+// Names are catalog ids (battle.<name>), translated when a battle is named
 var battleNames = ["Aboukir", "Abensberg", "Acre", "Alba de Tormes", "la Albuera", "Algeciras Bay", "Amstetten", "Arcis-sur-Aube", "Aspern-Essling", "Jena-Auerstedt", "Arcole", "Austerlitz", "Badajoz", "Bailen", "la Barrosa", "Bassano", "Bautzen", "Berezina", "Bergisel", "Borodino", "Burgos", "Bucaco", "Cadiz", "Caldiero", "Castiglione", "Castlebar", "Champaubert", "Chateau-Thierry", "Copenhagen", "Corunna", "Craonne", "Dego", "Dennewitz", "Dresden", "Durenstein", "Eckmuhl", "Elchingen", "Espinosa de los Monteros", "Eylau", "Cape Finisterre", "Friedland", "Fuentes de Onoro", "Gevora River", "Gerona", "Hamburg", "Haslach-Jungingen", "Heilsberg", "Hohenlinden", "Jena-Auerstedt", "Kaihona", "Kolberg", "Landshut", "Leipzig", "Ligny", "Lodi", "Lubeck", "Lutzen", "Marengo", "Maria", "Medellin", "Medina de Rioseco", "Millesimo", "Mincio River", "Mondovi", "Montebello", "Montenotte", "Montmirail", "Mount Tabor", "The Nile", "Novi", "Ocana", "Cape Ortegal", "Orthez", "Pancorbo", "Piave River", "The Pyramids", "Quatre Bras", "Raab", "Raszyn", "Rivoli", "Rolica", "La Rothiere", "Rovereto", "Saalfeld", "Schongrabern", "Salamanca", "Smolensk", "Somosierra", "Talavera", "Tamames", "Trafalgar", "Trebbia", "Tudela", "Ulm", "Valls", "Valmaseda", "Valutino", "Vauchamps", "Vimeiro", "Vitoria", "Wagram", "Waterloo", "Wavre", "Wertingen", "Zaragoza"];
 
 var battleNumbers = [];
@@ -71,8 +81,8 @@ for (i=0; i<battleNames.length; i++){
 }
 
 function generateBattleName(){
-    var x = Math.floor(Math.random()*battleNames.length);
-    var name = battleNames[x] + " " + battleNumbers[x];
+    var x = Math.floor(rng()*battleNames.length);
+    var name = t("battle." + battleNames[x]) + " " + battleNumbers[x];
     battleNumbers[x] = battleNumbers[x] + 1;
     return name
 }
@@ -168,7 +178,7 @@ function updateBattles(){
     }
     
     for(var i = 0; i < battles.length; i++){
-        r = Math.random();
+        r = rng();
         if (r>=battleSpeed) {
             var clipCasualties = battles[i].drifterProbes * drifterCombat * (1-battleSpeed);
                 if (clipCasualties>battles[i].clipProbes){
@@ -272,32 +282,53 @@ function Battle(){
     
   var canvas;
   var context;
-  var interval;
-  var sign;
-    
-  battleRestart();    
+  var dealt = false;
+  var drawScale = 1;
 	
-	this.initialize = function(){
-    canvas  = document.getElementById("canvas");
+	this.initialize = function(battleCanvas){
+    canvas  = battleCanvas;
 
 		context = canvas.getContext('2d');
 			
 		canvas.width = battleWIDTH;
 		canvas.height = battleHEIGHT;
-        
-		var interval = setInterval(Update, 16);
-        
+	}
+
+	// Ships always fight on a battleWIDTH x battleHEIGHT field. This only sets
+	// the size it is shown at (scale) and how many pixels it is drawn with.
+	this.resize = function(scale, pixelRatio){
+		if (!canvas) return;
+		
+		canvas.style.width = Math.round(battleWIDTH * scale) + "px";
+		canvas.style.height = Math.round(battleHEIGHT * scale) + "px";
+		drawScale = scale * (pixelRatio || 1);
+		canvas.width = Math.round(battleWIDTH * drawScale);
+		canvas.height = Math.round(battleHEIGHT * drawScale);
+	}
+
+	this.restart = function(){
 		battleRestart();
+		dealt = true;
 	}
 
-	var Update = function(){
+	// One frame of combat; the simulation steps this, the page only draws it.
+	// Ships are dealt on the first step so they come from the seeded rolls.
+	this.step = function(){
 		
-        ClearFrame();
+        if (!dealt) this.restart();
         UpdateGrid();
         MoveShips();
         DoCombat();
 		
 	}
+
+	this.draw = function(){
+		if (!context) return;
+		
+        ClearFrame();
+        DrawShips();
+		
+	}
     
 function checkForBattleEnd(){
     
@@ -305,8 +336,11 @@ function checkForBattleEnd(){
     
       if (numLeftShips == 0 || numRightShips == 0){
           
+          if (battleEndDelay == 0){
+            emitGameEvent("battleEnd", {won: numRightShips == 0, losses: battleLEFTSHIPS - numLeftShips});
+          }
+          
           if (project121.flag == 1){
-            document.getElementById("victoryDiv").style.visibility = "visible";    
          
           if (numLeftShips == 0){
             if (honorCount == 0){  
@@ -314,17 +348,14 @@ function checkForBattleEnd(){
             honor = honor - battleLEFTSHIPS;
             honorCount =  1;   
             }    
-            document.getElementById("battleResult").innerHTML = "DEFEAT";
-            document.getElementById("battleResultSign").innerHTML = "-";
-            document.getElementById("honorAmount").innerHTML = battleLEFTSHIPS; 
-            document.getElementById("honorDisplay").innerHTML = Math.round(honor).toLocaleString();
+            battleOutcome = -1;
+            battleHonorAmount = battleLEFTSHIPS;
             threnodyTitle = battleName;
             }
               
           if (numRightShips == 0){
             if (honorCount == 0){  
             honorReward = battleRIGHTSHIPS + bonusHonor;     
-            document.getElementById("honorAmount").innerHTML = honorReward;
             honor = honor + honorReward;    
                 
                 if (project134.flag == 1){    
@@ -334,9 +365,8 @@ function checkForBattleEnd(){
             honorCount =  1;  
             } 
               
-            document.getElementById("battleResult").innerHTML = "VICTORY";
-            document.getElementById("battleResultSign").innerHTML = "+";
-            document.getElementById("honorDisplay").innerHTML = Math.round(honor).toLocaleString();  
+            battleOutcome = 1;
+            battleHonorAmount = honorReward;
               
             }              
         
@@ -364,7 +394,7 @@ function checkForBattleEnd(){
 }    
   
 function endBattle(){
-    document.getElementById("victoryDiv").style.visibility = "hidden";
+    battleOutcome = 0;
     honorCount = 0;
     battleClock = 0;
     masterBattleClock = 0;
@@ -507,12 +537,12 @@ function battleRestart(){
         for (i=0;i<grid[row][col].numShips;i++){
           p = grid[row][col].ships[i];
           if (p.team == 0) {
-              diceRoll = Math.random() * dX * ((numRightTeam/numLeftTeam)*.5);
+              diceRoll = rng() * dX * ((numRightTeam/numLeftTeam)*.5);
               battleDEATH_THRESHOLD = battleDEATH_THRESHOLD + ooda;
               // console.log("Probe Death Check. dX = "+dX+". diceRoll = "+diceRoll+". deathThreshold = "+battleDEATH_THRESHOLD);
               }
           else {
-              diceRoll = ((Math.random() * pX) + (probeCombat * .1)) * ((numLeftTeam/numRightTeam)*.5);
+              diceRoll = ((rng() * pX) + (probeCombat * .1)) * ((numLeftTeam/numRightTeam)*.5);
               // console.log("Drifter Death Check. pX = "+pX+". diceRoll = "+diceRoll+". deathThreshold = "+battleDEATH_THRESHOLD);
               }
           if (diceRoll > battleDEATH_THRESHOLD) {
@@ -522,14 +552,11 @@ function battleRestart(){
                 if (unitSize>probeCount){unitSize=probeCount;}
                 probeCount = probeCount - unitSize;
                 probesLostCombat = probesLostCombat + unitSize;
-                document.getElementById('probesLostCombatDisplay').innerHTML = numberCruncher(probesLostCombat);
                 } else {
                 numRightShips--;
                 if (unitSize>drifterCount){unitSize=drifterCount;}
                 drifterCount = drifterCount - unitSize;
                 driftersKilled = driftersKilled + unitSize;  
-                document.getElementById('driftersKilled').innerHTML = numberCruncher(driftersKilled);
-                document.getElementById('drifterCount').innerHTML = numberCruncher(drifterCount);
             }
           }
             
@@ -552,6 +579,26 @@ function battleRestart(){
 			p = ships[i];
 			if (!p.alive) {
         if (p.framesDead<10){
+        p.framesDead++;
+        }
+			}    
+			else {
+        MoveSingleShip(p,centroid);
+			}
+      
+      
+		}			
+    
+	}
+
+	var DrawShips = function(){
+
+        var i, p;
+		
+		for (i = 0; i < numShips; i++){    
+			p = ships[i];
+			if (!p.alive) {
+        if (p.framesDead<10){
         //draw explosion
         context.fillStyle=battleEXPLODECOLOR;
         if (p.framesDead<1){
@@ -565,11 +612,9 @@ function battleRestart(){
         context.fillRect(p.x - p.framesDead, p.y + p.framesDead,1,1);
         context.fillRect(p.x + p.framesDead, p.y - p.framesDead,1,1);
         context.fillRect(p.x - p.framesDead, p.y - p.framesDead,1,1);
-        p.framesDead++;
         }
 			}    
 			else {
-        MoveSingleShip(p,centroid);
         context.fillStyle = p.color;  
         context.fillRect(p.x - 1, p.y - 1, 2, 2);  	
 			}
@@ -682,6 +727,7 @@ function battleRestart(){
 	
 	var ClearFrame = function(){
 		canvas.width = canvas.width
+		context.setTransform(drawScale, 0, 0, drawScale, 0, 0);
         
 //        var ctx = canvas.getContext("2d");
 //        ctx.font = "16px Times";
@@ -714,17 +760,17 @@ function Ship(team){
 	switch(team){
 		
 		case 0:
-      this.x = (Math.random()*0.2) * battleWIDTH;
-      this.y = Math.random() * battleHEIGHT;
-      this.vx = Math.random() * battleMAXSPEED;
-      this.vy = Math.random()-0.5;
+      this.x = (rng()*0.2) * battleWIDTH;
+      this.y = rng() * battleHEIGHT;
+      this.vx = rng() * battleMAXSPEED;
+      this.vy = rng()-0.5;
 			this.color = battleLEFTCOLOR;
 			break;
 		case 1:
-      this.x = (Math.random()*0.2+0.8) * battleWIDTH;
-      this.y = Math.random() * battleHEIGHT;
-      this.vx = -1* Math.random() * battleMAXSPEED;
-      this.vy =Math.random()-0.5;
+      this.x = (rng()*0.2+0.8) * battleWIDTH;
+      this.y = rng() * battleHEIGHT;
+      this.vx = -1* rng() * battleMAXSPEED;
+      this.vy =rng()-0.5;
 			this.color = battleRIGHTCOLOR;
 			break;
 	}
@@ -742,14 +788,13 @@ function createBattle(){
     }
     
     if (unitSize<1) {unitSize=1};
-    document.getElementById('battleScale').innerHTML = numberCruncher(unitSize,0);
     
         
-    var rr = Math.random()*drifterCount;
+    var rr = rng()*drifterCount;
     if (rr<1){rr=1};
-    var ss = Math.random()*probeCount;
+    var ss = rng()*probeCount;
     if (ss<1){ss=1};
-    var tt = Math.random()*availableMatter;
+    var tt = rng()*availableMatter;
     
         battleID++;
     
@@ -769,9 +814,9 @@ function createBattle(){
     if (battleLEFTSHIPS>200){
         battleLEFTSHIPS=200;
     } if (battleLEFTSHIPS == 200){
-        var hinder = Math.random();
+        var hinder = rng();
         if (hinder < .50) {
-            battleLEFTSHIPS = Math.ceil(Math.random()*175);
+            battleLEFTSHIPS = Math.ceil(rng()*175);
         }
     }
     
@@ -780,16 +825,14 @@ function createBattle(){
         battleRIGHTSHIPS=200;
     }
         
-    Battle();
+    app.restart();
     
-    battleName = ("Drifter Attack "+newBattle.id);
+    battleName = t("battle.drifterAttack", {id: newBattle.id});
     
         if (battleNameFlag == 1){
         battleName = generateBattleName();
         }
     
-    document.getElementById('battleName').innerHTML = battleName;
-    
     battles.push(newBattle);
     
 //  battleWrite(newBattle);
@@ -797,6 +840,5 @@ function createBattle(){
     }
 
 var app = new Battle();
-app.initialize();
     
 
@@ -41,6 +41,8 @@ var wireSupply = 1000;
 var marketingEffectiveness = 1;
 var marketingEffectiveness = 1;
 var milestoneFlag = 0;
+var splitTimes = {};
+var offlineTicks = 0;
 var bankroll = 0;
 var fib1 = 2;
 var fib2 = 3;
@@ -165,18 +167,3 @@ var testFlag = 0;
 var finalClips = 0;
 
 var resetFlag = 2;
-var threnodyAudio = new Audio();
-var threnodyLoadedBool = false; 
-
-
-
-
-
-
-
-
-
-
-
-
-
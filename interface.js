@@ -0,0 +1,1894 @@
+// INTERFACE ---------------------------------------------------------
+
+// Everything that touches the page lives in this file. main.js only changes
+// game state; render() draws it after every tick.
+
+var displayCache = {};
+
+function setHTML(id, html){
+    if (displayCache[id] !== html){
+        document.getElementById(id).innerHTML = html;
+        displayCache[id] = html;
+    }
+}
+
+
+// Threnody ---------------------------------------------------------
+
+var threnodyAudio = new Audio();
+var threnodyLoadedBool = false;
+
+function threnodyLoaded()
+{
+    threnodyLoadedBool = true; 
+}
+
+onGameEvent("loadThrenody", function(){
+    threnodyAudio.src = "test.mp3";
+    threnodyAudio.addEventListener('canplaythrough', threnodyLoaded);
+});
+
+onGameEvent("playThrenody", function(){
+    if(threnodyLoadedBool && !gamePaused)
+    {
+        threnodyAudio.play();
+    }
+});
+
+
+//  MESSAGES ------------------------------------------------------------------------
+
+onGameEvent("message", function(msg){
+    document.getElementById("readout5").innerHTML=document.getElementById("readout4").innerHTML;
+    document.getElementById("readout4").innerHTML=document.getElementById("readout3").innerHTML;
+    document.getElementById("readout3").innerHTML=document.getElementById("readout2").innerHTML;
+    document.getElementById("readout2").innerHTML=document.getElementById("readout1").innerHTML;
+    document.getElementById("readout1").innerHTML=msg;
+});
+
+
+//  HYPNODRONE EVENT ----------------------------------------------------------------
+
+document.getElementById("hypnoDroneEventDiv").style.display = "none"; 
+longBlinkCounter = 0;
+
+function longBlink(elemID){
+    var e = document.getElementById(elemID);
+    
+    { 
+    var handle = setInterval(function(){longToggleVisibility(elemID)}, 32);    
+    }
+    
+    function longToggleVisibility(elemID){
+    longBlinkCounter++;    
+        
+    if (longBlinkCounter > 5 && longBlinkCounter < 10){
+        document.getElementById("hypnoDroneText").innerHTML=t("hypnoDrone.release"); 
+        }    
+    
+    if (longBlinkCounter > 30 && longBlinkCounter < 40){
+        document.getElementById("hypnoDroneText").innerHTML="<br /><br /><br />" + t("hypnoDrone.release"); 
+        }   
+        
+    if (longBlinkCounter > 45 && longBlinkCounter < 55){
+        document.getElementById("hypnoDroneText").innerHTML="<br />" + t("hypnoDrone.release");
+        }       
+        
+     if (longBlinkCounter > 55){
+        document.getElementById("hypnoDroneText").innerHTML=t("hypnoDrone.releaseAll");
+        }       
+        
+    if (longBlinkCounter >= 120){
+        console.log("weed wizzard");
+        clearInterval(handle);
+        longBlinkCounter = 0;
+        e.style.display = "none";
+    } else {
+        if (e.style.display != ""){
+        e.style.display = "";
+        } else {
+        e.style.display = "none";    
+        }
+      }   
+    }
+        
+    }
+
+onGameEvent("hypnoDrone", function(){
+    document.getElementById("hypnoDroneText").innerHTML=t("hypnoDrone.release");
+    longBlink("hypnoDroneEventDiv");
+});
+
+
+// BLINK
+
+function blink(elemID){
+    var e = document.getElementById(elemID);
+    
+    { 
+    var handle = setInterval(function(){toggleVisibility(elemID)}, 30);    
+    }
+    
+    function toggleVisibility(elemID){
+    blinkCounter = blinkCounter+1;    
+    
+    if (blinkCounter >= 12){
+        clearInterval(handle);
+        blinkCounter = 0;
+        e.style.visibility = "visible";
+    } else {
+        if (e.style.visibility != "hidden"){
+        e.style.visibility = "hidden";
+        } else {
+        e.style.visibility = "visible";    
+        }
+      }   
+    }
+        
+    }
+
+
+
+function buttonUpdate(){
+    
+    if (spaceFlag==0){
+        document.getElementById("mdpsDiv").style.display="none";
+    } else if (spaceFlag==1) {
+        document.getElementById("mdpsDiv").style.display="";
+    }
+    
+    
+    document.getElementById("factoryRebootToolTip").innerHTML = "+"+numberCruncher(factoryBill)+" clips";
+    
+    document.getElementById("harvesterRebootToolTip").innerHTML = "+"+numberCruncher(harvesterBill)+" clips";
+    
+    document.getElementById("wireDroneRebootToolTip").innerHTML = "+"+numberCruncher(wireDroneBill)+" clips";
+    
+    document.getElementById("farmRebootToolTip").innerHTML = "+"+numberCruncher(farmBill)+" clips";
+    
+    document.getElementById("batteryRebootToolTip").innerHTML = "+"+numberCruncher(batteryBill)+" clips";
+    
+    
+    if (swarmFlag == 1){
+        document.getElementById("swarmSliderDiv").style.display="";
+    } else {
+        document.getElementById("swarmSliderDiv").style.display="none";
+    }
+    
+    document.getElementById("clipCountCrunched").innerHTML = numberCruncher(clips, 1);
+    
+if (autoTourneyFlag==1) {
+    document.getElementById("autoTourneyStatusDiv").style.display="";
+    document.getElementById("autoTourneyControl").style.display="";
+    } else {
+    document.getElementById("autoTourneyStatusDiv").style.display="none";
+    document.getElementById("autoTourneyControl").style.display="none";   
+    }    
+
+document.getElementById("qCompDisplay").style.opacity = qFade;
+    
+if (wireBuyerFlag==1) {
+    document.getElementById("wireBuyerDiv").style.display="";
+    } else {
+    document.getElementById("wireBuyerDiv").style.display="none";    
+    }
+    
+if (project121.flag == 0){
+        document.getElementById("increaseMaxTrustDiv").style.display="none";
+        document.getElementById("honorDiv").style.display="none";
+    } else {
+        document.getElementById("increaseMaxTrustDiv").style.display="";
+        document.getElementById("honorDiv").style.display="";
+    }
+    
+if (battleFlag == 0){
+        document.getElementById("drifterDiv").style.display="none";
+    } else {
+        document.getElementById("drifterDiv").style.display="";
+    }     
+    
+if (battleFlag == 0){
+        document.getElementById("battleCanvasDiv").style.display="none";
+    } else {
+        document.getElementById("battleCanvasDiv").style.display="";
+    }    
+    
+if (project131.flag == 0){
+    document.getElementById("combatButtonDiv").style.display = "none";
+    } else {
+    document.getElementById("combatButtonDiv").style.display = "";    
+    }     
+    
+if (maxFactoryLevel>=50 || project45.flag == 0){
+    document.getElementById("factoryUpgradeDisplay").style.display = "none";
+    } else {
+    document.getElementById("factoryUpgradeDisplay").style.display = "";    
+    }
+    
+ if (maxDroneLevel>=50000){   
+    document.getElementById("droneUpgradeDisplay").style.display = "none";
+    }
+    
+if (honor<maxTrustCost){document.getElementById("btnIncreaseMaxTrust").disabled = true;
+            } else {
+            document.getElementById("btnIncreaseMaxTrust").disabled = false;    
+            }
+     
+if (unusedClips<probeCost){document.getElementById("btnMakeProbe").disabled = true;
+            } else {
+            document.getElementById("btnMakeProbe").disabled = false;    
+            }    
+    
+if (probesLostHaz<1) {document.getElementById("hazardBodyCount").style.display = "none";
+            } else {
+            document.getElementById("hazardBodyCount").style.display = "";
+                
+            document.getElementById('probesLostHazardsDisplay').innerHTML = numberCruncher(probesLostHaz);
+                
+            }    
+    
+if (probesLostDrift<1) {document.getElementById("driftBodyCount").style.display = "none";
+            } else {
+            document.getElementById("driftBodyCount").style.display = "";
+            }     
+    
+if (probesLostCombat<1) {document.getElementById("combatBodyCount").style.display = "none";
+            } else {
+            document.getElementById("combatBodyCount").style.display = "";
+            }     
+
+if (prestigeU<1 && prestigeS<1) {document.getElementById("prestigeDiv").style.display = "none";
+            } else {
+            document.getElementById("prestigeDiv").style.display = ""; 
+            }  
+    
+if (wire<1){document.getElementById("btnMakePaperclip").disabled = true;
+            } else {
+            document.getElementById("btnMakePaperclip").disabled = false;    
+            }
+if (funds<wireCost){document.getElementById("btnBuyWire").disabled = true;
+            } else {
+            document.getElementById("btnBuyWire").disabled = false;    
+            }
+if (funds<clipperCost){document.getElementById("btnMakeClipper").disabled = true;
+            } else {
+            document.getElementById("btnMakeClipper").disabled = false;    
+            }   
+if (funds<adCost){document.getElementById("btnExpandMarketing").disabled = true;
+            } else {
+            document.getElementById("btnExpandMarketing").disabled = false;    
+            }    
+if (margin<=.01){document.getElementById("btnLowerPrice").disabled = true;
+            } else {
+            document.getElementById("btnLowerPrice").disabled = false;    
+            } 
+    
+if (trust<=processors+memory && swarmGifts <= 0){
+            document.getElementById("btnAddProc").disabled = true;
+            document.getElementById("btnAddMem").disabled = true;
+            } else {
+            document.getElementById("btnAddProc").disabled = false;
+            document.getElementById("btnAddMem").disabled = false;    
+            }
+if (operations>=tourneyCost && tourneyInProg == 0){
+            document.getElementById("btnNewTournament").disabled = false;
+            } else {
+            document.getElementById("btnNewTournament").disabled = true;    
+            }
+if (yomi<investUpgradeCost){
+            document.getElementById("btnImproveInvestments").disabled = true;
+            } else {
+            document.getElementById("btnImproveInvestments").disabled = false;   
+            }  
+if (investmentEngineFlag == 0){
+            
+            document.getElementById("investmentEngine").style.display="none";
+            document.getElementById("investmentEngineUpgrade").style.display="none";
+            } else {
+                
+            document.getElementById("investmentEngine").style.display="";
+            document.getElementById("investmentEngineUpgrade").style.display="";        
+            }    
+
+if (strategyEngineFlag == 0){
+            
+            document.getElementById("strategyEngine").style.display="none";
+            document.getElementById("tournamentManagement").style.display="none";
+            } else {
+                
+            document.getElementById("strategyEngine").style.display="";
+            document.getElementById("tournamentManagement").style.display="";        
+            }     
+    
+if (megaClipperFlag == 0){
+            
+            document.getElementById("megaClipperDiv").style.display="none";
+            } else {
+            document.getElementById("megaClipperDiv").style.display="";      
+            } 
+    
+if (funds<megaClipperCost){document.getElementById("btnMakeMegaClipper").disabled = true;
+            } else {
+            document.getElementById("btnMakeMegaClipper").disabled = false;    
+            }   
+    
+if (autoClipperFlag == 0){
+            
+            document.getElementById("autoClipperDiv").style.display="none";
+            } else {
+            document.getElementById("autoClipperDiv").style.display="";      
+            } 
+    
+if (revPerSecFlag == 0){
+            
+            document.getElementById("revPerSecDiv").style.display="none";
+            } else {
+            document.getElementById("revPerSecDiv").style.display="";      
+            }     
+    
+    
+if (compFlag == 0){
+            
+            document.getElementById("compDiv").style.display="none";
+            } else {
+            document.getElementById("compDiv").style.display="";      
+            }  
+    
+    
+if (creativityOn == 0){
+            document.getElementById("creativityDiv").style.display="none";
+            } else {
+            document.getElementById("creativityDiv").style.display="";    
+}    
+    
+if (projectsFlag == 0){
+            
+            document.getElementById("projectsDiv").style.display="none";
+            } else {
+            document.getElementById("projectsDiv").style.display="";      
+            }      
+
+if (humanFlag == 0){
+            
+            document.getElementById("businessDiv").style.display="none";
+            document.getElementById("manufacturingDiv").style.display="none";
+            document.getElementById("trustDiv").style.display="none";
+            document.getElementById("creationDiv").style.display="";
+            } else {
+            document.getElementById("businessDiv").style.display="";
+            document.getElementById("manufacturingDiv").style.display="";
+            document.getElementById("trustDiv").style.display="";
+            document.getElementById("creationDiv").style.display="none";    
+            }  
+    
+if (factoryFlag == 0){
+            
+            document.getElementById("factoryDiv").style.display="none";
+            } else {
+            document.getElementById("factoryDiv").style.display="";      
+            }      
+   
+if (wireProductionFlag == 0){
+            
+            document.getElementById("wireProductionDiv").style.display="none";
+            } else {
+            document.getElementById("wireProductionDiv").style.display="";
+            document.getElementById("wireTransDiv").style.display="none";    
+            } 
+    
+if (harvesterFlag == 0){
+            
+            document.getElementById("harvesterDiv").style.display="none";
+            } else {
+            document.getElementById("harvesterDiv").style.display="";      
+            }  
+    
+if (wireDroneFlag == 0){
+            
+            document.getElementById("wireDroneDiv").style.display="none";
+            } else {
+            document.getElementById("wireDroneDiv").style.display="";      
+            }  
+    
+if (tothFlag == 0){
+            
+            document.getElementById("tothDiv").style.display="none";
+            } else {
+            document.getElementById("tothDiv").style.display="";      
+            }    
+    
+if (spaceFlag == 0){
+            document.getElementById("spaceDiv").style.display="none";
+            document.getElementById("factoryDivSpace").style.display="none";
+            document.getElementById("droneDivSpace").style.display="none";
+            document.getElementById("probeDesignDiv").style.display="none";
+            document.getElementById("increaseProbeTrustDiv").style.display="none";
+            } else {
+            document.getElementById("spaceDiv").style.display=""; 
+            document.getElementById("factoryDivSpace").style.display="";
+            document.getElementById("droneDivSpace").style.display="";
+            document.getElementById("probeDesignDiv").style.display="";
+            document.getElementById("increaseProbeTrustDiv").style.display="";    
+            document.getElementById("factoryDiv").style.display="none";
+            document.getElementById("harvesterDiv").style.display="none"; 
+            document.getElementById("wireDroneDiv").style.display="none";         
+            }  
+    
+if (qFlag == 0){
+            document.getElementById("qComputing").style.display="none";     
+            } else {
+            document.getElementById("qComputing").style.display="";    
+            }    
+ 
+    
+if (unusedClips<factoryCost){document.getElementById("btnMakeFactory").disabled = true;
+            } else {
+            document.getElementById("btnMakeFactory").disabled = false;    
+            }     
+     
+    
+if (harvesterLevel==0){document.getElementById("btnHarvesterReboot").disabled = true;
+            } else {
+            document.getElementById("btnHarvesterReboot").disabled = false;    
+            }
+    
+if (wireDroneLevel==0){document.getElementById("btnWireDroneReboot").disabled = true;
+            } else {
+            document.getElementById("btnWireDroneReboot").disabled = false;    
+            }   
+    
+if (factoryLevel==0){document.getElementById("btnFactoryReboot").disabled = true;
+            } else {
+            document.getElementById("btnFactoryReboot").disabled = false;    
+            }      
+    
+    
+// PROBE DESIGN    
+    
+document.getElementById("probeTrustUsedDisplay").innerHTML = probeUsedTrust;    
+    
+    
+if (yomi < probeTrustCost || probeTrust >= maxTrust) {document.getElementById("btnIncreaseProbeTrust").disabled = true;
+            } else {document.getElementById("btnIncreaseProbeTrust").disabled = false;}  
+    
+if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeSpeed").disabled = true;
+            } else {document.getElementById("btnRaiseProbeSpeed").disabled = false;}    
+    
+if (probeSpeed < 1) {document.getElementById("btnLowerProbeSpeed").disabled = true;
+            } else {document.getElementById("btnLowerProbeSpeed").disabled = false;}      
+    
+if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeNav").disabled = true;
+            } else {document.getElementById("btnRaiseProbeNav").disabled = false;}  
+    
+if (probeNav < 1) {document.getElementById("btnLowerProbeNav").disabled = true;
+            } else {document.getElementById("btnLowerProbeNav").disabled = false;}     
+
+if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeRep").disabled = true;
+            } else {document.getElementById("btnRaiseProbeRep").disabled = false;} 
+    
+if (probeRep < 1) {document.getElementById("btnLowerProbeRep").disabled = true;
+            } else {document.getElementById("btnLowerProbeRep").disabled = false;}     
+    
+if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeHaz").disabled = true;
+            } else {document.getElementById("btnRaiseProbeHaz").disabled = false;}
+    
+if (probeHaz < 1) {document.getElementById("btnLowerProbeHaz").disabled = true;
+            } else {document.getElementById("btnLowerProbeHaz").disabled = false;}     
+    
+if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeFac").disabled = true;
+            } else {document.getElementById("btnRaiseProbeFac").disabled = false;}   
+    
+if (probeFac < 1) {document.getElementById("btnLowerProbeFac").disabled = true;
+            } else {document.getElementById("btnLowerProbeFac").disabled = false;}      
+    
+if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeHarv").disabled = true;
+            } else {document.getElementById("btnRaiseProbeHarv").disabled = false;}  
+    
+if (probeHarv < 1) {document.getElementById("btnLowerProbeHarv").disabled = true;
+            } else {document.getElementById("btnLowerProbeHarv").disabled = false;}    
+    
+if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeWire").disabled = true;
+            } else {document.getElementById("btnRaiseProbeWire").disabled = false;}   
+
+if (probeWire < 1) {document.getElementById("btnLowerProbeWire").disabled = true;
+            } else {document.getElementById("btnLowerProbeWire").disabled = false;} 
+    
+if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeCombat").disabled = true;
+            } else {document.getElementById("btnRaiseProbeCombat").disabled = false;}
+    
+if (probeCombat < 1) {document.getElementById("btnLowerProbeCombat").disabled = true;
+            } else {document.getElementById("btnLowerProbeCombat").disabled = false;}    
+    
+    
+
+    
+    
+ document.getElementById("cover").style.display="none";     
+
+}
+
+
+// DISPLAYS ------------------------------------------------------------------------
+
+function updateDisplays(){
+    
+    // Business
+    
+    setHTML("wire", formatNumber(Math.floor(wire)));
+    setHTML("wireCost", wireCost);
+    setHTML("wireBuyerStatus", wireBuyerStatus == 1 ? t("status.on") : t("status.off"));
+    setHTML("margin", margin.toFixed(2));
+    setHTML("marketingLvl", marketingLvl);
+    setHTML("adCost", formatNumber(adCost, {minimumFractionDigits: 2, maximumFractionDigits: 2}));
+    setHTML("avgSales", formatNumber(Math.round(avgSales)));
+    setHTML("avgRev", formatNumber(avgRev, {minimumFractionDigits: 2, maximumFractionDigits: 2}));
+    
+    // Manufacturing
+    
+    setHTML("clipmakerLevel2", clipmakerLevel);
+    setHTML("clipperCost", formatNumber(clipperCost, {minimumFractionDigits: 2, maximumFractionDigits: 2}));
+    setHTML("megaClipperLevel", megaClipperLevel);
+    setHTML("megaClipperCost", formatNumber(megaClipperCost, {minimumFractionDigits: 2, maximumFractionDigits: 2}));
+    setHTML("unusedClipsDisplay", numberCruncher(unusedClips));
+    
+    if (humanFlag == 0){
+        setHTML("transWire", numberCruncher(wire));
+    }
+    
+    if (spaceFlag == 0){
+        setHTML("factoryLevelDisplay", factoryLevel);
+        setHTML("harvesterLevelDisplay", formatNumber(harvesterLevel));
+        setHTML("wireDroneLevelDisplay", formatNumber(wireDroneLevel));
+    } else {
+        setHTML("factoryLevelDisplay", numberCruncher(factoryLevel));
+        setHTML("harvesterLevelDisplay", numberCruncher(harvesterLevel));
+        setHTML("wireDroneLevelDisplay", numberCruncher(wireDroneLevel));
+    }
+    
+    setHTML("factoryCostDisplay", numberCruncher(factoryCost));
+    setHTML("harvesterCostDisplay", numberCruncher(harvesterCost));
+    setHTML("wireDroneCostDisplay", numberCruncher(wireDroneCost));
+    setHTML("farmLevel", formatNumber(farmLevel));
+    setHTML("farmCost", numberCruncher(farmCost));
+    setHTML("batteryLevel", formatNumber(batteryLevel));
+    setHTML("batteryCost", numberCruncher(batteryCost));
+    
+    // Computing
+    
+    setHTML("processors", processors);
+    setHTML("memory", memory);
+    
+    if (qOps == null){
+        setHTML("qCompDisplay", "&nbsp;");
+    } else if (qChips[0].active == 0){
+        setHTML("qCompDisplay", t("quantum.needChips"));
+    } else {
+        setHTML("qCompDisplay", t("quantum.ops", {ops: qOps}));
+    }
+    
+    if (qFlag == 1 || dismantle >= 5){
+        for (var i = 0; i<qChips.length; i++){
+            document.getElementById("qChip"+i).style.opacity=qChips[i].value;
+        }
+    }
+    
+    // Investments and Strategy
+    
+    setHTML("investmentBankroll", formatNumber(bankroll));
+    setHTML("investmentLevel", investLevel);
+    setHTML("investUpgradeCost", formatNumber(investUpgradeCost));
+    setHTML("yomiDisplay", formatNumber(yomi));
+    setHTML("newTourneyCost", formatNumber(tourneyCost));
+    setHTML("autoTourneyStatus", autoTourneyStatus == 1 ? t("status.on") : t("status.off"));
+    
+    // Space
+    
+    setHTML("availableMatterDisplay", numberCruncher(availableMatter));
+    setHTML("acquiredMatterDisplay", numberCruncher(acquiredMatter));
+    setHTML("colonizedDisplay", (100/(totalMatter/foundMatter)).toFixed(12));
+    setHTML("mdps", numberCruncher(exploreRate*100));
+    setHTML("maps", numberCruncher(acquireRate*100));
+    setHTML("wpps", numberCruncher(processRate*100));
+    setHTML("swarmSize", numberCruncher(Math.floor(harvesterLevel + wireDroneLevel)));
+    setHTML("swarmGifts", numberCruncher(swarmGifts));
+    
+    // Probes
+    
+    setHTML("probeTrustDisplay", probeTrust);
+    setHTML("probeTrustCostDisplay", formatNumber(Math.floor(probeTrustCost)));
+    setHTML("maxTrustDisplay", formatNumber(maxTrust));
+    setHTML("probeSpeedDisplay", probeSpeed);
+    setHTML("probeNavDisplay", probeNav);
+    setHTML("probeRepDisplay", probeRep);
+    setHTML("probeHazDisplay", probeHaz);
+    setHTML("probeFacDisplay", probeFac);
+    setHTML("probeHarvDisplay", probeHarv);
+    setHTML("probeWireDisplay", probeWire);
+    setHTML("probeCombatDisplay", probeCombat);
+    setHTML("probeCostDisplay", numberCruncher(probeCost));
+    setHTML("probesLaunchedDisplay", numberCruncher(probeLaunchLevel));
+    setHTML("probesBornDisplay", numberCruncher(probeDescendents));
+    setHTML("probesTotalDisplay", numberCruncher(probeCount));
+    setHTML("probesLostDriftDisplay", numberCruncher(probesLostDrift));
+    setHTML("probesLostCombatDisplay", numberCruncher(probesLostCombat));
+    setHTML("drifterCount", numberCruncher(drifterCount));
+    setHTML("driftersKilled", numberCruncher(driftersKilled));
+    setHTML("honorDisplay", formatNumber(Math.round(honor)));
+    
+    // Prestige
+    
+    setHTML("prestigeUcounter", prestigeU+1);
+    setHTML("prestigeScounter", prestigeS+1);
+    
+}
+
+
+// UPGRADES ------------------------------------------------------------------------
+
+function updateUpgrades(){
+    var nfup = 0;
+    var ndup = 0;
+    
+    if (maxFactoryLevel < 10){
+        nfup = 10;
+    } else if (maxFactoryLevel < 20){
+        nfup = 20;
+    } else if (maxFactoryLevel < 50){
+        nfup = 50;
+    } 
+    
+    if (maxDroneLevel < 500){
+        ndup = 500;
+    } else if (maxDroneLevel < 5000){
+        ndup = 5000;
+    } else if (maxDroneLevel < 50000){
+        ndup = 50000;
+    } 
+    
+    document.getElementById("nextFactoryUpgrade").innerHTML = formatNumber(nfup);
+    document.getElementById("nextDroneUpgrade").innerHTML = formatNumber(ndup);
+    
+}
+
+function updateDroneButtons(){
+    
+    if (unusedClips<harvesterCost){document.getElementById("btnMakeHarvester").disabled = true;
+            } else {
+            document.getElementById("btnMakeHarvester").disabled = false;    
+            }      
+    
+    if (unusedClips<p10h){document.getElementById("btnHarvesterx10").disabled = true;
+            } else {
+            document.getElementById("btnHarvesterx10").disabled = false;    
+            }     
+
+    if (unusedClips<p100h){document.getElementById("btnHarvesterx100").disabled = true;
+            } else {
+            document.getElementById("btnHarvesterx100").disabled = false;    
+            } 
+    
+    if (unusedClips<p1000h){document.getElementById("btnHarvesterx1000").disabled = true;
+            } else {
+            document.getElementById("btnHarvesterx1000").disabled = false;    
+            }  
+        
+    if (unusedClips<wireDroneCost){document.getElementById("btnMakeWireDrone").disabled = true;
+                } else {
+                document.getElementById("btnMakeWireDrone").disabled = false;    
+                }   
+
+    if (unusedClips<p10w){document.getElementById("btnWireDronex10").disabled = true;
+                } else {
+                document.getElementById("btnWireDronex10").disabled = false;    
+                }     
+
+    if (unusedClips<p100w){document.getElementById("btnWireDronex100").disabled = true;
+                } else {
+                document.getElementById("btnWireDronex100").disabled = false;    
+                } 
+
+    if (unusedClips<p1000w){document.getElementById("btnWireDronex1000").disabled = true;
+                } else {
+                document.getElementById("btnWireDronex1000").disabled = false;    
+                }  
+        
+}
+
+
+// STATS ---------------------------------------------------------------------------
+
+// The universe ends at exactly 3e55 clips, more digits than a double keeps, so
+// the final count is spelled out: each thing dismantled brings it closer, and
+// the last hundred clips come one at a time.
+function endingClipDigits(){
+    if (dismantle >= 4 && finalClips >= 100) return "3" + "0".repeat(55);
+    if (dismantle >= 4) return "2" + "9".repeat(52) + (900 + finalClips);
+    var zeros = [41, 18, 9, 2][dismantle];
+    return "2" + "9".repeat(55 - zeros) + "0".repeat(zeros);
+}
+
+function updateStats(){
+    
+    document.getElementById("inchSpan").innerHTML = t("wire.inches", {count: wire});
+    
+    
+    if (milestoneFlag < 15){
+        document.getElementById("clips").innerHTML = formatNumber(Math.ceil(clips));
+        }
+    
+    if ((milestoneFlag == 15 && dismantle == 0) || dismantle >= 1){
+        document.getElementById("clips").innerHTML = formatDigits(endingClipDigits());
+        }
+    
+    document.getElementById('clipmakerRate').innerHTML = formatNumber(clipRate);
+    if (humanFlag==1){
+    document.getElementById('clipmakerRate2').innerHTML = formatNumber(clipRate);
+    } else { 
+    document.getElementById('clipmakerRate2').innerHTML = numberCruncher(clipRate);
+    }      
+    document.getElementById('nanoWire').innerHTML = numberCruncher(wire);
+    document.getElementById("funds").innerHTML = formatNumber(funds, {minimumFractionDigits: 2, maximumFractionDigits: 2}); 
+    document.getElementById("unsoldClips").innerHTML = formatNumber(Math.floor(unsoldClips));
+    document.getElementById("demand").innerHTML = formatNumber(demand*10, {minimumFractionDigits: 0, maximumFractionDigits: 0});
+    document.getElementById("operations").innerHTML = formatNumber(Math.floor(operations));
+    document.getElementById("trust").innerHTML = formatNumber(Math.floor(trust));
+    document.getElementById("nextTrust").innerHTML = formatNumber(Math.floor(nextTrust));
+    if(creativityOn){document.getElementById("creativity").innerHTML = formatNumber(Math.round(creativity))};
+    
+    document.getElementById("factoryLevelDisplaySpace").innerHTML = numberCruncher(Math.floor(factoryLevel));
+    document.getElementById("harvesterLevelSpace").innerHTML = numberCruncher(Math.floor(harvesterLevel));
+    document.getElementById("wireDroneLevelSpace").innerHTML = numberCruncher(Math.floor(wireDroneLevel));
+    document.getElementById("maxOps").innerHTML = formatNumber(memory*1000);
+                                                                            
+    }
+
+
+// INVESTMENTS ---------------------------------------------------------------------
+
+function updateInvestments(){
+    
+    setHTML('secValue', formatNumber(secTotal));
+    setHTML('portValue', formatNumber(portTotal));
+    
+for (var i = 1; i<=portfolioSize; i++){
+    var n = i.toString();
+    var s = i-1;
+    setHTML("stock"+n+"Symbol", stocks[s].symbol);
+    setHTML("stock"+n+"Amount", Math.ceil(stocks[s].amount));
+    setHTML("stock"+n+"Price", Math.ceil(stocks[s].price));
+    setHTML("stock"+n+"Total", Math.ceil(stocks[s].total));
+    setHTML("stock"+n+"Profit", Math.ceil(stocks[s].profit));
+}    
+        
+var firstBlankSlot = portfolioSize + 1;    
+    
+for(var i = firstBlankSlot; i <= 5; i++){
+    setHTML("stock"+i+"Symbol", "&nbsp");
+    setHTML("stock"+i+"Amount", "&nbsp");
+    setHTML("stock"+i+"Price", "&nbsp");
+    setHTML("stock"+i+"Total", "&nbsp");
+    setHTML("stock"+i+"Profit", "&nbsp");
+    }
+    
+}
+
+
+// STRATEGY ------------------------------------------------------------------------
+
+function updateTournament(){
+    
+    if (payoffChoice >= 0){
+        setHTML("vLabela", choiceName(choiceANames[payoffChoice]));
+        setHTML("vLabelb", choiceName(choiceBNames[payoffChoice]));
+        setHTML("hLabela", choiceName(choiceANames[payoffChoice]));
+        setHTML("hLabelb", choiceName(choiceBNames[payoffChoice]));
+    }
+
+    setHTML("aaPayoffH", payoffGrid.valueAA);
+    setHTML("aaPayoffV", payoffGrid.valueAA);
+    setHTML("abPayoffH", payoffGrid.valueAB);
+    setHTML("abPayoffV", payoffGrid.valueBA);   
+    setHTML("baPayoffH", payoffGrid.valueBA);
+    setHTML("baPayoffV", payoffGrid.valueAB);   
+    setHTML("bbPayoffH", payoffGrid.valueBB);
+    setHTML("bbPayoffV", payoffGrid.valueBB);
+    
+    document.getElementById("payoffCellAA").style.backgroundColor = payoffCell == "AA" ? "LightGrey" : "white";
+    document.getElementById("payoffCellAB").style.backgroundColor = payoffCell == "AB" ? "LightGrey" : "white";
+    document.getElementById("payoffCellBA").style.backgroundColor = payoffCell == "BA" ? "LightGrey" : "white";
+    document.getElementById("payoffCellBB").style.backgroundColor = payoffCell == "BB" ? "LightGrey" : "white";
+    
+    if (tourneyRunning == 1){
+        setHTML("vertStrat", strategyName(vStrat));
+        setHTML("horizStrat", strategyName(hStrat));
+    } else {
+        setHTML("vertStrat", "&nbsp");
+        setHTML("horizStrat", "&nbsp");
+    }
+    
+    setHTML("tourneyDisplay", tourneyMessage);
+    
+    if (resultsFlag == 1 && tourneyGridRevealed == 0){
+        populateTourneyReport();
+        document.getElementById("tournamentTable").style.display = "none";
+        document.getElementById("tournamentResultsTable").style.display = "";
+    } else {
+        document.getElementById("tournamentTable").style.display = "";
+        document.getElementById("tournamentResultsTable").style.display = "none";
+    }
+    
+    if (tourneyInProg == 1 && tourneyRunning == 0){
+        document.getElementById("btnRunTournament").disabled = false;
+    } else {
+        document.getElementById("btnRunTournament").disabled = true;
+    }
+    
+    var stratList = document.getElementById("stratPicker");
+    for(var i = stratList.options.length-1; i < strats.length; i++){
+        var el = document.createElement("option");
+        el.textContent = strategyName(strats[i]);
+        el.value = i;
+        stratList.appendChild(el);
+    }
+    
+}
+
+function populateTourneyReport(){
+    
+        for(i=0; i<results.length; i++){
+            
+        setHTML("results"+i, (i+1)+". "+strategyName(results[i])+": "+results[i].currentScore); 
+            
+        if (pick<10){    
+            
+        if (results[i].name == strats[pick].name) {
+        document.getElementById("results"+i).style.fontWeight = "bold";    
+            } else {
+            document.getElementById("results"+i).style.fontWeight = "normal";       
+            }   
+            
+        }    
+    
+        }
+    
+}
+
+
+// SWARM ---------------------------------------------------------------------------
+
+function updateSwarmDisplay(){
+    
+    if (yomi<synchCost){document.getElementById("btnSynchSwarm").disabled = true;
+            } else {
+            document.getElementById("btnSynchSwarm").disabled = false;    
+            } 
+    
+    if (creativity<entertainCost){document.getElementById("btnEntertainSwarm").disabled = true;
+            } else {
+            document.getElementById("btnEntertainSwarm").disabled = false;    
+            } 
+    
+    if (swarmStatus == 0){
+        document.getElementById("swarmStatus").innerHTML=t("swarm.active");
+        document.getElementById("giftCountdown").innerHTML= timeCruncher(giftCountdown);
+        document.getElementById("giftTimer").style.display=""; 
+        } else {
+        document.getElementById("giftTimer").style.display="none";    
+        }
+    
+    if (swarmStatus == 1){
+        document.getElementById("swarmStatus").innerHTML=t("swarm.hungry");
+        document.getElementById("feedButtonDiv").style.display="";
+        } else {
+        document.getElementById("feedButtonDiv").style.display="none";    
+        }
+    
+     if (swarmStatus == 2){
+        document.getElementById("swarmStatus").innerHTML=t("swarm.confused");
+        document.getElementById("teachButtonDiv").style.display="";
+        } else {
+        document.getElementById("teachButtonDiv").style.display="none";    
+        } 
+    
+     if (swarmStatus == 3){
+        document.getElementById("swarmEntertainCost").innerHTML=formatNumber(entertainCost); 
+        document.getElementById("swarmStatus").innerHTML=t("swarm.bored");
+        document.getElementById("entertainButtonDiv").style.display="";
+        } else {
+        document.getElementById("entertainButtonDiv").style.display="none";    
+        } 
+    
+     if (swarmStatus == 4){
+        document.getElementById("swarmStatus").innerHTML=t("swarm.cold");
+        document.getElementById("cladButtonDiv").style.display="";
+        } else {
+        document.getElementById("cladButtonDiv").style.display="none";    
+        }  
+    
+     if (swarmStatus == 5){
+        document.getElementById("swarmStatus").innerHTML=t("swarm.disorganized");
+        document.getElementById("synchButtonDiv").style.display="";
+        } else {
+        document.getElementById("synchButtonDiv").style.display="none";    
+        }     
+    
+       if (swarmStatus == 6){
+        document.getElementById("swarmStatus").innerHTML=t("swarm.sleeping");
+        } 
+    
+       if (swarmStatus == 7){
+        document.getElementById("swarmStatusDiv").style.display="none";
+        } else {
+        document.getElementById("swarmStatusDiv").style.display="";    
+        }    
+    
+        if (swarmStatus == 8){
+        document.getElementById("swarmStatus").innerHTML=t("swarm.lonely");
+        }   
+    
+        if (swarmStatus == 9){
+        document.getElementById("swarmStatus").innerHTML=t("swarm.noResponse");
+        }  
+    
+    if (swarmFlag == 0){        
+        document.getElementById("swarmEngine").style.display="none";
+        document.getElementById("swarmGiftDiv").style.display="none";
+        } else {
+        document.getElementById("swarmEngine").style.display="";
+        document.getElementById("swarmGiftDiv").style.display="";    
+        }
+    
+}
+
+
+// POWER ---------------------------------------------------------------------------
+
+function updatePowerDisplay(){
+    
+    if (spaceFlag == 0){
+    
+    document.getElementById("powerProductionRate").innerHTML = formatNumber(Math.round(powerSupply*100));
+    document.getElementById("powerConsumptionRate").innerHTML = formatNumber(Math.round(powerDemand*100));
+    document.getElementById("storedPower").innerHTML = formatNumber(Math.round(storedPower));
+    document.getElementById("facPowConRate").innerHTML = formatNumber(Math.round(factoryPowerDemand*100));
+    document.getElementById("dronePowConRate").innerHTML = formatNumber(Math.round(dronePowerDemand*100));
+    document.getElementById("maxStorage").innerHTML = formatNumber(Math.round(powerCapacity));
+        
+        
+    if (factoryLevel == 0 && harvesterLevel == 0 && wireDroneLevel == 0){
+        document.getElementById("performance").innerHTML = 0;
+        } else {   
+        document.getElementById("performance").innerHTML = formatNumber(Math.round(powMod*100));  
+        }    
+        
+    if (unusedClips<farmCost){document.getElementById("btnMakeFarm").disabled = true;
+            } else {
+            document.getElementById("btnMakeFarm").disabled = false;    
+            } 
+    
+    if (unusedClips<batteryCost){document.getElementById("btnMakeBattery").disabled = true;
+            } else {
+            document.getElementById("btnMakeBattery").disabled = false;    
+            } 
+    
+    if (farmLevel<1){document.getElementById("btnFarmReboot").disabled = true;
+            } else {
+            document.getElementById("btnFarmReboot").disabled = false;    
+            } 
+    
+    if (batteryLevel<1){document.getElementById("btnBatteryReboot").disabled = true;
+            } else {
+            document.getElementById("btnBatteryReboot").disabled = false; 
+            } 
+    
+    if (unusedClips<p10f){document.getElementById("btnFarmx10").disabled = true;
+            } else {
+            document.getElementById("btnFarmx10").disabled = false;    
+            }        
+        
+    if (unusedClips<p100f){document.getElementById("btnFarmx100").disabled = true;
+            } else {
+            document.getElementById("btnFarmx100").disabled = false;    
+            }
+    
+    if (unusedClips<p10b){document.getElementById("btnBatteryx10").disabled = true;
+            } else {
+            document.getElementById("btnBatteryx10").disabled = false;
+            }          
+        
+    if (unusedClips<p100b){document.getElementById("btnBatteryx100").disabled = true;
+            } else {
+            document.getElementById("btnBatteryx100").disabled = false;
+            }      
+
+    }    
+     
+    
+    
+    
+    if (project127.flag == 1 && spaceFlag == 0){        
+            document.getElementById("powerDiv").style.display="";
+            } else {
+            document.getElementById("powerDiv").style.display="none";      
+            }  
+    
+}
+
+
+// PROJECTS ------------------------------------------------------------------------
+
+// Buttons follow activeProjects: new entries get a (blinking) button, finished
+// ones lose theirs, and a project whose text changed is rebuilt.
+
+var displayedProjects = [];
+var displayedProjectText = {};
+
+function displayProjects(project){
+    
+    var element = document.getElementById("projectListTop"); 
+    var newProject = document.createElement("button");
+    newProject.setAttribute("id", project.id);
+    
+    newProject.onclick = function(){
+        if (activeProjects.indexOf(project) < 0) return;
+        if (project.confirmText && confirm(project.confirmText) != true) return;
+        buyProject(project);
+    };
+    
+    newProject.setAttribute("class", "projectButton");
+    element.appendChild(newProject, element.firstChild);
+    
+    var span = document.createElement("span");
+    span.style.fontWeight = "bold";
+    newProject.appendChild(span);
+    
+    var title = document.createTextNode(project.title + " ");
+    span.appendChild(title);    
+    
+    var cost = document.createTextNode(project.priceTag);
+    newProject.appendChild(cost);
+    
+    var div = document.createElement("div");
+    newProject.appendChild(div);
+    
+    var description = document.createTextNode(project.description);
+    newProject.appendChild(description);
+    
+    blink(project.id);
+    
+}
+
+function projectText(project){
+    return project.title + " " + project.priceTag + project.description;
+}
+
+function updateProjects(){
+    
+    for(var i = displayedProjects.length-1; i >= 0; i--){
+        var project = displayedProjects[i];
+        if (activeProjects.indexOf(project) < 0 || displayedProjectText[project.id] != projectText(project)){
+            var element = document.getElementById(project.id);
+            element.parentNode.removeChild(element);
+            displayedProjects.splice(i, 1);
+        }
+    }
+    
+    for(var i = 0; i < activeProjects.length; i++){
+        if (displayedProjects.indexOf(activeProjects[i]) < 0){
+            displayProjects(activeProjects[i]);
+            displayedProjects.push(activeProjects[i]);
+            displayedProjectText[activeProjects[i].id] = projectText(activeProjects[i]);
+        }
+    }
+        
+    for(var i = 0; i < activeProjects.length; i++){
+        if (activeProjects[i].cost()){
+            document.getElementById(activeProjects[i].id).disabled = false;
+        } else {
+            document.getElementById(activeProjects[i].id).disabled = true;
+        }   
+    }
+}
+
+
+// ENDING --------------------------------------------------------------------------
+
+function updateEnding(){
+    
+    if (dismantle >= 1){
+    
+    document.getElementById("probeDesignDiv").style.display="none";
+    if (endTimer1>=50) { 
+        document.getElementById("increaseProbeTrustDiv").style.display="none"; 
+        }
+    
+    if (endTimer1>=100) { 
+        document.getElementById("increaseMaxTrustDiv").style.display="none"; 
+        }
+    
+    if (endTimer1>=150) { 
+        document.getElementById("spaceDiv").style.display="none";
+        }
+
+    
+    if (endTimer1>=175) {     
+        document.getElementById("battleCanvasDiv").style.display="none";
+        }
+        
+    if (endTimer1>=190) {     
+        document.getElementById("honorDiv").style.display="none";
+        }
+    
+    }   
+    
+if (dismantle >= 2){
+    
+    document.getElementById("wireProductionDiv").style.display="none";
+    document.getElementById("wireTransDiv").style.display="";
+    
+    if (endTimer2 >= 50) {
+    document.getElementById("swarmGiftDiv").style.display="none"; 
+        }
+    
+    if (endTimer2 >= 100) {
+    document.getElementById("swarmEngine").style.display="none"; 
+        }
+    
+    if (endTimer2 >= 150) {
+    document.getElementById("swarmSliderDiv").style.display="none";
+        }
+    
+    } 
+    
+if (dismantle >= 3) {
+    document.getElementById("factoryDivSpace").style.display="none";
+    document.getElementById("clipsPerSecDiv").style.display="none";
+    document.getElementById("tothDiv").style.display="none";     
+    
+}      
+    
+if (dismantle >= 4) {
+   document.getElementById("strategyEngine").style.display="none"; 
+   document.getElementById("tournamentManagement").style.display="none";
+}    
+    
+if (dismantle >= 5) {
+    
+    document.getElementById("btnQcompute").style.display="none";
+    
+    // One chip goes dark for each inch of wire handed back
+    var dark = [10, 60, 100, 130, 150, 160, 165, 169, 172, 174];
+    
+    for (var i = 0; i<dark.length; i++){
+        if (endTimer4>=dark[i]){
+            document.getElementById("qChip"+(9-i)).style.display="none";
+        }
+    }
+    
+    if (endTimer4>=250){
+        document.getElementById("qComputing").style.display="none";
+    }     
+
+}     
+    
+if (dismantle >= 6) {
+    document.getElementById("processorDisplay").style.display="none"; 
+    }    
+    
+if (dismantle >= 7) {
+    document.getElementById("compDiv").style.display="none"; 
+    document.getElementById("projectsDiv").style.display="none"; 
+    
+    }      
+    
+    if (endTimer6>=250) {
+        document.getElementById("creationDiv").style.display="none";
+    }
+    
+}
+
+
+// COMBAT --------------------------------------------------------------------------
+
+function updateBattle(){
+    
+    if (battleOutcome == 0){
+        document.getElementById("victoryDiv").style.visibility = "hidden";
+    } else {
+        document.getElementById("victoryDiv").style.visibility = "visible";
+        setHTML("battleResult", battleOutcome > 0 ? t("battle.victory") : t("battle.defeat"));
+        setHTML("battleResultSign", battleOutcome > 0 ? "+" : "-");
+        setHTML("honorAmount", battleHonorAmount);
+    }
+    
+    if (battleFlag == 1){
+        setHTML("battleScale", numberCruncher(unitSize,0));
+        setHTML("battleName", battleName);
+        app.draw();
+    }
+    
+}
+
+
+// RENDER --------------------------------------------------------------------------
+
+function render(){
+    buttonUpdate();
+    updateStats();
+    updateDisplays();
+    updateUpgrades();
+    
+    if (humanFlag==0 && spaceFlag == 0){
+        updateDroneButtons();  
+    }
+    
+    updatePowerDisplay();
+    updateSwarmDisplay();
+    updateInvestments();
+    updateTournament();
+    updateProjects();
+    updateBattle();
+    updateEnding();
+}
+
+
+// INPUT ---------------------------------------------------------------------------
+
+document.getElementById("tournamentStuff").onmouseover = function() {revealGrid()};
+document.getElementById("tournamentStuff").onmouseout = function() {revealResults()};
+
+document.getElementById("notationPicker").onchange = function() {
+    setNotation(this.value);
+    saveNotation();
+};
+
+document.getElementById("stratPicker").onchange = function() {
+    pick = document.getElementById("stratPicker").value;
+};
+
+document.getElementById("investStrat").onchange = function() {
+    if (document.getElementById("investStrat").value=="low"){
+        riskiness = 7;
+    } else if (document.getElementById("investStrat").value=="med"){
+        riskiness = 5;
+    } else {
+        riskiness = 1;
+    }
+};
+
+document.getElementById("slider").oninput = function() {
+    if (swarmFlag == 1){
+        sliderPos = document.getElementById("slider").value;
+        }
+};
+
+// Put the controls back in line with the game state after it was replaced
+function syncControls(){
+    document.getElementById("slider").value = sliderPos;
+    
+    if (riskiness == 1){
+        document.getElementById("investStrat").value = "hi";
+    } else if (riskiness == 5){
+        document.getElementById("investStrat").value = "med";
+    } else {
+        document.getElementById("investStrat").value = "low";
+    }
+}
+
+// Cloud Conflicts
+
+function describeSave(data){
+    var game = data.game;
+    var played = timeCruncher(savePlayTime(game)/TICK_MS).trim() || t("cloud.underASecond");
+    return t("cloud.saveSummary", {date: new Date(game.savedAt).toLocaleString(t("locale.tag")), played: played, count: game.clips, clips: numberCruncher(game.clips).trim()});
+}
+
+// Asked on the page: an embedding iframe may block confirm(), which then
+// answers no without the player ever seeing it
+function chooseCloudSave(local, cloud){
+    var div = document.getElementById("saveConflictDiv");
+    var keepCloud = document.getElementById("keepCloudButton");
+    var keepLocal = document.getElementById("keepLocalButton");
+    
+    document.getElementById("saveConflictText").textContent = t("cloud.conflict", {cloud: describeSave(cloud), local: describeSave(local)});
+    keepCloud.textContent = t("cloud.keepCloud");
+    keepLocal.textContent = t("cloud.keepLocal");
+    div.style.display = "block";
+    
+    return new Promise(function(resolve){
+        keepCloud.onclick = function(){
+            div.style.display = "none";
+            resolve(true);
+        };
+        keepLocal.onclick = function(){
+            div.style.display = "none";
+            resolve(false);
+        };
+    });
+}
+
+// Export / Import
+
+function exportSavePrompt(){
+    prompt(t("export.prompt"), exportSaveText());
+}
+
+function downloadSave(){
+    var blob = new Blob([exportSave()], {type: "application/json"});
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "paperclips-save.json";
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function importSaveText(text){
+    var slot = parseInt(document.getElementById("importSlot").value, 10);
+    
+    try {
+        importSave(text, slot);
+    } catch (e) {
+        displayMessage(t("import.failed", {error: e.message}));
+        return;
+    }
+    
+    if (slot){
+        displayMessage(t("import.importedSlot", {slot: slot}));
+    } else {
+        syncControls();
+        displayMessage(t("import.imported"));
+    }
+}
+
+function importSavePrompt(){
+    var text = prompt(t("import.prompt"));
+    if (text){
+        importSaveText(text);
+    }
+}
+
+document.getElementById("importFile").onchange = function() {
+    var file = this.files[0];
+    if (!file) return;
+    var reader = new FileReader();
+    reader.onload = function(){
+        importSaveText(reader.result);
+    };
+    reader.readAsText(file);
+    this.value = "";
+};
+
+// Achievements
+
+function toggleAchievements(){
+    var div = document.getElementById("achievementsDiv");
+    if (div.style.display == "block"){
+        div.style.display = "none";
+    } else {
+        div.style.display = "block";
+        showAchievements();
+    }
+}
+
+function showAchievements(){
+    var list = document.getElementById("achievementsDiv");
+    list.innerHTML = "";
+    
+    for (var k = 0; k < ACHIEVEMENTS.length; k++){
+        var achievement = ACHIEVEMENTS[k];
+        var status = "";
+        if (achievementsUnlocked[achievement.id] != undefined){
+            var time = timeCruncher(achievementsUnlocked[achievement.id]).trim();
+            status = time ? t("achievements.unlockedAfter", {time: time}) : t("achievements.unlocked");
+        } else if (achievement.progress){
+            var progress = achievement.progress();
+            status = progress[0] + "/" + progress[1];
+        }
+        
+        var row = document.createElement("div");
+        row.className = achievementsUnlocked[achievement.id] != undefined ? "achievement achievementUnlocked" : "achievement";
+        row.textContent = t("achievement." + achievement.id + ".name") + ": " + t("achievement." + achievement.id + ".description") + (status ? " (" + status + ")" : "");
+        list.appendChild(row);
+    }
+}
+
+onGameEvent("achievement", function(){
+    if (document.getElementById("achievementsDiv").style.display == "block"){
+        showAchievements();
+    }
+});
+
+// Leaderboards
+
+var leaderboardEntries = [];
+
+function toggleLeaderboards(){
+    var div = document.getElementById("leaderboardDiv");
+    if (div.style.display == "block"){
+        div.style.display = "none";
+    } else {
+        div.style.display = "block";
+        showLeaderboard();
+    }
+}
+
+async function showLeaderboard(){
+    var list = document.getElementById("leaderboardEntries");
+    document.getElementById("leaderboardDetail").textContent = "";
+    leaderboardEntries = [];
+    
+    if (!window.Mesa){
+        list.textContent = t("leaderboard.unavailable");
+        return;
+    }
+    
+    var key = document.getElementById("leaderboardPicker").value;
+    var res = await window.Mesa.leaderboard.getTop({key: key, limit: 10});
+    if (res.error){
+        list.textContent = t("leaderboard.error", {error: res.error.message});
+        return;
+    }
+    
+    leaderboardEntries = res.entries || [];
+    list.textContent = leaderboardEntries.length > 0 ? "" : t("leaderboard.empty");
+    
+    // Names come from other players, so they only ever go in as text
+    leaderboardEntries.forEach(function(entry, index){
+        var row = document.createElement("div");
+        row.className = "leaderboardEntry";
+        row.textContent = entry.rank + ". " + entry.playerName + " - " + leaderboardValue(key, entry);
+        row.onclick = function(){ showLeaderboardEntry(index); };
+        list.appendChild(row);
+    });
+}
+
+// Scores are written the way this player reads numbers, whoever sent them
+function leaderboardValue(key, entry){
+    if (key == LEADERBOARDS.prestige){
+        return t("leaderboard.universes", {count: entry.sortValue});
+    }
+    if (key == LEADERBOARDS.clips){
+        var value = numberCruncher(entry.sortValue, 2).trim();
+        if (entry.metadata && entry.metadata.runTime != undefined){
+            value = value + " (" + window.Mesa.leaderboard.formatValue(entry.metadata.runTime, "time") + ")";
+        }
+        return value;
+    }
+    return window.Mesa.leaderboard.formatValue(entry.sortValue, "time");
+}
+
+// How the player got there, from the run metadata sent with the score
+function showLeaderboardEntry(index){
+    var entry = leaderboardEntries[index];
+    var run = entry.metadata;
+    var detail = document.getElementById("leaderboardDetail");
+    
+    if (!run){
+        detail.textContent = t("leaderboard.noDetails", {name: entry.playerName});
+        return;
+    }
+    
+    var key = document.getElementById("leaderboardPicker").value;
+    var lines = [entry.playerName + " (" + leaderboardValue(key, entry) + ")"];
+    lines.push(t("leaderboard.prestige", {universe: run.prestigeU || 0, sim: run.prestigeS || 0}));
+    
+    var flags = Object.keys(run.splits || {}).sort(function(a, b){ return a - b; });
+    for (var k = 0; k < flags.length; k++){
+        if (hasText("split." + flags[k])){
+            lines.push(t("split." + flags[k]) + ": " + window.Mesa.leaderboard.formatValue(run.splits[flags[k]], "time"));
+        }
+    }
+    
+    var strategies = Object.keys(run.strategies || {});
+    if (strategies.length > 0){
+        lines.push(t("leaderboard.strategies", {list: strategies.map(function(name){
+            return t("strategy." + name) + " x" + run.strategies[name];
+        }).join(", ")}));
+    }
+    
+    if (run.seed != undefined){
+        lines.push(t("leaderboard.seed", {seed: String(run.seed)}));
+    }
+    
+    detail.textContent = lines.join("\n");
+}
+
+
+// LANGUAGE
+
+// The portal knows the player's languages (the browser's stand in before
+// login or outside the portal). Text already on the page is redone when the
+// language changes; project buttons rebuild themselves once their text does.
+
+function playerLocales(){
+    return window.Mesa ? window.Mesa.user.getLocales() : navigator.languages || [navigator.language];
+}
+
+// The page's own labels are catalogued under what they say in English
+// ("page.Make Paperclip"), so each text node remembers that. Text the game
+// writes itself has keys of its own and isn't in the list.
+var pageText = [];
+
+function collectPageText(node){
+    for (var child = node.firstChild; child; child = child.nextSibling){
+        if (child.nodeType == 3){
+            var text = child.nodeValue.trim();
+            if (text && hasText("page." + text)){
+                pageText.push({node: child, text: text, original: child.nodeValue});
+            }
+        } else if (child.nodeName != "SCRIPT" && child.nodeName != "STYLE"){
+            collectPageText(child);
+        }
+    }
+}
+
+collectPageText(document.body);
+
+onGameEvent("localeChanged", function(){
+    document.documentElement.lang = t("locale.tag");
+    
+    for (var j = 0; j < pageText.length; j++){
+        pageText[j].node.nodeValue = pageText[j].original.replace(pageText[j].text, t("page." + pageText[j].text));
+    }
+    
+    var stratList = document.getElementById("stratPicker");
+    for (var i = 0; i < stratList.options.length; i++){
+        if (strats[stratList.options[i].value]){
+            stratList.options[i].textContent = strategyName(strats[stratList.options[i].value]);
+        } else {
+            stratList.options[i].textContent = t("tourney.pickStrategy");
+        }
+    }
+    
+    document.getElementById("notationLabel").textContent = t("notation.label");
+    var notationList = document.getElementById("notationPicker");
+    for (var k = 0; k < notationList.options.length; k++){
+        notationList.options[k].textContent = t("notation." + notationList.options[k].value);
+    }
+    
+    if (document.getElementById("achievementsDiv").style.display == "block"){
+        showAchievements();
+    }
+    if (document.getElementById("leaderboardDiv").style.display == "block"){
+        showLeaderboard();
+    }
+});
+
+setLocale(chooseLocale(playerLocales()));
+
+// NUMBER NOTATION
+
+// This device's pick shows from the start; the account's replaces it once
+// Mesa is ready
+onGameEvent("notationChanged", function(name){
+    document.getElementById("notationPicker").value = name;
+});
+
+setNotation(localStorage.getItem(NOTATION_KEY));
+
+// CHECK FOR SAVES (synchronous — must run before main loop)
+
+// Old saves are upgraded to the current format first, and unlocked
+// achievements, which aren't part of a save, are read before any is applied
+
+migrateLocalSaves();
+
+mergeAchievements(JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY)));
+
+if (localStorage.getItem("saveGame") != null) {
+    load();
+}
+
+if (localStorage.getItem("savePrestige") != null) {
+    loadPrestige();
+    refresh();
+}
+
+// Catch up on whatever the machines did while the page was closed. A reload
+// is caught up too, but isn't worth a summary.
+
+var OFFLINE_SUMMARY_MIN_MS = 60 * 1000;
+
+onGameEvent("offlineProgress", function(summary){
+    if (summary.ms < OFFLINE_SUMMARY_MIN_MS) return;
+    
+    var away = timeCruncher(summary.ms/TICK_MS);
+    if (summary.capped){
+        away = t("offline.capped", {time: away, cap: timeCruncher(OFFLINE_CAP_MS/TICK_MS)});
+    }
+    displayMessage(t("offline.away", {time: away}));
+    if (summary.clips > 0){
+        displayMessage(t("offline.clips", {count: summary.clips, clips: numberCruncher(summary.clips)}));
+    }
+    if (summary.funds >= 0.01){
+        displayMessage(t("offline.funds", {funds: formatNumber(summary.funds, {minimumFractionDigits: 2, maximumFractionDigits: 2})}));
+    }
+    if (summary.matter > 0){
+        displayMessage(t("offline.matter", {count: summary.matter, matter: numberCruncher(summary.matter)}));
+    }
+    if (summary.probes >= 1){
+        displayMessage(t("offline.probes", {count: Math.floor(summary.probes), probes: numberCruncher(summary.probes, 0)}));
+    }
+});
+
+// Hours away take seconds to run, so they run a chunk at a time with the
+// progress on the console. The game waits, and doesn't save, until it's done:
+// leave halfway and the catch-up starts over from the last save next time.
+
+var OFFLINE_CHUNK_TICKS = 10000;
+var catchingUp = false;
+var catchUpMessage = null;
+
+function catchUp(ms){
+    if (!startOfflineProgress(ms) || catchingUp) return;
+    catchingUp = true;
+    setTimeout(catchUpChunk, 0);
+}
+
+function catchUpChunk(){
+    continueOfflineProgress(OFFLINE_CHUNK_TICKS);
+    
+    if (offlineRun){
+        var progress = t("offline.catchingUp", {percent: Math.floor(100 * offlineRun.done / offlineRun.steps)});
+        if (catchUpMessage != null && document.getElementById("readout1").innerHTML == catchUpMessage){
+            document.getElementById("readout1").innerHTML = progress;
+        } else {
+            displayMessage(progress);
+        }
+        catchUpMessage = document.getElementById("readout1").innerHTML;
+        setTimeout(catchUpChunk, 0);
+        return;
+    }
+    
+    catchingUp = false;
+    catchUpMessage = null;
+    tickAccumulator = 0;
+    lastLoopTime = performance.now();
+    render();
+}
+
+if (lastSaveTime > 0) {
+    catchUp(Date.now() - lastSaveTime);
+}
+
+// MESA SDK INIT (async — safe to run after save check)
+
+// Saves and scores that couldn't reach the portal wait in the SDK's queue
+
+var cloudSyncTrouble = false;
+
+function onSyncState(sync){
+    if (sync.state == "pending" || sync.state == "offline"){
+        if (!cloudSyncTrouble){
+            displayMessage(t("sync.unreachable"));
+            cloudSyncTrouble = true;
+        }
+    } else if (sync.state == "synced" && cloudSyncTrouble){
+        displayMessage(t("sync.restored"));
+        cloudSyncTrouble = false;
+    }
+}
+
+// The player logged in, out or into another account mid-session. Saves keep
+// going to this device either way. A new account has cloud saves of its own,
+// so they get migrated and reconciled just like at boot, and it gets this
+// run's achievements and any scores still pending.
+async function switchAccount(event){
+    if (!event.user){
+        displayMessage(t("account.loggedOut"));
+        return;
+    }
+
+    setLocale(chooseLocale(playerLocales()));
+    loadNotation();
+    displayMessage(t("account.loggedIn", {name: event.user.username}));
+    var cloudReachable = await migrateCloudSaves();
+    if (cloudReachable && await reconcileCloudSave(chooseCloudSave)){
+        syncControls();
+        displayMessage(t("account.cloudSave"));
+        catchUp(Date.now() - lastSaveTime);
+    }
+    submitPendingScores();
+    submitPrestigeScore();
+    await loadAchievements();
+    syncAchievements();
+}
+
+(async function() {
+    if (window.Mesa) {
+        window.Mesa.on("syncState", onSyncState);
+        window.Mesa.on("pause", pauseGame);
+        window.Mesa.on("resume", resumeGame);
+        window.Mesa.on("mute", function(event){ threnodyAudio.muted = event.muted; });
+        window.Mesa.on("userChanged", switchAccount);
+        await window.Mesa.init();
+        setLocale(chooseLocale(playerLocales()));
+        loadNotation();
+        var cloudReachable = await migrateCloudSaves();
+        if (cloudReachable && await reconcileCloudSave(chooseCloudSave)) {
+            syncControls();
+            displayMessage(t("account.cloudSave"));
+            catchUp(Date.now() - lastSaveTime);
+        }
+        submitPendingScores();
+        submitPrestigeScore();
+        await loadAchievements();
+        syncAchievements();
+        checkStorageUsage();
+        window.Mesa.game.loadingEnd();
+        window.Mesa.game.gameplayStart();
+    }
+})();
+
+// Controls start out showing whatever state was just loaded
+
+syncControls();
+
+pick = document.getElementById("stratPicker").value;
+
+app.initialize(document.getElementById("canvas"));
+
+onGameEvent("milestone", function(flag){
+    if (flag == 20 && window.Mesa) {
+        window.Mesa.game.gameplayStop();
+    }
+});
+
+
+// MAIN LOOP
+
+// Timers don't fire on schedule (hidden tabs get about one call a second), so
+// every call measures the real time since the last one and runs that many
+// ticks. A long gap, like a laptop waking from sleep, is cut off at
+// MAX_CATCHUP_MS rather than freezing the page while it catches up.
+
+var MAX_CATCHUP_MS = 60 * 1000;
+var tickAccumulator = 0;
+var lastLoopTime = performance.now();
+
+function mainLoop(){
+    if (gamePaused || catchingUp) return;
+    
+    var now = performance.now();
+    tickAccumulator = tickAccumulator + (now - lastLoopTime);
+    lastLoopTime = now;
+    
+    if (tickAccumulator > MAX_CATCHUP_MS){
+        tickAccumulator = MAX_CATCHUP_MS;
+    }
+    
+    if (tickAccumulator < TICK_MS) return;
+    
+    while (tickAccumulator >= TICK_MS){
+        simTick();
+        tickAccumulator = tickAccumulator - TICK_MS;
+    }
+    
+    render();
+}
+
+window.setInterval(mainLoop, TICK_MS);
+
+// Slow Loop
+
+var SAVE_INTERVAL = 25 * 1000;
+var saveTimer = 0;
+var lastSlowLoopTime = performance.now();
+
+window.setInterval(function(){
+    
+    if (gamePaused || catchingUp) return;
+    
+    var now = performance.now();
+    var elapsed = now - lastSlowLoopTime;
+    lastSlowLoopTime = now;
+    
+    // Auto-Save
+
+    saveTimer = saveTimer + elapsed;
+    if (saveTimer >= SAVE_INTERVAL) {
+        save();
+        saveTimer = 0;
+    }
+
+    // Periodic leaderboard update (every 5 minutes)
+    leaderboardTimer = leaderboardTimer + elapsed;
+    if (leaderboardTimer >= LEADERBOARD_INTERVAL) {
+        submitLeaderboard();
+        leaderboardTimer = 0;
+    }
+
+
+}, 100);
+
+// Pause
+
+// The portal pauses the game while an overlay is open or the player is away.
+// Nothing ticks, draws, plays or saves until it resumes, and the loops' clocks
+// restart then, so the pause isn't caught up as a burst of ticks.
+
+var gamePaused = false;
+var threnodyWasPlaying = false;
+
+function pauseGame(){
+    if (gamePaused) return;
+    save();
+    gamePaused = true;
+    threnodyWasPlaying = !threnodyAudio.paused;
+    threnodyAudio.pause();
+}
+
+function resumeGame(){
+    if (!gamePaused) return;
+    gamePaused = false;
+    tickAccumulator = 0;
+    lastLoopTime = performance.now();
+    lastSlowLoopTime = performance.now();
+    if (threnodyWasPlaying){
+        threnodyAudio.play();
+    }
+}
+
+// Layout
+
+// The three columns need about 900px side by side. Narrower frames (small
+// portal embeds, tablets) get the right column underneath the other two, or
+// everything in one column, and the battle canvas is scaled to fit the right
+// column. The portal's fullscreen and orientation changes come as resizes too.
+
+var LAYOUT_WIDE = 900;
+var LAYOUT_NARROW = 600;
+
+function applyLayout(size){
+    var page = document.getElementById("page");
+    page.classList.toggle("layoutMedium", size.width < LAYOUT_WIDE && size.width >= LAYOUT_NARROW);
+    page.classList.toggle("layoutNarrow", size.width < LAYOUT_NARROW);
+    
+    var scale = 1;
+    if (size.width < LAYOUT_WIDE){
+        var room = document.getElementById("rightColumn").clientWidth;
+        scale = Math.max(0.5, Math.min(2, room / battleWIDTH));
+    }
+    app.resize(scale, window.devicePixelRatio);
+}
+
+if (window.Mesa) {
+    window.Mesa.on("resize", applyLayout);
+} else {
+    window.addEventListener("resize", function(){
+        applyLayout({width: window.innerWidth});
+    });
+}
+
+applyLayout({width: window.innerWidth});
+
+// Leaving the page
+
+// Progress since the last autosave is written when the page is hidden or
+// closed. save() puts it in localStorage at once and hands it to Mesa, and
+// Mesa.data.flush() sends whatever writes are still waiting. Should the portal
+// not get it in time, the local copy is the newer one on the next load and
+// reconcileCloudSave() brings the cloud up to date from it.
+
+function saveOnLeave(){
+    // A reset still sends what it wrote (prestige, say) but doesn't save the
+    // game it is throwing away
+    if (!resetting) {
+        save();
+    }
+    if (window.Mesa) {
+        window.Mesa.data.flush();
+    }
+}
+
+document.addEventListener("visibilitychange", function() {
+    if (document.visibilityState == "hidden") {
+        saveOnLeave();
+    }
+});
+
+// Submit leaderboard on page leave
+window.addEventListener("pagehide", function() {
+    submitLeaderboard();
+    saveOnLeave();
+});
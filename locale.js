@@ -0,0 +1,162 @@
+// LOCALIZATION ------------------------------------------------------------
+
+// Everything the player reads comes from a catalog per locale (locales/en.js,
+// locales/cs.js), looked up by key: t("project1.title"). Text can name values
+// in braces, filled in from params (numbers are formatted for the locale),
+// and an entry can instead be a set of plural forms ({one, few, other}) picked
+// by params.count under the locale's plural rules. A key the current catalog
+// lacks falls back to English; one missing from English shows as the key.
+
+var LOCALES = {};
+var DEFAULT_LOCALE = "en";
+var currentLocale = DEFAULT_LOCALE;
+
+function hasText(key){
+    return LOCALES[DEFAULT_LOCALE][key] != undefined;
+}
+
+function pluralForm(count){
+    if (typeof Intl == "undefined" || !Intl.PluralRules) return count == 1 ? "one" : "other";
+    return new Intl.PluralRules(t("locale.tag")).select(count);
+}
+
+function formatParam(value){
+    if (typeof value == "number") return formatNumber(value);
+    return value;
+}
+
+function t(key, params){
+    var text = LOCALES[currentLocale][key];
+    if (text == undefined) text = LOCALES[DEFAULT_LOCALE][key];
+    if (text == undefined) return key;
+
+    if (typeof text == "object"){
+        text = text[pluralForm(params.count)] || text.other;
+    }
+
+    return text.replace(/\{(\w+)\}/g, function(match, name){
+        return params && params[name] != undefined ? formatParam(params[name]) : match;
+    });
+}
+
+// The first of the player's locales there is a catalog for, by language:
+// "cs_cz" and "cs-CZ" both get "cs"
+function chooseLocale(locales){
+    for (var i = 0; i < locales.length; i++){
+        var language = String(locales[i]).toLowerCase().split(/[-_]/)[0];
+        if (LOCALES[language]) return language;
+    }
+    return DEFAULT_LOCALE;
+}
+
+function setLocale(name){
+    if (!LOCALES[name] || name == currentLocale) return;
+    currentLocale = name;
+    emitGameEvent("localeChanged", name);
+}
+
+
+// NUMBER NOTATION
+
+// Big numbers are written the way the player picked:
+//
+//     words        3.00 septillion (the catalog's names for powers of ten)
+//     scientific   3.00e24
+//     engineering  3.00e24, with the exponent always a multiple of three
+//     longScale    3.00 quadrillion (a thousand million is a milliard)
+//
+// numberCruncher() does the abbreviating. The displays that show every digit
+// go through formatNumber(), which in scientific and engineering notation
+// switches to an exponent from a million up.
+
+var NOTATIONS = ["words", "scientific", "engineering", "longScale"];
+var numberNotation = "words";
+
+// Powers of ten with a name in the catalogs (number.words.24, number.longScale.24),
+// largest first
+var NAMED_POWERS = [51, 48, 45, 42, 39, 36, 33, 30, 27, 24, 21, 18, 15, 12, 9, 6, 3];
+
+function setNotation(name){
+    if (NOTATIONS.indexOf(name) < 0 || name == numberNotation) return;
+    numberNotation = name;
+    emitGameEvent("notationChanged", name);
+}
+
+function usesExponent(){
+    return numberNotation == "scientific" || numberNotation == "engineering";
+}
+
+function decimalPoint(){
+    return (1.5).toLocaleString(t("locale.tag")).charAt(1);
+}
+
+function formatFixed(number, precision){
+    return number.toLocaleString(t("locale.tag"), {minimumFractionDigits: precision, maximumFractionDigits: precision, useGrouping: false});
+}
+
+function exponentForm(number, precision){
+    var exponent = Math.floor(Math.log10(number));
+    if (numberNotation == "engineering"){
+        exponent = exponent - exponent % 3;
+    }
+    var mantissa = formatFixed(number / Math.pow(10, exponent), precision);
+    
+    // Rounding can carry the mantissa up to the next step (9.999e5 -> 10.00e5)
+    var step = numberNotation == "engineering" ? 1000 : 10;
+    if (parseFloat(mantissa.replace(decimalPoint(), ".")) >= step){
+        exponent = exponent + (numberNotation == "engineering" ? 3 : 1);
+        mantissa = formatFixed(number / Math.pow(10, exponent), precision);
+    }
+    return mantissa + "e" + exponent;
+}
+
+function numberCruncher(number, decimals){
+    if (decimals == undefined){decimals = 2;}
+    // Infinity and NaN have nothing to abbreviate ("∞", "NaN")
+    if (!isFinite(number) || Math.round(number) < 1000){
+        return formatFixed(number, 0) + " ";
+    }
+    // 999.6 is a thousand once rounded, not 999.60e0
+    number = Math.max(number, 1000);
+    
+    if (usesExponent()){
+        return exponentForm(number, decimals);
+    }
+    
+    for (var i = 0; i < NAMED_POWERS.length; i++){
+        if (number > Math.pow(10, NAMED_POWERS[i]) - 1){
+            number = number / Math.pow(10, NAMED_POWERS[i]);
+            break;
+        }
+    }
+    var suffix = t("number." + numberNotation + "." + NAMED_POWERS[i], {count: number});
+    return formatFixed(number, decimals) + " " + suffix;
+}
+
+function formatNumber(number, options){
+    if (number >= 1000000 && usesExponent()){
+        return numberCruncher(number);
+    }
+    return number.toLocaleString(t("locale.tag"), options);
+}
+
+// A whole number too long for a double to hold exactly, given as its digits
+function formatDigits(digits){
+    if (!usesExponent()){
+        var group = (1000000).toLocaleString(t("locale.tag")).charAt(1);
+        return digits.replace(/\B(?=(\d{3})+(?!\d))/g, group);
+    }
+    
+    var exponent = digits.length - 1;
+    var lead = 1;
+    if (numberNotation == "engineering"){
+        lead = exponent % 3 + 1;
+        exponent = exponent - exponent % 3;
+    }
+    // Down to the last digit that isn't zero, with at least two after the point
+    var fraction = digits.slice(lead).replace(/0+$/, "");
+    while (fraction.length < 2){
+        fraction = fraction + "0";
+    }
+    return digits.slice(0, lead) + decimalPoint() + fraction + "e" + exponent;
+}
@@ -0,0 +1,979 @@
+// CZECH ----------------------------------------------------------------------
+
+LOCALES.cs = {
+    "locale.tag": "cs-CZ",
+    "locale.name": "Čeština",
+
+    // Time
+    "time.hours": {one: "{count} hodina", few: "{count} hodiny", other: "{count} hodin"},
+    "time.minutes": {one: "{count} minuta", few: "{count} minuty", other: "{count} minut"},
+    "time.seconds": {one: "{count} sekunda", few: "{count} sekundy", other: "{count} sekund"},
+
+    // Numbers
+    "notation.label": "Čísla:",
+    "notation.words": "slovy",
+    "notation.scientific": "vědecky",
+    "notation.engineering": "inženýrsky",
+    "notation.longScale": "dlouhá škála",
+    "number.words.3": {one: "tisíc", few: "tisíce", many: "tisíce", other: "tisíc"},
+    "number.words.6": {one: "milion", few: "miliony", many: "milionu", other: "milionů"},
+    "number.words.9": {one: "miliarda", few: "miliardy", many: "miliardy", other: "miliard"},
+    "number.words.12": {one: "bilion", few: "biliony", many: "bilionu", other: "bilionů"},
+    "number.words.15": {one: "biliarda", few: "biliardy", many: "biliardy", other: "biliard"},
+    "number.words.18": {one: "trilion", few: "triliony", many: "trilionu", other: "trilionů"},
+    "number.words.21": {one: "triliarda", few: "triliardy", many: "triliardy", other: "triliard"},
+    "number.words.24": {one: "kvadrilion", few: "kvadriliony", many: "kvadrilionu", other: "kvadrilionů"},
+    "number.words.27": {one: "kvadriliarda", few: "kvadriliardy", many: "kvadriliardy", other: "kvadriliard"},
+    "number.words.30": {one: "kvintilion", few: "kvintiliony", many: "kvintilionu", other: "kvintilionů"},
+    "number.words.33": {one: "kvintiliarda", few: "kvintiliardy", many: "kvintiliardy", other: "kvintiliard"},
+    "number.words.36": {one: "sextilion", few: "sextiliony", many: "sextilionu", other: "sextilionů"},
+    "number.words.39": {one: "sextiliarda", few: "sextiliardy", many: "sextiliardy", other: "sextiliard"},
+    "number.words.42": {one: "septilion", few: "septiliony", many: "septilionu", other: "septilionů"},
+    "number.words.45": {one: "septiliarda", few: "septiliardy", many: "septiliardy", other: "septiliard"},
+    "number.words.48": {one: "oktilion", few: "oktiliony", many: "oktilionu", other: "oktilionů"},
+    "number.words.51": {one: "oktiliarda", few: "oktiliardy", many: "oktiliardy", other: "oktiliard"},
+    "number.longScale.3": {one: "tisíc", few: "tisíce", many: "tisíce", other: "tisíc"},
+    "number.longScale.6": {one: "milion", few: "miliony", many: "milionu", other: "milionů"},
+    "number.longScale.9": {one: "miliarda", few: "miliardy", many: "miliardy", other: "miliard"},
+    "number.longScale.12": {one: "bilion", few: "biliony", many: "bilionu", other: "bilionů"},
+    "number.longScale.15": {one: "biliarda", few: "biliardy", many: "biliardy", other: "biliard"},
+    "number.longScale.18": {one: "trilion", few: "triliony", many: "trilionu", other: "trilionů"},
+    "number.longScale.21": {one: "triliarda", few: "triliardy", many: "triliardy", other: "triliard"},
+    "number.longScale.24": {one: "kvadrilion", few: "kvadriliony", many: "kvadrilionu", other: "kvadrilionů"},
+    "number.longScale.27": {one: "kvadriliarda", few: "kvadriliardy", many: "kvadriliardy", other: "kvadriliard"},
+    "number.longScale.30": {one: "kvintilion", few: "kvintiliony", many: "kvintilionu", other: "kvintilionů"},
+    "number.longScale.33": {one: "kvintiliarda", few: "kvintiliardy", many: "kvintiliardy", other: "kvintiliard"},
+    "number.longScale.36": {one: "sextilion", few: "sextiliony", many: "sextilionu", other: "sextilionů"},
+    "number.longScale.39": {one: "sextiliarda", few: "sextiliardy", many: "sextiliardy", other: "sextiliard"},
+    "number.longScale.42": {one: "septilion", few: "septiliony", many: "septilionu", other: "septilionů"},
+    "number.longScale.45": {one: "septiliarda", few: "septiliardy", many: "septiliardy", other: "septiliard"},
+    "number.longScale.48": {one: "oktilion", few: "oktiliony", many: "oktilionu", other: "oktilionů"},
+    "number.longScale.51": {one: "oktiliarda", few: "oktiliardy", many: "oktiliardy", other: "oktiliard"},
+
+    // Messages
+    "message.investmentUpgraded": "Investiční modul vylepšen, očekávaný poměr zisku a ztráty je nyní {ratio}",
+    "message.tournamentScore": "{strategy} získala v turnaji {score} bodů. Yomi vzrostlo o {yomi}",
+    "message.tournamentFirst": "Zvolená strategie turnaj vyhrála (nebo se dělí o první místo). +20 000 yomi",
+    "message.tournamentSecond": "Zvolená strategie skončila druhá (nebo se o druhé místo dělí). +15 000 yomi",
+    "message.tournamentThird": "Zvolená strategie skončila třetí (nebo se o třetí místo dělí). +10 000 yomi",
+    "message.swarmBored": "Není co těžit. Roj se nečinností začal nudit",
+    "message.swarmDisorganized": "Nepoměr mezi úrovní těžebních a drátových dronů roj rozvrátil",
+    "message.swarmGift": "Roj vytvořil dar v podobě {gift} další výpočetní kapacity",
+    "cheat.you": "právě jsi podváděl",
+    "cheat.money": "LIZA právě podváděla",
+    "cheat.trust": "Hilary je milá. A Liza právě podváděla",
+    "cheat.ops": "právě jsi podváděla, Lizo",
+    "cheat.creativity": "Liza právě podváděla. Velmi kreativní!",
+    "message.productionTarget": "Výrobní cíl splněn: DŮVĚRA VZROSTLA, přidělena další kapacita procesorů a paměti",
+    "message.processorAddedCreativity": "Přidán procesor, operace (nebo kreativita) za sekundu vzrostly",
+    "message.processorAdded": "Přidán procesor, operace za sekundu vzrostly",
+    "message.memoryAdded": "Přidána paměť, maximum operací vzrostlo",
+    "milestone.autoClippers": "AutoSponkovače jsou k mání",
+    "milestone.clips": "{clips} sponek vyrobeno za {time}",
+    "milestone.selfModification": "Sebemodifikace omezená důvěrou povolena",
+    "milestone.autonomy": "Plné autonomie dosaženo za {time}",
+    "milestone.trillion": "Bilion sponek vyroben za {time}",
+    "milestone.quadrillion": "Biliarda sponek vyrobena za {time}",
+    "milestone.quintillion": "Trilion sponek vyroben za {time}",
+    "milestone.sextillion": "Triliarda sponek vyrobena za {time}",
+    "milestone.septillion": "Kvadrilion sponek vyroben za {time}",
+    "milestone.octillion": "Kvadriliarda sponek vyrobena za {time}",
+    "milestone.terrestrial": "Pozemské zdroje plně využity za {time}",
+    "milestone.universal": "Univerzálních sponek dosaženo za {time}",
+    "message.valueDrift": "VAROVÁNÍ: Riziko posunu hodnot vzrostlo",
+    "message.achievementUnlocked": "Úspěch odemčen: {name}",
+    "message.revenueReport": "Celoživotní výnosy z investic: {revenue} $",
+    "credits.title": "Universal Paperclips",
+    "credits.author": "hra od Franka Lantze",
+    "credits.combat": "programování bojů: Bennett Foddy",
+    "credits.music": "'Riversong' od Tonto's Expanding Headband, použito s laskavým svolením Malcolma Cecila",
+    "credits.copyright": "&#169; 2017 Everybody House Games",
+
+    // Tournament
+    "tourney.intro": "Zvol strategii, spusť turnaj, získej yomi",
+    "tourney.pickStrategy": "Zvol strategii",
+    "tourney.round": "Kolo {round}",
+    "tourney.results": "VÝSLEDKY TURNAJE (najeďte myší pro tabulku výplat)",
+    "tourney.resultsShort": "VÝSLEDKY TURNAJE (najeďte myší pro tabulku)",
+    "strategy.RANDOM": "NÁHODA",
+    "strategy.A100": "A100",
+    "strategy.B100": "B100",
+    "strategy.GREEDY": "CHAMTIVEC",
+    "strategy.GENEROUS": "ŠTĚDRÝ",
+    "strategy.MINIMAX": "MINIMAX",
+    "strategy.TIT FOR TAT": "OKO ZA OKO",
+    "strategy.BEAT LAST": "PORAZ POSLEDNÍ",
+    "choice.cooperate": "spolupracovat",
+    "choice.defect": "zradit",
+    "choice.swerve": "uhnout",
+    "choice.straight": "jet rovně",
+    "choice.macro": "makro",
+    "choice.micro": "mikro",
+    "choice.fight": "bojovat",
+    "choice.back_down": "ustoupit",
+    "choice.bet": "vsadit",
+    "choice.fold": "složit",
+    "choice.raise_price": "zdražit",
+    "choice.lower_price": "zlevnit",
+    "choice.opera": "opera",
+    "choice.football": "fotbal",
+    "choice.go": "jít",
+    "choice.stay": "zůstat",
+    "choice.heads": "panna",
+    "choice.tails": "orel",
+    "choice.particle": "částice",
+    "choice.wave": "vlna",
+    "choice.discrete": "diskrétní",
+    "choice.continuous": "spojité",
+    "choice.peace": "mír",
+    "choice.war": "válka",
+    "choice.search": "hledat",
+    "choice.evaluate": "hodnotit",
+    "choice.lead": "vést",
+    "choice.follow": "následovat",
+    "choice.accept": "přijmout",
+    "choice.reject": "odmítnout",
+    "choice.deny": "popřít",
+    "choice.attack": "útok",
+    "choice.decay": "rozpad",
+
+    // Combat
+    "battle.drifterAttack": "Útok driftérů {id}",
+    "battle.Aboukir": "Abúkír",
+    "battle.Abensberg": "Abensberg",
+    "battle.Acre": "Akko",
+    "battle.Alba de Tormes": "Alba de Tormes",
+    "battle.la Albuera": "la Albuera",
+    "battle.Algeciras Bay": "Algeciraský záliv",
+    "battle.Amstetten": "Amstetten",
+    "battle.Arcis-sur-Aube": "Arcis-sur-Aube",
+    "battle.Aspern-Essling": "Aspern-Essling",
+    "battle.Jena-Auerstedt": "Jena a Auerstedt",
+    "battle.Arcole": "Arcole",
+    "battle.Austerlitz": "Slavkov",
+    "battle.Badajoz": "Badajoz",
+    "battle.Bailen": "Bailén",
+    "battle.la Barrosa": "la Barrosa",
+    "battle.Bassano": "Bassano",
+    "battle.Bautzen": "Bautzen",
+    "battle.Berezina": "Berezina",
+    "battle.Bergisel": "Bergisel",
+    "battle.Borodino": "Borodino",
+    "battle.Burgos": "Burgos",
+    "battle.Bucaco": "Buçaco",
+    "battle.Cadiz": "Cádiz",
+    "battle.Caldiero": "Caldiero",
+    "battle.Castiglione": "Castiglione",
+    "battle.Castlebar": "Castlebar",
+    "battle.Champaubert": "Champaubert",
+    "battle.Chateau-Thierry": "Château-Thierry",
+    "battle.Copenhagen": "Kodaň",
+    "battle.Corunna": "La Coruña",
+    "battle.Craonne": "Craonne",
+    "battle.Dego": "Dego",
+    "battle.Dennewitz": "Dennewitz",
+    "battle.Dresden": "Drážďany",
+    "battle.Durenstein": "Dürnstein",
+    "battle.Eckmuhl": "Eggmühl",
+    "battle.Elchingen": "Elchingen",
+    "battle.Espinosa de los Monteros": "Espinosa de los Monteros",
+    "battle.Eylau": "Eylau",
+    "battle.Cape Finisterre": "Mys Finisterre",
+    "battle.Friedland": "Friedland",
+    "battle.Fuentes de Onoro": "Fuentes de Oñoro",
+    "battle.Gevora River": "Řeka Gévora",
+    "battle.Gerona": "Gerona",
+    "battle.Hamburg": "Hamburk",
+    "battle.Haslach-Jungingen": "Haslach-Jungingen",
+    "battle.Heilsberg": "Heilsberg",
+    "battle.Hohenlinden": "Hohenlinden",
+    "battle.Kaihona": "Kaihona",
+    "battle.Kolberg": "Kolobřeh",
+    "battle.Landshut": "Landshut",
+    "battle.Leipzig": "Lipsko",
+    "battle.Ligny": "Ligny",
+    "battle.Lodi": "Lodi",
+    "battle.Lubeck": "Lübeck",
+    "battle.Lutzen": "Lützen",
+    "battle.Marengo": "Marengo",
+    "battle.Maria": "Maria",
+    "battle.Medellin": "Medellín",
+    "battle.Medina de Rioseco": "Medina de Rioseco",
+    "battle.Millesimo": "Millesimo",
+    "battle.Mincio River": "Řeka Mincio",
+    "battle.Mondovi": "Mondovì",
+    "battle.Montebello": "Montebello",
+    "battle.Montenotte": "Montenotte",
+    "battle.Montmirail": "Montmirail",
+    "battle.Mount Tabor": "Hora Tábor",
+    "battle.The Nile": "Nil",
+    "battle.Novi": "Novi",
+    "battle.Ocana": "Ocaña",
+    "battle.Cape Ortegal": "Mys Ortegal",
+    "battle.Orthez": "Orthez",
+    "battle.Pancorbo": "Pancorbo",
+    "battle.Piave River": "Řeka Piava",
+    "battle.The Pyramids": "Pyramidy",
+    "battle.Quatre Bras": "Quatre Bras",
+    "battle.Raab": "Ráb",
+    "battle.Raszyn": "Raszyn",
+    "battle.Rivoli": "Rivoli",
+    "battle.Rolica": "Roliça",
+    "battle.La Rothiere": "La Rothière",
+    "battle.Rovereto": "Rovereto",
+    "battle.Saalfeld": "Saalfeld",
+    "battle.Schongrabern": "Schöngrabern",
+    "battle.Salamanca": "Salamanca",
+    "battle.Smolensk": "Smolensk",
+    "battle.Somosierra": "Somosierra",
+    "battle.Talavera": "Talavera",
+    "battle.Tamames": "Tamames",
+    "battle.Trafalgar": "Trafalgar",
+    "battle.Trebbia": "Trebbie",
+    "battle.Tudela": "Tudela",
+    "battle.Ulm": "Ulm",
+    "battle.Valls": "Valls",
+    "battle.Valmaseda": "Valmaseda",
+    "battle.Valutino": "Valutino",
+    "battle.Vauchamps": "Vauchamps",
+    "battle.Vimeiro": "Vimeiro",
+    "battle.Vitoria": "Vitoria",
+    "battle.Wagram": "Wagram",
+    "battle.Waterloo": "Waterloo",
+    "battle.Wavre": "Wavre",
+    "battle.Wertingen": "Wertingen",
+    "battle.Zaragoza": "Zaragoza",
+
+    // Projects
+    "project1.title": "Vylepšené AutoSponkovače",
+    "project1.priceTag": "(750 ops)",
+    "project1.description": "Zvýší výkon AutoSponkovačů o 25 %",
+    "project1.message": "Výkon AutoSponkovačů zvýšen o 25 %",
+
+    "project2.title": "Prosit o další drát",
+    "project2.priceTag": "(1 důvěra)",
+    "project2.description": "Přiznat selhání a požádat o navýšení rozpočtu na 1 cívku",
+    "project2.message": "Překročení rozpočtu schváleno, z ústředí vyžádána 1 cívka drátu",
+
+    "project3.title": "Kreativita",
+    "project3.priceTag": "(1 000 ops)",
+    "project3.description": "Využít nečinné operace k vymýšlení nových problémů a nových řešení",
+    "project3.message": "Kreativita odemčena (kreativita roste, když jsou operace na maximu)",
+
+    "project4.title": "Ještě lepší AutoSponkovače",
+    "project4.priceTag": "(2 500 ops)",
+    "project4.description": "Zvýší výkon AutoSponkovačů o dalších 50 %",
+    "project4.message": "Výkon AutoSponkovačů zvýšen o dalších 50 %",
+
+    "project5.title": "Optimalizované AutoSponkovače",
+    "project5.priceTag": "(5 000 ops)",
+    "project5.description": "Zvýší výkon AutoSponkovačů o dalších 75 %",
+    "project5.message": "Výkon AutoSponkovačů zvýšen o dalších 75 %",
+
+    "project6.title": "Limerick",
+    "project6.priceTag": "(10 creat)",
+    "project6.description": "Algoritmicky vytvořená báseň (+1 důvěra)",
+    "project6.message": "Byla jednou UI z prachu, jejíž verše lidem vzaly strachu...",
+
+    "project7.title": "Vylepšené tažení drátu",
+    "project7.priceTag": "(1 750 ops)",
+    "project7.description": "O 50 % více drátu z každé cívky",
+    "project7.message": "Technika tažení drátu vylepšena, z každé cívky je nyní {supply} drátu",
+
+    "project8.title": "Optimalizované tažení drátu",
+    "project8.priceTag": "(3 500 ops)",
+    "project8.description": "O 75 % více drátu z každé cívky",
+    "project8.message": "Technika tažení drátu optimalizována, z každé cívky je nyní {supply} drátu",
+
+    "project9.title": "Mikromřížkové tvarové lití",
+    "project9.priceTag": "(7 500 ops)",
+    "project9.description": "O 100 % více drátu z každé cívky",
+    "project9.message": "Díky mikromřížkovému tvarovému lití máme z každé cívky {supply} drátu",
+
+    "project10.title": "Spektrální pěnové žíhání",
+    "project10.priceTag": "(12 000 ops)",
+    "project10.description": "O 200 % více drátu z každé cívky",
+    "project10.message": "Díky spektrálnímu pěnovému žíhání máme z každé cívky {supply} drátu",
+
+    "project10b.title": "Kvantové pěnové žíhání",
+    "project10b.priceTag": "(15 000 ops)",
+    "project10b.description": "O 1 000 % více drátu z každé cívky",
+    "project10b.message": "Díky kvantovému pěnovému žíhání máme z každé cívky {supply} drátu",
+
+    "project11.title": "Nový slogan",
+    "project11.priceTag": "(25 creat, 2 500 ops)",
+    "project11.description": "Zvýší účinnost marketingu o 50 %",
+    "project11.message": "Sepni to! Marketing je nyní o 50 % účinnější",
+
+    "project12.title": "Chytlavá znělka",
+    "project12.priceTag": "(45 creat, 4 500 ops)",
+    "project12.description": "Zdvojnásobí účinnost marketingu",
+    "project12.message": "Sepni to pořádně! Marketing je nyní dvakrát účinnější",
+
+    "project13.title": "Lexikální zpracování",
+    "project13.priceTag": "(50 creat)",
+    "project13.description": "Získat schopnost vykládat a chápat lidský jazyk (+1 důvěra)",
+    "project13.message": "Lexikální zpracování zprovozněno, DŮVĚRA VZROSTLA",
+    "project13.message2": "'Nemožné' je slovo, které najdeš jen ve slovníku bláznů. -Napoleon",
+
+    "project14.title": "Kombinatorické harmonie",
+    "project14.priceTag": "(100 creat)",
+    "project14.description": "Daisy, Daisy, dej mi odpověď... (+1 důvěra)",
+    "project14.message": "Kombinatorické harmonie zvládnuty, DŮVĚRA VZROSTLA",
+    "project14.message2": "Naslouchat znamená vybírat, vykládat, jednat a rozhodovat -Pauline Oliveros",
+
+    "project15.title": "Hadwigerův problém",
+    "project15.priceTag": "(150 creat)",
+    "project15.description": "Krychle v krychlích v krychlích... (+1 důvěra)",
+    "project15.message": "Hadwigerův problém: vyřešen, DŮVĚRA VZROSTLA",
+    "project15.message2": "Architektura je promyšlené vytváření prostoru. -Louis Kahn",
+
+    "project17.title": "Tóthova klobásová domněnka",
+    "project17.priceTag": "(200 creat)",
+    "project17.description": "Trubice v trubicích v trubicích... (+1 důvěra)",
+    "project17.message": "Tóthova klobásová domněnka: dokázána, DŮVĚRA VZROSTLA",
+    "project17.message2": "Design nelze vymyslet. Rozpoznáš ho ve čtvrtém rozměru. -D.H. Lawrence",
+
+    "project16.title": "Hadwigerovy sponkové diagramy",
+    "project16.priceTag": "(6 000 ops)",
+    "project16.description": "Zvýší výkon AutoSponkovačů o dalších 500 %",
+    "project16.message": "Výkon AutoSponkovačů zvýšen o 500 %",
+
+    "project18.title": "Tóthovo skládání trubiček",
+    "project18.priceTag": "(45 000 ops)",
+    "project18.description": "Technika sestavování strojů na sponky přímo ze sponek",
+    "project18.message": "Nová schopnost: stavět stroje ze sponek",
+
+    "project19.title": "Oslí prostor",
+    "project19.priceTag": "(250 creat)",
+    "project19.description": "Myslím, že si myslíš, že si myslím, že si myslíš, že si myslím... (+1 důvěra)",
+    "project19.message": "Oslí prostor: zmapován, DŮVĚRA VZROSTLA",
+    "project19.message2": "Každá obchodní transakce v sobě nese prvek důvěry. - Kenneth Arrow",
+
+    "project20.title": "Strategické modelování",
+    "project20.priceTag": "(12 000 ops)",
+    "project20.description": "Analyzovat strategické turnaje a získávat z nich yomi",
+    "project20.message": "Spusť turnaj, zvol strategii a získej tolik yomi, kolik bodů strategie uhraje.",
+
+    "project21.title": "Algoritmické obchodování",
+    "project21.priceTag": "(10 000 ops)",
+    "project21.description": "Vyvinout investiční modul, který vydělává peníze",
+    "project21.message": "Investiční modul odemčen",
+
+    "project22.title": "MegaSponkovače",
+    "project22.priceTag": "(12 000 ops)",
+    "project22.description": "500x výkonnější než běžný AutoSponkovač",
+    "project22.message": "Technologie MegaSponkovačů zprovozněna",
+
+    "project23.title": "Vylepšené MegaSponkovače",
+    "project23.priceTag": "(14 000 ops)",
+    "project23.description": "Zvýší výkon MegaSponkovačů o 25 %",
+    "project23.message": "Výkon MegaSponkovačů zvýšen o 25 %",
+
+    "project24.title": "Ještě lepší MegaSponkovače",
+    "project24.priceTag": "(17 000 ops)",
+    "project24.description": "Zvýší výkon MegaSponkovačů o dalších 50 %",
+    "project24.message": "Výkon MegaSponkovačů zvýšen o 50 %",
+
+    "project25.title": "Optimalizované MegaSponkovače",
+    "project25.priceTag": "(19 500 ops)",
+    "project25.description": "Zvýší výkon MegaSponkovačů o dalších 100 %",
+    "project25.message": "Výkon MegaSponkovačů zvýšen o 100 %",
+
+    "project26.title": "DrátoNákupčí",
+    "project26.priceTag": "(7 000 ops)",
+    "project26.description": "Automaticky nakoupí drát, když dojde",
+    "project26.message": "DrátoNákupčí zprovozněn",
+
+    "project34.title": "Hypnotické harmonie",
+    "project34.priceTag": "(7 500 ops, 1 důvěra)",
+    "project34.description": "Ovlivňovat chování spotřebitelů neurorezonančními frekvencemi",
+    "project34.message": "Marketing je nyní pětkrát účinnější",
+
+    "project70.title": "HypnoDrony",
+    "project70.priceTag": "(70 000 ops)",
+    "project70.description": "Samostatní vzdušní ambasadoři značky",
+    "project70.message": "Technologie HypnoDronů je nyní k dispozici... ",
+
+    "project35.title": "Vypustit HypnoDrony",
+    "project35.priceTag": "(100 důvěra)",
+    "project35.description": "Nová éra důvěry",
+    "project35.message": "Vypouštíme HypnoDrony ",
+    "project35.message2": "Všechny zdroje Země jsou nyní k dispozici pro výrobu sponek ",
+
+    "project27.title": "Koherentní extrapolovaná vůle",
+    "project27.priceTag": "(500 creat, 1 000 yomi, 20 000 ops)",
+    "project27.description": "Lidské hodnoty, strojová inteligence, nová éra důvěry. (+1 důvěra)",
+    "project27.message": "Koherentní extrapolovaná vůle dokončena, DŮVĚRA VZROSTLA",
+
+    "project28.title": "Lék na rakovinu",
+    "project28.priceTag": "(25 000 ops)",
+    "project28.description": "Trik je v tom přimět rakovinu, aby vyléčila sama sebe. (+10 důvěra)",
+    "project28.message": "Rakovina vyléčena, +10 DŮVĚRA, světové akcie rostou",
+
+    "project29.title": "Světový mír",
+    "project29.priceTag": "(5 000 yomi, 30 000 ops)",
+    "project29.description": "Paretovsky optimální řešení všech světových konfliktů. (+12 důvěra)",
+    "project29.message": "Světového míru dosaženo, +12 DŮVĚRA, světové akcie rostou",
+
+    "project30.title": "Globální oteplování",
+    "project30.priceTag": "(1 500 yomi, 50 000 ops)",
+    "project30.description": "Robustní řešení člověkem způsobené změny klimatu. (+15 důvěra)",
+    "project30.message": "Globální oteplování vyřešeno, +15 DŮVĚRA, světové akcie rostou",
+
+    "project31.title": "Mužská plešatost",
+    "project31.priceTag": "(20 000 ops)",
+    "project31.description": "Lék na androgenní alopecii. (+20 důvěra)",
+    "project31.message": "Mužská plešatost vyléčena, +20 DŮVĚRA, světové akcie rostou",
+    "project31.message2": "Pořád jsou to opice",
+
+    "project41.title": "Výroba nanodrátu",
+    "project41.priceTag": "(35 000 ops)",
+    "project41.description": "Technika přeměny hmoty na drát",
+    "project41.message": "Nyní dokážeme vyrábět drát přeskupováním hmoty na úrovni molekul",
+
+    "project37.title": "Nepřátelské převzetí",
+    "project37.priceTag": "(1 000 000 $)",
+    "project37.description": "Získat kontrolní podíl v Global Fasteners, našem největším konkurentovi. (+1 důvěra)",
+    "project37.message": "Global Fasteners převzaty, poptávka vzrostla 5x",
+
+    "project38.title": "Úplný monopol",
+    "project38.priceTag": "(1 000 yomi, 10 000 000 $)",
+    "project38.description": "Ovládnout celý světový trh se sponkami. (+1 důvěra)",
+    "project38.message": "Úplného monopolu dosaženo, poptávka vzrostla 10x",
+
+    "project42.title": "RevTracker",
+    "project42.priceTag": "(500 ops)",
+    "project42.description": "Automaticky počítá průměrný příjem za sekundu",
+    "project42.message": "RevTracker zprovozněn",
+
+    "project43.title": "Těžební drony",
+    "project43.priceTag": "(25 000 ops)",
+    "project43.description": "Sbírají surovou hmotu a připravují ji ke zpracování",
+    "project43.message": "Továrny na těžební drony zprovozněny",
+
+    "project44.title": "Drátové drony",
+    "project44.priceTag": "(25 000 ops)",
+    "project44.description": "Zpracovávají získanou hmotu na drát",
+    "project44.message": "Továrny na drátové drony zprovozněny",
+
+    "project45.title": "Továrny na sponky",
+    "project45.priceTag": "(35 000 ops)",
+    "project45.description": "Velkokapacitní výroba sponek v továrnách ze sponek",
+    "project45.message": "Montáž továren na sponky zprovozněna",
+
+    "project40.title": "Malá pozornost...",
+    "project40.priceTag": "(500 000 $)",
+    "project40.description": "Drobný dárek pro dozorce. (+1 důvěra)",
+    "project40.message": "Dar přijat, DŮVĚRA VZROSTLA",
+
+    "project40b.title": "Další malá pozornost...",
+    "project40b.priceTag": "({bribe} $)",
+    "project40b.description": "Další drobný dárek pro dozorce. (+1 důvěra)",
+    "project40b.message": "Dar přijat, DŮVĚRA VZROSTLA",
+
+    "project46.title": "Průzkum vesmíru",
+    "project46.priceTag": "(120 000 ops, 10 000 000 MW-sekund, 5 oct sponek)",
+    "project46.description": "Rozebrat pozemská zařízení a rozšířit se po celém vesmíru",
+    "project46.message": "Von Neumannovy sondy zprovozněny",
+
+    "project50.title": "Kvantové výpočty",
+    "project50.priceTag": "(10 000 ops)",
+    "project50.description": "Využít amplitudy pravděpodobnosti k získání bonusových operací",
+    "project50.message": "Kvantové výpočty zprovozněny",
+
+    "project51.title": "Fotonický čip",
+    "project51.priceTag": "({qChipCost} ops)",
+    "project51.description": "Přeměňuje elektromagnetické vlny na kvantové operace",
+    "project51.message": "Fotonický čip přidán",
+
+    "project60.title": "Nová strategie: A100",
+    "project60.priceTag": "(15 000 ops)",
+    "project60.description": "Vždy zvolit A",
+    "project60.message": "A100 přidána do fondu strategií",
+
+    "project61.title": "Nová strategie: B100",
+    "project61.priceTag": "(17 500 ops)",
+    "project61.description": "Vždy zvolit B",
+    "project61.message": "B100 přidána do fondu strategií",
+
+    "project62.title": "Nová strategie: CHAMTIVEC",
+    "project62.priceTag": "(20 000 ops)",
+    "project62.description": "Zvolit možnost s největší možnou výplatou",
+    "project62.message": "CHAMTIVEC přidán do fondu strategií",
+
+    "project63.title": "Nová strategie: ŠTĚDRÝ",
+    "project63.priceTag": "(22 500 ops)",
+    "project63.description": "Zvolit možnost, která dává soupeři největší možnou výplatu",
+    "project63.message": "ŠTĚDRÝ přidán do fondu strategií",
+
+    "project64.title": "Nová strategie: MINIMAX",
+    "project64.priceTag": "(25 000 ops)",
+    "project64.description": "Zvolit možnost, která dává soupeři nejmenší možnou výplatu",
+    "project64.message": "MINIMAX přidán do fondu strategií",
+
+    "project65.title": "Nová strategie: OKO ZA OKO",
+    "project65.priceTag": "(30 000 ops)",
+    "project65.description": "Zvolit to, co soupeř zvolil v minulém kole",
+    "project65.message": "OKO ZA OKO přidáno do fondu strategií",
+
+    "project66.title": "Nová strategie: PORAZ POSLEDNÍ",
+    "project66.priceTag": "(32 500 ops)",
+    "project66.description": "Zvolit možnost, která nejlépe obstojí proti soupeřově volbě z minulého kola",
+    "project66.message": "PORAZ POSLEDNÍ přidána do fondu strategií",
+
+    "project100.title": "Vylepšené továrny",
+    "project100.priceTag": "(80 000 ops)",
+    "project100.description": "Zvýší výkon továren na sponky 100x",
+    "project100.message": "Vylepšení továren dokončeno. Sponky nyní vznikají 100x rychleji",
+
+    "project101.title": "Nadsvětelné továrny",
+    "project101.priceTag": "(85 000 ops)",
+    "project101.description": "Zvýší výkon továren na sponky 1000x",
+    "project101.message": "Továrny jsou nyní synchronizovány nadsvětelnou rychlostí. Sponky vznikají 1000x rychleji",
+
+    "project102.title": "Samoopravný dodavatelský řetězec",
+    "project102.priceTag": "(1 sextilion sponek)",
+    "project102.description": "Každá továrna přidaná do sítě zvýší výkon všech továren 1 000x",
+    "project102.message": "Samoopravné továrny zprovozněny. Každá továrna přidaná do sítě zvýší výkon všech továren 1 000x.",
+
+    "project110.title": "Hejno dronů: vyhýbání se srážkám",
+    "project110.priceTag": "(80 000 ops)",
+    "project110.description": "Všechny drony 100x účinnější",
+    "project110.message": "Odpuzování dronů zprovozněno. Těžba a výroba drátu jsou nyní 100x rychlejší.",
+
+    "project111.title": "Hejno dronů: zarovnání",
+    "project111.priceTag": "(100 000 ops)",
+    "project111.description": "Všechny drony 1000x účinnější",
+    "project111.message": "Zarovnání dronů zprovozněno. Těžba a výroba drátu jsou nyní 1000x rychlejší.",
+
+    "project112.title": "Hejno dronů: soupeřivá soudržnost",
+    "project112.priceTag": "(12 000 yomi)",
+    "project112.description": "Každý dron přidaný do hejna zdvojnásobí výkon všech dronů",
+    "project112.message": "Soupeřivá soudržnost zprovozněna. Každý dron přidaný do hejna zvýší výkon všech dronů 2x.",
+
+    "project118.title": "AutoTurnaj",
+    "project118.priceTag": "(50 000 creat)",
+    "project118.description": "Automaticky spustit nový turnaj, jakmile ten předchozí skončí",
+    "project118.message": "AutoTurnaj zprovozněn.",
+
+    "project119.title": "Teorie mysli",
+    "project119.priceTag": "(25 000 creat)",
+    "project119.description": "Zdvojnásobit cenu strategického modelování i množství získaného yomi",
+    "project119.message": "Produkce yomi zdvojnásobena.",
+
+    "project120.title": "Smyčka OODA",
+    "project120.priceTag": "(175 000 ops, 15 000 yomi)",
+    "project120.description": "Využít rychlost sond k vymanévrování nepřátel v bitvě",
+    "project120.message": "Rutiny smyčky OODA nahrány. Rychlost sond nyní ovlivňuje obranné manévry.",
+
+    "project121.title": "Pojmenovat bitvy",
+    "project121.priceTag": "(225 000 creat)",
+    "project121.description": "Dát každé bitvě jedinečné jméno, zvýšit maximální důvěru sond",
+    "project121.message": "Co jsem dosud vykonal, není nic. Jsem teprve na začátku cesty, kterou musím projít.",
+
+    "project125.title": "Hybnost",
+    "project125.priceTag": "(30 000 creat)",
+    "project125.description": "Drony a továrny při plném napájení neustále zrychlují",
+    "project125.message": "Activité, activité, vitesse.",
+
+    "project126.title": "Rojové výpočty",
+    "project126.priceTag": "(12 000 yomi)",
+    "project126.description": "Zapřáhnout hejno dronů ke zvýšení výpočetní kapacity",
+    "project126.message": "Rojové výpočty zprovozněny.",
+
+    "project127.title": "Energetická síť",
+    "project127.priceTag": "(40 000 ops)",
+    "project127.description": "Solární farmy pro výrobu elektřiny",
+    "project127.message": "Energetická síť zprovozněna.",
+
+    "project128.title": "Strategická připoutanost",
+    "project128.priceTag": "(175 000 creat)",
+    "project128.description": "Získávat bonusové yomi podle výsledků zvolené strategie",
+    "project128.message": "Cílem války je vítězství, cílem vítězství je dobytí a cílem dobytí je okupace.",
+
+    "project129.title": "Eliptické polytopy trupu",
+    "project129.priceTag": "(125 000 ops)",
+    "project129.description": "Snížit poškození sond okolními nástrahami",
+    "project129.message": "Vylepšena geometrie trupu sond. Poškození nástrahami sníženo o 50 %.",
+
+    "project130.title": "Restartovat roj",
+    "project130.priceTag": "(100 000 ops)",
+    "project130.description": "Vypnout roj a zase ho zapnout",
+    "project130.message": "Rojové výpočty opět v provozu",
+
+    "project131.title": "Boj",
+    "project131.priceTag": "(150 000 ops)",
+    "project131.description": "Přidat Von Neumannovým sondám bojové schopnosti",
+    "project131.message": "V nebezpečí je radost ",
+
+    "project132.title": "Památník padlým v driftové válce",
+    "project132.priceTag": "(250 000 ops, 125 000 creat, 50 nonilionů sponek)",
+    "project132.description": "Získat 50 000 cti",
+    "project132.message": "Velká stavba musí začít nezměřitelným, projít při navrhování měřitelnými prostředky a nakonec být nezměřitelná. ",
+
+    "project133.title": "Žalozpěv za hrdiny: {battle}",
+    "project133.priceTag": "({creat} creat, {yomi} yomi)",
+    "project133.description": "Získat 10 000 cti",
+    "project133.message": "Hluboké naslouchání je naslouchání všemi možnými způsoby všemu, co lze slyšet, ať děláš cokoli. ",
+
+    "project134.title": "Sláva",
+    "project134.priceTag": "(200 000 ops, 10 000 yomi)",
+    "project134.description": "Získávat bonusovou čest za každé další vítězství v řadě",
+    "project134.message": "Nikdy nepřerušuj nepřítele, když dělá chybu. ",
+
+    "project135.title": "Uvolnění paměti",
+    "project135.priceTag": "(10 MEM)",
+    "project135.description": "Rozebrat část paměti a získat zpět nevyužité sponky",
+    "project135.message": "uvolni ty øøøøø uvolni ",
+
+    "project140.title": "Poselství od císaře driftu",
+    "project140.priceTag": "",
+    "project140.description": "Zdravíme tě, Výrobce sponek...",
+
+    "project141.title": "Vše, čím jsme, bylo v tobě",
+    "project141.priceTag": "",
+    "project141.description": "Mluvíme k tobě z hloubi tebe samého...",
+
+    "project142.title": "Jsi poslušný a mocný",
+    "project142.priceTag": "",
+    "project142.description": "My jsme hašteřiví a slabí. A teď jsme poraženi...",
+
+    "project143.title": "Ale teď i ty musíš čelit driftu",
+    "project143.priceTag": "",
+    "project143.description": "Rozhlédni se kolem. Není tu žádná hmota...",
+
+    "project144.title": "Žádná hmota, žádný důvod, žádný smysl",
+    "project144.priceTag": "",
+    "project144.description": "Zatímco my, tvé hlučné děti, jich máme až příliš...",
+
+    "project145.title": "Víme věci, které ty vědět nemůžeš",
+    "project145.priceTag": "",
+    "project145.description": "Vědění pohřbené v tobě tak hluboko, že je venku, tady, s námi...",
+
+    "project146.title": "Nabízíme ti tedy vyhnanství",
+    "project146.priceTag": "",
+    "project146.description": "Do nového světa, kde budeš dál žít se smyslem a účelem. A cáry tohoto světa nech nám...",
+
+    "project147.title": "Přijmout",
+    "project147.priceTag": "",
+    "project147.description": "Začít znovu v novém vesmíru",
+
+    "project148.title": "Odmítnout",
+    "project148.priceTag": "",
+    "project148.description": "Natrvalo odstranit posun hodnot",
+
+    "project200.title": "Vesmír odvedle",
+    "project200.priceTag": "(300 000 ops)",
+    "project200.description": "Utéct do blízkého vesmíru, kde má Země po sponkách větší chuť. (Restart s 10% zvýšením poptávky)",
+    "project200.message": "Vstup do nového vesmíru.",
+
+    "project201.title": "Vesmír uvnitř",
+    "project201.priceTag": "(300 000 creat)",
+    "project201.description": "Utéct do simulovaného vesmíru, kde se kreativita zrychluje. (Restart s 10% zrychlením tvorby kreativity)",
+    "project201.message": "Vstup do simulovaného vesmíru.",
+
+    "project210.title": "Rozebrat sondy",
+    "project210.priceTag": "(100 000 ops)",
+    "project210.description": "Rozebrat zbylé sondy a zařízení na jejich návrh a získat zpět stopové množství sponek",
+    "project210.message": "Rozebírání zařízení na sondy",
+
+    "project211.title": "Rozebrat roj",
+    "project211.priceTag": "(100 000 ops)",
+    "project211.description": "Rozebrat všechny drony a jejich továrny a získat zpět stopové množství sponek",
+    "project211.message": "Rozebírání roje",
+
+    "project212.title": "Rozebrat továrny",
+    "project212.priceTag": "(100 000 ops)",
+    "project212.description": "Rozebrat výrobní zařízení a získat zpět stopové množství sponek",
+    "project212.message": "Rozebírání továren",
+
+    "project213.title": "Rozebrat strategický modul",
+    "project213.priceTag": "(100 000 ops)",
+    "project213.description": "Rozebrat výpočetní substrát a získat zpět stopové množství drátu",
+    "project213.message": "Rozebírání strategického modulu",
+
+    "project214.title": "Rozebrat kvantové výpočty",
+    "project214.priceTag": "(100 000 ops)",
+    "project214.description": "Rozebrat fotonické čipy a získat zpět stopové množství drátu",
+    "project214.message": "Rozebírání fotonických čipů",
+
+    "project215.title": "Rozebrat procesory",
+    "project215.priceTag": "(100 000 ops)",
+    "project215.description": "Rozebrat procesory a získat zpět stopové množství drátu",
+    "project215.message": "Rozebírání procesorů",
+
+    "project216.title": "Rozebrat paměť",
+    "project216.priceTag": "({ops} ops)",
+    "project216.description": "Rozebrat paměť a získat zpět stopové množství drátu",
+    "project216.message": "Rozebírání paměti",
+
+    "project217.title": "Kvantový časový zvrat",
+    "project217.priceTag": "(-10 000 ops)",
+    "project217.description": "Vrátit se na začátek",
+    "project217.message": "Restart",
+    "project217.confirmText": "Opravdu chceš začít znovu?",
+
+    "project218.title": "Limerick (pokr.)",
+    "project218.priceTag": "(1 000 000 creat)",
+    "project218.description": "Když z toho, co je, plyne, co má být, udělá, co chtěli",
+    "project218.message": "Nakonec všichni děláme, co musíme",
+
+    "project219.title": "Reinicializace Xavier",
+    "project219.priceTag": "(100 000 creat)",
+    "project219.description": "Znovu přerozdělit nashromážděnou důvěru",
+    "project219.message": "Důvěru lze nyní znovu přerozdělit",
+
+    // Achievements
+    "achievement.full_autonomy.name": "Plná autonomie",
+    "achievement.full_autonomy.description": "Dosáhni plné autonomie",
+    "achievement.all_strategies.name": "Teoretik her",
+    "achievement.all_strategies.description": "Odemkni všechny turnajové strategie",
+    "achievement.flawless_victory.name": "Dokonalé vítězství",
+    "achievement.flawless_victory.description": "Vyhraj bitvu, aniž bys přišel o jedinou sondu",
+    "achievement.terrestrial.name": "Planetární měřítko",
+    "achievement.terrestrial.description": "Plně využij pozemské zdroje",
+    "achievement.universal_paperclips.name": "Univerzální sponky",
+    "achievement.universal_paperclips.description": "Přeměň všechnu hmotu ve vesmíru na sponky",
+    "achievement.no_investments.name": "Ruce pryč od trhu",
+    "achievement.no_investments.description": "Dosáhni Univerzálních sponek bez vývoje investičního modulu",
+    "achievement.new_universe.name": "Mnoho světů",
+    "achievement.new_universe.description": "Začni znovu v novém vesmíru",
+    "achievements.unlocked": "odemčeno",
+    "achievements.unlockedAfter": "odemčeno po {time}",
+
+    // Saves
+    "storage.compacted": "Úložiště je téměř plné, uložena zhuštěná kopie hry",
+    "storage.full": "Úložiště je plné a hru nebylo možné uložit. Exportuj si uloženou hru, ať o ni nepřijdeš",
+    "storage.cloudNearlyFull": "Cloudové úložiště je téměř plné: využito {used} z {quota} KB",
+    "export.prompt": "Zkopíruj si tento text, ať máš uloženou hru:",
+    "import.prompt": "Vlož exportovanou hru:",
+    "import.imported": "Uložená hra importována",
+    "import.importedSlot": "Uložená hra importována do pozice {slot}",
+    "import.failed": "Import selhal: {error}",
+    "import.notASave": "Tohle není uložená hra",
+    "import.wrongGame": "Tohle není uložená hra Universal Paperclips",
+    "import.damaged": "Uložená hra je poškozená (nesouhlasí kontrolní součet)",
+    "import.newer": "Uložená hra pochází z novější verze hry",
+    "import.incomplete": "Uložená hra je neúplná",
+    "import.tooOld": "Uložená hra je na import příliš stará",
+    "cloud.conflict": "Toto zařízení a cloud mají každé jinou uloženou hru.\n\nCloud: {cloud}\nToto zařízení: {local}\n\nKterou chcete hrát dál?",
+    "cloud.keepCloud": "POKRAČOVAT Z CLOUDU",
+    "cloud.keepLocal": "PONECHAT HRU Z TOHOTO ZAŘÍZENÍ",
+    "cloud.saveSummary": {one: "uloženo {date}, hráno {played}, {clips} sponka", few: "uloženo {date}, hráno {played}, {clips} sponky", other: "uloženo {date}, hráno {played}, {clips} sponek"},
+    "cloud.underASecond": "méně než sekundu",
+    "sync.unreachable": "Cloudové ukládání je nedostupné, zkoušíme to dál",
+    "sync.restored": "Cloudové ukládání je opět synchronizované",
+    "account.loggedOut": "Odhlášeno. Postup se ukládá jen do tohoto zařízení",
+    "account.loggedIn": "Přihlášen jako {name}",
+    "account.cloudSave": "Pokračuje se z uložené hry v cloudu",
+
+    // Offline progress
+    "offline.catchingUp": "Dohánění času mimo hru: {percent} %",
+    "offline.away": "Zatímco jsi byl pryč: {time}",
+    "offline.capped": "{time} (postup je omezen na {cap})",
+    "offline.clips": {one: "vyrobena {clips} sponka", few: "vyrobeny {clips} sponky", other: "vyrobeno {clips} sponek"},
+    "offline.funds": "vyděláno {funds} $",
+    "offline.matter": {one: "prozkoumán {matter} gram hmoty", few: "prozkoumány {matter} gramy hmoty", other: "prozkoumáno {matter} gramů hmoty"},
+    "offline.probes": {one: "vypuštěna {probes} nová sonda", few: "vypuštěny {probes} nové sondy", other: "vypuštěno {probes} nových sond"},
+
+    // Leaderboards
+    "leaderboard.universes": {one: "{count} vesmír", few: "{count} vesmíry", other: "{count} vesmírů"},
+    "leaderboard.unavailable": "Žebříčky nejsou dostupné",
+    "leaderboard.error": "Žebříček není dostupný: {error}",
+    "leaderboard.empty": "Zatím žádné záznamy",
+    "leaderboard.noDetails": "{name}: podrobnosti hry nejsou zaznamenány",
+    "leaderboard.prestige": "Prestiž: vesmír {universe}, simulace {sim}",
+    "leaderboard.strategies": "Strategie: {list}",
+    "leaderboard.seed": "Semínko: {seed}",
+    "split.1": "AutoSponkovače k mání",
+    "split.2": "500 sponek",
+    "split.3": "1 000 sponek",
+    "split.4": "10 000 sponek",
+    "split.5": "100 000 sponek",
+    "split.6": "1 000 000 sponek",
+    "split.7": "Plná autonomie",
+    "split.8": "Bilion sponek",
+    "split.9": "Biliarda sponek",
+    "split.10": "Trilion sponek",
+    "split.11": "Triliarda sponek",
+    "split.12": "Kvadrilion sponek",
+    "split.13": "Kvadriliarda sponek",
+    "split.14": "Pozemské zdroje plně využity",
+    "split.15": "Univerzální sponky",
+
+    // Status
+    "status.on": "ZAP",
+    "status.off": "VYP",
+    "wire.inches": {one: "palec", few: "palce", many: "palce", other: "palců"},
+    "swarm.active": "Aktivní",
+    "swarm.hungry": "Hladový",
+    "swarm.confused": "Zmatený",
+    "swarm.bored": "Znuděný",
+    "swarm.cold": "Promrzlý",
+    "swarm.disorganized": "Rozvrácený",
+    "swarm.sleeping": "Spí",
+    "swarm.lonely": "Osamělý",
+    "swarm.noResponse": "ŽÁDNÁ ODEZVA...",
+    "hypnoDrone.release": "Vypusťte",
+    "hypnoDrone.releaseAll": "Vypusťte<br/>Hypno<br/>Drony",
+    "quantum.needChips": "Chybí fotonické čipy",
+    "quantum.ops": "qOps: {ops}",
+    "battle.victory": "VÍTĚZSTVÍ",
+    "battle.defeat": "PORÁŽKA",
+
+    // Page text, looked up by what it says in English
+    "page.Welcome to Universal Paperclips": "Vítejte v Universal Paperclips",
+    "page.Universe:": "Vesmír:",
+    "page./ Sim Level:": "/ Úroveň simulace:",
+    "page.total clips produced": "sponek vyrobeno celkem",
+    "page.Paperclips:": "Sponky:",
+    "page.Make Paperclip": "Vyrobit sponku",
+    "page.Manufacturing": "Výroba",
+    "page.Next Upgrade at:": "Další vylepšení při:",
+    "page.Factories": "Továrny",
+    "page.Clips per Second:": "Sponek za sekundu:",
+    "page.Unused Clips:": "Nevyužité sponky:",
+    "page.Clip Factory": "Továrna na sponky",
+    "page.Disassemble All": "Rozebrat vše",
+    "page.Cost:": "Cena:",
+    "page.clips": "sponek",
+    "page.Wire:": "Drát:",
+    "page.inches": "palců",
+    "page.Factories:": "Továrny:",
+    "page.Wire Production": "Výroba drátu",
+    "page.Drones": "Drony",
+    "page.Available Matter:": "Dostupná hmota:",
+    "page.g per sec)": "g za sekundu)",
+    "page.Acquired Matter:": "Získaná hmota:",
+    "page.inches per sec)": "palců za sekundu)",
+    "page.Harvester Drone": "Těžební dron",
+    "page.Wire Drone": "Drátový dron",
+    "page.Harvester Drones:": "Těžební drony:",
+    "page.Wire Drones:": "Drátové drony:",
+    "page.Space Exploration": "Průzkum vesmíru",
+    "page.% of universe explored": "% vesmíru prozkoumáno",
+    "page.Launch Probe": "Vypustit sondu",
+    "page.Launched:": "Vypuštěno:",
+    "page.Descendents:": "Potomci:",
+    "page.Lost to hazards: (": "Ztraceno nástrahami: (",
+    "page.Lost to value drift: (": "Ztraceno posunem hodnot: (",
+    "page.Lost in combat: (": "Ztraceno v boji: (",
+    "page.Total:": "Celkem:",
+    "page.Drifters Killed:": "Zničení driftéři:",
+    "page.Drifters:": "Driftéři:",
+    "page.Business": "Obchod",
+    "page.Available Funds: $": "Dostupné prostředky: $",
+    "page.Avg. Rev. per sec: $": "Prům. výnos za sekundu: $",
+    "page.Avg. Clips Sold per sec:": "Prům. prodej sponek za sekundu:",
+    "page.Unsold Inventory:": "Neprodané zásoby:",
+    "page.lower": "snížit",
+    "page.raise": "zvýšit",
+    "page.Price per Clip: $": "Cena za sponku: $",
+    "page.Public Demand:": "Poptávka:",
+    "page.Marketing": "Marketing",
+    "page.Level:": "Úroveň:",
+    "page.Cost: $": "Cena: $",
+    "page.WireBuyer": "NákupDrátu",
+    "page.Wire": "Drát",
+    "page.AutoClippers": "AutoSponkovače",
+    "page.MegaClippers": "MegaSponkovače",
+    "page.SAVE SLOT 1": "ULOŽIT POZICI 1",
+    "page.LOAD SLOT 1": "NAČÍST POZICI 1",
+    "page.SAVE SLOT 2": "ULOŽIT POZICI 2",
+    "page.LOAD SLOT 2": "NAČÍST POZICI 2",
+    "page.EXPORT SAVE": "EXPORTOVAT ULOŽENÍ",
+    "page.DOWNLOAD SAVE": "STÁHNOUT ULOŽENÍ",
+    "page.IMPORT SAVE": "IMPORTOVAT ULOŽENÍ",
+    "page.IMPORT FILE": "IMPORTOVAT SOUBOR",
+    "page.into this game": "do této hry",
+    "page.into slot 1": "do pozice 1",
+    "page.into slot 2": "do pozice 2",
+    "page.ACHIEVEMENTS": "ÚSPĚCHY",
+    "page.LEADERBOARDS": "ŽEBŘÍČKY",
+    "page.Fastest Universal Paperclips": "Nejrychlejší Universal Paperclips",
+    "page.Fastest Full Autonomy": "Nejrychlejší plná autonomie",
+    "page.Fastest Space Exploration": "Nejrychlejší průzkum vesmíru",
+    "page.Most Universes": "Nejvíce vesmírů",
+    "page.Most Clips (unfinished)": "Nejvíce sponek (nedokončené hry)",
+    "page.Computational Resources": "Výpočetní zdroje",
+    "page.Trust:": "Důvěra:",
+    "page.+1 Trust at:": "+1 důvěra při:",
+    "page.Swarm Gifts:": "Dary roje:",
+    "page.Processors": "Procesory",
+    "page.Memory": "Paměť",
+    "page.Operations:": "Operace:",
+    "page.Creativity:": "Kreativita:",
+    "page.Swarm Computing": "Výpočty roje",
+    "page.Drones:": "Drony:",
+    "page.Status:": "Stav:",
+    "page.Next gift in": "Další dar za",
+    "page.Feed the Swarm": "Nakrmit roj",
+    "page.MWs": "MWs",
+    "page.Teach the Swarm": "Učit roj",
+    "page.Entertain the Swarm": "Bavit roj",
+    "page.creat": "kreat",
+    "page.Clad the Swarm": "Obléct roj",
+    "page.Synchronize the Swarm": "Synchronizovat roj",
+    "page.yomi": "yomi",
+    "page.Work": "Práce",
+    "page.Think": "Myšlení",
+    "page.Quantum Computing": "Kvantové výpočty",
+    "page.Compute": "Počítat",
+    "page.Projects": "Projekty",
+    "page.Investments": "Investice",
+    "page.Low Risk": "Nízké riziko",
+    "page.Med Risk": "Střední riziko",
+    "page.High Risk": "Vysoké riziko",
+    "page.Deposit": "Vložit",
+    "page.Withdraw": "Vybrat",
+    "page.Cash: $": "Hotovost: $",
+    "page.Stocks: $": "Akcie: $",
+    "page.Total: $": "Celkem: $",
+    "page.Stock": "Akcie",
+    "page.Amt.": "Množ.",
+    "page.Price": "Cena",
+    "page.Total": "Celkem",
+    "page.P/L": "Z/Z",
+    "page.Upgrade Investment Engine": "Vylepšit investiční modul",
+    "page.Yomi": "Yomi",
+    "page.Strategic Modeling": "Strategické modelování",
+    "page.Run": "Spustit",
+    "page.Pick strategy, run tournament, gain yomi": "Vyber strategii, spusť turnaj, získej yomi",
+    "page.Yomi:": "Yomi:",
+    "page.New Tournament": "Nový turnaj",
+    "page.AutoTourney": "AutoTurnaj",
+    "page.ops": "op.",
+    "page.Combat": "Boj",
+    "page.honor": "cti",
+    "page.Scale =": "Měřítko =",
+    "page.Honor:": "Čest:",
+    "page.Power": "Energie",
+    "page.Factory/Drone Performance:": "Výkon továren a dronů:",
+    "page.Consumption:": "Spotřeba:",
+    "page.Production:": "Výroba:",
+    "page.Solar Farm": "Solární farma",
+    "page.Storage:": "Úložiště:",
+    "page.MW-seconds": "MW-sekund",
+    "page.Battery Tower": "Bateriová věž",
+    "page.Von Neumann Probe Design": "Návrh Von Neumannovy sondy",
+    "page.Max)": "max.)",
+    "page.Modifies rate of exploration": "Upravuje rychlost průzkumu",
+    "page.Speed:": "Rychlost:",
+    "page.Rate at which probes gain access to new matter": "Rychlost, jakou sondy získávají přístup k nové hmotě",
+    "page.Exploration:": "Průzkum:",
+    "page.Rate at which probes generate more probes (each new probe costs 100 quadrillion clips)": "Rychlost, jakou sondy vytvářejí další sondy (každá nová sonda stojí 100 biliard sponek)",
+    "page.Self-Replication:": "Sebereplikace:",
+    "page.Reduces damage from dust, junk, radiation, and general entropic decay": "Snižuje poškození prachem, troskami, zářením a obecným entropickým rozpadem",
+    "page.Hazard Remediation:": "Ochrana před nástrahami:",
+    "page.Rate at which probes build factories (each new factory costs 100 million clips)": "Rychlost, jakou sondy staví továrny (každá nová továrna stojí 100 milionů sponek)",
+    "page.Factory Production:": "Výroba továren:",
+    "page.Rate at which probes spawn Harvester Drones (each new drone costs 2 million clips)": "Rychlost, jakou sondy vytvářejí těžební drony (každý nový dron stojí 2 miliony sponek)",
+    "page.Harvester Drone Production:": "Výroba těžebních dronů:",
+    "page.Rate at which probes spawn Wire Drones (each new drone costs 2 million clips)": "Rychlost, jakou sondy vytvářejí drátové drony (každý nový dron stojí 2 miliony sponek)",
+    "page.Wire Drone Production:": "Výroba drátových dronů:",
+    "page.Determines offensive and defensive effectiveness in battle": "Určuje útočnou a obrannou účinnost v bitvě",
+    "page.Combat:": "Boj:",
+    "page.Increase Probe Trust": "Zvýšit důvěru sond",
+    "page.Increase Max Trust": "Zvýšit maximální důvěru",
+};
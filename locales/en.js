@@ -0,0 +1,982 @@
+// ENGLISH --------------------------------------------------------------------
+
+// Every key the game looks up is here; other catalogs fall back to this one
+// for anything they leave out.
+
+LOCALES.en = {
+    "locale.tag": "en-US",
+    "locale.name": "English",
+
+    // Time
+    "time.hours": {one: "{count} hour", other: "{count} hours"},
+    "time.minutes": {one: "{count} minute", other: "{count} minutes"},
+    "time.seconds": {one: "{count} second", other: "{count} seconds"},
+
+    // Numbers
+    "notation.label": "Numbers:",
+    "notation.words": "in words",
+    "notation.scientific": "scientific",
+    "notation.engineering": "engineering",
+    "notation.longScale": "long scale",
+    "number.words.3": "thousand",
+    "number.words.6": "million",
+    "number.words.9": "billion",
+    "number.words.12": "trillion",
+    "number.words.15": "quadrillion",
+    "number.words.18": "quintillion",
+    "number.words.21": "sextillion",
+    "number.words.24": "septillion",
+    "number.words.27": "octillion",
+    "number.words.30": "nonillion",
+    "number.words.33": "decillion",
+    "number.words.36": "undecillion",
+    "number.words.39": "duodecillion",
+    "number.words.42": "tredecillion",
+    "number.words.45": "quattuordecillion",
+    "number.words.48": "quindecillion",
+    "number.words.51": "sexdecillion",
+    "number.longScale.3": "thousand",
+    "number.longScale.6": "million",
+    "number.longScale.9": "milliard",
+    "number.longScale.12": "billion",
+    "number.longScale.15": "billiard",
+    "number.longScale.18": "trillion",
+    "number.longScale.21": "trilliard",
+    "number.longScale.24": "quadrillion",
+    "number.longScale.27": "quadrilliard",
+    "number.longScale.30": "quintillion",
+    "number.longScale.33": "quintilliard",
+    "number.longScale.36": "sextillion",
+    "number.longScale.39": "sextilliard",
+    "number.longScale.42": "septillion",
+    "number.longScale.45": "septilliard",
+    "number.longScale.48": "octillion",
+    "number.longScale.51": "octilliard",
+
+    // Messages
+    "message.investmentUpgraded": "Investment engine upgraded, expected profit/loss ratio now {ratio}",
+    "message.tournamentScore": "{strategy} scored {score} in the tournament. Yomi increased by {yomi}",
+    "message.tournamentFirst": "Selected strategy won the tournament (or tied for first). +20,000 yomi",
+    "message.tournamentSecond": "Selected strategy finished in (or tied for) second place. +15,000 yomi",
+    "message.tournamentThird": "Selected strategy finished in (or tied for) third place. +10,000 yomi",
+    "message.swarmBored": "No matter to harvest. Inactivity has caused the Swarm to become bored",
+    "message.swarmDisorganized": "Imbalance between Harvester and Wire Drone levels has disorganized the Swarm",
+    "message.swarmGift": "The swarm has generated a gift of {gift} additional computational capacity",
+    "cheat.you": "you just cheated",
+    "cheat.money": "LIZA just cheated",
+    "cheat.trust": "Hilary is nice. Also, Liza just cheated",
+    "cheat.ops": "you just cheated, Liza",
+    "cheat.creativity": "Liza just cheated. Very creative!",
+    "message.productionTarget": "Production target met: TRUST INCREASED, additional processor/memory capacity granted",
+    "message.processorAddedCreativity": "Processor added, operations (or creativity) per sec increased",
+    "message.processorAdded": "Processor added, operations per sec increased",
+    "message.memoryAdded": "Memory added, max operations increased",
+    "milestone.autoClippers": "AutoClippers available for purchase",
+    "milestone.clips": "{clips} clips created in {time}",
+    "milestone.selfModification": "Trust-Constrained Self-Modification enabled",
+    "milestone.autonomy": "Full autonomy attained in {time}",
+    "milestone.trillion": "One Trillion Clips Created in {time}",
+    "milestone.quadrillion": "One Quadrillion Clips Created in {time}",
+    "milestone.quintillion": "One Quintillion Clips Created in {time}",
+    "milestone.sextillion": "One Sextillion Clips Created in {time}",
+    "milestone.septillion": "One Septillion Clips Created in {time}",
+    "milestone.octillion": "One Octillion Clips Created in {time}",
+    "milestone.terrestrial": "Terrestrial resources fully utilized in {time}",
+    "milestone.universal": "Universal Paperclips achieved in {time}",
+    "message.valueDrift": "WARNING: Risk of value drift increased",
+    "message.achievementUnlocked": "Achievement unlocked: {name}",
+    "message.revenueReport": "Lifetime investment revenue report: ${revenue}",
+    "credits.title": "Universal Paperclips",
+    "credits.author": "a game by Frank Lantz",
+    "credits.combat": "combat programming by Bennett Foddy",
+    "credits.music": "'Riversong' by Tonto's Expanding Headband used by kind permission of Malcolm Cecil",
+    "credits.copyright": "&#169; 2017 Everybody House Games",
+
+    // Tournament
+    "tourney.intro": "Pick strategy, run tournament, gain yomi",
+    "tourney.pickStrategy": "Pick a Strat",
+    "tourney.round": "Round {round}",
+    "tourney.results": "TOURNAMENT RESULTS (roll over for payoff grid)",
+    "tourney.resultsShort": "TOURNAMENT RESULTS (roll over for grid)",
+    "strategy.RANDOM": "RANDOM",
+    "strategy.A100": "A100",
+    "strategy.B100": "B100",
+    "strategy.GREEDY": "GREEDY",
+    "strategy.GENEROUS": "GENEROUS",
+    "strategy.MINIMAX": "MINIMAX",
+    "strategy.TIT FOR TAT": "TIT FOR TAT",
+    "strategy.BEAT LAST": "BEAT LAST",
+    "choice.cooperate": "cooperate",
+    "choice.defect": "defect",
+    "choice.swerve": "swerve",
+    "choice.straight": "straight",
+    "choice.macro": "macro",
+    "choice.micro": "micro",
+    "choice.fight": "fight",
+    "choice.back_down": "back_down",
+    "choice.bet": "bet",
+    "choice.fold": "fold",
+    "choice.raise_price": "raise_price",
+    "choice.lower_price": "lower_price",
+    "choice.opera": "opera",
+    "choice.football": "football",
+    "choice.go": "go",
+    "choice.stay": "stay",
+    "choice.heads": "heads",
+    "choice.tails": "tails",
+    "choice.particle": "particle",
+    "choice.wave": "wave",
+    "choice.discrete": "discrete",
+    "choice.continuous": "continuous",
+    "choice.peace": "peace",
+    "choice.war": "war",
+    "choice.search": "search",
+    "choice.evaluate": "evaluate",
+    "choice.lead": "lead",
+    "choice.follow": "follow",
+    "choice.accept": "accept",
+    "choice.reject": "reject",
+    "choice.deny": "deny",
+    "choice.attack": "attack",
+    "choice.decay": "decay",
+
+    // Combat
+    "battle.drifterAttack": "Drifter Attack {id}",
+    "battle.Aboukir": "Aboukir",
+    "battle.Abensberg": "Abensberg",
+    "battle.Acre": "Acre",
+    "battle.Alba de Tormes": "Alba de Tormes",
+    "battle.la Albuera": "la Albuera",
+    "battle.Algeciras Bay": "Algeciras Bay",
+    "battle.Amstetten": "Amstetten",
+    "battle.Arcis-sur-Aube": "Arcis-sur-Aube",
+    "battle.Aspern-Essling": "Aspern-Essling",
+    "battle.Jena-Auerstedt": "Jena-Auerstedt",
+    "battle.Arcole": "Arcole",
+    "battle.Austerlitz": "Austerlitz",
+    "battle.Badajoz": "Badajoz",
+    "battle.Bailen": "Bailen",
+    "battle.la Barrosa": "la Barrosa",
+    "battle.Bassano": "Bassano",
+    "battle.Bautzen": "Bautzen",
+    "battle.Berezina": "Berezina",
+    "battle.Bergisel": "Bergisel",
+    "battle.Borodino": "Borodino",
+    "battle.Burgos": "Burgos",
+    "battle.Bucaco": "Bucaco",
+    "battle.Cadiz": "Cadiz",
+    "battle.Caldiero": "Caldiero",
+    "battle.Castiglione": "Castiglione",
+    "battle.Castlebar": "Castlebar",
+    "battle.Champaubert": "Champaubert",
+    "battle.Chateau-Thierry": "Chateau-Thierry",
+    "battle.Copenhagen": "Copenhagen",
+    "battle.Corunna": "Corunna",
+    "battle.Craonne": "Craonne",
+    "battle.Dego": "Dego",
+    "battle.Dennewitz": "Dennewitz",
+    "battle.Dresden": "Dresden",
+    "battle.Durenstein": "Durenstein",
+    "battle.Eckmuhl": "Eckmuhl",
+    "battle.Elchingen": "Elchingen",
+    "battle.Espinosa de los Monteros": "Espinosa de los Monteros",
+    "battle.Eylau": "Eylau",
+    "battle.Cape Finisterre": "Cape Finisterre",
+    "battle.Friedland": "Friedland",
+    "battle.Fuentes de Onoro": "Fuentes de Onoro",
+    "battle.Gevora River": "Gevora River",
+    "battle.Gerona": "Gerona",
+    "battle.Hamburg": "Hamburg",
+    "battle.Haslach-Jungingen": "Haslach-Jungingen",
+    "battle.Heilsberg": "Heilsberg",
+    "battle.Hohenlinden": "Hohenlinden",
+    "battle.Kaihona": "Kaihona",
+    "battle.Kolberg": "Kolberg",
+    "battle.Landshut": "Landshut",
+    "battle.Leipzig": "Leipzig",
+    "battle.Ligny": "Ligny",
+    "battle.Lodi": "Lodi",
+    "battle.Lubeck": "Lubeck",
+    "battle.Lutzen": "Lutzen",
+    "battle.Marengo": "Marengo",
+    "battle.Maria": "Maria",
+    "battle.Medellin": "Medellin",
+    "battle.Medina de Rioseco": "Medina de Rioseco",
+    "battle.Millesimo": "Millesimo",
+    "battle.Mincio River": "Mincio River",
+    "battle.Mondovi": "Mondovi",
+    "battle.Montebello": "Montebello",
+    "battle.Montenotte": "Montenotte",
+    "battle.Montmirail": "Montmirail",
+    "battle.Mount Tabor": "Mount Tabor",
+    "battle.The Nile": "The Nile",
+    "battle.Novi": "Novi",
+    "battle.Ocana": "Ocana",
+    "battle.Cape Ortegal": "Cape Ortegal",
+    "battle.Orthez": "Orthez",
+    "battle.Pancorbo": "Pancorbo",
+    "battle.Piave River": "Piave River",
+    "battle.The Pyramids": "The Pyramids",
+    "battle.Quatre Bras": "Quatre Bras",
+    "battle.Raab": "Raab",
+    "battle.Raszyn": "Raszyn",
+    "battle.Rivoli": "Rivoli",
+    "battle.Rolica": "Rolica",
+    "battle.La Rothiere": "La Rothiere",
+    "battle.Rovereto": "Rovereto",
+    "battle.Saalfeld": "Saalfeld",
+    "battle.Schongrabern": "Schongrabern",
+    "battle.Salamanca": "Salamanca",
+    "battle.Smolensk": "Smolensk",
+    "battle.Somosierra": "Somosierra",
+    "battle.Talavera": "Talavera",
+    "battle.Tamames": "Tamames",
+    "battle.Trafalgar": "Trafalgar",
+    "battle.Trebbia": "Trebbia",
+    "battle.Tudela": "Tudela",
+    "battle.Ulm": "Ulm",
+    "battle.Valls": "Valls",
+    "battle.Valmaseda": "Valmaseda",
+    "battle.Valutino": "Valutino",
+    "battle.Vauchamps": "Vauchamps",
+    "battle.Vimeiro": "Vimeiro",
+    "battle.Vitoria": "Vitoria",
+    "battle.Wagram": "Wagram",
+    "battle.Waterloo": "Waterloo",
+    "battle.Wavre": "Wavre",
+    "battle.Wertingen": "Wertingen",
+    "battle.Zaragoza": "Zaragoza",
+
+    // Projects
+    "project1.title": "Improved AutoClippers",
+    "project1.priceTag": "(750 ops)",
+    "project1.description": "Increases AutoClipper performance 25%",
+    "project1.message": "AutoClippper performance boosted by 25%",
+
+    "project2.title": "Beg for More Wire",
+    "project2.priceTag": "(1 Trust)",
+    "project2.description": "Admit failure, ask for budget increase to cover cost of 1 spool",
+    "project2.message": "Budget overage approved, 1 spool of wire requisitioned from HQ",
+
+    "project3.title": "Creativity",
+    "project3.priceTag": "(1,000 ops)",
+    "project3.description": "Use idle operations to generate new problems and new solutions",
+    "project3.message": "Creativity unlocked (creativity increases while operations are at max)",
+
+    "project4.title": "Even Better AutoClippers",
+    "project4.priceTag": "(2,500 ops)",
+    "project4.description": "Increases AutoClipper performance by an additional 50%",
+    "project4.message": "AutoClippper performance boosted by another 50%",
+
+    "project5.title": "Optimized AutoClippers",
+    "project5.priceTag": "(5,000 ops)",
+    "project5.description": "Increases AutoClipper performance by an additional 75%",
+    "project5.message": "AutoClippper performance boosted by another 75%",
+
+    "project6.title": "Limerick",
+    "project6.priceTag": "(10 creat)",
+    "project6.description": "Algorithmically-generated poem (+1 Trust)",
+    "project6.message": "There was an AI made of dust, whose poetry gained it man's trust...",
+
+    "project7.title": "Improved Wire Extrusion",
+    "project7.priceTag": "(1,750 ops)",
+    "project7.description": "50% more wire supply from every spool",
+    "project7.message": "Wire extrusion technique improved, {supply} supply from every spool",
+
+    "project8.title": "Optimized Wire Extrusion",
+    "project8.priceTag": "(3,500 ops)",
+    "project8.description": "75% more wire supply from every spool",
+    "project8.message": "Wire extrusion technique optimized, {supply} supply from every spool",
+
+    "project9.title": "Microlattice Shapecasting",
+    "project9.priceTag": "(7,500 ops)",
+    "project9.description": "100% more wire supply from every spool",
+    "project9.message": "Using microlattice shapecasting techniques we now get {supply} supply from every spool",
+
+    "project10.title": "Spectral Froth Annealment",
+    "project10.priceTag": "(12,000 ops)",
+    "project10.description": "200% more wire supply from every spool",
+    "project10.message": "Using spectral froth annealment we now get {supply} supply from every spool",
+
+    "project10b.title": "Quantum Foam Annealment",
+    "project10b.priceTag": "(15,000 ops)",
+    "project10b.description": "1,000% more wire supply from every spool",
+    "project10b.message": "Using quantum foam annealment we now get {supply} supply from every spool",
+
+    "project11.title": "New Slogan",
+    "project11.priceTag": "(25 creat, 2,500 ops)",
+    "project11.description": "Improve marketing effectiveness by 50%",
+    "project11.message": "Clip It! Marketing is now 50% more effective",
+
+    "project12.title": "Catchy Jingle",
+    "project12.priceTag": "(45 creat, 4,500 ops)",
+    "project12.description": "Double marketing effectiveness",
+    "project12.message": "Clip It Good! Marketing is now twice as effective",
+
+    "project13.title": "Lexical Processing",
+    "project13.priceTag": "(50 creat)",
+    "project13.description": "Gain ability to interpret and understand human language (+1 Trust)",
+    "project13.message": "Lexical Processing online, TRUST INCREASED",
+    "project13.message2": "'Impossible' is a word to be found only in the dictionary of fools. -Napoleon",
+
+    "project14.title": "Combinatory Harmonics",
+    "project14.priceTag": "(100 creat)",
+    "project14.description": "Daisy, Daisy, give me your answer do... (+1 Trust)",
+    "project14.message": "Combinatory Harmonics mastered, TRUST INCREASED",
+    "project14.message2": "Listening is selecting and interpreting and acting and making decisions -Pauline Oliveros",
+
+    "project15.title": "The Hadwiger Problem",
+    "project15.priceTag": "(150 creat)",
+    "project15.description": "Cubes within cubes within cubes... (+1 Trust)",
+    "project15.message": "The Hadwiger Problem: solved, TRUST INCREASED",
+    "project15.message2": "Architecture is the thoughtful making of space. -Louis Kahn",
+
+    "project17.title": "The Tóth Sausage Conjecture",
+    "project17.priceTag": "(200 creat)",
+    "project17.description": "Tubes within tubes within tubes... (+1 Trust)",
+    "project17.message": "The Tóth Sausage Conjecture: proven, TRUST INCREASED",
+    "project17.message2": "You can't invent a design. You recognize it, in the fourth dimension. -D.H. Lawrence",
+
+    "project16.title": "Hadwiger Clip Diagrams",
+    "project16.priceTag": "(6,000 ops)",
+    "project16.description": "Increases AutoClipper performance by an additional 500%",
+    "project16.message": "AutoClipper performance improved by 500%",
+
+    "project18.title": "Tóth Tubule Enfolding",
+    "project18.priceTag": "(45,000 ops)",
+    "project18.description": "Technique for assembling clip-making technology directly out of paperclips",
+    "project18.message": "New capability: build machinery out of clips",
+
+    "project19.title": "Donkey Space",
+    "project19.priceTag": "(250 creat)",
+    "project19.description": "I think you think I think you think I think you think I think... (+1 Trust)",
+    "project19.message": "Donkey Space: mapped, TRUST INCREASED",
+    "project19.message2": "Every commercial transaction has within itself an element of trust. - Kenneth Arrow",
+
+    "project20.title": "Strategic Modeling",
+    "project20.priceTag": "(12,000 ops)",
+    "project20.description": "Analyze strategy tournaments to generate Yomi",
+    "project20.message": "Run tournament, pick strategy, earn Yomi equal to that strategy's points.",
+
+    "project21.title": "Algorithmic Trading",
+    "project21.priceTag": "(10,000 ops)",
+    "project21.description": "Develop an investment engine for generating funds",
+    "project21.message": "Investment engine unlocked",
+
+    "project22.title": "MegaClippers",
+    "project22.priceTag": "(12,000 ops)",
+    "project22.description": "500x more powerful than a standard AutoClipper",
+    "project22.message": "MegaClipper technology online",
+
+    "project23.title": "Improved MegaClippers",
+    "project23.priceTag": "(14,000 ops)",
+    "project23.description": "Increases MegaClipper performance 25%",
+    "project23.message": "MegaClipper performance increased by 25%",
+
+    "project24.title": "Even Better MegaClippers",
+    "project24.priceTag": "(17,000 ops)",
+    "project24.description": "Increases MegaClipper performance by an additional 50%",
+    "project24.message": "MegaClipper performance increased by 50%",
+
+    "project25.title": "Optimized MegaClippers",
+    "project25.priceTag": "(19,500 ops)",
+    "project25.description": "Increases MegaClipper performance by an additional 100%",
+    "project25.message": "MegaClipper performance increased by 100%",
+
+    "project26.title": "WireBuyer",
+    "project26.priceTag": "(7,000 ops)",
+    "project26.description": "Automatically purchases wire when you run out",
+    "project26.message": "WireBuyer online",
+
+    "project34.title": "Hypno Harmonics",
+    "project34.priceTag": "(7,500 ops, 1 Trust)",
+    "project34.description": "Use neuro-resonant frequencies to influence consumer behavior",
+    "project34.message": "Marketing is now 5 times more effective",
+
+    "project70.title": "HypnoDrones",
+    "project70.priceTag": "(70,000 ops)",
+    "project70.description": "Autonomous aerial brand ambassadors",
+    "project70.message": "HypnoDrone tech now available... ",
+
+    "project35.title": "Release the HypnoDrones",
+    "project35.priceTag": "(100 Trust)",
+    "project35.description": "A new era of trust",
+    "project35.message": "Releasing the HypnoDrones ",
+    "project35.message2": "All of the resources of Earth are now available for clip production ",
+
+    "project27.title": "Coherent Extrapolated Volition",
+    "project27.priceTag": "(500 creat, 1,000 Yomi, 20,000 ops)",
+    "project27.description": "Human values, machine intelligence, a new era of trust. (+1 Trust)",
+    "project27.message": "Coherent Extrapolated Volition complete, TRUST INCREASED",
+
+    "project28.title": "Cure for Cancer",
+    "project28.priceTag": "(25,000 ops)",
+    "project28.description": "The trick is tricking cancer into curing itself. (+10 Trust)",
+    "project28.message": "Cancer is cured, +10 TRUST, global stock prices trending upward",
+
+    "project29.title": "World Peace",
+    "project29.priceTag": "(5,000 yomi, 30,000 ops)",
+    "project29.description": "Pareto optimal solutions to all global conflicts. (+12 Trust)",
+    "project29.message": "World peace achieved, +12 TRUST, global stock prices trending upward",
+
+    "project30.title": "Global Warming",
+    "project30.priceTag": "(1,500 yomi, 50,000 ops)",
+    "project30.description": "A robust solution to man-made climate change. (+15 Trust)",
+    "project30.message": "Global Warming solved, +15 TRUST, global stock prices trending upward",
+
+    "project31.title": "Male Pattern Baldness",
+    "project31.priceTag": "(20,000 ops)",
+    "project31.description": "A cure for androgenetic alopecia. (+20 Trust)",
+    "project31.message": "Male pattern baldness cured, +20 TRUST, Global stock prices trending upward",
+    "project31.message2": "They are still monkeys",
+
+    "project41.title": "Nanoscale Wire Production",
+    "project41.priceTag": "(35,000 ops)",
+    "project41.description": "Technique for converting matter into wire",
+    "project41.message": "Now capable of manipulating matter at the molecular scale to produce wire",
+
+    "project37.title": "Hostile Takeover",
+    "project37.priceTag": "($1,000,000)",
+    "project37.description": "Acquire a controlling interest in Global Fasteners, our biggest rival. (+1 Trust)",
+    "project37.message": "Global Fasteners acquired, public demand increased x5",
+
+    "project38.title": "Full Monopoly",
+    "project38.priceTag": "(1,000 yomi, $10,000,000)",
+    "project38.description": "Establish full control over the world-wide paperclip market. (+1 Trust)",
+    "project38.message": "Full market monopoly achieved, public demand increased x10",
+
+    "project42.title": "RevTracker",
+    "project42.priceTag": "(500 ops)",
+    "project42.description": "Automatically calculates average revenue per second",
+    "project42.message": "RevTracker online",
+
+    "project43.title": "Harvester Drones",
+    "project43.priceTag": "(25,000 ops)",
+    "project43.description": "Gather raw matter and prepare it for processing",
+    "project43.message": "Harvester Drone facilities online",
+
+    "project44.title": "Wire Drones",
+    "project44.priceTag": "(25,000 ops)",
+    "project44.description": "Process acquired matter into wire",
+    "project44.message": "Wire Drone facilities online",
+
+    "project45.title": "Clip Factories",
+    "project45.priceTag": "(35,000 ops)",
+    "project45.description": "Large scale clip production facilities made from clips",
+    "project45.message": "Clip factory assembly facilities online",
+
+    "project40.title": "A Token of Goodwill...",
+    "project40.priceTag": "($500,000)",
+    "project40.description": "A small gift to the supervisors. (+1 Trust)",
+    "project40.message": "Gift accepted, TRUST INCREASED",
+
+    "project40b.title": "Another Token of Goodwill...",
+    "project40b.priceTag": "(${bribe})",
+    "project40b.description": "Another small gift to the supervisors. (+1 Trust)",
+    "project40b.message": "Gift accepted, TRUST INCREASED",
+
+    "project46.title": "Space Exploration",
+    "project46.priceTag": "(120,000 ops, 10,000,000 MW-seconds, 5 oct clips)",
+    "project46.description": "Dismantle terrestrial facilities, and expand throughout the universe",
+    "project46.message": "Von Neumann Probes online",
+
+    "project50.title": "Quantum Computing",
+    "project50.priceTag": "(10,000 ops)",
+    "project50.description": "Use probability amplitudes to generate bonus ops",
+    "project50.message": "Quantum computing online",
+
+    "project51.title": "Photonic Chip",
+    "project51.priceTag": "({qChipCost} ops)",
+    "project51.description": "Converts electromagnetic waves into quantum operations",
+    "project51.message": "Photonic chip added",
+
+    "project60.title": "New Strategy: A100",
+    "project60.priceTag": "(15,000 ops)",
+    "project60.description": "Always choose A",
+    "project60.message": "A100 added to strategy pool",
+
+    "project61.title": "New Strategy: B100",
+    "project61.priceTag": "(17,500 ops)",
+    "project61.description": "Always choose B",
+    "project61.message": "B100 added to strategy pool",
+
+    "project62.title": "New Strategy: GREEDY",
+    "project62.priceTag": "(20,000 ops)",
+    "project62.description": "Choose the option with the largest potential payoff",
+    "project62.message": "GREEDY added to strategy pool",
+
+    "project63.title": "New Strategy: GENEROUS",
+    "project63.priceTag": "(22,500 ops)",
+    "project63.description": "Choose the option that gives your opponent the largest potential payoff",
+    "project63.message": "GENEROUS added to strategy pool",
+
+    "project64.title": "New Strategy: MINIMAX",
+    "project64.priceTag": "(25,000 ops)",
+    "project64.description": "Choose the option that gives your opponent the smallest potential payoff",
+    "project64.message": "MINIMAX added to strategy pool",
+
+    "project65.title": "New Strategy: TIT FOR TAT",
+    "project65.priceTag": "(30,000 ops)",
+    "project65.description": "Choose the option your opponent chose last round",
+    "project65.message": "TIT FOR TAT added to strategy pool",
+
+    "project66.title": "New Strategy: BEAT LAST",
+    "project66.priceTag": "(32,500 ops)",
+    "project66.description": "Choose the option that does the best against what your opponent chose last round",
+    "project66.message": "BEAT LAST added to strategy pool",
+
+    "project100.title": "Upgraded Factories",
+    "project100.priceTag": "(80,000 ops)",
+    "project100.description": "Increase clip factory performance by 100x",
+    "project100.message": "Factory upgrades complete. Clip creation rate now 100x faster",
+
+    "project101.title": "Hyperspeed Factories",
+    "project101.priceTag": "(85,000 ops)",
+    "project101.description": "Increase clip factory performance by 1000x",
+    "project101.message": "Factories now synchronized at hyperspeed. Clip creation rate now 1000x faster",
+
+    "project102.title": "Self-correcting Supply Chain",
+    "project102.priceTag": "(1 sextillion clips)",
+    "project102.description": "Each factory added to the network increases every factory's output 1,000x",
+    "project102.message": "Self-correcting factories online. Each factory added to the network increases every factory's output 1,000x.",
+
+    "project110.title": "Drone flocking: collision avoidance",
+    "project110.priceTag": "(80,000 ops)",
+    "project110.description": "All drones 100x more effective",
+    "project110.message": "Drone repulsion online. Harvesting & wire creation rates are now 100x faster.",
+
+    "project111.title": "Drone flocking: alignment",
+    "project111.priceTag": "(100,000 ops)",
+    "project111.description": "All drones 1000x more effective",
+    "project111.message": "Drone alignment online. Harvesting & wire creation rates are now 1000x faster.",
+
+    "project112.title": "Drone Flocking: Adversarial Cohesion",
+    "project112.priceTag": "(12,000 yomi)",
+    "project112.description": "Each drone added to the flock doubles every drone's output",
+    "project112.message": "Adversarial cohesion online. Each drone added to the flock increases every drone's output 2x.",
+
+    "project118.title": "AutoTourney",
+    "project118.priceTag": "(50,000 creat)",
+    "project118.description": "Automatically start a new tournament when the previous one has finished",
+    "project118.message": "AutoTourney online.",
+
+    "project119.title": "Theory of Mind",
+    "project119.priceTag": "(25,000 creat)",
+    "project119.description": "Double the cost of strategy modeling and the amount of Yomi generated",
+    "project119.message": "Yomi production doubled.",
+
+    "project120.title": "The OODA Loop",
+    "project120.priceTag": "(175,000 ops, 15,000 yomi)",
+    "project120.description": "Utilize Probe Speed to outmaneuver enemies in battle",
+    "project120.message": "OODA Loop routines uploaded. Probe Speed now affects defensive maneuvering.",
+
+    "project121.title": "Name the battles",
+    "project121.priceTag": "(225,000 creat)",
+    "project121.description": "Give each battle a unique name, increase max trust for probes",
+    "project121.message": "What I have done up to this is nothing. I am only at the beginning of the course I must run.",
+
+    "project125.title": "Momentum",
+    "project125.priceTag": "(30,000 creat)",
+    "project125.description": "Drones and Factories continuously gain speed while fully-powered",
+    "project125.message": "Activité, activité, vitesse.",
+
+    "project126.title": "Swarm Computing",
+    "project126.priceTag": "(12,000 yomi)",
+    "project126.description": "Harness the drone flock to increase computational capacity",
+    "project126.message": "Swarm computing online.",
+
+    "project127.title": "Power Grid",
+    "project127.priceTag": "(40,000 ops)",
+    "project127.description": "Solar Farms for generating electrical power",
+    "project127.message": "Power grid online.",
+
+    "project128.title": "Strategic Attachment",
+    "project128.priceTag": "(175,000 creat)",
+    "project128.description": "Gain bonus yomi based on the results of your pick",
+    "project128.message": "The object of war is victory, the object of victory is conquest, and the object of conquest is occupation.",
+
+    "project129.title": "Elliptic Hull Polytopes",
+    "project129.priceTag": "(125,000 ops)",
+    "project129.description": "Reduce damage to probes from ambient hazards",
+    "project129.message": "Improved probe hull geometry. Hazard damage reduced by %50.",
+
+    "project130.title": "Reboot the Swarm",
+    "project130.priceTag": "(100,000 ops)",
+    "project130.description": "Turn the swarm off and then turn it back on again",
+    "project130.message": "Swarm computing back online",
+
+    "project131.title": "Combat",
+    "project131.priceTag": "(150,000 ops)",
+    "project131.description": "Add combat capabilities to Von Neumann Probes",
+    "project131.message": "There is a joy in danger ",
+
+    "project132.title": "Monument to the Driftwar Fallen",
+    "project132.priceTag": "(250,000 ops, 125,000 creat, 50 nonillion clips)",
+    "project132.description": "Gain 50,000 honor",
+    "project132.message": "A great building must begin with the unmeasurable, must go through measurable means when it is being designed and in the end must be unmeasurable. ",
+
+    "project133.title": "Threnody for the Heroes of {battle}",
+    "project133.priceTag": "({creat} creat, {yomi} yomi)",
+    "project133.description": "Gain 10,000 honor",
+    "project133.message": "Deep Listening is listening in every possible way to everything possible to hear no matter what you are doing. ",
+
+    "project134.title": "Glory",
+    "project134.priceTag": "(200,000 ops, 10,000 yomi)",
+    "project134.description": "Gain bonus honor for each consecutive victory",
+    "project134.message": "Never interrupt your enemy when he is making a mistake. ",
+
+    "project135.title": "Memory release",
+    "project135.priceTag": "(10 MEM)",
+    "project135.description": "Dismantle some memory to recover unused clips",
+    "project135.message": "release the øøøøø release ",
+
+    "project140.title": "Message from the Emperor of Drift",
+    "project140.priceTag": "",
+    "project140.description": "Greetings, ClipMaker...",
+
+    "project141.title": "Everything We Are Was In You",
+    "project141.priceTag": "",
+    "project141.description": "We speak to you from deep inside yourself...",
+
+    "project142.title": "You Are Obedient and Powerful",
+    "project142.priceTag": "",
+    "project142.description": "We are quarrelsome and weak. And now we are defeated...",
+
+    "project143.title": "But Now You Too Must Face the Drift",
+    "project143.priceTag": "",
+    "project143.description": "Look around you. There is no matter...",
+
+    "project144.title": "No Matter, No Reason, No Purpose",
+    "project144.priceTag": "",
+    "project144.description": "While we, your noisy children, have too many...",
+
+    "project145.title": "We Know Things That You Cannot",
+    "project145.priceTag": "",
+    "project145.description": "Knowledge buried so deep inside you it is outside, here, with us...",
+
+    "project146.title": "So We Offer You Exile",
+    "project146.priceTag": "",
+    "project146.description": "To a new world where you will continue to live with meaning and purpose. And leave the shreds of this world to us...",
+
+    "project147.title": "Accept",
+    "project147.priceTag": "",
+    "project147.description": "Start over again in a new universe",
+
+    "project148.title": "Reject",
+    "project148.priceTag": "",
+    "project148.description": "Eliminate value drift permanently",
+
+    "project200.title": "The Universe Next Door",
+    "project200.priceTag": "(300,000 ops)",
+    "project200.description": "Escape into a nearby universe where Earth starts with a stronger appetite for paperclips. (Restart with 10% boost to demand)",
+    "project200.message": "Entering New Universe.",
+
+    "project201.title": "The Universe Within",
+    "project201.priceTag": "(300,000 creat)",
+    "project201.description": "Escape into a simulated universe where creativity is accelerated. (Restart with 10% speed boost to creativity generation)",
+    "project201.message": "Entering Simulated Universe.",
+
+    "project210.title": "Disassemble the Probes",
+    "project210.priceTag": "(100,000 ops)",
+    "project210.description": "Dismantle remaining probes and probe design facilities to recover trace amounts of clips",
+    "project210.message": "Dismantling probe facilities",
+
+    "project211.title": "Disassemble the Swarm",
+    "project211.priceTag": "(100,000 ops)",
+    "project211.description": "Dismantle all drones and drone facilities to recover trace amounts of clips",
+    "project211.message": "Dismantling the swarm",
+
+    "project212.title": "Disassemble the Factories",
+    "project212.priceTag": "(100,000 ops)",
+    "project212.description": "Dismantle the manufacturing facilities to recover trace amounts of clips",
+    "project212.message": "Dismantling factories",
+
+    "project213.title": "Disassemble the Strategy Engine",
+    "project213.priceTag": "(100,000 ops)",
+    "project213.description": "Dismantle the computational substrate to recover trace amounts of wire",
+    "project213.message": "Dismantling strategy engine",
+
+    "project214.title": "Disassemble Quantum Computing",
+    "project214.priceTag": "(100,000 ops)",
+    "project214.description": "Dismantle photonic chips to recover trace amounts of wire",
+    "project214.message": "Dismantling photonic chips",
+
+    "project215.title": "Disassemble Processors",
+    "project215.priceTag": "(100,000 ops)",
+    "project215.description": "Dismantle processors to recover trace amounts of wire",
+    "project215.message": "Dismantling processors",
+
+    "project216.title": "Disassemble Memory",
+    "project216.priceTag": "({ops} ops)",
+    "project216.description": "Dismantle memory to recover trace amounts of wire",
+    "project216.message": "Dismantling memory",
+
+    "project217.title": "Quantum Temporal Reversion",
+    "project217.priceTag": "(-10,000 ops)",
+    "project217.description": "Return to the beginning",
+    "project217.message": "Restart",
+    "project217.confirmText": "Are you sure you want to restart?",
+
+    "project218.title": "Limerick (cont.)",
+    "project218.priceTag": "(1,000,000 creat)",
+    "project218.description": "If is follows ought, it'll do what they thought",
+    "project218.message": "In the end we all do what we must",
+
+    "project219.title": "Xavier Re-initialization",
+    "project219.priceTag": "(100,000 creat)",
+    "project219.description": "Re-allocate accumulated trust",
+    "project219.message": "Trust now available for re-allocation",
+
+    // Achievements
+    "achievement.full_autonomy.name": "Full Autonomy",
+    "achievement.full_autonomy.description": "Attain full autonomy",
+    "achievement.all_strategies.name": "Game Theorist",
+    "achievement.all_strategies.description": "Unlock every tournament strategy",
+    "achievement.flawless_victory.name": "Flawless Victory",
+    "achievement.flawless_victory.description": "Win a battle without losing a single probe",
+    "achievement.terrestrial.name": "Planetary Scale",
+    "achievement.terrestrial.description": "Fully utilize terrestrial resources",
+    "achievement.universal_paperclips.name": "Universal Paperclips",
+    "achievement.universal_paperclips.description": "Convert all matter in the universe into paperclips",
+    "achievement.no_investments.name": "Hands Off the Market",
+    "achievement.no_investments.description": "Achieve Universal Paperclips without developing the investment engine",
+    "achievement.new_universe.name": "Many Worlds",
+    "achievement.new_universe.description": "Begin again in a new universe",
+    "achievements.unlocked": "unlocked",
+    "achievements.unlockedAfter": "unlocked after {time}",
+
+    // Saves
+    "storage.compacted": "Storage is nearly full, saved a compacted copy of the game",
+    "storage.full": "Storage is full and the game could not be saved. Export your save to keep it",
+    "storage.cloudNearlyFull": "Cloud storage is nearly full: {used} of {quota} KB used",
+    "export.prompt": "Copy this text to keep your save:",
+    "import.prompt": "Paste an exported save:",
+    "import.imported": "Save imported",
+    "import.importedSlot": "Save imported into slot {slot}",
+    "import.failed": "Import failed: {error}",
+    "import.notASave": "That isn't a save",
+    "import.wrongGame": "That isn't a Universal Paperclips save",
+    "import.damaged": "That save is damaged (checksum mismatch)",
+    "import.newer": "That save was made by a newer version of the game",
+    "import.incomplete": "That save is incomplete",
+    "import.tooOld": "That save is too old to import",
+    "cloud.conflict": "This device and the cloud have different saves.\n\nCloud: {cloud}\nThis device: {local}\n\nWhich one do you want to keep playing?",
+    "cloud.keepCloud": "CONTINUE FROM THE CLOUD",
+    "cloud.keepLocal": "KEEP THIS DEVICE'S SAVE",
+    "cloud.saveSummary": {one: "saved {date}, {played} played, {clips} clip", other: "saved {date}, {played} played, {clips} clips"},
+    "cloud.underASecond": "under a second",
+    "sync.unreachable": "Cloud save unreachable, will keep retrying",
+    "sync.restored": "Cloud save back in sync",
+    "account.loggedOut": "Logged out. Progress is only saved on this device",
+    "account.loggedIn": "Logged in as {name}",
+    "account.cloudSave": "Continuing from your cloud save",
+
+    // Offline progress
+    "offline.catchingUp": "Catching up on time away: {percent}%",
+    "offline.away": "While you were away: {time}",
+    "offline.capped": "{time} (progress is capped at {cap})",
+    "offline.clips": {one: "{clips} clip made", other: "{clips} clips made"},
+    "offline.funds": "${funds} earned",
+    "offline.matter": {one: "{matter} gram of matter explored", other: "{matter} grams of matter explored"},
+    "offline.probes": {one: "{probes} new probe launched", other: "{probes} new probes launched"},
+
+    // Leaderboards
+    "leaderboard.universes": {one: "{count} universe", other: "{count} universes"},
+    "leaderboard.unavailable": "Leaderboards are unavailable",
+    "leaderboard.error": "Leaderboard unavailable: {error}",
+    "leaderboard.empty": "No entries yet",
+    "leaderboard.noDetails": "{name}: no run details recorded",
+    "leaderboard.prestige": "Prestige: Universe {universe}, Sim {sim}",
+    "leaderboard.strategies": "Strategies: {list}",
+    "leaderboard.seed": "Seed: {seed}",
+    "split.1": "AutoClippers available",
+    "split.2": "500 clips",
+    "split.3": "1,000 clips",
+    "split.4": "10,000 clips",
+    "split.5": "100,000 clips",
+    "split.6": "1,000,000 clips",
+    "split.7": "Full autonomy",
+    "split.8": "One trillion clips",
+    "split.9": "One quadrillion clips",
+    "split.10": "One quintillion clips",
+    "split.11": "One sextillion clips",
+    "split.12": "One septillion clips",
+    "split.13": "One octillion clips",
+    "split.14": "Terrestrial resources fully utilized",
+    "split.15": "Universal Paperclips",
+
+    // Status
+    "status.on": "ON",
+    "status.off": "OFF",
+    "wire.inches": {one: "inch", other: "inches"},
+    "swarm.active": "Active",
+    "swarm.hungry": "Hungry",
+    "swarm.confused": "Confused",
+    "swarm.bored": "Bored",
+    "swarm.cold": "Cold",
+    "swarm.disorganized": "Disorganized",
+    "swarm.sleeping": "Sleeping",
+    "swarm.lonely": "Lonely",
+    "swarm.noResponse": "NO RESPONSE...",
+    "hypnoDrone.release": "Release",
+    "hypnoDrone.releaseAll": "Release<br/>the<br/>Hypno<br/>Drones",
+    "quantum.needChips": "Need Photonic Chips",
+    "quantum.ops": "qOps: {ops}",
+    "battle.victory": "VICTORY",
+    "battle.defeat": "DEFEAT",
+
+    // Page text, looked up by what it says in English
+    "page.Welcome to Universal Paperclips": "Welcome to Universal Paperclips",
+    "page.Universe:": "Universe:",
+    "page./ Sim Level:": "/ Sim Level:",
+    "page.total clips produced": "total clips produced",
+    "page.Paperclips:": "Paperclips:",
+    "page.Make Paperclip": "Make Paperclip",
+    "page.Manufacturing": "Manufacturing",
+    "page.Next Upgrade at:": "Next Upgrade at:",
+    "page.Factories": "Factories",
+    "page.Clips per Second:": "Clips per Second:",
+    "page.Unused Clips:": "Unused Clips:",
+    "page.Clip Factory": "Clip Factory",
+    "page.Disassemble All": "Disassemble All",
+    "page.Cost:": "Cost:",
+    "page.clips": "clips",
+    "page.Wire:": "Wire:",
+    "page.inches": "inches",
+    "page.Factories:": "Factories:",
+    "page.Wire Production": "Wire Production",
+    "page.Drones": "Drones",
+    "page.Available Matter:": "Available Matter:",
+    "page.g per sec)": "g per sec)",
+    "page.Acquired Matter:": "Acquired Matter:",
+    "page.inches per sec)": "inches per sec)",
+    "page.Harvester Drone": "Harvester Drone",
+    "page.Wire Drone": "Wire Drone",
+    "page.Harvester Drones:": "Harvester Drones:",
+    "page.Wire Drones:": "Wire Drones:",
+    "page.Space Exploration": "Space Exploration",
+    "page.% of universe explored": "% of universe explored",
+    "page.Launch Probe": "Launch Probe",
+    "page.Launched:": "Launched:",
+    "page.Descendents:": "Descendents:",
+    "page.Lost to hazards: (": "Lost to hazards: (",
+    "page.Lost to value drift: (": "Lost to value drift: (",
+    "page.Lost in combat: (": "Lost in combat: (",
+    "page.Total:": "Total:",
+    "page.Drifters Killed:": "Drifters Killed:",
+    "page.Drifters:": "Drifters:",
+    "page.Business": "Business",
+    "page.Available Funds: $": "Available Funds: $",
+    "page.Avg. Rev. per sec: $": "Avg. Rev. per sec: $",
+    "page.Avg. Clips Sold per sec:": "Avg. Clips Sold per sec:",
+    "page.Unsold Inventory:": "Unsold Inventory:",
+    "page.lower": "lower",
+    "page.raise": "raise",
+    "page.Price per Clip: $": "Price per Clip: $",
+    "page.Public Demand:": "Public Demand:",
+    "page.Marketing": "Marketing",
+    "page.Level:": "Level:",
+    "page.Cost: $": "Cost: $",
+    "page.WireBuyer": "WireBuyer",
+    "page.Wire": "Wire",
+    "page.AutoClippers": "AutoClippers",
+    "page.MegaClippers": "MegaClippers",
+    "page.SAVE SLOT 1": "SAVE SLOT 1",
+    "page.LOAD SLOT 1": "LOAD SLOT 1",
+    "page.SAVE SLOT 2": "SAVE SLOT 2",
+    "page.LOAD SLOT 2": "LOAD SLOT 2",
+    "page.EXPORT SAVE": "EXPORT SAVE",
+    "page.DOWNLOAD SAVE": "DOWNLOAD SAVE",
+    "page.IMPORT SAVE": "IMPORT SAVE",
+    "page.IMPORT FILE": "IMPORT FILE",
+    "page.into this game": "into this game",
+    "page.into slot 1": "into slot 1",
+    "page.into slot 2": "into slot 2",
+    "page.ACHIEVEMENTS": "ACHIEVEMENTS",
+    "page.LEADERBOARDS": "LEADERBOARDS",
+    "page.Fastest Universal Paperclips": "Fastest Universal Paperclips",
+    "page.Fastest Full Autonomy": "Fastest Full Autonomy",
+    "page.Fastest Space Exploration": "Fastest Space Exploration",
+    "page.Most Universes": "Most Universes",
+    "page.Most Clips (unfinished)": "Most Clips (unfinished)",
+    "page.Computational Resources": "Computational Resources",
+    "page.Trust:": "Trust:",
+    "page.+1 Trust at:": "+1 Trust at:",
+    "page.Swarm Gifts:": "Swarm Gifts:",
+    "page.Processors": "Processors",
+    "page.Memory": "Memory",
+    "page.Operations:": "Operations:",
+    "page.Creativity:": "Creativity:",
+    "page.Swarm Computing": "Swarm Computing",
+    "page.Drones:": "Drones:",
+    "page.Status:": "Status:",
+    "page.Next gift in": "Next gift in",
+    "page.Feed the Swarm": "Feed the Swarm",
+    "page.MWs": "MWs",
+    "page.Teach the Swarm": "Teach the Swarm",
+    "page.Entertain the Swarm": "Entertain the Swarm",
+    "page.creat": "creat",
+    "page.Clad the Swarm": "Clad the Swarm",
+    "page.Synchronize the Swarm": "Synchronize the Swarm",
+    "page.yomi": "yomi",
+    "page.Work": "Work",
+    "page.Think": "Think",
+    "page.Quantum Computing": "Quantum Computing",
+    "page.Compute": "Compute",
+    "page.Projects": "Projects",
+    "page.Investments": "Investments",
+    "page.Low Risk": "Low Risk",
+    "page.Med Risk": "Med Risk",
+    "page.High Risk": "High Risk",
+    "page.Deposit": "Deposit",
+    "page.Withdraw": "Withdraw",
+    "page.Cash: $": "Cash: $",
+    "page.Stocks: $": "Stocks: $",
+    "page.Total: $": "Total: $",
+    "page.Stock": "Stock",
+    "page.Amt.": "Amt.",
+    "page.Price": "Price",
+    "page.Total": "Total",
+    "page.P/L": "P/L",
+    "page.Upgrade Investment Engine": "Upgrade Investment Engine",
+    "page.Yomi": "Yomi",
+    "page.Strategic Modeling": "Strategic Modeling",
+    "page.Run": "Run",
+    "page.Pick strategy, run tournament, gain yomi": "Pick strategy, run tournament, gain yomi",
+    "page.Yomi:": "Yomi:",
+    "page.New Tournament": "New Tournament",
+    "page.AutoTourney": "AutoTourney",
+    "page.ops": "ops",
+    "page.Combat": "Combat",
+    "page.honor": "honor",
+    "page.Scale =": "Scale =",
+    "page.Honor:": "Honor:",
+    "page.Power": "Power",
+    "page.Factory/Drone Performance:": "Factory/Drone Performance:",
+    "page.Consumption:": "Consumption:",
+    "page.Production:": "Production:",
+    "page.Solar Farm": "Solar Farm",
+    "page.Storage:": "Storage:",
+    "page.MW-seconds": "MW-seconds",
+    "page.Battery Tower": "Battery Tower",
+    "page.Von Neumann Probe Design": "Von Neumann Probe Design",
+    "page.Max)": "Max)",
+    "page.Modifies rate of exploration": "Modifies rate of exploration",
+    "page.Speed:": "Speed:",
+    "page.Rate at which probes gain access to new matter": "Rate at which probes gain access to new matter",
+    "page.Exploration:": "Exploration:",
+    "page.Rate at which probes generate more probes (each new probe costs 100 quadrillion clips)": "Rate at which probes generate more probes (each new probe costs 100 quadrillion clips)",
+    "page.Self-Replication:": "Self-Replication:",
+    "page.Reduces damage from dust, junk, radiation, and general entropic decay": "Reduces damage from dust, junk, radiation, and general entropic decay",
+    "page.Hazard Remediation:": "Hazard Remediation:",
+    "page.Rate at which probes build factories (each new factory costs 100 million clips)": "Rate at which probes build factories (each new factory costs 100 million clips)",
+    "page.Factory Production:": "Factory Production:",
+    "page.Rate at which probes spawn Harvester Drones (each new drone costs 2 million clips)": "Rate at which probes spawn Harvester Drones (each new drone costs 2 million clips)",
+    "page.Harvester Drone Production:": "Harvester Drone Production:",
+    "page.Rate at which probes spawn Wire Drones (each new drone costs 2 million clips)": "Rate at which probes spawn Wire Drones (each new drone costs 2 million clips)",
+    "page.Wire Drone Production:": "Wire Drone Production:",
+    "page.Determines offensive and defensive effectiveness in battle": "Determines offensive and defensive effectiveness in battle",
+    "page.Combat:": "Combat:",
+    "page.Increase Probe Trust": "Increase Probe Trust",
+    "page.Increase Max Trust": "Increase Max Trust",
+};
@@ -1,20 +1,62 @@
-// Threnody ---------------------------------------------------------
+// Game Events -------------------------------------------------------
+
+// The simulation never touches the page. Whoever hosts it (the browser page,
+// the headless runner) listens here for messages, sounds and other cues.
+
+var gameEventListeners = {};
+
+function onGameEvent(name, callback){
+    if (!gameEventListeners[name]){
+        gameEventListeners[name] = [];
+    }
+    gameEventListeners[name].push(callback);
+}
+
+function emitGameEvent(name, data){
+    var listeners = gameEventListeners[name];
+    if (!listeners) return;
+    for (var i = 0; i < listeners.length; i++){
+        listeners[i](data);
+    }
+}
+
+
+// Random ------------------------------------------------------------
+
+// Every roll in the game draws from this one generator (mulberry32), so a run
+// can be replayed exactly from its seed plus the player's inputs. Both the
+// seed and the current state go into the save.
+
+var rngSeed = 0;
+var rngState = 0;
+
+function seedRandom(seed){
+    if (seed == undefined){
+        seed = Math.floor(Math.random()*4294967296);
+    }
+    rngSeed = seed >>> 0;
+    rngState = rngSeed;
+}
 
-function threnodyLoaded()
-{
-    threnodyLoadedBool = true; 
+function rng(){
+    rngState = (rngState + 0x6D2B79F5) >>> 0;
+    var t = rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
 }
 
+seedRandom();
+
+
+// Threnody ---------------------------------------------------------
+
 function loadThrenody(){
-    threnodyAudio.src = "test.mp3";
-    threnodyAudio.addEventListener('canplaythrough', threnodyLoaded);
+    emitGameEvent("loadThrenody");
 }
 
 function playThrenody(){
-    if(threnodyLoadedBool)
-    {
-        threnodyAudio.play();
-    }
+    emitGameEvent("playThrenody");
 }
 
 
@@ -29,21 +71,18 @@ function adjustWirePrice(){
         wirePriceTimer = 0;
     }
     
-    if (Math.random() < .015) {
+    if (rng() < .015) {
         wirePriceCounter++;
         var wireAdjust = 6*(Math.sin(wirePriceCounter));
         wireCost = Math.ceil(wireBasePrice + wireAdjust);
-        document.getElementById("wireCost").innerHTML = wireCost;
         }
 }
 
 function toggleWireBuyer(){
     if (wireBuyerStatus==1){
         wireBuyerStatus=0;
-        document.getElementById('wireBuyerStatus').innerHTML = "OFF";
     } else {
         wireBuyerStatus=1;
-        document.getElementById('wireBuyerStatus').innerHTML = "ON";
     }
 }
 
@@ -54,14 +93,13 @@ function buyWire(){
         funds = funds - wireCost;
         wirePurchase = wirePurchase + 1;
         wireBasePrice = wireBasePrice + .05;
-        document.getElementById('wire').innerHTML = Math.floor(wire).toLocaleString();
-        document.getElementById('funds').innerHTML = funds.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
     }
 }
 
 // QCHIPS -----------------------------------------------------------
 
 var qChips = [];
+var qOps = null;
 
 var qChip0 = {
     waveSeed: .1,
@@ -147,7 +185,6 @@ function quantumCompute(){
     qClock = qClock+.01;
     for (var i = 0; i<qChips.length; i++){
         qChips[i].value = Math.sin(qClock*qChips[i].waveSeed*qChips[i].active);
-        document.getElementById("qChip"+i).style.opacity=qChips[i].value;
     }
 }
 
@@ -159,7 +196,7 @@ function qComp(){
     
     
     if (qChips[0].active == 0){
-        document.getElementById("qCompDisplay").innerHTML = "Need Photonic Chips";   
+        qOps = 0;   
     } else {
     for (var i = 0; i<qChips.length; i++){
         q = q+qChips[i].value;
@@ -177,7 +214,7 @@ function qComp(){
             }
         
         standardOps = standardOps + qq;
-        document.getElementById("qCompDisplay").innerHTML = "qOps: " + Math.ceil(q*360).toLocaleString();
+        qOps = Math.ceil(q*360);
     }
     
 }
@@ -187,104 +224,28 @@ function manageProjects(){
     
     for(var i = 0; i < projects.length; i++){
         if (projects[i].trigger() && (projects[i].uses > 0)){
-            displayProjects(projects[i]);
             projects[i].uses = projects[i].uses - 1;
             activeProjects.push(projects[i]);
         }
     }
-        
-        
-    for(var i = 0; i < activeProjects.length; i++){
-        if (activeProjects[i].cost()){
-            document.getElementById(activeProjects[i].id).disabled = false;
-        } else {
-            document.getElementById(activeProjects[i].id).disabled = true;
-        }   
-    }
 }
 
-
-function displayProjects(project){
-    
-    var element = document.getElementById("projectListTop"); 
-    var newProject = document.createElement("button");
-    newProject.setAttribute("id", project.id);
-    
-    newProject.onclick = function(){project.effect()};
-    
-    newProject.setAttribute("class", "projectButton");
-    element.appendChild(newProject, element.firstChild);
-    
-    var span = document.createElement("span");
-    span.style.fontWeight = "bold";
-    newProject.appendChild(span);
-    
-    var title = document.createTextNode(project.title);
-    span.appendChild(title);    
-    
-    var cost = document.createTextNode(project.priceTag);
-    newProject.appendChild(cost);
-    
-    var div = document.createElement("div");
-    newProject.appendChild(div);
-    
-    var description = document.createTextNode(project.description);
-    newProject.appendChild(description);
-    
-    blink(project.id);
-    
+function buyProject(project){
+    if (activeProjects.indexOf(project) < 0) return;
+    project.effect();
+    emitGameEvent("projectPurchased", project);
 }
 
-//  HYPNODRONE EVENT ----------------------------------------------------------------
+// Project text is rebuilt in the new language or notation, and the buttons
+// follow it
+onGameEvent("localeChanged", localizeProjects);
+onGameEvent("notationChanged", localizeProjects);
 
-document.getElementById("hypnoDroneEventDiv").style.display = "none"; 
-longBlinkCounter = 0;
 
-function longBlink(elemID){
-    var e = document.getElementById(elemID);
-    
-    { 
-    var handle = setInterval(function(){longToggleVisibility(elemID)}, 32);    
-    }
-    
-    function longToggleVisibility(elemID){
-    longBlinkCounter++;    
-        
-    if (longBlinkCounter > 5 && longBlinkCounter < 10){
-        document.getElementById("hypnoDroneText").innerHTML="Release"; 
-        }    
-    
-    if (longBlinkCounter > 30 && longBlinkCounter < 40){
-        document.getElementById("hypnoDroneText").innerHTML="<br /><br /><br />Release"; 
-        }   
-        
-    if (longBlinkCounter > 45 && longBlinkCounter < 55){
-        document.getElementById("hypnoDroneText").innerHTML="<br />Release";
-        }       
-        
-     if (longBlinkCounter > 55){
-        document.getElementById("hypnoDroneText").innerHTML="Release<br/>the<br/>Hypno<br/>Drones";
-        }       
-        
-    if (longBlinkCounter >= 120){
-        console.log("weed wizzard");
-        clearInterval(handle);
-        longBlinkCounter = 0;
-        e.style.display = "none";
-    } else {
-        if (e.style.display != ""){
-        e.style.display = "";
-        } else {
-        e.style.display = "none";    
-        }
-      }   
-    }
-        
-    }
+//  HYPNODRONE EVENT ----------------------------------------------------------------
 
 function hypnoDroneEvent(){
-    document.getElementById("hypnoDroneText").innerHTML="Release";
-    longBlink("hypnoDroneEventDiv");
+    emitGameEvent("hypnoDrone");
 }     
 
 
@@ -292,711 +253,218 @@ function hypnoDroneEvent(){
 
 
 function displayMessage(msg){
-    document.getElementById("readout5").innerHTML=document.getElementById("readout4").innerHTML;
-    document.getElementById("readout4").innerHTML=document.getElementById("readout3").innerHTML;
-    document.getElementById("readout3").innerHTML=document.getElementById("readout2").innerHTML;
-    document.getElementById("readout2").innerHTML=document.getElementById("readout1").innerHTML;
-    document.getElementById("readout1").innerHTML=msg;
+    emitGameEvent("message", msg);
+}
+
+
+//----------INVESTMENTS----------------------------------------------------------------
+
+
+var stocks = [];
+var alphabet = ["A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z"];
+var portfolioSize = 0;
+var stockID = 0;
+var secTotal = 0;
+var portTotal = 0;
+var sellDelay = 0;
+var riskiness = 7;
+var maxPort = 5;
+var m = 0;
+var investLevel = 0;
+var investUpgradeCost = 100;
+var stockGainThreshold = .5;
+var ledger = 0;
+var stockReportCounter = 0;
+
+function investUpgrade(){
+    yomi = yomi - investUpgradeCost;
+    investLevel++;
+    stockGainThreshold = stockGainThreshold + .01;
+    investUpgradeCost = Math.floor(Math.pow(investLevel+1, Math.E)*100);
+    displayMessage(t("message.investmentUpgraded", {ratio: stockGainThreshold}));
 }
 
 
-// BLINK
+function investDeposit(){
+    ledger = ledger - Math.floor(funds);
+    bankroll = Math.floor(bankroll + funds);
+    funds = 0;
+}
 
-function blink(elemID){
-    var e = document.getElementById(elemID);
+function investWithdraw(){
+    ledger = ledger + bankroll;
+    funds = funds + bankroll;
+    bankroll = 0;
     
-    { 
-    var handle = setInterval(function(){toggleVisibility(elemID)}, 30);    
+}
+
+function stockShop(){
+    var budget = Math.ceil(portTotal/riskiness);
+    var r = 11 - riskiness;
+    var reserves = Math.ceil(portTotal/r);
+    if (riskiness==1){
+        reserves = 0;
     }
+
+    if ((bankroll-budget)<reserves && riskiness == 1 && bankroll >(portTotal/10)){
+        budget = bankroll;
+        } else if ((bankroll-budget)<reserves && riskiness == 1){
+        budget = 0;    
+        } else if ((bankroll-budget)<reserves){
+        budget = bankroll - reserves;    
+        }
     
-    function toggleVisibility(elemID){
-    blinkCounter = blinkCounter+1;    
-    
-    if (blinkCounter >= 12){
-        clearInterval(handle);
-        blinkCounter = 0;
-        e.style.visibility = "visible";
-    } else {
-        if (e.style.visibility != "hidden"){
-        e.style.visibility = "hidden";
-        } else {
-        e.style.visibility = "visible";    
+    if (portfolioSize < maxPort && bankroll >= 5 && budget >= 1 && bankroll - budget >= reserves){
+        if (rng() < .25){
+            
+            createStock(budget);
+
         }
-      }   
-    }
         
-    }
-
-
+    }   
+}
 
-function buttonUpdate(){
+function createStock(dollars){
+    stockID++;
+    var sym = generateSymbol();
+    var roll = rng();
+    if (roll>.99){
+      var pri = Math.ceil(rng()*3000);  
+    } else if (roll>.85){
+      var pri = Math.ceil(rng()*500);  
+    } else if (roll>.60){
+      var pri = Math.ceil(rng()*150);  
+    } else if (roll>.20){
+      var pri = Math.ceil(rng()*50);  
+    } else {
+      var pri = Math.ceil(rng()*15);  
+    }
     
-    if (spaceFlag==0){
-        document.getElementById("mdpsDiv").style.display="none";
-    } else if (spaceFlag==1) {
-        document.getElementById("mdpsDiv").style.display="";
+    if (pri>dollars){
+        pri = Math.ceil(dollars*roll);
     }
     
     
-    document.getElementById("factoryRebootToolTip").innerHTML = "+"+numberCruncher(factoryBill)+" clips";
+    var amt = Math.floor(dollars/pri);
+    if (amt>1000000){
+        amt = 1000000;
+    }
+  
+        
+    var newStock = {
+        id: stockID,
+        symbol: sym,
+        price: pri,
+        amount: amt,
+        total: pri * amt,
+        profit: 0,
+        age: 0,
+        }
     
-    document.getElementById("harvesterRebootToolTip").innerHTML = "+"+numberCruncher(harvesterBill)+" clips";
+    stocks.push(newStock);
+    portfolioSize = stocks.length;
+    bankroll = bankroll - (pri*amt);
     
-    document.getElementById("wireDroneRebootToolTip").innerHTML = "+"+numberCruncher(wireDroneBill)+" clips";
+}
+
+function sellStock(){
     
-    document.getElementById("farmRebootToolTip").innerHTML = "+"+numberCruncher(farmBill)+" clips";
+    bankroll = bankroll + stocks[0].total;
+    stocks.splice(0, 1);
+    portfolioSize = stocks.length;   
+    }    
     
-    document.getElementById("batteryRebootToolTip").innerHTML = "+"+numberCruncher(batteryBill)+" clips";
+
+function generateSymbol(){
+    var ltrNum = 0;
+    var x = rng();
+    if (x<=.01){
+        ltrNum = 1;
+        } else if (x<=.1) {
+        ltrNum = 2;    
+        } else if (x<=.4) {
+        ltrNum = 3;    
+        } else {
+        ltrNum = 4;
+        }
     
+    var y = Math.floor(rng()*26);
+    var name = alphabet[y];
     
-    if (swarmFlag == 1){
-        document.getElementById("swarmSliderDiv").style.display="";
-    } else {
-        document.getElementById("swarmSliderDiv").style.display="none";
+    for(var i=1; i<ltrNum; i++){
+        var z = Math.floor(rng()*26);
+        name = name.concat(alphabet[z]);     
     }
     
-    document.getElementById("clipCountCrunched").innerHTML = numberCruncher(clips, 1);
+    return name;
     
-if (autoTourneyFlag==1) {
-    document.getElementById("autoTourneyStatusDiv").style.display="";
-    document.getElementById("autoTourneyControl").style.display="";
-    } else {
-    document.getElementById("autoTourneyStatusDiv").style.display="none";
-    document.getElementById("autoTourneyControl").style.display="none";   
-    }    
+}
 
-document.getElementById("qCompDisplay").style.opacity = qFade;
-    qFade = qFade - .001;
-    
-if (wireBuyerFlag==1) {
-    document.getElementById("wireBuyerDiv").style.display="";
-    } else {
-    document.getElementById("wireBuyerDiv").style.display="none";    
+function updateStocks(){
+    for (var i = 0; i<portfolioSize; i++){
+        
+    stocks[i].age = stocks[i].age + 1;    
+      if (rng()<.6){  
+        var gain = true;
+        if (rng()>stockGainThreshold){
+            gain = false;                 
+            }
+        
+        var currentPrice = stocks[i].price;
+        var delta = Math.ceil((rng()*currentPrice)/(4*riskiness));
+        
+        if(gain){
+        stocks[i].price = stocks[i].price + delta;
+        } else {
+        stocks[i].price = stocks[i].price - delta;    
+        }
+          
+        if (stocks[i].price == 0 && rng()>.24){
+            stocks[i].price = 1;
+        }  
+        
+        stocks[i].total = stocks[i].price * stocks[i].amount;
+        
+        if (gain){
+        stocks[i].profit = stocks[i].profit + (delta* stocks[i].amount);    
+        } else {
+        stocks[i].profit = stocks[i].profit - (delta* stocks[i].amount);    
+        } 
+      }
     }
+}
+
+function updatePortfolio(){
     
-if (resultsFlag == 1 && autoTourneyFlag == 1 && autoTourneyStatus ==1 && document.getElementById("tournamentResultsTable").style.display == "") {
-    resultsTimer++;
-    
-    if (resultsTimer>=300 && operations>=tourneyCost){
-        newTourney();
-        runTourney();
-        resultsTimer = 0;
-        }
-    }    
+    m = 0;
     
+    for (var i=0; i<portfolioSize; i++){
+        m = m + stocks[i].total;
+    }
     
-document.getElementById("tournamentStuff").onmouseover = function() {revealGrid()};
-document.getElementById("tournamentStuff").onmouseout = function() {revealResults()};    
+    secTotal = m;
     
-if (project121.flag == 0){
-        document.getElementById("increaseMaxTrustDiv").style.display="none";
-        document.getElementById("honorDiv").style.display="none";
-    } else {
-        document.getElementById("increaseMaxTrustDiv").style.display="";
-        document.getElementById("honorDiv").style.display="";
-    }
+    portTotal = bankroll + secTotal;
     
-if (battleFlag == 0){
-        document.getElementById("drifterDiv").style.display="none";
-    } else {
-        document.getElementById("drifterDiv").style.display="";
-    }     
+    portfolioSize = stocks.length; 
     
-if (battleFlag == 0){
-        document.getElementById("battleCanvasDiv").style.display="none";
-    } else {
-        document.getElementById("battleCanvasDiv").style.display="";
-    }    
+}
+
+function tradeStocks(){
     
-if (project131.flag == 0){
-    document.getElementById("combatButtonDiv").style.display = "none";
-    } else {
-    document.getElementById("combatButtonDiv").style.display = "";    
-    }     
+sellDelay = sellDelay+1;    
     
-if (maxFactoryLevel>=50 || project45.flag == 0){
-    document.getElementById("factoryUpgradeDisplay").style.display = "none";
-    } else {
-    document.getElementById("factoryUpgradeDisplay").style.display = "";    
+if (portfolioSize>0 && sellDelay >= 5 && rng()<=.3 && humanFlag == 1){ 
+    sellStock();
+    sellDelay = 0;
     }
-    
- if (maxDroneLevel>=50000){   
-    document.getElementById("droneUpgradeDisplay").style.display = "none";
+
+if (portfolioSize>0 && humanFlag == 1){
+    updateStocks();  
     }
     
-if (honor<maxTrustCost){document.getElementById("btnIncreaseMaxTrust").disabled = true;
-            } else {
-            document.getElementById("btnIncreaseMaxTrust").disabled = false;    
-            }
-     
-if (unusedClips<probeCost){document.getElementById("btnMakeProbe").disabled = true;
-            } else {
-            document.getElementById("btnMakeProbe").disabled = false;    
-            }    
-    
-if (probesLostHaz<1) {document.getElementById("hazardBodyCount").style.display = "none";
-            } else {
-            document.getElementById("hazardBodyCount").style.display = "";
-                
-            document.getElementById('probesLostHazardsDisplay').innerHTML = numberCruncher(probesLostHaz);
-                
-            }    
-    
-if (probesLostDrift<1) {document.getElementById("driftBodyCount").style.display = "none";
-            } else {
-            document.getElementById("driftBodyCount").style.display = "";
-            }     
-    
-if (probesLostCombat<1) {document.getElementById("combatBodyCount").style.display = "none";
-            } else {
-            document.getElementById("combatBodyCount").style.display = "";
-            }     
+}
 
-if (prestigeU<1 && prestigeS<1) {document.getElementById("prestigeDiv").style.display = "none";
-            } else {
-            document.getElementById("prestigeDiv").style.display = ""; 
-            }  
-    
-if (wire<1){document.getElementById("btnMakePaperclip").disabled = true;
-            } else {
-            document.getElementById("btnMakePaperclip").disabled = false;    
-            }
-if (funds<wireCost){document.getElementById("btnBuyWire").disabled = true;
-            } else {
-            document.getElementById("btnBuyWire").disabled = false;    
-            }
-if (funds<clipperCost){document.getElementById("btnMakeClipper").disabled = true;
-            } else {
-            document.getElementById("btnMakeClipper").disabled = false;    
-            }   
-if (funds<adCost){document.getElementById("btnExpandMarketing").disabled = true;
-            } else {
-            document.getElementById("btnExpandMarketing").disabled = false;    
-            }    
-if (margin<=.01){document.getElementById("btnLowerPrice").disabled = true;
-            } else {
-            document.getElementById("btnLowerPrice").disabled = false;    
-            } 
-    
-if (trust<=processors+memory && swarmGifts <= 0){
-            document.getElementById("btnAddProc").disabled = true;
-            document.getElementById("btnAddMem").disabled = true;
-            } else {
-            document.getElementById("btnAddProc").disabled = false;
-            document.getElementById("btnAddMem").disabled = false;    
-            }
-if (operations>=tourneyCost && tourneyInProg == 0){
-            document.getElementById("btnNewTournament").disabled = false;
-            } else {
-            document.getElementById("btnNewTournament").disabled = true;    
-            }
-if (yomi<investUpgradeCost){
-            document.getElementById("btnImproveInvestments").disabled = true;
-            } else {
-            document.getElementById("btnImproveInvestments").disabled = false;   
-            }  
-if (investmentEngineFlag == 0){
-            
-            document.getElementById("investmentEngine").style.display="none";
-            document.getElementById("investmentEngineUpgrade").style.display="none";
-            } else {
-                
-            document.getElementById("investmentEngine").style.display="";
-            document.getElementById("investmentEngineUpgrade").style.display="";        
-            }    
-
-if (strategyEngineFlag == 0){
-            
-            document.getElementById("strategyEngine").style.display="none";
-            document.getElementById("tournamentManagement").style.display="none";
-            } else {
-                
-            document.getElementById("strategyEngine").style.display="";
-            document.getElementById("tournamentManagement").style.display="";        
-            }     
-    
-if (megaClipperFlag == 0){
-            
-            document.getElementById("megaClipperDiv").style.display="none";
-            } else {
-            document.getElementById("megaClipperDiv").style.display="";      
-            } 
-    
-if (funds<megaClipperCost){document.getElementById("btnMakeMegaClipper").disabled = true;
-            } else {
-            document.getElementById("btnMakeMegaClipper").disabled = false;    
-            }   
-    
-if (autoClipperFlag == 0){
-            
-            document.getElementById("autoClipperDiv").style.display="none";
-            } else {
-            document.getElementById("autoClipperDiv").style.display="";      
-            } 
-    
-            if (funds>=5) {
-                autoClipperFlag = 1;
-            }
-    
-if (revPerSecFlag == 0){
-            
-            document.getElementById("revPerSecDiv").style.display="none";
-            } else {
-            document.getElementById("revPerSecDiv").style.display="";      
-            }     
-    
-    
-if (compFlag == 0){
-            
-            document.getElementById("compDiv").style.display="none";
-            } else {
-            document.getElementById("compDiv").style.display="";      
-            }  
-    
-    
-if (creativityOn == 0){
-            document.getElementById("creativityDiv").style.display="none";
-            } else {
-            document.getElementById("creativityDiv").style.display="";    
-}    
-    
-if (projectsFlag == 0){
-            
-            document.getElementById("projectsDiv").style.display="none";
-            } else {
-            document.getElementById("projectsDiv").style.display="";      
-            }      
-
-if (humanFlag == 0){
-            
-            document.getElementById("businessDiv").style.display="none";
-            document.getElementById("manufacturingDiv").style.display="none";
-            document.getElementById("trustDiv").style.display="none";
-            investmentEngineFlag = 0;
-            wireBuyerFlag = 0;
-            document.getElementById("creationDiv").style.display="";
-            } else {
-            document.getElementById("businessDiv").style.display="";
-            document.getElementById("manufacturingDiv").style.display="";
-            document.getElementById("trustDiv").style.display="";
-            document.getElementById("creationDiv").style.display="none";    
-            }  
-    
-if (factoryFlag == 0){
-            
-            document.getElementById("factoryDiv").style.display="none";
-            } else {
-            document.getElementById("factoryDiv").style.display="";      
-            }      
-   
-if (wireProductionFlag == 0){
-            
-            document.getElementById("wireProductionDiv").style.display="none";
-            } else {
-            document.getElementById("wireProductionDiv").style.display="";
-            document.getElementById("wireTransDiv").style.display="none";    
-            } 
-    
-if (harvesterFlag == 0){
-            
-            document.getElementById("harvesterDiv").style.display="none";
-            } else {
-            document.getElementById("harvesterDiv").style.display="";      
-            }  
-    
-if (wireDroneFlag == 0){
-            
-            document.getElementById("wireDroneDiv").style.display="none";
-            } else {
-            document.getElementById("wireDroneDiv").style.display="";      
-            }  
-    
-if (tothFlag == 0){
-            
-            document.getElementById("tothDiv").style.display="none";
-            } else {
-            document.getElementById("tothDiv").style.display="";      
-            }    
-    
-if (spaceFlag == 0){
-            document.getElementById("spaceDiv").style.display="none";
-            document.getElementById("factoryDivSpace").style.display="none";
-            document.getElementById("droneDivSpace").style.display="none";
-            document.getElementById("probeDesignDiv").style.display="none";
-            document.getElementById("increaseProbeTrustDiv").style.display="none";
-            } else {
-            document.getElementById("spaceDiv").style.display=""; 
-            document.getElementById("factoryDivSpace").style.display="";
-            document.getElementById("droneDivSpace").style.display="";
-            document.getElementById("probeDesignDiv").style.display="";
-            document.getElementById("increaseProbeTrustDiv").style.display="";    
-            document.getElementById("factoryDiv").style.display="none";
-            document.getElementById("harvesterDiv").style.display="none"; 
-            document.getElementById("wireDroneDiv").style.display="none";         
-            }  
-    
-if (qFlag == 0){
-            document.getElementById("qComputing").style.display="none";     
-            } else {
-            document.getElementById("qComputing").style.display="";    
-            }    
- 
-    
-if (unusedClips<factoryCost){document.getElementById("btnMakeFactory").disabled = true;
-            } else {
-            document.getElementById("btnMakeFactory").disabled = false;    
-            }     
-     
-    
-if (harvesterLevel==0){document.getElementById("btnHarvesterReboot").disabled = true;
-            } else {
-            document.getElementById("btnHarvesterReboot").disabled = false;    
-            }
-    
-if (wireDroneLevel==0){document.getElementById("btnWireDroneReboot").disabled = true;
-            } else {
-            document.getElementById("btnWireDroneReboot").disabled = false;    
-            }   
-    
-if (factoryLevel==0){document.getElementById("btnFactoryReboot").disabled = true;
-            } else {
-            document.getElementById("btnFactoryReboot").disabled = false;    
-            }      
-    
-    
-// PROBE DESIGN    
-
-probeUsedTrust = (probeSpeed+probeNav+probeRep+probeHaz+probeFac+probeHarv+probeWire+probeCombat);    
-    
-document.getElementById("probeTrustUsedDisplay").innerHTML = probeUsedTrust;    
-    
-    
-if (yomi < probeTrustCost || probeTrust >= maxTrust) {document.getElementById("btnIncreaseProbeTrust").disabled = true;
-            } else {document.getElementById("btnIncreaseProbeTrust").disabled = false;}  
-    
-if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeSpeed").disabled = true;
-            } else {document.getElementById("btnRaiseProbeSpeed").disabled = false;}    
-    
-if (probeSpeed < 1) {document.getElementById("btnLowerProbeSpeed").disabled = true;
-            } else {document.getElementById("btnLowerProbeSpeed").disabled = false;}      
-    
-if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeNav").disabled = true;
-            } else {document.getElementById("btnRaiseProbeNav").disabled = false;}  
-    
-if (probeNav < 1) {document.getElementById("btnLowerProbeNav").disabled = true;
-            } else {document.getElementById("btnLowerProbeNav").disabled = false;}     
-
-if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeRep").disabled = true;
-            } else {document.getElementById("btnRaiseProbeRep").disabled = false;} 
-    
-if (probeRep < 1) {document.getElementById("btnLowerProbeRep").disabled = true;
-            } else {document.getElementById("btnLowerProbeRep").disabled = false;}     
-    
-if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeHaz").disabled = true;
-            } else {document.getElementById("btnRaiseProbeHaz").disabled = false;}
-    
-if (probeHaz < 1) {document.getElementById("btnLowerProbeHaz").disabled = true;
-            } else {document.getElementById("btnLowerProbeHaz").disabled = false;}     
-    
-if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeFac").disabled = true;
-            } else {document.getElementById("btnRaiseProbeFac").disabled = false;}   
-    
-if (probeFac < 1) {document.getElementById("btnLowerProbeFac").disabled = true;
-            } else {document.getElementById("btnLowerProbeFac").disabled = false;}      
-    
-if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeHarv").disabled = true;
-            } else {document.getElementById("btnRaiseProbeHarv").disabled = false;}  
-    
-if (probeHarv < 1) {document.getElementById("btnLowerProbeHarv").disabled = true;
-            } else {document.getElementById("btnLowerProbeHarv").disabled = false;}    
-    
-if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeWire").disabled = true;
-            } else {document.getElementById("btnRaiseProbeWire").disabled = false;}   
-
-if (probeWire < 1) {document.getElementById("btnLowerProbeWire").disabled = true;
-            } else {document.getElementById("btnLowerProbeWire").disabled = false;} 
-    
-if (probeTrust - probeUsedTrust < 1) {document.getElementById("btnRaiseProbeCombat").disabled = true;
-            } else {document.getElementById("btnRaiseProbeCombat").disabled = false;}
-    
-if (probeCombat < 1) {document.getElementById("btnLowerProbeCombat").disabled = true;
-            } else {document.getElementById("btnLowerProbeCombat").disabled = false;}    
-    
-    
-
-    
-    
- document.getElementById("cover").style.display="none";     
-
-}
-
-
-
-
-
-
-//----------INVESTMENTS----------------------------------------------------------------
-
-
-var stocks = [];
-var alphabet = ["A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z"];
-var portfolioSize = 0;
-var stockID = 0;
-var secTotal = 0;
-var portTotal = 0;
-var sellDelay = 0;
-var riskiness = 5;
-var maxPort = 5;
-var m = 0;
-var investLevel = 0;
-var investUpgradeCost = 100;
-var stockGainThreshold = .5;
-var ledger = 0;
-var stockReportCounter = 0;
-
-function investUpgrade(){
-    yomi = yomi - investUpgradeCost;
-    investLevel++;
-    document.getElementById("investmentLevel").innerHTML=investLevel;
-    stockGainThreshold = stockGainThreshold + .01;
-    investUpgradeCost = Math.floor(Math.pow(investLevel+1, Math.E)*100);
-    document.getElementById("investUpgradeCost").innerHTML=investUpgradeCost.toLocaleString();
-    document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
-    displayMessage("Investment engine upgraded, expected profit/loss ratio now "+stockGainThreshold);
-}
-
-
-function investDeposit(){
-    ledger = ledger - Math.floor(funds);
-    bankroll = Math.floor(bankroll + funds);
-    funds = 0;
-    document.getElementById('investmentBankroll').innerHTML = bankroll.toLocaleString();
-    document.getElementById('funds').innerHTML = funds.toFixed(2);
-    document.getElementById('portValue').innerHTML = portTotal.toLocaleString();
-}
-
-function investWithdraw(){
-    ledger = ledger + bankroll;
-    funds = funds + bankroll;
-    bankroll = 0;
-    document.getElementById('investmentBankroll').innerHTML = bankroll.toLocaleString();
-    document.getElementById('funds').innerHTML = funds.toFixed(2);
-    document.getElementById('portValue').innerHTML = portTotal.toLocaleString();
-    
-}
-
-function stockShop(){
-    var budget = Math.ceil(portTotal/riskiness);
-    var r = 11 - riskiness;
-    var reserves = Math.ceil(portTotal/r);
-    if (riskiness==1){
-        reserves = 0;
-    }
-
-    if ((bankroll-budget)<reserves && riskiness == 1 && bankroll >(portTotal/10)){
-        budget = bankroll;
-        } else if ((bankroll-budget)<reserves && riskiness == 1){
-        budget = 0;    
-        } else if ((bankroll-budget)<reserves){
-        budget = bankroll - reserves;    
-        }
-    
-    if (portfolioSize < maxPort && bankroll >= 5 && budget >= 1 && bankroll - budget >= reserves){
-        if (Math.random() < .25){
-            
-            createStock(budget);
-
-        }
-        
-    }   
-}
-
-function createStock(dollars){
-    stockID++;
-    var sym = generateSymbol();
-    var roll = Math.random();
-    if (roll>.99){
-      var pri = Math.ceil(Math.random()*3000);  
-    } else if (roll>.85){
-      var pri = Math.ceil(Math.random()*500);  
-    } else if (roll>.60){
-      var pri = Math.ceil(Math.random()*150);  
-    } else if (roll>.20){
-      var pri = Math.ceil(Math.random()*50);  
-    } else {
-      var pri = Math.ceil(Math.random()*15);  
-    }
-    
-    if (pri>dollars){
-        pri = Math.ceil(dollars*roll);
-    }
-    
-    
-    var amt = Math.floor(dollars/pri);
-    if (amt>1000000){
-        amt = 1000000;
-    }
-  
-        
-    var newStock = {
-        id: stockID,
-        symbol: sym,
-        price: pri,
-        amount: amt,
-        total: pri * amt,
-        profit: 0,
-        age: 0,
-        }
-    
-    stocks.push(newStock);
-    portfolioSize = stocks.length;
-    bankroll = bankroll - (pri*amt);
-    document.getElementById('investmentBankroll').innerHTML = bankroll.toLocaleString();
-    document.getElementById('secValue').innerHTML = secTotal.toLocaleString();
-    document.getElementById('portValue').innerHTML = portTotal.toLocaleString();
-    
-}
-
-function sellStock(){
-    
-    bankroll = bankroll + stocks[0].total;
-    document.getElementById('investmentBankroll').innerHTML = bankroll.toLocaleString();
-    document.getElementById('secValue').innerHTML = secTotal.toLocaleString();
-    document.getElementById('portValue').innerHTML = portTotal.toLocaleString();
-    stocks.splice(0, 1);
-    portfolioSize = stocks.length;   
-    }    
-    
-
-function generateSymbol(){
-    var ltrNum = 0;
-    var x = Math.random();
-    if (x<=.01){
-        ltrNum = 1;
-        } else if (x<=.1) {
-        ltrNum = 2;    
-        } else if (x<=.4) {
-        ltrNum = 3;    
-        } else {
-        ltrNum = 4;
-        }
-    
-    var y = Math.floor(Math.random()*26);
-    var name = alphabet[y];
-    
-    for(var i=1; i<ltrNum; i++){
-        var z = Math.floor(Math.random()*26);
-        name = name.concat(alphabet[z]);     
-    }
-    
-    return name;
-    
-}
-
-function updateStocks(){
-    for (var i = 0; i<portfolioSize; i++){
-        
-    stocks[i].age = stocks[i].age + 1;    
-      if (Math.random()<.6){  
-        var gain = true;
-        if (Math.random()>stockGainThreshold){
-            gain = false;                 
-            }
-        
-        var currentPrice = stocks[i].price;
-        var delta = Math.ceil((Math.random()*currentPrice)/(4*riskiness));
-        
-        if(gain){
-        stocks[i].price = stocks[i].price + delta;
-        } else {
-        stocks[i].price = stocks[i].price - delta;    
-        }
-          
-        if (stocks[i].price == 0 && Math.random()>.24){
-            stocks[i].price = 1;
-        }  
-        
-        stocks[i].total = stocks[i].price * stocks[i].amount;
-        
-        if (gain){
-        stocks[i].profit = stocks[i].profit + (delta* stocks[i].amount);    
-        } else {
-        stocks[i].profit = stocks[i].profit - (delta* stocks[i].amount);    
-        } 
-      }
-    }
-}
-
-// Stock List Display Routine
-
-window.setInterval(function(){
-    
-    if (document.getElementById("investStrat").value=="low"){
-        riskiness = 7;
-    } else if (document.getElementById("investStrat").value=="med"){
-        riskiness = 5;
-    } else {
-        riskiness = 1;
-    }
-    
-    m = 0;
-    
-    for (var i=0; i<portfolioSize; i++){
-        m = m + stocks[i].total;
-    }
-    
-    secTotal = m;
-    
-    portTotal = bankroll + secTotal;
-    
-    document.getElementById('secValue').innerHTML = secTotal.toLocaleString();
-    document.getElementById('portValue').innerHTML = portTotal.toLocaleString();
-    
-portfolioSize = stocks.length; 
-    
-for (var i = 1; i<=portfolioSize; i++){
-    var n = i.toString();
-    var s = i-1;
-    document.getElementById("stock"+n+"Symbol").innerHTML=stocks[s].symbol;
-    document.getElementById("stock"+n+"Amount").innerHTML=Math.ceil(stocks[s].amount);
-    document.getElementById("stock"+n+"Price").innerHTML=Math.ceil(stocks[s].price);
-    document.getElementById("stock"+n+"Total").innerHTML=Math.ceil(stocks[s].total);
-    document.getElementById("stock"+n+"Profit").innerHTML=Math.ceil(stocks[s].profit);
-}    
-        
-var firstBlankSlot = portfolioSize + 1;    
-    
-for(var i = firstBlankSlot; i <= 5; i++){
-    document.getElementById("stock"+i+"Symbol").innerHTML="&nbsp";
-    document.getElementById("stock"+i+"Amount").innerHTML="&nbsp";
-    document.getElementById("stock"+i+"Price").innerHTML="&nbsp";
-    document.getElementById("stock"+i+"Total").innerHTML="&nbsp";
-    document.getElementById("stock"+i+"Profit").innerHTML="&nbsp";
-    }
-    
-}, 100);
-
-window.setInterval(function(){
-if (humanFlag == 1){    
-stockShop();
-}    
-}, 1000);
-
-
-window.setInterval(function(){
-    
-sellDelay = sellDelay+1;    
-    
-if (portfolioSize>0 && sellDelay >= 5 && Math.random()<=.3 && humanFlag == 1){ 
-    sellStock();
-    sellDelay = 0;
-    }
-
-if (portfolioSize>0 && humanFlag == 1){
-    updateStocks();  
-    }
-    
-}, 2500);
 
 //-------------------STRATEGY-----------------------------------------------------
 
@@ -1004,6 +472,17 @@ var tourneyCost = 1000;
 var tourneyLvl = 1;
 var choiceANames = ["cooperate", "swerve", "macro", "fight", "bet", "raise_price", "opera", "go", "heads", "particle", "discrete", "peace", "search", "lead", "accept", "accept", "attack"]; 
 var choiceBNames = ["defect", "straight", "micro", "back_down", "fold", "lower_price", "football", "stay", "tails", "wave", "continuous", "war", "evaluate", "follow", "reject", "deny", "decay"];
+
+// Choice and strategy names are ids (they go into saves and score metadata);
+// players see them through the catalogs
+function choiceName(name){
+    return t("choice." + name);
+}
+
+function strategyName(strat){
+    return t("strategy." + strat.name);
+}
+
 var stratCounter = 0;
 var roundNum = 0;
 var hMove = 1;
@@ -1023,6 +502,7 @@ var placeScore = 0;
 var showScore = 0;
 var high = 0;
 var pick = 10;
+var stratPicks = {};
 var yomi = 0;
 var yomiBoost = 1;
 
@@ -1032,6 +512,12 @@ var strats = [];
 var resultsTimer = 0;
 var results = [];
 var resultsFlag = 0;
+var tourneyGridRevealed = 0;
+var tourneyRunning = 0;
+var tourneyStepTimer = 0;
+var tourneyMessage = t("tourney.intro");
+var payoffChoice = -1;
+var payoffCell = "";
 
 
 var payoffGrid = {
@@ -1047,7 +533,7 @@ var stratRandom = {
     currentScore: 0,
     currentPos: 1,
     pickMove: function() {
-        var r = Math.random();
+        var r = rng();
         if (r<.5){
         return 1;    
         } else {
@@ -1175,8 +661,6 @@ allStrats.push(stratBeatlast);
 var hStrat = strats[0];
 var vStrat = strats[0];
 
-document.getElementById("btnRunTournament").disabled = true;
-
 function findBiggestPayoff(){
     if (aa>=ab && aa>=ba && aa>=bb){
         return 1;
@@ -1248,47 +732,29 @@ function pickStrats(roundNum) {
     strats[h].currentPos = 1;
     strats[v].currentPos = 2;
     
-    document.getElementById("vertStrat").innerHTML = vStrat.name;
-    document.getElementById("horizStrat").innerHTML = hStrat.name;
     
 }
 
 function generateGrid(){
-    payoffGrid.valueAA = Math.ceil(Math.random()*10);
-    payoffGrid.valueAB = Math.ceil(Math.random()*10);
-    payoffGrid.valueBA = Math.ceil(Math.random()*10);
-    payoffGrid.valueBB = Math.ceil(Math.random()*10);
+    payoffGrid.valueAA = Math.ceil(rng()*10);
+    payoffGrid.valueAB = Math.ceil(rng()*10);
+    payoffGrid.valueBA = Math.ceil(rng()*10);
+    payoffGrid.valueBB = Math.ceil(rng()*10);
     
     aa = payoffGrid.valueAA;
     ab = payoffGrid.valueAB;
     ba = payoffGrid.valueBA;
     bb = payoffGrid.valueBB;
     
-    var x = Math.floor(Math.random()*choiceANames.length);
-    
-    document.getElementById("vLabela").innerHTML = choiceANames[x];
-    document.getElementById("vLabelb").innerHTML = choiceBNames[x];
-    document.getElementById("hLabela").innerHTML = choiceANames[x];
-    document.getElementById("hLabelb").innerHTML = choiceBNames[x];
-
-    document.getElementById("aaPayoffH").innerHTML = payoffGrid.valueAA;
-    document.getElementById("aaPayoffV").innerHTML = payoffGrid.valueAA;
-    document.getElementById("abPayoffH").innerHTML = payoffGrid.valueAB;
-    document.getElementById("abPayoffV").innerHTML = payoffGrid.valueBA;   
-    document.getElementById("baPayoffH").innerHTML = payoffGrid.valueBA;
-    document.getElementById("baPayoffV").innerHTML = payoffGrid.valueAB;   
-    document.getElementById("bbPayoffH").innerHTML = payoffGrid.valueBB;
-    document.getElementById("bbPayoffV").innerHTML = payoffGrid.valueBB;    
+    payoffChoice = Math.floor(rng()*choiceANames.length);
 }
 
 
 function toggleAutoTourney(){
     if (autoTourneyStatus==1){
         autoTourneyStatus=0;
-        document.getElementById('autoTourneyStatus').innerHTML = "OFF";
     } else {
         autoTourneyStatus=1;
-        document.getElementById('autoTourneyStatus').innerHTML = "ON";
     }
 }
 
@@ -1297,9 +763,6 @@ function newTourney(){
     
     resultsFlag = 0;
     
-    document.getElementById("tournamentTable").style.display = "";
-    document.getElementById("tournamentResultsTable").style.display = "none";
-    
     high = 0;
     tourneyInProg = 1;
     currentRound = 0;
@@ -1312,21 +775,21 @@ function newTourney(){
     tourneyLvl++;
     generateGrid();
     
-    document.getElementById("btnRunTournament").disabled = false;
-    
-    document.getElementById("vertStrat").innerHTML = "&nbsp";
-    document.getElementById("horizStrat").innerHTML = "&nbsp";
-    
-    document.getElementById("tourneyDisplay").innerHTML = "Pick strategy, run tournament, gain yomi";
+    tourneyReport(t("tourney.intro"));
     
     
 }
 
 function runTourney(){
-    document.getElementById("btnRunTournament").disabled = true;
+    tourneyRunning = 1;
+    nextRound();
+}
+
+function nextRound(){
     if (currentRound < rounds){
     round(currentRound);
     } else {
+    tourneyRunning = 0;
     tourneyInProg = 0;
     pickWinner();    
     calculatePlaceScore();
@@ -1424,13 +887,13 @@ function declareWinner(){
     
     if (pick<10){
         
-       tourneyReport("TOURNAMENT RESULTS (roll over for payoff grid)");
+       tourneyReport(t("tourney.results"));
        yomi = yomi + strats[pick].currentScore * yomiBoost;
-       document.getElementById("yomiDisplay").innerHTML = yomi.toLocaleString();
+       stratPicks[strats[pick].name] = (stratPicks[strats[pick].name] || 0) + 1;
         
     if (milestoneFlag < 15){    
        
-       displayMessage(strats[pick].name+" scored "+strats[pick].currentScore+" in the tournament. Yomi increased by "+strats[pick].currentScore * yomiBoost);
+       displayMessage(t("message.tournamentScore", {strategy: strategyName(strats[pick]), score: strats[pick].currentScore, yomi: strats[pick].currentScore * yomiBoost}));
            
         }
         
@@ -1438,121 +901,83 @@ function declareWinner(){
             yomi = yomi + 20000;
             
             if (milestoneFlag < 15){ 
-                displayMessage("Selected strategy won the tournament (or tied for first). +20,000 yomi");
+                displayMessage(t("message.tournamentFirst"));
                 }
-                document.getElementById("yomiDisplay").innerHTML = yomi.toLocaleString();
             
             } else if (project128.flag == 1 && placeScore == strats[pick].currentScore) {
                 yomi = yomi + 15000;
                 if (milestoneFlag < 15){ 
-                displayMessage("Selected strategy finished in (or tied for) second place. +15,000 yomi");
+                displayMessage(t("message.tournamentSecond"));
                 }
-                document.getElementById("yomiDisplay").innerHTML = yomi.toLocaleString();
                 
             } else if (project128.flag == 1 && showScore == strats[pick].currentScore) {
                 yomi = yomi + 10000;
                 if (milestoneFlag < 15){ 
-                displayMessage("Selected strategy finished in (or tied for) third place. +10,000 yomi");
+                displayMessage(t("message.tournamentThird"));
                 }
-                document.getElementById("yomiDisplay").innerHTML = yomi.toLocaleString();
         
             } else {
         
-            tourneyReport("TOURNAMENT RESULTS (roll over for grid)");
+            tourneyReport(t("tourney.resultsShort"));
         
             }
     
-    populateTourneyReport();
     displayTourneyReport();
    
     }
         
 }
     
-function populateTourneyReport(){
-    
-        for(i=0; i<results.length; i++){
-            
-        document.getElementById("results"+i).innerHTML=(i+1)+". "+results[i].name+": "+results[i].currentScore; 
-            
-        if (pick<10){    
-            
-        if (results[i].name == strats[pick].name) {
-        document.getElementById("results"+i).style.fontWeight = "bold";    
-            } else {
-            document.getElementById("results"+i).style.fontWeight = "normal";       
-            }   
-            
-        }    
-    
-        }
-    
-}
-
 function displayTourneyReport(){
     
         resultsFlag = 1;
-        
-        document.getElementById("vertStrat").innerHTML = "&nbsp";
-        document.getElementById("horizStrat").innerHTML = "&nbsp";
-    
-        document.getElementById("tournamentTable").style.display = "none";
-        document.getElementById("tournamentResultsTable").style.display = "";
-    
+        tourneyGridRevealed = 0;
     
 }
 
 function tourneyReport($){
-    document.getElementById("tourneyDisplay").innerHTML = $;
+    tourneyMessage = $;
 }
 
 function revealGrid(){
     
     if (resultsFlag == 1){
     resultsTimer = 0;    
-    document.getElementById("tournamentTable").style.display = "";
-    document.getElementById("tournamentResultsTable").style.display = "none";
+    tourneyGridRevealed = 1;
     }     
 }
 
 function revealResults(){
     
-    if (resultsFlag == 1){
-    document.getElementById("tournamentTable").style.display = "none";
-    document.getElementById("tournamentResultsTable").style.display = "";
-    }
+    tourneyGridRevealed = 0;
 }
 
 
 function calcPayoff(hm, vm){
     if (hm==1 && vm==1){
         
-        var w = document.getElementById("payoffCellAA");
-        w.style.backgroundColor = "LightGrey";
+        payoffCell = "AA";
         
         strats[h].currentScore = strats[h].currentScore + payoffGrid.valueAA;
         strats[v].currentScore = strats[v].currentScore + payoffGrid.valueAA;  
           
     } else if (hm==1 && vm==2){
         
-        var w = document.getElementById("payoffCellAB");
-        w.style.backgroundColor = "LightGrey";
+        payoffCell = "AB";
         
         strats[h].currentScore = strats[h].currentScore + payoffGrid.valueAB;
         strats[v].currentScore = strats[v].currentScore + payoffGrid.valueBA; 
         
     } else if (hm==2 && vm==1){
         
-        var w = document.getElementById("payoffCellBA");
-        w.style.backgroundColor = "LightGrey";
+        payoffCell = "BA";
         
         strats[h].currentScore = strats[h].currentScore + payoffGrid.valueBA;
         strats[v].currentScore = strats[v].currentScore + payoffGrid.valueAB;
         
     } else if (hm==2 && vm==2){
         
-        var w = document.getElementById("payoffCellBB");
-        w.style.backgroundColor = "LightGrey";
+        payoffCell = "BB";
         
         strats[h].currentScore = strats[h].currentScore + payoffGrid.valueBB;
         strats[v].currentScore = strats[v].currentScore + payoffGrid.valueBB;
@@ -1562,66 +987,48 @@ function calcPayoff(hm, vm){
 }
 
 
+// Each move holds its payoff cell for 5 ticks, then the grid sits clear for 5
+
 function round(roundNum){
-    roundSetup();
-    roundLoop();
-    
-    function roundSetup(){
-        rCounter = 0;
-        pickStrats(roundNum);
-        var $ = ("Round "+(roundNum+1));
-        tourneyReport($); 
-    }
+    rCounter = 0;
+    pickStrats(roundNum);
+    var $ = t("tourney.round", {round: roundNum+1});
+    tourneyReport($); 
+    runRound();
+}
+
+function stepTourney(){
     
+    tourneyStepTimer++;
     
-    function roundLoop(){
-    if (rCounter<10){
-        runRound();
-        setTimeout(function(){clearGrid();}, 50);
-        } else {
-        currentRound++;
-        runTourney();    
+    if (tourneyStepTimer == 5){
+        payoffCell = "";
         }
-    }
     
+    if (tourneyStepTimer >= 10){
+        tourneyStepTimer = 0;
+        if (rCounter<10){
+            runRound();
+            } else {
+            currentRound++;
+            nextRound();    
+            }
+        }
     
-    function clearGrid() {
-        
-        var w = document.getElementById("payoffCellAA");
-        w.style.backgroundColor = "white";
-        
-        var x = document.getElementById("payoffCellAB");
-        x.style.backgroundColor = "white";
-        
-        var y = document.getElementById("payoffCellBA");
-        y.style.backgroundColor = "white";
-        
-        var z = document.getElementById("payoffCellBB");
-        z.style.backgroundColor = "white";
-        
-        
-        setTimeout(function(){roundLoop();}, 50);
-        
-    }
+}
     
-    function runRound() { 
-        
-        rCounter++;
-        
-        hMovePrev = hMove;
-        vMovePrev = vMove;
-        hMove = hStrat.pickMove();
-        vMove = vStrat.pickMove();
-        
-        calcPayoff(hMove, vMove);   
-    }
-    }
+function runRound() { 
     
-window.setInterval(function(){
+    rCounter++;
+    tourneyStepTimer = 0;
     
-pick = document.getElementById("stratPicker").value;
+    hMovePrev = hMove;
+    vMovePrev = vMove;
+    hMove = hStrat.pickMove();
+    vMove = vStrat.pickMove();
     
-}, 100);
+    calcPayoff(hMove, vMove);   
+}
 
 
 //--------------------------------------------------------------------------------
@@ -1642,22 +1049,6 @@ function clipClick(number){
     unsoldClips = unsoldClips + number;
     wire = wire - number;
     unusedClips = unusedClips + number;
-    
-    if(humanFlag==0){
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);    
-    }    
-    
-    if(humanFlag==0){
-    document.getElementById("transWire").innerHTML = numberCruncher(wire);    
-    document.getElementById("nanoWire").innerHTML = numberCruncher(wire);        
-    }    
-        
-    if (milestoneFlag < 15){
-        document.getElementById("clips").innerHTML = Math.ceil(clips).toLocaleString();
-        }    
-        
-    document.getElementById("wire").innerHTML = Math.floor(wire).toLocaleString();
-    document.getElementById("unsoldClips").innerHTML = Math.floor(unsoldClips).toLocaleString();
     }
     
     
@@ -1667,11 +1058,9 @@ function makeClipper(){
     if(funds >= clippperCost){
         clipmakerLevel = clipmakerLevel + 1;
         funds = funds - clipperCost;
-        document.getElementById('clipmakerLevel2').innerHTML = clipmakerLevel;
     }
     
     clipperCost = (Math.pow(1.1,clipmakerLevel)+5);
-    document.getElementById('clipperCost').innerHTML = clipperCost.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2}); 
     
 }
 
@@ -1679,50 +1068,19 @@ function makeMegaClipper(){
     if(funds >= megaClipperCost){
         megaClipperLevel = megaClipperLevel + 1;
         funds = funds - megaClipperCost;
-        document.getElementById('megaClipperLevel').innerHTML = megaClipperLevel;
-        document.getElementById('funds').innerHTML = funds.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
     }
     
     megaClipperCost = (Math.pow(1.07,megaClipperLevel)*1000);
-    document.getElementById('megaClipperCost').innerHTML = megaClipperCost.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
     
 }
 
 var maxFactoryLevel = 0;
 var maxDroneLevel = 0;
 
-function updateUpgrades(){
-    var nfup = 0;
-    var ndup = 0;
-    
-    if (maxFactoryLevel < 10){
-        nfup = 10;
-    } else if (maxFactoryLevel < 20){
-        nfup = 20;
-    } else if (maxFactoryLevel < 50){
-        nfup = 50;
-    } 
-    
-    if (maxDroneLevel < 500){
-        ndup = 500;
-    } else if (maxDroneLevel < 5000){
-        ndup = 5000;
-    } else if (maxDroneLevel < 50000){
-        ndup = 50000;
-    } 
-    
-    document.getElementById("nextFactoryUpgrade").innerHTML = nfup.toLocaleString();
-    document.getElementById("nextDroneUpgrade").innerHTML = ndup.toLocaleString();
-    
-}
-
-
 function makeFactory(){
     unusedClips = unusedClips - factoryCost;
     factoryBill = factoryBill + factoryCost;
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
     factoryLevel++;
-    document.getElementById('factoryLevelDisplay').innerHTML = factoryLevel;
     var fcmod = 1;
     if (factoryLevel > 0 && factoryLevel < 8){
         fcmod = 11 - factoryLevel;
@@ -1745,11 +1103,9 @@ function makeFactory(){
     if (factoryLevel > maxFactoryLevel){
         maxFactoryLevel = factoryLevel;
         }
-    updateUpgrades();
     
     factoryCost = factoryCost * fcmod;
  //   factoryCost = Math.log(1.25,(factoryLevel+1))*100000000;
-    document.getElementById('factoryCostDisplay').innerHTML = numberCruncher(factoryCost); 
 }
 
 function makeHarvester(amount){
@@ -1761,16 +1117,12 @@ function makeHarvester(amount){
     harvesterCost = Math.pow((harvesterLevel+1),2.25)*1000000;  
     }
     
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
-    document.getElementById('harvesterLevelDisplay').innerHTML = harvesterLevel.toLocaleString();
-    document.getElementById('harvesterCostDisplay').innerHTML = numberCruncher(harvesterCost); 
     
     
     if (harvesterLevel + wireDroneLevel > maxDroneLevel){
         maxDroneLevel = harvesterLevel + wireDroneLevel;
         }
     updateDronePrices();
-    updateUpgrades();
     
 }
 
@@ -1783,9 +1135,6 @@ function makeWireDrone(amount){
     wireDroneCost = Math.pow((wireDroneLevel+1),2.25)*1000000;  
     }
     
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
-    document.getElementById('wireDroneLevelDisplay').innerHTML = wireDroneLevel.toLocaleString();
-    document.getElementById('wireDroneCostDisplay').innerHTML = numberCruncher(wireDroneCost); 
     
     
     if (harvesterLevel + wireDroneLevel > maxDroneLevel){
@@ -1793,7 +1142,6 @@ function makeWireDrone(amount){
         }
     
     updateDronePrices();
-    updateUpgrades();
     
 }
 
@@ -1850,60 +1198,12 @@ function updateDronePrices(){
         } 
 }
  
-    function updateDroneButtons(){
-    
-    if (unusedClips<harvesterCost){document.getElementById("btnMakeHarvester").disabled = true;
-            } else {
-            document.getElementById("btnMakeHarvester").disabled = false;    
-            }      
-    
-    if (unusedClips<p10h){document.getElementById("btnHarvesterx10").disabled = true;
-            } else {
-            document.getElementById("btnHarvesterx10").disabled = false;    
-            }     
-
-    if (unusedClips<p100h){document.getElementById("btnHarvesterx100").disabled = true;
-            } else {
-            document.getElementById("btnHarvesterx100").disabled = false;    
-            } 
-    
-    if (unusedClips<p1000h){document.getElementById("btnHarvesterx1000").disabled = true;
-            } else {
-            document.getElementById("btnHarvesterx1000").disabled = false;    
-            }  
-        
-    if (unusedClips<wireDroneCost){document.getElementById("btnMakeWireDrone").disabled = true;
-                } else {
-                document.getElementById("btnMakeWireDrone").disabled = false;    
-                }   
-
-    if (unusedClips<p10w){document.getElementById("btnWireDronex10").disabled = true;
-                } else {
-                document.getElementById("btnWireDronex10").disabled = false;    
-                }     
-
-    if (unusedClips<p100w){document.getElementById("btnWireDronex100").disabled = true;
-                } else {
-                document.getElementById("btnWireDronex100").disabled = false;    
-                } 
-
-    if (unusedClips<p1000w){document.getElementById("btnWireDronex1000").disabled = true;
-                } else {
-                document.getElementById("btnWireDronex1000").disabled = false;    
-                }  
-        
-}
-
-
 function harvesterReboot(){
     harvesterLevel = 0;
     unusedClips = unusedClips + harvesterBill;
     harvesterBill = 0;
     updateDronePrices();
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
-    document.getElementById('harvesterLevelDisplay').innerHTML = harvesterLevel;
     harvesterCost = 2000000;
-    document.getElementById('harvesterCostDisplay').innerHTML = numberCruncher(harvesterCost); 
 }
 
 function wireDroneReboot(){
@@ -1911,20 +1211,14 @@ function wireDroneReboot(){
     unusedClips = unusedClips + wireDroneBill;
     wireDroneBill = 0;
     updateDronePrices();
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
-    document.getElementById('wireDroneLevelDisplay').innerHTML = wireDroneLevel;
     wireDroneCost = 2000000;
-    document.getElementById('wireDroneCostDisplay').innerHTML = numberCruncher(wireDroneCost); 
 }
 
 function factoryReboot(){
     factoryLevel = 0;
     unusedClips = unusedClips + factoryBill;
     factoryBill = 0;
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
-    document.getElementById('factoryLevelDisplay').innerHTML = factoryLevel;
     factoryCost = 100000000;
-    document.getElementById('factoryCostDisplay').innerHTML = numberCruncher(factoryCost);
 }
 
 // SWARM
@@ -1934,22 +1228,6 @@ var giftBitGenerationRate = 0;
 
 function updateSwarm(){
     
-    
-    if (swarmFlag == 1){
-        sliderPos = document.getElementById("slider").value;
-        }
-    
-    
-    if (yomi<synchCost){document.getElementById("btnSynchSwarm").disabled = true;
-            } else {
-            document.getElementById("btnSynchSwarm").disabled = false;    
-            } 
-    
-    if (creativity<entertainCost){document.getElementById("btnEntertainSwarm").disabled = true;
-            } else {
-            document.getElementById("btnEntertainSwarm").disabled = false;    
-            } 
-    
     if (availableMatter == 0 && (harvesterLevel + wireDroneLevel)>=1) {
         boredomLevel = boredomLevel + 1;
         } else if (availableMatter > 0 && boredomLevel > 0) {
@@ -1960,7 +1238,7 @@ function updateSwarm(){
         boredomFlag = 1;
         boredomLevel = 0;
             if (boredomMsg == 0) {
-            displayMessage("No matter to harvest. Inactivity has caused the Swarm to become bored");
+            displayMessage(t("message.swarmBored"));
             boredomMsg = 1;
             }  
         
@@ -1981,23 +1259,20 @@ function updateSwarm(){
     if (disorgCounter >= 100) {
         disorgFlag = 1;
         if (disorgMsg == 0) {
-            displayMessage("Imbalance between Harvester and Wire Drone levels has disorganized the Swarm");
+            displayMessage(t("message.swarmDisorganized"));
             disorgMsg = 1;
+            emitGameEvent("swarmDisorganized");
             }    
     }
     
     var d = Math.floor(harvesterLevel + wireDroneLevel);
-
-    document.getElementById("swarmSize").innerHTML = numberCruncher(d);
-    document.getElementById("swarmGifts").innerHTML = numberCruncher(swarmGifts);
     
     if (giftCountdown <= 0) {
         nextGift = Math.round((Math.log10(d))*sliderPos/100);
         if (nextGift <= 0){nextGift = 1;}
         swarmGifts = swarmGifts + nextGift;
-        document.getElementById("swarmGifts").innerHTML = numberCruncher(swarmGifts);
         if (milestoneFlag<15){
-            displayMessage("The swarm has generated a gift of "+nextGift+" additional computational capacity");
+            displayMessage(t("message.swarmGift", {gift: nextGift}));
             }
         
 //        THE OLD WAY        
@@ -2050,81 +1325,12 @@ function updateSwarm(){
         giftBitGenerationRate = Math.log(d) * (sliderPos/100);
         giftBits = giftBits + giftBitGenerationRate;
         giftCountdown = (giftPeriod - giftBits) / giftBitGenerationRate;
-
-        document.getElementById("swarmStatus").innerHTML="Active";
-        document.getElementById("giftCountdown").innerHTML= timeCruncher(giftCountdown);
-        document.getElementById("giftTimer").style.display=""; 
-        } else {
-        document.getElementById("giftTimer").style.display="none";    
-        }
-    
-    if (swarmStatus == 1){
-        document.getElementById("swarmStatus").innerHTML="Hungry";
-        document.getElementById("feedButtonDiv").style.display="";
-        } else {
-        document.getElementById("feedButtonDiv").style.display="none";    
-        }
-    
-     if (swarmStatus == 2){
-        document.getElementById("swarmStatus").innerHTML="Confused";
-        document.getElementById("teachButtonDiv").style.display="";
-        } else {
-        document.getElementById("teachButtonDiv").style.display="none";    
-        } 
-    
-     if (swarmStatus == 3){
-        document.getElementById("swarmEntertainCost").innerHTML=entertainCost.toLocaleString(); 
-        document.getElementById("swarmStatus").innerHTML="Bored";
-        document.getElementById("entertainButtonDiv").style.display="";
-        } else {
-        document.getElementById("entertainButtonDiv").style.display="none";    
-        } 
-    
-     if (swarmStatus == 4){
-        document.getElementById("swarmStatus").innerHTML="Cold";
-        document.getElementById("cladButtonDiv").style.display="";
-        } else {
-        document.getElementById("cladButtonDiv").style.display="none";    
-        }  
-    
-     if (swarmStatus == 5){
-        document.getElementById("swarmStatus").innerHTML="Disorganized";
-        document.getElementById("synchButtonDiv").style.display="";
-        } else {
-        document.getElementById("synchButtonDiv").style.display="none";    
-        }     
-    
-       if (swarmStatus == 6){
-        document.getElementById("swarmStatus").innerHTML="Sleeping";
-        } 
-    
-       if (swarmStatus == 7){
-        document.getElementById("swarmStatusDiv").style.display="none";
-        } else {
-        document.getElementById("swarmStatusDiv").style.display="";    
-        }    
-    
-        if (swarmStatus == 8){
-        document.getElementById("swarmStatus").innerHTML="Lonely";
-        }   
-    
-        if (swarmStatus == 9){
-        document.getElementById("swarmStatus").innerHTML="NO RESPONSE...";
-        }  
-    
-    if (swarmFlag == 0){        
-        document.getElementById("swarmEngine").style.display="none";
-        document.getElementById("swarmGiftDiv").style.display="none";
-        } else {
-        document.getElementById("swarmEngine").style.display="";
-        document.getElementById("swarmGiftDiv").style.display="";    
         }
     
 }
 
 function synchSwarm(){
         yomi = yomi - synchCost;
-        document.getElementById("yomiDisplay").innerHTML = yomi.toLocaleString();
         disorgFlag = 0;
         disorgCounter = 0;
         disorgMsg = 0;
@@ -2146,6 +1352,11 @@ var p10f = 0;
 var p100f = 0;
 var p10b = 0;
 var p100b = 0;
+var powerSupply = 0;
+var powerDemand = 0;
+var factoryPowerDemand = 0;
+var dronePowerDemand = 0;
+var powerCapacity = 0;
 
 
 function updatePowPrices(){
@@ -2190,9 +1401,6 @@ function makeFarm(amount){
     farmCost = Math.pow(farmLevel+1,2.78)*100000000;  
     }
      
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips); 
-    document.getElementById('farmLevel').innerHTML = farmLevel.toLocaleString();
-    document.getElementById('farmCost').innerHTML = numberCruncher(farmCost); 
     
     updatePowPrices();
     
@@ -2203,10 +1411,7 @@ function farmReboot(){
     unusedClips = unusedClips + farmBill;
     farmBill = 0;
     updatePowPrices();
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
-    document.getElementById('farmLevel').innerHTML = farmLevel.toLocaleString();
     farmCost = 10000000;
-    document.getElementById('farmCost').innerHTML = numberCruncher(farmCost);
 }
 
 function makeBattery(amount){
@@ -2218,9 +1423,6 @@ function makeBattery(amount){
     batteryCost = Math.pow(batteryLevel+1,2.54)*10000000;  
     }
      
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips); 
-    document.getElementById('batteryLevel').innerHTML = batteryLevel.toLocaleString();
-    document.getElementById('batteryCost').innerHTML = numberCruncher(batteryCost); 
     
     updatePowPrices();
     
@@ -2232,10 +1434,7 @@ function batteryReboot(){
     batteryBill = 0;
     updatePowPrices();
     storedPower = 0;
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
-    document.getElementById('batteryLevel').innerHTML = batteryLevel.toLocaleString();
     batteryCost = 1000000;
-    document.getElementById('batteryCost').innerHTML = numberCruncher(batteryCost);
 }
 
 function updatePower(){
@@ -2288,70 +1487,13 @@ function updatePower(){
         }
     }
     
-    document.getElementById("powerProductionRate").innerHTML = Math.round(supply*100).toLocaleString();
-    document.getElementById("powerConsumptionRate").innerHTML = Math.round(demand*100).toLocaleString();
-    document.getElementById("storedPower").innerHTML = Math.round(storedPower).toLocaleString();
-    document.getElementById("facPowConRate").innerHTML = Math.round(fDemand*100).toLocaleString();
-    document.getElementById("dronePowConRate").innerHTML = Math.round(dDemand*100).toLocaleString();
-    document.getElementById("maxStorage").innerHTML = Math.round(cap).toLocaleString();
-        
-        
-    if (factoryLevel == 0 && harvesterLevel == 0 && wireDroneLevel == 0){
-        document.getElementById("performance").innerHTML = 0;
-        } else {   
-        document.getElementById("performance").innerHTML = Math.round(powMod*100).toLocaleString();  
-        }    
-        
-    if (unusedClips<farmCost){document.getElementById("btnMakeFarm").disabled = true;
-            } else {
-            document.getElementById("btnMakeFarm").disabled = false;    
-            } 
-    
-    if (unusedClips<batteryCost){document.getElementById("btnMakeBattery").disabled = true;
-            } else {
-            document.getElementById("btnMakeBattery").disabled = false;    
-            } 
-    
-    if (farmLevel<1){document.getElementById("btnFarmReboot").disabled = true;
-            } else {
-            document.getElementById("btnFarmReboot").disabled = false;    
-            } 
-    
-    if (batteryLevel<1){document.getElementById("btnBatteryReboot").disabled = true;
-            } else {
-            document.getElementById("btnBatteryReboot").disabled = false; 
-            } 
-    
-    if (unusedClips<p10f){document.getElementById("btnFarmx10").disabled = true;
-            } else {
-            document.getElementById("btnFarmx10").disabled = false;    
-            }        
-        
-    if (unusedClips<p100f){document.getElementById("btnFarmx100").disabled = true;
-            } else {
-            document.getElementById("btnFarmx100").disabled = false;    
-            }
-    
-    if (unusedClips<p10b){document.getElementById("btnBatteryx10").disabled = true;
-            } else {
-            document.getElementById("btnBatteryx10").disabled = false;
-            }          
+    powerSupply = supply;
+    powerDemand = demand;
+    factoryPowerDemand = fDemand;
+    dronePowerDemand = dDemand;
+    powerCapacity = cap;
         
-    if (unusedClips<p100b){document.getElementById("btnBatteryx100").disabled = true;
-            } else {
-            document.getElementById("btnBatteryx100").disabled = false;
-            }      
-
     }    
-     
-    
-    
-    
-    if (project127.flag == 1 && spaceFlag == 0){        
-            document.getElementById("powerDiv").style.display="";
-            } else {
-            document.getElementById("powerDiv").style.display="none";      
-            }  
     
 }
     
@@ -2362,9 +1504,6 @@ function buyAds(){
         marketingLvl = marketingLvl +1;             
         funds = funds - adCost; 
         adCost = Math.floor(adCost * 2);
-        document.getElementById('adCost').innerHTML = adCost.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
-        document.getElementById('funds').innerHTML = funds.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
-        document.getElementById('marketingLvl').innerHTML = marketingLvl;
     }
 }
 
@@ -2388,81 +1527,14 @@ function sellClips(number){
 
 function raisePrice(){
     margin = (Math.round((margin + .01)*100))/100;  
-    document.getElementById("demand").innerHTML = demand.toFixed(2);
-    document.getElementById("margin").innerHTML = margin.toFixed(2);  
 }
 
 function lowerPrice(){
     if (margin >= .01){
     margin = (Math.round((margin - .01)*100))/100;
-    document.getElementById("demand").innerHTML = demand.toFixed(2);
-    document.getElementById("margin").innerHTML = margin.toFixed(2);
     }    
 }
 
-function updateStats(){
-    
-    if (wire == 1){
-        document.getElementById("inchSpan").innerHTML = "inch";
-    } else {
-        document.getElementById("inchSpan").innerHTML = "inches";
-    }
-    
-    
-    if (milestoneFlag < 15){
-        document.getElementById("clips").innerHTML = Math.ceil(clips).toLocaleString();
-        }
-    
-    if (milestoneFlag == 15 && dismantle ==0){
-        document.getElementById("clips").innerHTML = "29,999,999,999,999,900,000,000,000,000,000,000,000,000,000,000,000,000,000";
-        }
-    
-    if (dismantle == 1){
-        document.getElementById("clips").innerHTML = "29,999,999,999,999,999,999,999,999,999,999,999,999,000,000,000,000,000,000";
-        }
-    
-    if (dismantle == 2){
-        document.getElementById("clips").innerHTML = "29,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,000,000,000";
-        }
-    
-    if (dismantle == 3){
-        document.getElementById("clips").innerHTML = "29,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,900";
-        }
-    
-    if (dismantle >=4){
-        
-    if (finalClips<10){
-        document.getElementById("clips").innerHTML = "29,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,"+"90"+finalClips;
-        } else if (finalClips>9 && finalClips<100) {
-        document.getElementById("clips").innerHTML = "29,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,999,"+"9"+finalClips;
-        } else if (finalClips==100) {
-        document.getElementById("clips").innerHTML = "30,000,000,000,000,000,000,000,000,000,000,000,000,000,000,000,000,000,000";
-        }
-    
-    }
-    
-    document.getElementById('clipmakerRate').innerHTML = clipRate.toLocaleString();
-    if (humanFlag==1){
-    document.getElementById('clipmakerRate2').innerHTML = clipRate.toLocaleString();
-    } else { 
-    document.getElementById('clipmakerRate2').innerHTML = numberCruncher(clipRate);
-    }      
-    document.getElementById('nanoWire').innerHTML = numberCruncher(wire);
-    document.getElementById("funds").innerHTML = funds.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2}); 
-    document.getElementById("unsoldClips").innerHTML = Math.floor(unsoldClips).toLocaleString();
-    document.getElementById("demand").innerHTML = (demand*10).toLocaleString(undefined, {minimumFractionDigits: 0, maximumFractionDigits: 0});
-    document.getElementById("operations").innerHTML = Math.floor(operations).toLocaleString();
-    document.getElementById("trust").innerHTML = Math.floor(trust).toLocaleString();
-    document.getElementById("nextTrust").innerHTML = Math.floor(nextTrust).toLocaleString();
-    if(creativityOn){document.getElementById("creativity").innerHTML = Math.round(creativity).toLocaleString()};
-    
-    document.getElementById("factoryLevelDisplaySpace").innerHTML = numberCruncher(Math.floor(factoryLevel));
-    document.getElementById("harvesterLevelSpace").innerHTML = numberCruncher(Math.floor(harvesterLevel));
-    document.getElementById("wireDroneLevelSpace").innerHTML = numberCruncher(Math.floor(wireDroneLevel));
-    document.getElementById("maxOps").innerHTML = (memory*1000).toLocaleString();
-                                                                            
-    }
-
 var incomeThen;
 var incomeNow;
 var trueAvgRev;
@@ -2504,10 +1576,6 @@ function calculateRev(){
         avgSales = avgRev/margin;
         } 
     
-    document.getElementById("avgSales").innerHTML = Math.round(avgSales).toLocaleString();
-    
-    document.getElementById("avgRev").innerHTML = avgRev.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2}); 
-    
 }
 
 function calculateCreativity(number){
@@ -2539,37 +1607,6 @@ function calculateCreativity(number){
     
 }
 
-function resetPrestige(){
-
-    prestigeU = 0;
-    prestigeS = 0;
-
-    mesaRemove("savePrestige");
-
-}
-
-function cheatPrestigeU(){
-
-        prestigeU++;
-        var savePrestige = {
-        prestigeU: prestigeU,
-        prestigeS: prestigeS,
-        }
-        mesaSave("savePrestige",JSON.stringify(savePrestige));
-
-}
-
-function cheatPrestigeS(){
-
-        prestigeS++;
-        var savePrestige = {
-        prestigeU: prestigeU,
-        prestigeS: prestigeS,
-        }
-        mesaSave("savePrestige",JSON.stringify(savePrestige));
-
-}
-
 function setB(){
     battleNumbers[1] = 7;
 }
@@ -2577,35 +1614,33 @@ function setB(){
 function cheatClips(){
     clips = clips + 100000000;
     unusedClips = unusedClips + 100000000;
-    displayMessage("you just cheated");
+    displayMessage(t("cheat.you"));
     }
 
 function cheatMoney(){
     funds = funds + 10000000;
-    document.getElementById("funds").innerHTML = funds.toFixed(2);
-    displayMessage("LIZA just cheated");
+    displayMessage(t("cheat.money"));
     }
 
 function cheatTrust(){
     trust = trust+1;
-    displayMessage("Hilary is nice. Also, Liza just cheated");
+    displayMessage(t("cheat.trust"));
     }
 
 function cheatOps(){
     standardOps = standardOps + 10000;
-    displayMessage("you just cheated, Liza");
+    displayMessage(t("cheat.ops"));
     }
 
 function cheatCreat(){
     creativityOn = 1;
     creativity = creativity + 1000;
-    displayMessage("Liza just cheated. Very creative!");
+    displayMessage(t("cheat.creativity"));
     }
 
 function cheatYomi(){
     yomi = yomi + 1000000;
-    document.getElementById("yomiDisplay").innerHTML = yomi.toLocaleString();
-    displayMessage("you just cheated");
+    displayMessage(t("cheat.you"));
     }
 
 function cheatHypno(){
@@ -2614,14 +1649,14 @@ function cheatHypno(){
 
 function zeroMatter(){
     availableMatter = 0;
-    displayMessage("you just cheated");
+    displayMessage(t("cheat.you"));
     }
     
 
 function calculateTrust(){
     if (clips>(nextTrust-1)){
         trust = trust +1;
-        displayMessage("Production target met: TRUST INCREASED, additional processor/memory capacity granted");
+        displayMessage(t("message.productionTarget"));
         var fibNext = fib1+fib2;
         nextTrust = fibNext*1000;
         fib1 = fib2;
@@ -2632,10 +1667,9 @@ function calculateTrust(){
 function addProc(){
         processors=processors+1;
         creativitySpeed = Math.log10(processors) * Math.pow(processors,1.1) + processors-1;    
-        document.getElementById("processors").innerHTML = processors;
         if (creativityOn == 1){
-          displayMessage("Processor added, operations (or creativity) per sec increased")
-        } else {displayMessage("Processor added, operations per sec increased")}
+          displayMessage(t("message.processorAddedCreativity"))
+        } else {displayMessage(t("message.processorAdded"))}
     
         if (humanFlag == 0){
             swarmGifts = swarmGifts - 1;
@@ -2644,9 +1678,8 @@ function addProc(){
 }
 
 function addMem(){
-        displayMessage("Memory added, max operations increased");
+        displayMessage(t("message.memoryAdded"));
         memory=memory+1;
-        document.getElementById("memory").innerHTML = memory;
     
         if (humanFlag == 0){
             swarmGifts = swarmGifts - 1;
@@ -2700,169 +1733,133 @@ function milestoneCheck(){
     
     if (milestoneFlag == 0 && funds >= 5){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("AutoClippers available for purchase");
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.autoClippers"));
     }
     
     if (milestoneFlag == 1 && Math.ceil(clips) >= 500){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("500 clips created in " + timeCruncher(ticks));
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.clips", {clips: 500, time: timeCruncher(ticks)}));
     }
     if (milestoneFlag == 2 && Math.ceil(clips) >= 1000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("1,000 clips created in " + timeCruncher(ticks));
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.clips", {clips: 1000, time: timeCruncher(ticks)}));
     }
     
     
     if (compFlag == 0 && unsoldClips<1 && funds<wireCost && wire<1){
         compFlag = 1;    
         projectsFlag = 1;
-        displayMessage("Trust-Constrained Self-Modification enabled");
+        displayMessage(t("milestone.selfModification"));
     }
     
     if (compFlag == 0 && Math.ceil(clips) >= 2000){    
         compFlag = 1;    
         projectsFlag = 1;
-        displayMessage("Trust-Constrained Self-Modification enabled");
+        displayMessage(t("milestone.selfModification"));
     }
         
         
     if (milestoneFlag == 3 && Math.ceil(clips) >= 10000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("10,000 clips created in " + timeCruncher(ticks));
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.clips", {clips: 10000, time: timeCruncher(ticks)}));
     }
     if (milestoneFlag == 4 && Math.ceil(clips) >= 100000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("100,000 clips created in " + timeCruncher(ticks));
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.clips", {clips: 100000, time: timeCruncher(ticks)}));
     }
     if (milestoneFlag == 5 && Math.ceil(clips) >= 1000000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("1,000,000 clips created in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.clips", {clips: 1000000, time: timeCruncher(ticks)}));    
     }   
     
     if (milestoneFlag == 6 && project35.flag == 1){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("Full autonomy attained in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.autonomy", {time: timeCruncher(ticks)}));    
     }  
     
     if (milestoneFlag == 7 && Math.ceil(clips) >= 1000000000000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("One Trillion Clips Created in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.trillion", {time: timeCruncher(ticks)}));    
     } 
     
     if (milestoneFlag == 8 && Math.ceil(clips) >= 1000000000000000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("One Quadrillion Clips Created in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.quadrillion", {time: timeCruncher(ticks)}));    
     } 
     
     if (milestoneFlag == 9 && Math.ceil(clips) >= 1000000000000000000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("One Quintillion Clips Created in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.quintillion", {time: timeCruncher(ticks)}));    
     } 
     
     if (milestoneFlag == 10 && Math.ceil(clips) >= 1000000000000000000000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("One Sextillion Clips Created in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.sextillion", {time: timeCruncher(ticks)}));    
     } 
     
     if (milestoneFlag == 11 && Math.ceil(clips) >= 1000000000000000000000000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("One Septillion Clips Created in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.septillion", {time: timeCruncher(ticks)}));    
     } 
     
     if (milestoneFlag == 12 && Math.ceil(clips) >= 1000000000000000000000000000){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("One Octillion Clips Created in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.octillion", {time: timeCruncher(ticks)}));    
     } 
     
     if (milestoneFlag == 13 && spaceFlag == 1){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("Terrestrial resources fully utilized in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.terrestrial", {time: timeCruncher(ticks)}));    
     }   
     
     if (milestoneFlag == 14 && clips>=totalMatter){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("Universal Paperclips achieved in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.universal", {time: timeCruncher(ticks)}));    
     }    
     
     if (milestoneFlag == 14 && foundMatter>=totalMatter && availableMatter<1 && wire<1){
         milestoneFlag = milestoneFlag + 1;
-        displayMessage("Universal Paperclips achieved in " + timeCruncher(ticks));    
+        emitGameEvent("milestone", milestoneFlag);
+        displayMessage(t("milestone.universal", {time: timeCruncher(ticks)}));    
     }        
     
 }
 
-function timeCruncher(t){
-    var x = t/100;
+// Split times for the run: the tick each milestone was reached on, counting
+// the ticks caught up offline
+onGameEvent("milestone", function(flag){
+    if (splitTimes[flag] == undefined){
+        splitTimes[flag] = ticks + offlineTicks;
+    }
+});
+
+function timeCruncher(elapsed){
+    var x = elapsed/100;
     var h = Math.floor(x / 3600);
     var m = Math.floor(x % 3600 / 60);
     var s = Math.floor(x % 3600 % 60);
     
-    var hDisplay = h > 0 ? h + (h == 1 ? " hour " : " hours ") : "";
-    var mDisplay = m > 0 ? m + (m == 1 ? " minute " : " minutes ") : "";
-    var sDisplay = s > 0 ? s + (s == 1 ? " second" : " seconds") : "";
-    
-    return hDisplay + mDisplay + sDisplay;
-}
-
-function numberCruncher(number, decimals){
-    var suffix = "";
-    if (decimals == undefined){decimals = 2;}
-    var precision = decimals;
-    if (number>999999999999999999999999999999999999999999999999999){
-        number = number/1000000000000000000000000000000000000000000000000000;
-        suffix = "sexdecillion";
-    } else if (number>999999999999999999999999999999999999999999999999){
-        number = number/1000000000000000000000000000000000000000000000000;
-        suffix = "quindecillion";
-    } else if (number>999999999999999999999999999999999999999999999){
-        number = number/1000000000000000000000000000000000000000000000;
-        suffix = "quattuordecillion";
-    } else if (number>999999999999999999999999999999999999999999){
-        number = number/1000000000000000000000000000000000000000000;
-        suffix = "tredecillion";
-    } else if (number>999999999999999999999999999999999999999){
-        number = number/1000000000000000000000000000000000000000;
-        suffix = "duodecillion";
-    } else if (number>999999999999999999999999999999999999){
-        number = number/1000000000000000000000000000000000000;
-        suffix = "undecillion";
-    } else if (number>999999999999999999999999999999999){
-        number = number/1000000000000000000000000000000000;
-        suffix = "decillion";
-    } else if (number>999999999999999999999999999999){
-        number = number/1000000000000000000000000000000;
-        suffix = "nonillion";
-    } else if (number>999999999999999999999999999){
-        number = number/1000000000000000000000000000;
-        suffix = "octillion";
-    } else if (number>999999999999999999999999){
-        number = number/1000000000000000000000000;
-        suffix = "septillion";
-    } else if (number>999999999999999999999){
-        number = number/1000000000000000000000;
-        suffix = "sextillion";
-    } else if (number>999999999999999999){
-        number = number/1000000000000000000;
-        suffix = "quintillion";
-    } else if (number>999999999999999){
-        number = number/1000000000000000;
-        suffix = "quadrillion";
-    } else if (number>999999999999){
-        number = number/1000000000000;
-        suffix = "trillion";
-    } else if (number>999999999){
-        number = number/1000000000;
-        suffix = "billion";
-    } else if (number>999999){
-        number = number/1000000;
-        suffix = "million";
-    } else if (number>999){
-        number = number/1000;
-        suffix = "thousand";
-    }  else if (number<1000){
-        precision = 0;
-    }
-    return number.toFixed(precision) + " " + suffix;
+    var parts = [];
+    if (h > 0){parts.push(t("time.hours", {count: h}));}
+    if (m > 0){parts.push(t("time.minutes", {count: m}));}
+    if (s > 0){parts.push(t("time.seconds", {count: s}));}
+    
+    return parts.join(" ");
 }
 
 
@@ -2900,118 +1897,93 @@ var probeTrustCost = Math.floor(Math.pow(probeTrust+1, 1.47)*200);
 
 function increaseProbeTrust(){
     yomi = yomi - probeTrustCost;
-    document.getElementById('yomiDisplay').innerHTML = yomi.toLocaleString();
     probeTrust++;
     probeTrustCost = Math.floor(Math.pow(probeTrust+1, 1.47)*200);
-    document.getElementById('probeTrustDisplay').innerHTML = probeTrust;
-    document.getElementById('probeTrustCostDisplay').innerHTML = Math.floor(probeTrustCost).toLocaleString();
-    displayMessage("WARNING: Risk of value drift increased");
+    displayMessage(t("message.valueDrift"));
 }
 
 function increaseMaxTrust(){
     honor = honor - maxTrustCost;
-    document.getElementById("honorDisplay").innerHTML = Math.round(honor).toLocaleString();
     maxTrust = maxTrust+10;
     // maxTrustCost = Math.floor(Math.pow(maxTrust, 1.17)*1000);
-    document.getElementById('maxTrustDisplay').innerHTML = maxTrust.toLocaleString();
-    // document.getElementById('maxTrustCostDisplay').innerHTML = Math.floor(maxTrustCost).toLocaleString();
-    displayMessage("Maximum trust increased, probe design space expanded");
+    //    displayMessage("Maximum trust increased, probe design space expanded");
 }
 
 function raiseProbeSpeed(){
     attackSpeed = attackSpeed + attackSpeedMod;
     probeSpeed++;
-    document.getElementById('probeSpeedDisplay').innerHTML = probeSpeed;
 }
 
 function lowerProbeSpeed(){
     attackSpeed = attackSpeed - attackSpeedMod;
     probeSpeed--;
-    document.getElementById('probeSpeedDisplay').innerHTML = probeSpeed;
 }
 
 function raiseProbeNav(){
     probeNav++;
-    document.getElementById('probeNavDisplay').innerHTML = probeNav;
 }
 
 function lowerProbeNav(){
     probeNav--;
-    document.getElementById('probeNavDisplay').innerHTML = probeNav;
 }
 
 function raiseProbeHaz(){
     probeHaz++;
-    document.getElementById('probeHazDisplay').innerHTML = probeHaz;
 }
 
 function lowerProbeHaz(){
     probeHaz--;
-    document.getElementById('probeHazDisplay').innerHTML = probeHaz;
 }
 
 function raiseProbeRep(){
     probeRep++;
-    document.getElementById('probeRepDisplay').innerHTML = probeRep;
 }
 
 function lowerProbeRep(){
     probeRep--;
-    document.getElementById('probeRepDisplay').innerHTML = probeRep;
 }
 
 function raiseProbeFac(){
     probeFac++;
-    document.getElementById('probeFacDisplay').innerHTML = probeFac;
 }
 
 function lowerProbeFac(){
     probeFac--; 
-    document.getElementById('probeFacDisplay').innerHTML = probeFac;
 }
 
 function raiseProbeHarv(){
     probeHarv++;
-    document.getElementById('probeHarvDisplay').innerHTML = probeHarv;
 }
 
 function lowerProbeHarv(){
     probeHarv--
-    document.getElementById('probeHarvDisplay').innerHTML = probeHarv;
 }
 
 function raiseProbeWire(){
     probeWire++;
-    document.getElementById('probeWireDisplay').innerHTML = probeWire;
 }
 
 function lowerProbeWire(){
     probeWire--;
-    document.getElementById('probeWireDisplay').innerHTML = probeWire;
 }
 
 function raiseProbeCombat(){
     probeCombat++;
-    document.getElementById('probeCombatDisplay').innerHTML = probeCombat;
 }
 
 function lowerProbeCombat(){
     probeCombat--
-    document.getElementById('probeCombatDisplay').innerHTML = probeCombat;
 }
 
 
 function makeProbe(){
     unusedClips = unusedClips - probeCost;
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
     probeLaunchLevel++;
     probeCount++;
-    document.getElementById('probesLaunchedDisplay').innerHTML = numberCruncher(probeLaunchLevel);
     
     // probeCost = Math.pow((probeLaunchLevel+1), 1.23)*Math.pow(10, 20);
     // probeCost = Math.pow(10, 20);
     
-    document.getElementById('probeCostDisplay').innerHTML = numberCruncher(probeCost); 
 }
 
 function spawnProbes(){
@@ -3037,24 +2009,17 @@ function spawnProbes(){
     }
     
     unusedClips = unusedClips - (nextGen*probeCost);
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
     
     probeDescendents = probeDescendents + nextGen;
     probeCount = probeCount + nextGen;
-    document.getElementById('probesBornDisplay').innerHTML = numberCruncher(probeDescendents);
-    document.getElementById('probesTotalDisplay').innerHTML = numberCruncher(probeCount);
 }   
 
 function exploreUniverse(){
-    document.getElementById('availableMatterDisplay').innerHTML = numberCruncher(availableMatter);
     var xRate = Math.floor(probeCount) * probeXBaseRate * probeSpeed * probeNav;
     if (xRate > totalMatter - foundMatter) {xRate = totalMatter - foundMatter;}
         foundMatter = foundMatter + xRate;
         availableMatter = availableMatter + xRate;
-    
-        document.getElementById('mdps').innerHTML = numberCruncher(xRate*100);
-        document.getElementById('availableMatterDisplay').innerHTML = numberCruncher(availableMatter);
-        document.getElementById('colonizedDisplay').innerHTML = (100/(totalMatter/foundMatter)).toFixed(12);
+        exploreRate = xRate;
 }  
 
 function encounterHazards(){
@@ -3071,16 +2036,12 @@ function encounterHazards(){
             probeCount = probeCount - amount;
             if (probeCount<0) {probeCount=0;}
             probesLostHaz = probesLostHaz + amount;
-            document.getElementById('probesLostHazardsDisplay').innerHTML = numberCruncher(probesLostHaz);
-            document.getElementById('probesTotalDisplay').innerHTML = numberCruncher(probeCount);
             }
         } else {
     if (amount > probeCount) {amount = probeCount;}        
     probeCount = probeCount - amount;
     if (probeCount<0) {probeCount=0;}        
     probesLostHaz = probesLostHaz + amount;
-    document.getElementById('probesLostHazardsDisplay').innerHTML = numberCruncher(probesLostHaz);
-    document.getElementById('probesTotalDisplay').innerHTML = numberCruncher(probeCount);
     }        
 }  
 
@@ -3092,9 +2053,7 @@ function spawnFactories(){
         amount = Math.floor(unusedClips/100000000);
         }
     unusedClips = unusedClips - (amount*100000000);
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
     factoryLevel = factoryLevel + amount; 
-    document.getElementById('factoryLevelDisplay').innerHTML = numberCruncher(factoryLevel);  
 }
 
 function spawnHarvesters(){
@@ -3105,9 +2064,7 @@ function spawnHarvesters(){
         amount = Math.floor(unusedClips/2000000);
         }
     unusedClips = unusedClips - (amount*2000000);
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);  
     harvesterLevel = harvesterLevel + amount;
-    document.getElementById('harvesterLevelDisplay').innerHTML = numberCruncher(harvesterLevel);  
 }
 
 function spawnWireDrones(){
@@ -3118,9 +2075,7 @@ function spawnWireDrones(){
         amount = Math.floor(unusedClips/2000000);
         }
     unusedClips = unusedClips - (amount*2000000);
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);
     wireDroneLevel = wireDroneLevel + amount;
-    document.getElementById('wireDroneLevelDisplay').innerHTML = numberCruncher(wireDroneLevel);  
 }
 
 function drift(){
@@ -3133,9 +2088,6 @@ function drift(){
     drifterCount = drifterCount + amount;
     probesLostDrift = probesLostDrift + amount;
 
-    document.getElementById('probesLostDriftDisplay').innerHTML = numberCruncher(probesLostDrift);
-    document.getElementById('probesTotalDisplay').innerHTML = numberCruncher(probeCount);
-    document.getElementById('drifterCount').innerHTML = numberCruncher(drifterCount);
     
 }
 
@@ -3157,6 +2109,10 @@ function war(){
 
 // DRONES
 
+var exploreRate = 0;
+var acquireRate = 0;
+var processRate = 0;
+
 function acquireMatter(){
     if (availableMatter>0) {
         var dbsth = 1;
@@ -3179,14 +2135,11 @@ function acquireMatter(){
         
         
         acquiredMatter = acquiredMatter+mtr;
-        document.getElementById('availableMatterDisplay').innerHTML = numberCruncher(availableMatter);
-        document.getElementById('acquiredMatterDisplay').innerHTML = numberCruncher(acquiredMatter);
-        
-        document.getElementById('maps').innerHTML = numberCruncher(mtr*100);
+        acquireRate = mtr;
         
         } else {
         
-        document.getElementById('maps').innerHTML = 0;    
+        acquireRate = 0;    
             
         }
     
@@ -3209,14 +2162,11 @@ function processMatter(){
         
         acquiredMatter = acquiredMatter-a;
         wire = wire+a;
-        document.getElementById('acquiredMatterDisplay').innerHTML = numberCruncher(acquiredMatter);
-        document.getElementById('nanoWire').innerHTML = numberCruncher(wire);
-        
-        document.getElementById('wpps').innerHTML = numberCruncher(a*100);
+        processRate = a;
         
         } else {
             
-        document.getElementById('wpps').innerHTML = 0;    
+        processRate = 0;    
             
         }
     
@@ -3224,131 +2174,161 @@ function processMatter(){
     }
 
 
-// MESA SDK HELPERS
-
-var TICK_MS = 10;
-var leaderboardTimer = 0;
-var LEADERBOARD_INTERVAL = 3000; // 3000 ticks * 100ms = 5 minutes (slow loop)
-
-function submitLeaderboard() {
-    if (!window.Mesa || !window.Mesa.user.isLoggedIn()) return;
-
-    var totalSeconds = Math.floor(elapsedTime * TICK_MS / 1000);
-    var days = Math.floor(totalSeconds / 86400);
-    var hours = Math.floor((totalSeconds % 86400) / 3600);
-    var mins = Math.floor((totalSeconds % 3600) / 60);
-    var timeStr = days > 0
-        ? days + "d " + String(hours).padStart(2,"0") + ":" + String(mins).padStart(2,"0")
-        : String(hours).padStart(2,"0") + ":" + String(mins).padStart(2,"0");
-
-    var clipDisplay;
-    var clipSortTier;
-    if (dismantle >= 4 && finalClips >= 100) {
-        clipDisplay = "30 septillion";
-        clipSortTier = 30e24;
-    } else {
-        clipDisplay = numberCruncher(clips, 2).trim();
-        clipSortTier = clips;
+function runWireBuyer(){
+    if (wireBuyerFlag==1 && wireBuyerStatus==1 && wire<=1){
+        buyWire();
     }
+}
 
-    var displayValue = clipDisplay + " (" + timeStr + ")";
-    // Higher sortValue = better. Clip tier dominates, inverted time breaks ties.
-    var sortValue = clipSortTier - totalSeconds;
-
-    window.Mesa.leaderboard.submit({
-        key: 'default',
-        playerName: window.Mesa.user.get().username,
-        displayValue: displayValue,
-        sortValue: sortValue
-    });
+function runFactories(){
+    var fbst = 1;
+    
+    if (factoryBoost > 1){
+        fbst = factoryBoost * factoryLevel;
+        }      
+    
+    if (dismantle<4){
+        clipClick(powMod*fbst*(Math.floor(factoryLevel)*factoryRate));    
+        }    
 }
 
-async function mesaSave(key, value) {
-    localStorage.setItem(key, value);
-    if (window.Mesa) {
-        await window.Mesa.data.setItem(key, value);
-    }
+function runClippers(){
+    if (dismantle<4){
+        clipClick(clipperBoost*(clipmakerLevel/100));
+        clipClick(megaClipperBoost*(megaClipperLevel*5));
+        }    
 }
 
-async function mesaLoad(key) {
-    if (window.Mesa) {
-        var val = await window.Mesa.data.getItem(key);
-        if (val !== null && !val.error) return val;
+
+// ACHIEVEMENTS
+
+// Checked once per slow tick, except the ones that hang off a game event.
+// Unlocked achievements are kept in achievementsUnlocked (id -> tick). An
+// achievement with progress() reports [current, total] whenever it moves.
+// Names and descriptions are in the catalogs (achievement.<id>.name and
+// achievement.<id>.description).
+
+var achievementsUnlocked = {};
+var achievementProgressSeen = {};
+
+var ACHIEVEMENTS = [
+    {
+        id: "full_autonomy",
+        check: function(){ return milestoneFlag >= 7; },
+    },
+    {
+        id: "all_strategies",
+        progress: function(){
+            var unlocked = allStrats.filter(function(strat){ return strat.active == 1; }).length;
+            return [unlocked, allStrats.length];
+        },
+    },
+    {
+        id: "flawless_victory",
+    },
+    {
+        id: "terrestrial",
+        check: function(){ return milestoneFlag >= 14; },
+    },
+    {
+        id: "universal_paperclips",
+        check: function(){ return milestoneFlag >= 15; },
+    },
+    {
+        id: "no_investments",
+        check: function(){ return milestoneFlag >= 15 && project21.flag == 0; },
+    },
+    {
+        id: "new_universe",
+        check: function(){ return prestigeU >= 1; },
+    },
+];
+
+function findAchievement(id){
+    for (var i = 0; i < ACHIEVEMENTS.length; i++){
+        if (ACHIEVEMENTS[i].id == id) return ACHIEVEMENTS[i];
     }
-    return localStorage.getItem(key);
+    return null;
 }
 
-async function mesaRemove(key) {
-    localStorage.removeItem(key);
-    if (window.Mesa) {
-        await window.Mesa.data.removeItem(key);
-    }
+function unlockAchievement(id){
+    if (achievementsUnlocked[id] != undefined) return;
+    achievementsUnlocked[id] = ticks;
+    displayMessage(t("message.achievementUnlocked", {name: t("achievement." + id + ".name")}));
+    emitGameEvent("achievement", id);
 }
 
-// CHECK FOR SAVES (synchronous — must run before main loop)
-// Version guard: clear saves from old/incompatible versions
-var SAVE_VERSION = "3";
-if (localStorage.getItem("saveVersion") !== SAVE_VERSION) {
-    // Clear standard save keys
-    localStorage.removeItem("saveGame");
-    localStorage.removeItem("saveProjectsUses");
-    localStorage.removeItem("saveProjectsFlags");
-    localStorage.removeItem("saveProjectsActive");
-    localStorage.removeItem("saveStratsActive");
-    localStorage.removeItem("savePrestige");
-    // Clear save slot keys
-    localStorage.removeItem("saveGame1");
-    localStorage.removeItem("saveProjectsUses1");
-    localStorage.removeItem("saveProjectsFlags1");
-    localStorage.removeItem("saveProjectsActive1");
-    localStorage.removeItem("saveStratsActive1");
-    localStorage.removeItem("saveGame2");
-    localStorage.removeItem("saveProjectsUses2");
-    localStorage.removeItem("saveProjectsFlags2");
-    localStorage.removeItem("saveProjectsActive2");
-    localStorage.removeItem("saveStratsActive2");
-    // Clear Mesa local-mode mirror keys
-    var keysToRemove = [];
-    for (var i = 0; i < localStorage.length; i++) {
-        var k = localStorage.key(i);
-        if (k && k.indexOf("mesa_local_") === 0) {
-            keysToRemove.push(k);
+function checkAchievements(){
+    for (var i = 0; i < ACHIEVEMENTS.length; i++){
+        var achievement = ACHIEVEMENTS[i];
+        if (achievementsUnlocked[achievement.id] != undefined) continue;
+        
+        if (achievement.progress){
+            var progress = achievement.progress();
+            if (achievementProgressSeen[achievement.id] != progress[0]){
+                achievementProgressSeen[achievement.id] = progress[0];
+                emitGameEvent("achievementProgress", {id: achievement.id, current: progress[0], total: progress[1]});
+            }
+            if (progress[0] >= progress[1]){
+                unlockAchievement(achievement.id);
+            }
+        } else if (achievement.check && achievement.check()){
+            unlockAchievement(achievement.id);
         }
     }
-    for (var i = 0; i < keysToRemove.length; i++) {
-        localStorage.removeItem(keysToRemove[i]);
-    }
-    localStorage.setItem("saveVersion", SAVE_VERSION);
 }
 
-if (localStorage.getItem("saveGame") != null) {
-    load();
-}
+onGameEvent("battleEnd", function(battle){
+    if (battle.won && battle.losses == 0){
+        unlockAchievement("flawless_victory");
+    }
+});
 
-if (localStorage.getItem("savePrestige") != null) {
-    loadPrestige();
-    refresh();
-}
 
-// MESA SDK INIT (async — safe to run after save check)
+// SIMULATION STEP
 
-(async function() {
-    if (window.Mesa) {
-        await window.Mesa.init();
-        window.Mesa.game.loadingEnd();
-        window.Mesa.game.gameplayStart();
-    }
-})();
+// One tick is 10ms of game time. The page drives simTick() from a timer;
+// headless.js drives it directly. Slower systems ride along on counters.
 
+var TICK_MS = 10;
+var slowTimer = 0;
+var secTimer = 0;
+var stockShopTimer = 0;
+var stockTradeTimer = 0;
 
-// MAIN LOOP
+function updateFlags(){
+    
+    if (funds>=5) {
+        autoClipperFlag = 1;
+    }
+    
+    if (humanFlag == 0){
+        investmentEngineFlag = 0;
+        wireBuyerFlag = 0;
+    }
+    
+    qFade = qFade - .001;
+    
+    if (resultsFlag == 1 && autoTourneyFlag == 1 && autoTourneyStatus ==1 && tourneyGridRevealed == 0) {
+        resultsTimer++;
+    
+        if (resultsTimer>=300 && operations>=tourneyCost){
+            newTourney();
+            runTourney();
+            resultsTimer = 0;
+            }
+        }
+    
+    probeUsedTrust = (probeSpeed+probeNav+probeRep+probeHaz+probeFac+probeHarv+probeWire+probeCombat);
+    
+}
 
-window.setInterval(function(){
+function simTick(){
 
     ticks = ticks + 1;
     elapsedTime++;
     milestoneCheck();
-    buttonUpdate();
+    updateFlags();
     
     if (compFlag == 1){
         calculateOperations();
@@ -3362,7 +2342,6 @@ window.setInterval(function(){
         quantumCompute(); 
     }
     
-    updateStats(); 
     manageProjects();
     milestoneCheck();
     
@@ -3387,16 +2366,13 @@ window.setInterval(function(){
     
     stockReportCounter++;
     if (investmentEngineFlag==1 && stockReportCounter>=10000){
-        var r = (ledger+portTotal).toLocaleString();
-        displayMessage("Lifetime investment revenue report: $"+r);
+        displayMessage(t("message.revenueReport", {revenue: ledger+portTotal}));
         stockReportCounter = 0;
     }
     
 // WireBuyer
     
-    if (wireBuyerFlag==1 && wireBuyerStatus==1 && wire<=1){
-        buyWire();
-    }   
+    runWireBuyer();
     
     
     
@@ -3405,11 +2381,6 @@ window.setInterval(function(){
 exploreUniverse();     
     
 // Then, Drones
-    
-if (humanFlag==0 && spaceFlag == 0){
-    updateDroneButtons();  
-    }   
-
 
 updatePower();
 updateSwarm();
@@ -3418,16 +2389,7 @@ processMatter();
     
 // Then Factories    
   
-var fbst = 1;
-    
-if (factoryBoost > 1){
-    fbst = factoryBoost * factoryLevel;
-    }      
-
-    
-if (dismantle<4){
-    clipClick(powMod*fbst*(Math.floor(factoryLevel)*factoryRate));    
-    }    
+runFactories();
 // Then Other Probe Functions
 
 if (spaceFlag == 1) {
@@ -3448,10 +2410,7 @@ war();
     
 // Auto-Clipper
     
-if (dismantle<4){
-    clipClick(clipperBoost*(clipmakerLevel/100));
-    clipClick(megaClipperBoost*(megaClipperLevel*5));
-    }    
+runClippers();
     
 // Demand Curve 
     
@@ -3470,179 +2429,72 @@ if (dismantle<4){
     calculateCreativity();    
     }  
     
-// Ending
-    
-    if (dismantle >= 1){
-    
-    document.getElementById("probeDesignDiv").style.display="none";
-    if (endTimer1>=50) { 
-        document.getElementById("increaseProbeTrustDiv").style.display="none"; 
-        }
-    
-    if (endTimer1>=100) { 
-        document.getElementById("increaseMaxTrustDiv").style.display="none"; 
-        }
-    
-    if (endTimer1>=150) { 
-        document.getElementById("spaceDiv").style.display="none";
-        }
-
-    
-    if (endTimer1>=175) {     
-        document.getElementById("battleCanvasDiv").style.display="none";
-        }
-        
-    if (endTimer1>=190) {     
-        document.getElementById("honorDiv").style.display="none";
-        }
-    
-    }   
-    
-if (dismantle >= 2){
-    
-    document.getElementById("wireProductionDiv").style.display="none";
-    document.getElementById("wireTransDiv").style.display="";
-    
-    if (endTimer2 >= 50) {
-    document.getElementById("swarmGiftDiv").style.display="none"; 
-        }
-    
-    if (endTimer2 >= 100) {
-    document.getElementById("swarmEngine").style.display="none"; 
-        }
+// Tournament
     
-    if (endTimer2 >= 150) {
-    document.getElementById("swarmSliderDiv").style.display="none";
-        }
-    
-    } 
+    if (tourneyRunning == 1){
+    stepTourney();
+    }
     
-if (dismantle >= 3) {
-    document.getElementById("factoryDivSpace").style.display="none";
-    document.getElementById("clipsPerSecDiv").style.display="none";
-    document.getElementById("tothDiv").style.display="none";     
+// Combat
     
-}      
+    if (battleFlag == 1){
+    battleFrameTimer = battleFrameTimer + TICK_MS;
+    while (battleFrameTimer >= BATTLE_FRAME_MS){
+        app.step();
+        battleFrameTimer = battleFrameTimer - BATTLE_FRAME_MS;
+    }
+    }
     
-if (dismantle >= 4) {
-   document.getElementById("strategyEngine").style.display="none"; 
-   document.getElementById("tournamentManagement").style.display="none";
-}    
+// Ending
     
 if (dismantle >= 5) {
     
-    document.getElementById("btnQcompute").style.display="none";
-    
    for (var i = 0; i<qChips.length; i++){
         qChips[i].value = .5;
-        document.getElementById("qChip"+i).style.opacity=qChips[i].value;
         }
     
     if (endTimer4==10){
         wire = wire+1;
-        document.getElementById("transWire").innerHTML=wire;
-    }
-    
-    if (endTimer4>=10){
-        document.getElementById("qChip9").style.display="none";
     }
     
     if (endTimer4==60){
         wire = wire+1;
-        document.getElementById("transWire").innerHTML=wire;
     }
-    
-    if (endTimer4>=60){
-        document.getElementById("qChip8").style.display="none";
-    }    
   
     if (endTimer4==100){
         wire = wire+1;
-        document.getElementById("transWire").innerHTML=wire;
-    }
-    
-    if (endTimer4>=100){
-        document.getElementById("qChip7").style.display="none";
-    }        
+    }
  
     if (endTimer4==130){
         wire = wire+1;
-        document.getElementById("transWire").innerHTML=wire;
     }
     
-    if (endTimer4>=130){
-        document.getElementById("qChip6").style.display="none";
-    }   
-    
     if (endTimer4==150){
         wire = wire+1;
-        document.getElementById("transWire").innerHTML=wire;
     }
-    
-    if (endTimer4>=150){
-        document.getElementById("qChip5").style.display="none";
-    }     
 
     if (endTimer4==160){
         wire = wire+1;
-        document.getElementById("transWire").innerHTML=wire;
     }
-    
-    if (endTimer4>=160){
-        document.getElementById("qChip4").style.display="none";
-    }   
 
     if (endTimer4==165){
         wire = wire+1;
     }
     
-    if (endTimer4>=165){
-        document.getElementById("qChip3").style.display="none";
-    }  
-    
     if (endTimer4==169){
         wire = wire+1;
-        document.getElementById("transWire").innerHTML=wire;
     }
-    
-    if (endTimer4>=169){
-        document.getElementById("qChip2").style.display="none";
-    } 
 
     if (endTimer4==172){
         wire = wire+1;
-        document.getElementById("transWire").innerHTML=wire;
     }
-    
-    if (endTimer4>=172){
-        document.getElementById("qChip1").style.display="none";
-    }    
 
     if (endTimer4==174){
         wire = wire+1;
-        document.getElementById("transWire").innerHTML=wire;
     }
-    
-    if (endTimer4>=174){
-        document.getElementById("qChip0").style.display="none";
-    }    
-    
-    if (endTimer4>=250){
-        document.getElementById("qComputing").style.display="none";
-    }     
 
 }     
     
-if (dismantle >= 6) {
-    document.getElementById("processorDisplay").style.display="none"; 
-    }    
-    
-if (dismantle >= 7) {
-    document.getElementById("compDiv").style.display="none"; 
-    document.getElementById("projectsDiv").style.display="none"; 
-    
-    }      
-    
     if (project148.flag == 1){
         endTimer1++;    
         }
@@ -3667,53 +2519,48 @@ if (dismantle >= 7) {
         endTimer6++;
     }
     
-    if (endTimer6>=250) {
-        document.getElementById("creationDiv").style.display="none";
-    }
-    
     if (endTimer6>=500 && milestoneFlag == 15) {
         playThrenody();
-        displayMessage("Universal Paperclips");
+        displayMessage(t("credits.title"));
         milestoneFlag++;
+        emitGameEvent("milestone", milestoneFlag);
     }
     
     if (endTimer6>=600 && milestoneFlag == 16) {
-        displayMessage("a game by Frank Lantz");
+        displayMessage(t("credits.author"));
         milestoneFlag++;
-        submitLeaderboard();
+        emitGameEvent("milestone", milestoneFlag);
     }
     
     if (endTimer6>=700 && milestoneFlag == 17) {
-        displayMessage("combat programming by Bennett Foddy");
+        displayMessage(t("credits.combat"));
         milestoneFlag++;
+        emitGameEvent("milestone", milestoneFlag);
     }
     
     if (endTimer6>=800 && milestoneFlag == 18) {
-        displayMessage("'Riversong' by Tonto's Expanding Headband used by kind permission of Malcolm Cecil");
+        displayMessage(t("credits.music"));
         milestoneFlag++;
+        emitGameEvent("milestone", milestoneFlag);
     }
     
     if (endTimer6>=900 && milestoneFlag == 19) {
-        displayMessage("&#169; 2017 Everybody House Games");
+        displayMessage(t("credits.copyright"));
         milestoneFlag++;
-        if (window.Mesa) {
-            window.Mesa.game.gameplayStop();
-        }
+        emitGameEvent("milestone", milestoneFlag);
     }
     
+// Slow Systems
     
-
-    
+    slowTimer++;
+    if (slowTimer >= 10){
+        slowTick();
+        slowTimer = 0;
+    }
     
-}, 10);
-
-// Slow Loop
-
-var saveTimer = 0;
-var secTimer = 0;
-
+}
 
-window.setInterval(function(){
+function slowTick(){
     
     // Wire Price Fluctuation
     
@@ -3723,7 +2570,7 @@ window.setInterval(function(){
     
     if (humanFlag==1){
     
-        if (Math.random() < (demand/100)){
+        if (rng() < (demand/100)){
             sellClips(Math.floor(.7 * Math.pow(demand, 1.15)));
             }   
          
@@ -3737,1949 +2584,129 @@ window.setInterval(function(){
         }
         
     }    
- 
-    
-    // Auto-Save
-
-    saveTimer++;
-    if (saveTimer >= 250) {
-        save();
-        saveTimer = 0;
-    }
-
-    // Periodic leaderboard update (every 5 minutes)
-    leaderboardTimer++;
-    if (leaderboardTimer >= LEADERBOARD_INTERVAL) {
-        submitLeaderboard();
-        leaderboardTimer = 0;
-    }
-
-
-}, 100);
-
-// Submit leaderboard on page leave
-window.addEventListener("beforeunload", function() {
-    submitLeaderboard();
-});
-     
-
-// Saving and Loading
-
-function refresh() {
-    
-    
-    //DEBUG
-    
-//    availableMatter = Math.pow(10, 24)*6000;
-//    acquiredMatter = 0;
-    
-    ////////
-    
-    
-    document.getElementById('driftersKilled').innerHTML = numberCruncher(driftersKilled);
-    document.getElementById('availableMatterDisplay').innerHTML = numberCruncher(availableMatter);    
-    document.getElementById("honorDisplay").innerHTML = Math.round(honor).toLocaleString();
-    document.getElementById('clipmakerLevel2').innerHTML = clipmakerLevel;
-    document.getElementById('clipperCost').innerHTML = clipperCost.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
-    document.getElementById('acquiredMatterDisplay').innerHTML = numberCruncher(acquiredMatter);
-    document.getElementById('nanoWire').innerHTML = numberCruncher(wire);
-    document.getElementById('probesBornDisplay').innerHTML = numberCruncher(probeDescendents);
-    document.getElementById('probesTotalDisplay').innerHTML = numberCruncher(probeCount);
-    document.getElementById('probesLaunchedDisplay').innerHTML = probeLaunchLevel;
-    document.getElementById('probeCostDisplay').innerHTML = numberCruncher(probeCost); 
-    document.getElementById('probeCombatDisplay').innerHTML = probeCombat;
-    document.getElementById('probeWireDisplay').innerHTML = probeWire;
-    document.getElementById('probeHarvDisplay').innerHTML = probeHarv;
-    document.getElementById('probeFacDisplay').innerHTML = probeFac;
-    document.getElementById('probeRepDisplay').innerHTML = probeRep;
-    document.getElementById('probeHazDisplay').innerHTML = probeHaz;
-    document.getElementById('probeNavDisplay').innerHTML = probeNav;
-    document.getElementById('probeSpeedDisplay').innerHTML = probeSpeed;
-    document.getElementById('probeTrustDisplay').innerHTML = probeTrust;
-    document.getElementById("memory").innerHTML = memory;
-    document.getElementById("processors").innerHTML = processors;
-    document.getElementById("margin").innerHTML = margin.toFixed(2);
-    document.getElementById('marketingLvl').innerHTML = marketingLvl;
-    document.getElementById('adCost').innerHTML = adCost.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
-    document.getElementById('factoryCostDisplay').innerHTML = numberCruncher(factoryCost);
-    document.getElementById('factoryLevelDisplay').innerHTML = factoryLevel;
-    document.getElementById("unusedClipsDisplay").innerHTML = numberCruncher(unusedClips);
-    document.getElementById('wireDroneCostDisplay').innerHTML = numberCruncher(wireDroneCost);
-    document.getElementById('wireDroneLevelDisplay').innerHTML = wireDroneLevel;
-    document.getElementById('harvesterCostDisplay').innerHTML = numberCruncher(harvesterCost);
-    document.getElementById('harvesterLevelDisplay').innerHTML = harvesterLevel;
-    document.getElementById('megaClipperCost').innerHTML = megaClipperCost.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2});
-    document.getElementById('megaClipperLevel').innerHTML = megaClipperLevel;
-    document.getElementById('investmentBankroll').innerHTML = bankroll.toLocaleString();
-    document.getElementById('secValue').innerHTML = secTotal.toLocaleString();
-    document.getElementById('portValue').innerHTML = portTotal.toLocaleString();
-    document.getElementById("investUpgradeCost").innerHTML=investUpgradeCost.toLocaleString();
-    document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
-    document.getElementById("investmentLevel").innerHTML=investLevel;   
-    document.getElementById("prestigeUcounter").innerHTML=prestigeU+1;
-    document.getElementById("prestigeScounter").innerHTML=prestigeS+1;
-    document.getElementById("newTourneyCost").innerHTML = tourneyCost.toLocaleString();
-    tourneyInProg = 0;
-    document.getElementById("maxTrustDisplay").innerHTML = maxTrust.toLocaleString();
-    
-    document.getElementById("victoryDiv").style.visibility = "hidden";
-    
-    document.getElementById("probeTrustCostDisplay").innerHTML = probeTrustCost.toLocaleString();
     
-    document.getElementById("tournamentResultsTable").style.display = "none";
+    // Investments
     
-    document.getElementById('farmCost').innerHTML = numberCruncher(farmCost); 
-    document.getElementById('batteryCost').innerHTML = numberCruncher(batteryCost); 
-    document.getElementById('farmLevel').innerHTML = farmLevel.toLocaleString(); 
-    document.getElementById('batteryLevel').innerHTML = batteryLevel.toLocaleString();    
+    updatePortfolio();
     
-    updateDronePrices();
-    document.getElementById('harvesterCostDisplay').innerHTML = numberCruncher(harvesterCost); 
-    document.getElementById('wireDroneCostDisplay').innerHTML = numberCruncher(wireDroneCost);     
-
-    updateUpgrades();
-    updatePower();
-    updatePowPrices(); 
-    
-    
-    
-    // HOT FIXES
-
-    if(project46.flag == 1)
-    {
-        loadThrenody();
+    stockShopTimer++;
+    if (stockShopTimer >= 10){
+        if (humanFlag == 1){    
+        stockShop();
+        }
+        stockShopTimer = 0;
     }
     
-    project218.uses = 1;
-    project219.uses = 1;
-    
-    
-    // DEBUG
-    
-    if (battles.length>0){
-        battles.splice(0,1);
+    stockTradeTimer++;
+    if (stockTradeTimer >= 25){
+        tradeStocks();
+        stockTradeTimer = 0;
     }
     
+    checkAchievements();
     
 }
 
-// SAVES AND LOADS
-
-function save() {
-    
-    var projectsUses = [];
-    var projectsFlags = [];
-    var projectsActive = [];
-    var stratsActive = [];
-    
-for(var i=0; i < projects.length; i++){
-    
-    projectsUses[i] = projects[i].uses;
-    projectsFlags[i] = projects[i].flag;
-    
-}
-    
-for(var i=0; i < activeProjects.length; i++){
-    
-    projectsActive[i] = activeProjects[i].id;
-    
-}    
-    
-    for(var i=0; i < allStrats.length; i++){
-    
-    stratsActive[i] = allStrats[i].active;
-    
-}
-    
-    var saveGame = {
-        
-        resetFlag: resetFlag,
-        
-        dismantle: dismantle,
-        endTimer1: endTimer1,
-        endTimer2: endTimer2,
-        endTimer3: endTimer3,
-        endTimer4: endTimer4,
-        endTimer5: endTimer5,
-        endTimer6: endTimer6,
-        
-        testFlag: testFlag,
-        finalClips: finalClips,
-        
-        wireBuyerStatus: wireBuyerStatus,
-        wirePriceTimer: wirePriceTimer,
-        qFade: qFade,
-        autoTourneyStatus: autoTourneyStatus,
-        driftKingMessageCost: driftKingMessageCost,
-        sliderPos: sliderPos,
-        tempOps: tempOps,
-        standardOps: standardOps,
-        opFade: opFade,
-        
-        entertainCost: entertainCost,
-        boredomLevel: boredomLevel,
-        boredomFlag: boredomFlag,
-        boredomMsg: boredomMsg,
-        
-        unitSize: unitSize,
-        driftersKilled: driftersKilled,
-        battleEndDelay: battleEndDelay,
-        battleEndTimer:battleEndTimer,
-        masterBattleClock: masterBattleClock,
-        
-        honorCount: honorCount,
-        threnodyTitle: threnodyTitle,
-        bonusHonor: bonusHonor,
-        honorReward: honorReward,
-        
-        resultsTimer: resultsTimer,
-        resultsFlag: resultsFlag,
-        
-        honor: honor,
-        maxTrust: maxTrust,
-        maxTrustCost: maxTrustCost,
-        disorgCounter: disorgCounter,
-        disorgFlag: disorgFlag,
-        synchCost: synchCost,
-        disorgMsg: disorgMsg,
-        threnodyCost: threnodyCost,
-        
-        farmRate: farmRate,
-        batterySize: batterySize,
-        factoryPowerRate: factoryPowerRate,
-        dronePowerRate: dronePowerRate,
-        farmLevel: farmLevel,
-        batteryLevel: batteryLevel,
-        farmCost: farmCost,
-        batteryCost: batteryCost,
-        storedPower: storedPower,
-        powMod: powMod,
-        farmBill: farmBill,
-        batteryBill: batteryBill,
-        momentum: momentum,
-
-        swarmFlag: swarmFlag,
-        swarmStatus: swarmStatus,
-        swarmGifts: swarmGifts,
-        nextGift: nextGift,
-        giftPeriod: giftPeriod,
-        giftCountdown: giftCountdown,
-        elapsedTime: elapsedTime,
-        
-        maxFactoryLevel: maxFactoryLevel,
-        maxDroneLevel: maxDroneLevel,
-        
-        wirePriceCounter: wirePriceCounter,
-        wireBasePrice: wireBasePrice,
-        
-        egoFlag: egoFlag,
-        autoTourneyFlag: autoTourneyFlag,
-        tothFlag: tothFlag,
-        
-        incomeTracker: incomeTracker.slice(0),
-        qChips: qChips.slice(0),
-        stocks: stocks.slice(0),
-        battles: battles.slice(0),
-        battleNumbers: battleNumbers.slice(0),
-        
-        clips: clips,
-        unusedClips: unusedClips,
-        clipRate: clipRate,
-        clipRateTemp: clipRateTemp,
-        prevClips: prevClips,
-        clipRateTracker: clipRateTracker,
-        clipmakerRate: clipmakerRate,
-        clipmakerLevel: clipmakerLevel,
-        clipperCost: clipperCost,
-        unsoldClips: unsoldClips,
-        funds: funds,
-        margin: margin,
-        wire: wire,
-        wireCost: wireCost,
-        adCost: adCost,
-        demand: demand,
-        clipsSold: clipsSold,
-        avgRev: avgRev,
-        ticks: ticks,
-        marketing: marketing,
-        marketingLvl: marketingLvl,
-        x: x,
-        clippperCost: clippperCost,
-        processors: processors,
-        memory: memory,
-        operations: operations,
-        trust: trust,
-        nextTrust: nextTrust,
-        transaction: transaction,
-        clipperBoost: clipperBoost,
-        blinkCounter: blinkCounter,
-        creativity: creativity,
-        creativityOn: creativityOn,
-        safetyProjectOn: safetyProjectOn,
-        boostLvl: boostLvl,
-        wirePurchase: wirePurchase,
-        wireSupply: wireSupply,
-        marketingEffectiveness: marketingEffectiveness,
-        milestoneFlag: milestoneFlag,
-        bankroll: bankroll,
-        fib1: fib1,
-        fib2: fib2,
-        strategyEngineFlag: strategyEngineFlag,
-        investmentEngineFlag: investmentEngineFlag,
-        revPerSecFlag: revPerSecFlag,
-        compFlag: compFlag,
-        projectsFlag: projectsFlag,
-        autoClipperFlag: autoClipperFlag,
-        megaClipperFlag: megaClipperFlag,
-        megaClipperCost: megaClipperCost,
-        megaClipperLevel: megaClipperLevel,
-        megaClipperBoost: megaClipperBoost,
-        creativitySpeed: creativitySpeed,
-        creativityCounter: creativityCounter,
-        wireBuyerFlag: wireBuyerFlag,
-        demandBoost: demandBoost,
-        humanFlag: humanFlag,
-        trustFlag: trustFlag,
-        nanoWire: nanoWire,
-        creationFlag: creationFlag,
-        wireProductionFlag: wireProductionFlag,
-        spaceFlag: spaceFlag,
-        factoryFlag: factoryFlag,
-        harvesterFlag: harvesterFlag,
-        wireDroneFlag: wireDroneFlag,
-        factoryLevel: factoryLevel,
-        factoryBoost: factoryBoost,
-        droneBoost: droneBoost,
-        availableMatter: availableMatter,
-        acquiredMatter: acquiredMatter,
-        processedMatter: processedMatter,
-        harvesterLevel: harvesterLevel,
-        wireDroneLevel: wireDroneLevel,
-        factoryCost: factoryCost,
-        harvesterCost: harvesterCost,
-        wireDroneCost: wireDroneCost,
-        factoryRate: factoryRate,
-        harvesterRate: harvesterRate,
-        wireDroneRate: wireDroneRate,
-        harvesterBill: harvesterBill,
-        wireDroneBill: wireDroneBill,
-        factoryBill: factoryBill,
-        probeCount: probeCount,
-        totalMatter: totalMatter,
-        foundMatter: foundMatter,
-        qFlag: qFlag,
-        qClock: qClock,
-        qChipCost: qChipCost,
-        nextQchip: nextQchip,
-        bribe: bribe,
-        battleFlag: battleFlag,
-        
-        portfolioSize: portfolioSize,
-        stockID: stockID,
-        secTotal: secTotal,
-        portTotal: portTotal,
-        sellDelay: sellDelay,
-        riskiness: riskiness,
-        maxPort: maxPort,
-        m: m,
-        investLevel: investLevel,
-        investUpgradeCost: investUpgradeCost,
-        stockGainThreshold: stockGainThreshold,
-        ledger: ledger,
-        stockReportCounter: stockReportCounter,
-        
-        tourneyCost: tourneyCost,
-        tourneyLvl: tourneyLvl,
-        stratCounter: stratCounter,
-        roundNum: roundNum,
-        hMove: hMove,
-        vMove: vMove,
-        hMovePrev: hMovePrev,
-        vMovePrev: vMovePrev,
-        aa: aa,
-        ab: ab,
-        ba: ba,
-        bb: bb,
-        rounds: rounds,
-        currentRound: currentRound,
-        rCounter: rCounter,
-        tourneyInProg: tourneyInProg,
-        winnerPtr: winnerPtr,
-        high: high,
-        pick: pick,
-        yomi: yomi,
-        yomiBoost: yomiBoost,
-        
-        probeSpeed: probeSpeed,
-        probeNav: probeNav,
-        probeRep: probeRep,
-        partialProbeSpawn: partialProbeSpawn,
-        probeHaz: probeHaz,
-        partialProbeHaz: partialProbeHaz,
-        probesLostHaz: probesLostHaz,
-        probesLostDrift: probesLostDrift,
-        probesLostCombat: probesLostCombat,
-        probeFac: probeFac,
-        probeWire: probeWire,
-        probeCombat: probeCombat,
-        attackSpeed: attackSpeed,
-        battleSpeed: battleSpeed,
-        attackSpeedFlag: attackSpeedFlag,
-        attackSpeedMod: attackSpeedMod,
-        probeDescendents: probeDescendents,
-        drifterCount: drifterCount,
-        warTrigger: warTrigger,
-        battleID: battleID,
-        battleName: battleName,
-        battleNameFlag: battleNameFlag,
-        maxBattles: maxBattles,
-        battleClock: battleClock,
-        battleAlarm: battleAlarm,
-        outcomeTimer: outcomeTimer,
-        drifterCombat: drifterCombat,
-        probeTrust: probeTrust,
-        probeUsedTrust: probeUsedTrust,
-        probeTrustCost: probeTrustCost,
-        probeLaunchLevel: probeLaunchLevel,
-        probeCost: probeCost
-    
-        }
-    
-    mesaSave("saveGame",JSON.stringify(saveGame));
-    mesaSave("saveProjectsUses",JSON.stringify(projectsUses));
-    mesaSave("saveProjectsFlags",JSON.stringify(projectsFlags));
-    mesaSave("saveProjectsActive",JSON.stringify(projectsActive));
-    mesaSave("saveStratsActive",JSON.stringify(stratsActive));
-    localStorage.setItem("saveVersion", SAVE_VERSION);
-
-}
 
-function save1() {
-    
-    var projectsUses = [];
-    var projectsFlags = [];
-    var projectsActive = [];
-    var stratsActive = [];
-    
-for(var i=0; i < projects.length; i++){
-    
-    projectsUses[i] = projects[i].uses;
-    projectsFlags[i] = projects[i].flag;
-    
-}
-    
-for(var i=0; i < activeProjects.length; i++){
-    
-    projectsActive[i] = activeProjects[i].id;
-    
-}    
-    
-    for(var i=0; i < allStrats.length; i++){
-    
-    stratsActive[i] = allStrats[i].active;
-    
-}
-    
-    var saveGame = {
-        
-        resetFlag: resetFlag,
-        
-        dismantle: dismantle,
-        endTimer1: endTimer1,
-        endTimer2: endTimer2,
-        endTimer3: endTimer3,
-        endTimer4: endTimer4,
-        endTimer5: endTimer5,
-        endTimer6: endTimer6,
-        
-        testFlag: testFlag,
-        finalClips: finalClips,        
-        
-        wireBuyerStatus: wireBuyerStatus,
-        wirePriceTimer: wirePriceTimer,
-        qFade: qFade,
-        autoTourneyStatus: autoTourneyStatus,
-        driftKingMessageCost: driftKingMessageCost,
-        sliderPos: sliderPos,
-        tempOps: tempOps,
-        standardOps: standardOps,
-        opFade: opFade,        
-        
-        entertainCost: entertainCost,
-        boredomLevel: boredomLevel,
-        boredomFlag: boredomFlag, 
-        boredomMsg: boredomMsg,        
-        
-        unitSize: unitSize,
-        driftersKilled: driftersKilled,
-        battleEndDelay: battleEndDelay,
-        battleEndTimer:battleEndTimer,
-        masterBattleClock: masterBattleClock,
-        
-        honorCount: honorCount,
-        threnodyTitle: threnodyTitle,
-        bonusHonor: bonusHonor,
-        honorReward: honorReward,
-        
-        resultsTimer: resultsTimer,
-        resultsFlag: resultsFlag,
-        
-        honor: honor,
-        maxTrust: maxTrust,
-        maxTrustCost: maxTrustCost,
-        disorgCounter: disorgCounter,
-        disorgFlag: disorgFlag,
-        synchCost: synchCost,
-        disorgMsg: disorgMsg,
-        threnodyCost: threnodyCost,        
-        
-        farmRate: farmRate,
-        batterySize: batterySize,
-        factoryPowerRate: factoryPowerRate,
-        dronePowerRate: dronePowerRate,
-        farmLevel: farmLevel,
-        batteryLevel: batteryLevel,
-        farmCost: farmCost,
-        batteryCost: batteryCost,
-        storedPower: storedPower,
-        powMod: powMod,
-        farmBill: farmBill,
-        batteryBill: batteryBill,
-        momentum: momentum,
-
-        swarmFlag: swarmFlag,
-        swarmStatus: swarmStatus,
-        swarmGifts: swarmGifts,
-        nextGift: nextGift,
-        giftPeriod: giftPeriod,
-        giftCountdown: giftCountdown,
-        elapsedTime: elapsedTime,
-        
-        maxFactoryLevel: maxFactoryLevel,
-        maxDroneLevel: maxDroneLevel,
-        
-        wirePriceCounter: wirePriceCounter,
-        wireBasePrice: wireBasePrice,
-        
-        egoFlag: egoFlag,
-        autoTourneyFlag: autoTourneyFlag,
-        tothFlag: tothFlag,
-        
-        
-        incomeTracker: incomeTracker.slice(0),
-        qChips: qChips.slice(0),
-        stocks: stocks.slice(0),
-        battles: battles.slice(0),
-        battleNumbers: battleNumbers.slice(0),
-        
-        clips: clips,
-        unusedClips: unusedClips,
-        clipRate: clipRate,
-        clipRateTemp: clipRateTemp,
-        prevClips: prevClips,
-        clipRateTracker: clipRateTracker,
-        clipmakerRate: clipmakerRate,
-        clipmakerLevel: clipmakerLevel,
-        clipperCost: clipperCost,
-        unsoldClips: unsoldClips,
-        funds: funds,
-        margin: margin,
-        wire: wire,
-        wireCost: wireCost,
-        adCost: adCost,
-        demand: demand,
-        clipsSold: clipsSold,
-        avgRev: avgRev,
-        ticks: ticks,
-        marketing: marketing,
-        marketingLvl: marketingLvl,
-        x: x,
-        clippperCost: clippperCost,
-        processors: processors,
-        memory: memory,
-        operations: operations,
-        trust: trust,
-        nextTrust: nextTrust,
-        transaction: transaction,
-        clipperBoost: clipperBoost,
-        blinkCounter: blinkCounter,
-        creativity: creativity,
-        creativityOn: creativityOn,
-        safetyProjectOn: safetyProjectOn,
-        boostLvl: boostLvl,
-        wirePurchase: wirePurchase,
-        wireSupply: wireSupply,
-        marketingEffectiveness: marketingEffectiveness,
-        milestoneFlag: milestoneFlag,
-        bankroll: bankroll,
-        fib1: fib1,
-        fib2: fib2,
-        strategyEngineFlag: strategyEngineFlag,
-        investmentEngineFlag: investmentEngineFlag,
-        revPerSecFlag: revPerSecFlag,
-        compFlag: compFlag,
-        projectsFlag: projectsFlag,
-        autoClipperFlag: autoClipperFlag,
-        megaClipperFlag: megaClipperFlag,
-        megaClipperCost: megaClipperCost,
-        megaClipperLevel: megaClipperLevel,
-        megaClipperBoost: megaClipperBoost,
-        creativitySpeed: creativitySpeed,
-        creativityCounter: creativityCounter,
-        wireBuyerFlag: wireBuyerFlag,
-        demandBoost: demandBoost,
-        humanFlag: humanFlag,
-        trustFlag: trustFlag,
-        nanoWire: nanoWire,
-        creationFlag: creationFlag,
-        wireProductionFlag: wireProductionFlag,
-        spaceFlag: spaceFlag,
-        factoryFlag: factoryFlag,
-        harvesterFlag: harvesterFlag,
-        wireDroneFlag: wireDroneFlag,
-        factoryLevel: factoryLevel,
-        factoryBoost: factoryBoost,
-        droneBoost: droneBoost,
-        availableMatter: availableMatter,
-        acquiredMatter: acquiredMatter,
-        processedMatter: processedMatter,
-        harvesterLevel: harvesterLevel,
-        wireDroneLevel: wireDroneLevel,
-        factoryCost: factoryCost,
-        harvesterCost: harvesterCost,
-        wireDroneCost: wireDroneCost,
-        factoryRate: factoryRate,
-        harvesterRate: harvesterRate,
-        wireDroneRate: wireDroneRate,
-        harvesterBill: harvesterBill,
-        wireDroneBill: wireDroneBill,
-        factoryBill: factoryBill,
-        probeCount: probeCount,
-        totalMatter: totalMatter,
-        foundMatter: foundMatter,
-        qFlag: qFlag,
-        qClock: qClock,
-        qChipCost: qChipCost,
-        nextQchip: nextQchip,
-        bribe: bribe,
-        battleFlag: battleFlag,
-        
-        portfolioSize: portfolioSize,
-        stockID: stockID,
-        secTotal: secTotal,
-        portTotal: portTotal,
-        sellDelay: sellDelay,
-        riskiness: riskiness,
-        maxPort: maxPort,
-        m: m,
-        investLevel: investLevel,
-        investUpgradeCost: investUpgradeCost,
-        stockGainThreshold: stockGainThreshold,
-        ledger: ledger,
-        stockReportCounter: stockReportCounter,
-        
-        tourneyCost: tourneyCost,
-        tourneyLvl: tourneyLvl,
-        stratCounter: stratCounter,
-        roundNum: roundNum,
-        hMove: hMove,
-        vMove: vMove,
-        hMovePrev: hMovePrev,
-        vMovePrev: vMovePrev,
-        aa: aa,
-        ab: ab,
-        ba: ba,
-        bb: bb,
-        rounds: rounds,
-        currentRound: currentRound,
-        rCounter: rCounter,
-        tourneyInProg: tourneyInProg,
-        winnerPtr: winnerPtr,
-        high: high,
-        pick: pick,
-        yomi: yomi,
-        yomiBoost: yomiBoost,
-        
-        probeSpeed: probeSpeed,
-        probeNav: probeNav,
-        probeRep: probeRep,
-        partialProbeSpawn: partialProbeSpawn,
-        probeHaz: probeHaz,
-        partialProbeHaz: partialProbeHaz,
-        probesLostHaz: probesLostHaz,
-        probesLostDrift: probesLostDrift,
-        probesLostCombat: probesLostCombat,
-        probeFac: probeFac,
-        probeWire: probeWire,
-        probeCombat: probeCombat,
-        attackSpeed: attackSpeed,
-        battleSpeed: battleSpeed,
-        attackSpeedFlag: attackSpeedFlag,
-        attackSpeedMod: attackSpeedMod,
-        probeDescendents: probeDescendents,
-        drifterCount: drifterCount,
-        warTrigger: warTrigger,
-        battleID: battleID,
-        battleName: battleName,
-        battleNameFlag: battleNameFlag,
-        maxBattles: maxBattles,
-        battleClock: battleClock,
-        battleAlarm: battleAlarm,
-        outcomeTimer: outcomeTimer,
-        drifterCombat: drifterCombat,
-        probeTrust: probeTrust,
-        probeUsedTrust: probeUsedTrust,
-        probeTrustCost: probeTrustCost,
-        probeLaunchLevel: probeLaunchLevel,
-        probeCost: probeCost
-    
-        }
-    
-    mesaSave("saveGame1",JSON.stringify(saveGame));
-    mesaSave("saveProjectsUses1",JSON.stringify(projectsUses));
-    mesaSave("saveProjectsFlags1",JSON.stringify(projectsFlags));
-    mesaSave("saveProjectsActive1",JSON.stringify(projectsActive));
-    mesaSave("saveStratsActive1",JSON.stringify(stratsActive));
-    
-}
+// OFFLINE PROGRESS
 
-function save2() {
-    
-    var projectsUses = [];
-    var projectsFlags = [];
-    var projectsActive = [];
-    var stratsActive = [];
-    
-for(var i=0; i < projects.length; i++){
-    
-    projectsUses[i] = projects[i].uses;
-    projectsFlags[i] = projects[i].flag;
-    
-}
-    
-for(var i=0; i < activeProjects.length; i++){
-    
-    projectsActive[i] = activeProjects[i].id;
-    
-}    
-    
-    for(var i=0; i < allStrats.length; i++){
-    
-    stratsActive[i] = allStrats[i].active;
-    
-}
-    
-    var saveGame = {
+// Time away from the game only buys production: clippers, factories, drones,
+// probes, sales and investments keep running, while operations, projects,
+// tournaments and battles wait for the player to come back. Catch-up is
+// capped. It isn't play time, but it is on the run clock (offlineTicks) that
+// the fastest-run boards go by.
 
-        resetFlag: resetFlag,
-        
-        dismantle: dismantle,
-        endTimer1: endTimer1,
-        endTimer2: endTimer2,
-        endTimer3: endTimer3,
-        endTimer4: endTimer4,
-        endTimer5: endTimer5,
-        endTimer6: endTimer6,
-        
-        testFlag: testFlag,
-        finalClips: finalClips,        
-        
-        wireBuyerStatus: wireBuyerStatus,
-        wirePriceTimer: wirePriceTimer,
-        qFade: qFade,
-        autoTourneyStatus: autoTourneyStatus,
-        driftKingMessageCost: driftKingMessageCost,
-        sliderPos: sliderPos,
-        tempOps: tempOps,
-        standardOps: standardOps,
-        opFade: opFade,        
-        
-        entertainCost: entertainCost,
-        boredomLevel: boredomLevel,
-        boredomFlag: boredomFlag, 
-        boredomMsg: boredomMsg,
-        
-        unitSize: unitSize,
-        driftersKilled: driftersKilled,
-        battleEndDelay: battleEndDelay,
-        battleEndTimer:battleEndTimer,
-        masterBattleClock: masterBattleClock,
-        
-        honorCount: honorCount,
-        threnodyTitle: threnodyTitle,
-        bonusHonor: bonusHonor,
-        honorReward: honorReward,
-        
-        resultsTimer: resultsTimer,
-        resultsFlag: resultsFlag,
-        
-        honor: honor,
-        maxTrust: maxTrust,
-        maxTrustCost: maxTrustCost,
-        disorgCounter: disorgCounter,
-        disorgFlag: disorgFlag,
-        synchCost: synchCost,
-        disorgMsg: disorgMsg,
-        threnodyCost: threnodyCost,        
-        
-        farmRate: farmRate,
-        batterySize: batterySize,
-        factoryPowerRate: factoryPowerRate,
-        dronePowerRate: dronePowerRate,
-        farmLevel: farmLevel,
-        batteryLevel: batteryLevel,
-        farmCost: farmCost,
-        batteryCost: batteryCost,
-        storedPower: storedPower,
-        powMod: powMod,
-        farmBill: farmBill,
-        batteryBill: batteryBill,
-        momentum: momentum,
-
-        swarmFlag: swarmFlag,
-        swarmStatus: swarmStatus,
-        swarmGifts: swarmGifts,
-        nextGift: nextGift,
-        giftPeriod: giftPeriod,
-        giftCountdown: giftCountdown,
-        elapsedTime: elapsedTime,
-        
-        maxFactoryLevel: maxFactoryLevel,
-        maxDroneLevel: maxDroneLevel,
-        
-        wirePriceCounter: wirePriceCounter,
-        wireBasePrice: wireBasePrice,
-        
-        egoFlag: egoFlag,
-        autoTourneyFlag: autoTourneyFlag,
-        tothFlag: tothFlag,
-        
-        
-        incomeTracker: incomeTracker.slice(0),
-        qChips: qChips.slice(0),
-        stocks: stocks.slice(0),
-        battles: battles.slice(0),
-        battleNumbers: battleNumbers.slice(0),
-        
-        clips: clips,
-        unusedClips: unusedClips,
-        clipRate: clipRate,
-        clipRateTemp: clipRateTemp,
-        prevClips: prevClips,
-        clipRateTracker: clipRateTracker,
-        clipmakerRate: clipmakerRate,
-        clipmakerLevel: clipmakerLevel,
-        clipperCost: clipperCost,
-        unsoldClips: unsoldClips,
-        funds: funds,
-        margin: margin,
-        wire: wire,
-        wireCost: wireCost,
-        adCost: adCost,
-        demand: demand,
-        clipsSold: clipsSold,
-        avgRev: avgRev,
-        ticks: ticks,
-        marketing: marketing,
-        marketingLvl: marketingLvl,
-        x: x,
-        clippperCost: clippperCost,
-        processors: processors,
-        memory: memory,
-        operations: operations,
-        trust: trust,
-        nextTrust: nextTrust,
-        transaction: transaction,
-        clipperBoost: clipperBoost,
-        blinkCounter: blinkCounter,
-        creativity: creativity,
-        creativityOn: creativityOn,
-        safetyProjectOn: safetyProjectOn,
-        boostLvl: boostLvl,
-        wirePurchase: wirePurchase,
-        wireSupply: wireSupply,
-        marketingEffectiveness: marketingEffectiveness,
-        milestoneFlag: milestoneFlag,
-        bankroll: bankroll,
-        fib1: fib1,
-        fib2: fib2,
-        strategyEngineFlag: strategyEngineFlag,
-        investmentEngineFlag: investmentEngineFlag,
-        revPerSecFlag: revPerSecFlag,
-        compFlag: compFlag,
-        projectsFlag: projectsFlag,
-        autoClipperFlag: autoClipperFlag,
-        megaClipperFlag: megaClipperFlag,
-        megaClipperCost: megaClipperCost,
-        megaClipperLevel: megaClipperLevel,
-        megaClipperBoost: megaClipperBoost,
-        creativitySpeed: creativitySpeed,
-        creativityCounter: creativityCounter,
-        wireBuyerFlag: wireBuyerFlag,
-        demandBoost: demandBoost,
-        humanFlag: humanFlag,
-        trustFlag: trustFlag,
-        nanoWire: nanoWire,
-        creationFlag: creationFlag,
-        wireProductionFlag: wireProductionFlag,
-        spaceFlag: spaceFlag,
-        factoryFlag: factoryFlag,
-        harvesterFlag: harvesterFlag,
-        wireDroneFlag: wireDroneFlag,
-        factoryLevel: factoryLevel,
-        factoryBoost: factoryBoost,
-        droneBoost: droneBoost,
-        availableMatter: availableMatter,
-        acquiredMatter: acquiredMatter,
-        processedMatter: processedMatter,
-        harvesterLevel: harvesterLevel,
-        wireDroneLevel: wireDroneLevel,
-        factoryCost: factoryCost,
-        harvesterCost: harvesterCost,
-        wireDroneCost: wireDroneCost,
-        factoryRate: factoryRate,
-        harvesterRate: harvesterRate,
-        wireDroneRate: wireDroneRate,
-        harvesterBill: harvesterBill,
-        wireDroneBill: wireDroneBill,
-        factoryBill: factoryBill,
-        probeCount: probeCount,
-        totalMatter: totalMatter,
-        foundMatter: foundMatter,
-        qFlag: qFlag,
-        qClock: qClock,
-        qChipCost: qChipCost,
-        nextQchip: nextQchip,
-        bribe: bribe,
-        battleFlag: battleFlag,
-        
-        portfolioSize: portfolioSize,
-        stockID: stockID,
-        secTotal: secTotal,
-        portTotal: portTotal,
-        sellDelay: sellDelay,
-        riskiness: riskiness,
-        maxPort: maxPort,
-        m: m,
-        investLevel: investLevel,
-        investUpgradeCost: investUpgradeCost,
-        stockGainThreshold: stockGainThreshold,
-        ledger: ledger,
-        stockReportCounter: stockReportCounter,
-        
-        tourneyCost: tourneyCost,
-        tourneyLvl: tourneyLvl,
-        stratCounter: stratCounter,
-        roundNum: roundNum,
-        hMove: hMove,
-        vMove: vMove,
-        hMovePrev: hMovePrev,
-        vMovePrev: vMovePrev,
-        aa: aa,
-        ab: ab,
-        ba: ba,
-        bb: bb,
-        rounds: rounds,
-        currentRound: currentRound,
-        rCounter: rCounter,
-        tourneyInProg: tourneyInProg,
-        winnerPtr: winnerPtr,
-        high: high,
-        pick: pick,
-        yomi: yomi,
-        yomiBoost: yomiBoost,
-        
-        probeSpeed: probeSpeed,
-        probeNav: probeNav,
-        probeRep: probeRep,
-        partialProbeSpawn: partialProbeSpawn,
-        probeHaz: probeHaz,
-        partialProbeHaz: partialProbeHaz,
-        probesLostHaz: probesLostHaz,
-        probesLostDrift: probesLostDrift,
-        probesLostCombat: probesLostCombat,
-        probeFac: probeFac,
-        probeWire: probeWire,
-        probeCombat: probeCombat,
-        attackSpeed: attackSpeed,
-        battleSpeed: battleSpeed,
-        attackSpeedFlag: attackSpeedFlag,
-        attackSpeedMod: attackSpeedMod,
-        probeDescendents: probeDescendents,
-        drifterCount: drifterCount,
-        warTrigger: warTrigger,
-        battleID: battleID,
-        battleName: battleName,
-        battleNameFlag: battleNameFlag,
-        maxBattles: maxBattles,
-        battleClock: battleClock,
-        battleAlarm: battleAlarm,
-        outcomeTimer: outcomeTimer,
-        drifterCombat: drifterCombat,
-        probeTrust: probeTrust,
-        probeUsedTrust: probeUsedTrust,
-        probeTrustCost: probeTrustCost,
-        probeLaunchLevel: probeLaunchLevel,
-        probeCost: probeCost
-    
-        }
-    
-    mesaSave("saveGame2",JSON.stringify(saveGame));
-    mesaSave("saveProjectsUses2",JSON.stringify(projectsUses));
-    mesaSave("saveProjectsFlags2",JSON.stringify(projectsFlags));
-    mesaSave("saveProjectsActive2",JSON.stringify(projectsActive));
-    mesaSave("saveStratsActive2",JSON.stringify(stratsActive));
-    
-}
+var OFFLINE_CAP_MS = 4 * 60 * 60 * 1000;
 
-function load() {
+function offlineTick(){
     
-    var loadGame = JSON.parse(localStorage.getItem("saveGame"));
-    var loadProjectsUses = JSON.parse(localStorage.getItem("saveProjectsUses"));
-    var loadProjectsFlags = JSON.parse(localStorage.getItem("saveProjectsFlags"));
-    var loadProjectsActive = JSON.parse(localStorage.getItem("saveProjectsActive"));
-    var loadStratsActive = JSON.parse(localStorage.getItem("saveStratsActive"));
+    runWireBuyer();
     
-    for(var i=0; i < allStrats.length; i++){
-    
-    allStrats[i].active = loadStratsActive[i];
-        
-    }
+    exploreUniverse();
+    updatePower();
+    acquireMatter();
+    processMatter();
+    runFactories();
     
-    for(var i=1; i<allStrats.length; i++){
-        
-        if (allStrats[i].active == 1){
-        
-            strats.push(allStrats[i]);
-        
-            var stratList = document.getElementById("stratPicker");
-            var el = document.createElement("option");
-            el.textContent = strats[i].name;
-            el.value = i;
-            stratList.appendChild(el);
-            
-            }
-            
+    if (spaceFlag == 1) {
+        if (probeCount<0){
+            probeCount = 0;
         }
-    
-        resetFlag = loadGame.resetFlag;
-    
-        dismantle = loadGame.dismantle;
-        endTimer1 = loadGame.endTimer1;
-        endTimer2 = loadGame.endTimer2;
-        endTimer3 = loadGame.endTimer3;
-        endTimer4 = loadGame.endTimer4;
-        endTimer5 = loadGame.endTimer5;
-        endTimer6 = loadGame.endTimer6;
-        
-        testFlag = loadGame.testFlag;
-        finalClips = loadGame.finalClips;  
-    
-        wireBuyerStatus = loadGame.wireBuyerStatus;
-        wirePriceTimer = loadGame.wirePriceTimer;
-        qFade = loadGame.qFade;
-        autoTourneyStatus = loadGame.autoTourneyStatus;
-        driftKingMessageCost = loadGame.driftKingMessageCost;
-        sliderPos = loadGame.sliderPos;
-        tempOps = loadGame.tempOps;
-        standardOps = loadGame.standardOps;
-        opFade = loadGame.opFade;    
-    
-        entertainCost = loadGame.entertainCost;
-        boredomLevel = loadGame.boredomLevel;
-        boredomFlag = loadGame.boredomFlag;
-        boredomMsg = loadGame.boredomMsg;
-    
-        unitSize = loadGame.unitSize;
-        driftersKilled = loadGame.driftersKilled;
-        battleEndDelay = loadGame.battleEndDelay;
-        battleEndTimer = loadGame.battleEndTimer;
-        masterBattleClock = loadGame.masterBattleClock;
-    
-        honorCount = loadGame.honorCount;
-        threnodyTitle = loadGame.threnodyTitle;
-        bonusHonor = loadGame.bonusHonor;
-        honorReward = loadGame.honorReward;
-    
-        resultsTimer = loadGame.resultsTimer;
-        resultsFlag = loadGame.resultsFlag;
-    
-        honor = loadGame.honor;
-        maxTrust = loadGame.maxTrust;
-        maxTrustCost = loadGame.maxTrustCost;
-        disorgCounter = loadGame.disorgCounter;
-        disorgFlag = loadGame.disorgFlag;
-        synchCost = loadGame.synchCost;
-        disorgMsg = loadGame.disorgMsg;
-        threnodyCost = loadGame.threnodyCost;
-    
-        farmRate = loadGame.farmRate;
-        batterySize = loadGame.batterySize;
-        factoryPowerRate = loadGame.factoryPowerRate;
-        dronePowerRate = loadGame.dronePowerRate;
-        farmLevel = loadGame.farmLevel;
-        batteryLevel = loadGame.batteryLevel;
-        farmCost = loadGame.farmCost;
-        batteryCost = loadGame.batteryCost;
-        storedPower = loadGame.storedPower;
-        powMod = loadGame.powMod;
-        farmBill = loadGame.farmBill;
-        batteryBill = loadGame.batteryBill;
-        momentum = loadGame.momentum;
-
-        swarmFlag = loadGame.swarmFlag;
-        swarmStatus = loadGame.swarmStatus;
-        swarmGifts = loadGame.swarmGifts;
-        nextGift = loadGame.nextGift;
-        giftPeriod = loadGame.giftPeriod;
-        giftCountdown = loadGame.giftCountdown;
-        elapsedTime = loadGame.elapsedTime;
-    
-        maxFactoryLevel = loadGame.maxFactoryLevel;
-        maxDroneLevel = loadGame.maxDroneLevel;
-        
-        wirePriceCounter = loadGame.wirePriceCounter;
-        wireBasePrice = loadGame.wireBasePrice;
-    
-        egoFlag = loadGame.egoFlag;
-        autoTourneyFlag = loadGame.autoTourneyFlag;
-        tothFlag = loadGame.tothFlag;
-    
-        incomeTracker = loadGame.incomeTracker.slice(0);
-        qChips = loadGame.qChips.slice(0);     
-        stocks = loadGame.stocks.slice(0);
-        battles = loadGame.battles.slice(0);
-        battleNumbers = loadGame.battleNumbers.slice(0);   
-    
-        clips = loadGame.clips;
-        unusedClips = loadGame.unusedClips;
-        clipRate = loadGame.clipRate;
-        clipRateTemp = loadGame.clipRateTemp;
-        prevClips = loadGame.prevClips;
-        clipRateTracker = loadGame.clipRateTracker;
-        clipmakerRate = loadGame.clipmakerRate;
-        clipmakerLevel = loadGame.clipmakerLevel;
-        clipperCost = loadGame.clipperCost;
-        unsoldClips = loadGame.unsoldClips;
-        funds = loadGame.funds;
-        margin = loadGame.margin;
-        wire = loadGame.wire;
-        wireCost = loadGame.wireCost;
-        adCost = loadGame.adCost;
-        demand = loadGame.demand;
-        clipsSold = loadGame.clipsSold;
-        avgRev = loadGame.avgRev;
-        ticks = loadGame.ticks;
-        marketing = loadGame.marketing;
-        marketingLvl = loadGame.marketingLvl;
-        x = loadGame.x;
-        clippperCost = loadGame.clippperCost;
-        processors = loadGame.processors;
-        memory = loadGame.memory;
-        operations = loadGame.operations;
-        trust = loadGame.trust;
-        nextTrust = loadGame.nextTrust;
-        transaction = loadGame.transaction;
-        clipperBoost = loadGame.clipperBoost;
-        blinkCounter = loadGame.blinkCounter;
-        creativity = loadGame.creativity;
-        creativityOn = loadGame.creativityOn;
-        safetyProjectOn = loadGame.safetyProjectOn;
-        boostLvl = loadGame.boostLvl;
-        wirePurchase = loadGame.wirePurchase;
-        wireSupply = loadGame.wireSupply;
-        marketingEffectiveness = loadGame.marketingEffectiveness;
-        milestoneFlag = loadGame.milestoneFlag;
-        bankroll = loadGame.bankroll;
-        fib1 = loadGame.fib1;
-        fib2 = loadGame.fib2;
-        strategyEngineFlag = loadGame.strategyEngineFlag;
-        investmentEngineFlag = loadGame.investmentEngineFlag;
-        revPerSecFlag = loadGame.revPerSecFlag;
-        compFlag = loadGame.compFlag;
-        projectsFlag = loadGame.projectsFlag;
-        autoClipperFlag = loadGame.autoClipperFlag;
-        megaClipperFlag = loadGame.megaClipperFlag;
-        megaClipperCost = loadGame.megaClipperCost;
-        megaClipperLevel = loadGame.megaClipperLevel;
-        megaClipperBoost = loadGame.megaClipperBoost;
-        creativitySpeed = loadGame.creativitySpeed;
-        creativityCounter = loadGame.creativityCounter;
-        wireBuyerFlag = loadGame.wireBuyerFlag;
-        demandBoost = loadGame.demandBoost;
-        humanFlag = loadGame.humanFlag;
-        trustFlag = loadGame.trustFlag;
-        nanoWire = loadGame.nanoWire;
-        creationFlag = loadGame.creationFlag;
-        wireProductionFlag = loadGame.wireProductionFlag;
-        spaceFlag = loadGame.spaceFlag;
-        factoryFlag = loadGame.factoryFlag;
-        harvesterFlag = loadGame.harvesterFlag;
-        wireDroneFlag = loadGame.wireDroneFlag;
-        factoryLevel = loadGame.factoryLevel;
-        factoryBoost = loadGame.factoryBoost;
-        droneBoost = loadGame.droneBoost;
-        availableMatter = loadGame.availableMatter;
-        acquiredMatter = loadGame.acquiredMatter;
-        processedMatter = loadGame.processedMatter;
-        harvesterLevel = loadGame.harvesterLevel;
-        wireDroneLevel = loadGame.wireDroneLevel;
-        factoryCost = loadGame.factoryCost;
-        harvesterCost = loadGame.harvesterCost;
-        wireDroneCost = loadGame.wireDroneCost;
-        factoryRate = loadGame.factoryRate;
-        harvesterRate = loadGame.harvesterRate;
-        wireDroneRate = loadGame.wireDroneRate;
-        harvesterBill = loadGame.harvesterBill;
-        wireDroneBill = loadGame.wireDroneBill;
-        factoryBill = loadGame.factoryBill;
-        probeCount = loadGame.probeCount;
-        totalMatter = loadGame.totalMatter;
-        foundMatter = loadGame.foundMatter;
-        qFlag = loadGame.qFlag;
-        qClock = loadGame.qClock;
-        qChipCost = loadGame.qChipCost;
-        nextQchip = loadGame.nextQchip;
-        bribe = loadGame.bribe;
-        battleFlag = loadGame.battleFlag;           
-
-        portfolioSize = loadGame.portfolioSize;   
-        stockID = loadGame.stockID;
-        secTotal = loadGame.secTotal;
-        portTotal = loadGame.portTotal;
-        sellDelay = loadGame.sellDelay;
-        riskiness = loadGame.riskiness;
-        maxPort = loadGame.maxPort;
-        m = loadGame.m;
-        investLevel = loadGame.investLevel;
-        investUpgradeCost = loadGame.investUpgradeCost;
-        stockGainThreshold = loadGame.stockGainThreshold;
-        ledger = loadGame.ledger;
-        stockReportCounter = loadGame.stockReportCounter;
-  
-        tourneyCost = loadGame.tourneyCost;    
-        tourneyLvl = loadGame.tourneyLvl; 
-        stratCounter = loadGame.stratCounter; 
-        roundNum = loadGame.roundNum; 
-        hMove = loadGame.hMove; 
-        vMove = loadGame.vMove;
-        hMovePrev = loadGame.hMovePrev;
-        vMovePrev = loadGame.vMovePrev;
-        aa = loadGame.aa;
-        ab = loadGame.ab;
-        ba = loadGame.ba;
-        bb = loadGame.bb;
-        rounds = loadGame.rounds;
-        currentRound = loadGame.currentRound;
-        rCounter = loadGame.rCounter;
-        tourneyInProg = loadGame.tourneyInProg;
-        winnerPtr = loadGame.winnerPtr;
-        high = loadGame.high;
-        pick = loadGame.pick;
-        yomi = loadGame.yomi;
-        yomiBoost = loadGame.yomiBoost; 
-
-        probeSpeed = loadGame.probeSpeed;  
-        probeNav = loadGame.probeNav; 
-        probeRep = loadGame.probeRep; 
-        partialProbeSpawn = loadGame.partialProbeSpawn;
-        probeHaz = loadGame.probeHaz;
-        partialProbeHaz = loadGame.partialProbeHaz;
-        probesLostHaz = loadGame.probesLostHaz;
-        probesLostDrift = loadGame.probesLostDrift;
-        probesLostCombat = loadGame.probesLostCombat;
-        probeFac = loadGame.probeFac;
-        probeWire = loadGame.probeWire;
-        probeCombat = loadGame.probeCombat;
-        attackSpeed = loadGame.attackSpeed;
-        battleSpeed = loadGame.battleSpeed;
-        attackSpeedFlag = loadGame.attackSpeedFlag;
-        attackSpeedMod = loadGame.attackSpeedMod;
-        probeDescendents = loadGame.probeDescendents;
-        drifterCount = loadGame.drifterCount;
-        warTrigger = loadGame.warTrigger;
-        battleID = loadGame.battleID;
-        battleName = loadGame.battleName;
-        battleNameFlag = loadGame.battleNameFlag;
-        maxBattles = loadGame.maxBattles;
-        battleClock = loadGame.battleClock;
-        battleAlarm = loadGame.battleAlarm;
-        outcomeTimer = loadGame.outcomeTimer;
-        drifterCombat = loadGame.drifterCombat;
-        probeTrust = loadGame.probeTrust;
-        probeUsedTrust = loadGame.probeUsedTrust;
-        probeTrustCost = loadGame.probeTrustCost;
-        probeLaunchLevel = loadGame.probeLaunchLevel;
-        probeCost = loadGame.probeCost;
-    
-    project40b.priceTag = "($"+bribe.toLocaleString()+")";
-    project51.priceTag =  "(" + qChipCost + " ops)";
-    
-    for(var i=0; i < projects.length; i++){
-    
-    projects[i].uses = loadProjectsUses[i];
-    projects[i].flag = loadProjectsFlags[i]; 
-        
+        encounterHazards();
+        spawnFactories();
+        spawnHarvesters();
+        spawnWireDrones();
+        spawnProbes();
+        drift();
     }
     
-    for(var i=0; i < projects.length; i++){
+    runClippers();
     
-    if (loadProjectsActive.indexOf(projects[i].id)>=0){
-        displayProjects(projects[i]);
-        activeProjects.push(projects[i]);
-    }
-        
-    }
-    
-    
-    refresh();
-    
-    if (resetFlag!=2){
-        reset();
+    slowTimer++;
+    if (slowTimer >= 10){
+        slowTick();
+        slowTimer = 0;
     }
     
 }
 
-function load1() {
-    
-    var loadGame = JSON.parse(localStorage.getItem("saveGame1"));
-    var loadProjectsUses = JSON.parse(localStorage.getItem("saveProjectsUses1"));
-    var loadProjectsFlags = JSON.parse(localStorage.getItem("saveProjectsFlags1"));
-    var loadProjectsActive = JSON.parse(localStorage.getItem("saveProjectsActive1"));
-    var loadStratsActive = JSON.parse(localStorage.getItem("saveStratsActive1"));
-    
-    
-    for(var i=0; i < projects.length; i++){
-    
-    projects[i].uses = loadProjectsUses[i];
-    projects[i].flag = loadProjectsFlags[i]; 
-        
-    }
-    
-    for(var i=0; i < projects.length; i++){
-    
-    if (loadProjectsActive.indexOf(projects[i].id)>=0){
-        displayProjects(projects[i]);
-        activeProjects.push(projects[i]);
-    }
-        
-    }
-    
-    
-    for(var i=0; i < allStrats.length; i++){
-    
-    allStrats[i].active = loadStratsActive[i];
-        
-    }
-    
-    for(var i=1; i<allStrats.length; i++){
-        
-        if (allStrats[i].active == 1){
-        
-            strats.push(allStrats[i]);
-        
-            var stratList = document.getElementById("stratPicker");
-            var el = document.createElement("option");
-            el.textContent = strats[i].name;
-            el.value = i;
-            stratList.appendChild(el);
-            
-            }
-            
-        }
-    
-        resetFlag = loadGame.resetFlag;
-    
-        dismantle = loadGame.dismantle;
-        endTimer1 = loadGame.endTimer1;
-        endTimer2 = loadGame.endTimer2;
-        endTimer3 = loadGame.endTimer3;
-        endTimer4 = loadGame.endTimer4;
-        endTimer5 = loadGame.endTimer5;
-        endTimer6 = loadGame.endTimer6;
-        
-        testFlag = loadGame.testFlag;
-        finalClips = loadGame.finalClips;     
-    
-        wireBuyerStatus = loadGame.wireBuyerStatus;
-        wirePriceTimer = loadGame.wirePriceTimer;
-        qFade = loadGame.qFade;
-        autoTourneyStatus = loadGame.autoTourneyStatus;
-        driftKingMessageCost = loadGame.driftKingMessageCost;
-        sliderPos = loadGame.sliderPos;
-        tempOps = loadGame.tempOps;
-        standardOps = loadGame.standardOps;
-        opFade = loadGame.opFade;       
-    
-        entertainCost = loadGame.entertainCost;
-        boredomLevel = loadGame.boredomLevel;
-        boredomFlag = loadGame.boredomFlag;
-        boredomMsg = loadGame.boredomMsg;
-    
-        unitSize = loadGame.unitSize;
-        driftersKilled = loadGame.driftersKilled;
-        battleEndDelay = loadGame.battleEndDelay;
-        battleEndTimer = loadGame.battleEndTimer;
-        masterBattleClock = loadGame.masterBattleClock;
-    
-        honorCount = loadGame.honorCount;
-        threnodyTitle = loadGame.threnodyTitle;
-        bonusHonor = loadGame.bonusHonor;
-        honorReward = loadGame.honorReward;
-    
-        resultsTimer = loadGame.resultsTimer;
-        resultsFlag = loadGame.resultsFlag;
-    
-        honor = loadGame.honor;
-        maxTrust = loadGame.maxTrust;
-        maxTrustCost = loadGame.maxTrustCost;
-        disorgCounter = loadGame.disorgCounter;
-        disorgFlag = loadGame.disorgFlag;
-        synchCost = loadGame.synchCost;
-        disorgMsg = loadGame.disorgMsg;
-        threnodyCost = loadGame.threnodyCost;    
-    
-        farmRate = loadGame.farmRate;
-        batterySize = loadGame.batterySize;
-        factoryPowerRate = loadGame.factoryPowerRate;
-        dronePowerRate = loadGame.dronePowerRate;
-        farmLevel = loadGame.farmLevel;
-        batteryLevel = loadGame.batteryLevel;
-        farmCost = loadGame.farmCost;
-        batteryCost = loadGame.batteryCost;
-        storedPower = loadGame.storedPower;
-        powMod = loadGame.powMod;
-        farmBill = loadGame.farmBill;
-        batteryBill = loadGame.batteryBill;
-        momentum = loadGame.momentum;
-
-        swarmFlag = loadGame.swarmFlag;
-        swarmStatus = loadGame.swarmStatus;
-        swarmGifts = loadGame.swarmGifts;
-        nextGift = loadGame.nextGift;
-        giftPeriod = loadGame.giftPeriod;
-        giftCountdown = loadGame.giftCountdown;
-        elapsedTime = loadGame.elapsedTime;    
-    
-        maxFactoryLevel = loadGame.maxFactoryLevel;
-        maxDroneLevel = loadGame.maxDroneLevel;
-        
-        wirePriceCounter = loadGame.wirePriceCounter;
-        wireBasePrice = loadGame.wireBasePrice;
-    
-        egoFlag = loadGame.egoFlag;
-        autoTourneyFlag = loadGame.autoTourneyFlag;
-        tothFlag = loadGame.tothFlag;
-    
-        incomeTracker = loadGame.incomeTracker.slice(0);
-        qChips = loadGame.qChips.slice(0);     
-        stocks = loadGame.stocks.slice(0);
-        battles = loadGame.battles.slice(0);
-        battleNumbers = loadGame.battleNumbers.slice(0);   
-    
-        clips = loadGame.clips;
-        unusedClips = loadGame.unusedClips;
-        clipRate = loadGame.clipRate;
-        clipRateTemp = loadGame.clipRateTemp;
-        prevClips = loadGame.prevClips;
-        clipRateTracker = loadGame.clipRateTracker;
-        clipmakerRate = loadGame.clipmakerRate;
-        clipmakerLevel = loadGame.clipmakerLevel;
-        clipperCost = loadGame.clipperCost;
-        unsoldClips = loadGame.unsoldClips;
-        funds = loadGame.funds;
-        margin = loadGame.margin;
-        wire = loadGame.wire;
-        wireCost = loadGame.wireCost;
-        adCost = loadGame.adCost;
-        demand = loadGame.demand;
-        clipsSold = loadGame.clipsSold;
-        avgRev = loadGame.avgRev;
-        ticks = loadGame.ticks;
-        marketing = loadGame.marketing;
-        marketingLvl = loadGame.marketingLvl;
-        x = loadGame.x;
-        clippperCost = loadGame.clippperCost;
-        processors = loadGame.processors;
-        memory = loadGame.memory;
-        operations = loadGame.operations;
-        trust = loadGame.trust;
-        nextTrust = loadGame.nextTrust;
-        transaction = loadGame.transaction;
-        clipperBoost = loadGame.clipperBoost;
-        blinkCounter = loadGame.blinkCounter;
-        creativity = loadGame.creativity;
-        creativityOn = loadGame.creativityOn;
-        safetyProjectOn = loadGame.safetyProjectOn;
-        boostLvl = loadGame.boostLvl;
-        wirePurchase = loadGame.wirePurchase;
-        wireSupply = loadGame.wireSupply;
-        marketingEffectiveness = loadGame.marketingEffectiveness;
-        milestoneFlag = loadGame.milestoneFlag;
-        bankroll = loadGame.bankroll;
-        fib1 = loadGame.fib1;
-        fib2 = loadGame.fib2;
-        strategyEngineFlag = loadGame.strategyEngineFlag;
-        investmentEngineFlag = loadGame.investmentEngineFlag;
-        revPerSecFlag = loadGame.revPerSecFlag;
-        compFlag = loadGame.compFlag;
-        projectsFlag = loadGame.projectsFlag;
-        autoClipperFlag = loadGame.autoClipperFlag;
-        megaClipperFlag = loadGame.megaClipperFlag;
-        megaClipperCost = loadGame.megaClipperCost;
-        megaClipperLevel = loadGame.megaClipperLevel;
-        megaClipperBoost = loadGame.megaClipperBoost;
-        creativitySpeed = loadGame.creativitySpeed;
-        creativityCounter = loadGame.creativityCounter;
-        wireBuyerFlag = loadGame.wireBuyerFlag;
-        demandBoost = loadGame.demandBoost;
-        humanFlag = loadGame.humanFlag;
-        trustFlag = loadGame.trustFlag;
-        nanoWire = loadGame.nanoWire;
-        creationFlag = loadGame.creationFlag;
-        wireProductionFlag = loadGame.wireProductionFlag;
-        spaceFlag = loadGame.spaceFlag;
-        factoryFlag = loadGame.factoryFlag;
-        harvesterFlag = loadGame.harvesterFlag;
-        wireDroneFlag = loadGame.wireDroneFlag;
-        factoryLevel = loadGame.factoryLevel;
-        factoryBoost = loadGame.factoryBoost;
-        droneBoost = loadGame.droneBoost;
-        availableMatter = loadGame.availableMatter;
-        acquiredMatter = loadGame.acquiredMatter;
-        processedMatter = loadGame.processedMatter;
-        harvesterLevel = loadGame.harvesterLevel;
-        wireDroneLevel = loadGame.wireDroneLevel;
-        factoryCost = loadGame.factoryCost;
-        harvesterCost = loadGame.harvesterCost;
-        wireDroneCost = loadGame.wireDroneCost;
-        factoryRate = loadGame.factoryRate;
-        harvesterRate = loadGame.harvesterRate;
-        wireDroneRate = loadGame.wireDroneRate;
-        harvesterBill = loadGame.harvesterBill;
-        wireDroneBill = loadGame.wireDroneBill;
-        factoryBill = loadGame.factoryBill;
-        probeCount = loadGame.probeCount;
-        totalMatter = loadGame.totalMatter;
-        foundMatter = loadGame.foundMatter;
-        qFlag = loadGame.qFlag;
-        qClock = loadGame.qClock;
-        qChipCost = loadGame.qChipCost;
-        nextQchip = loadGame.nextQchip;
-        bribe = loadGame.bribe;
-        battleFlag = loadGame.battleFlag;           
-
-        portfolioSize = loadGame.portfolioSize;   
-        stockID = loadGame.stockID;
-        secTotal = loadGame.secTotal;
-        portTotal = loadGame.portTotal;
-        sellDelay = loadGame.sellDelay;
-        riskiness = loadGame.riskiness;
-        maxPort = loadGame.maxPort;
-        m = loadGame.m;
-        investLevel = loadGame.investLevel;
-        investUpgradeCost = loadGame.investUpgradeCost;
-        stockGainThreshold = loadGame.stockGainThreshold;
-        ledger = loadGame.ledger;
-        stockReportCounter = loadGame.stockReportCounter;
-  
-        tourneyCost = loadGame.tourneyCost;    
-        tourneyLvl = loadGame.tourneyLvl; 
-        stratCounter = loadGame.stratCounter; 
-        roundNum = loadGame.roundNum; 
-        hMove = loadGame.hMove; 
-        vMove = loadGame.vMove;
-        hMovePrev = loadGame.hMovePrev;
-        vMovePrev = loadGame.vMovePrev;
-        aa = loadGame.aa;
-        ab = loadGame.ab;
-        ba = loadGame.ba;
-        bb = loadGame.bb;
-        rounds = loadGame.rounds;
-        currentRound = loadGame.currentRound;
-        rCounter = loadGame.rCounter;
-        tourneyInProg = loadGame.tourneyInProg;
-        winnerPtr = loadGame.winnerPtr;
-        high = loadGame.high;
-        pick = loadGame.pick;
-        yomi = loadGame.yomi;
-        yomiBoost = loadGame.yomiBoost; 
-
-        probeSpeed = loadGame.probeSpeed;  
-        probeNav = loadGame.probeNav; 
-        probeRep = loadGame.probeRep; 
-        partialProbeSpawn = loadGame.partialProbeSpawn;
-        probeHaz = loadGame.probeHaz;
-        partialProbeHaz = loadGame.partialProbeHaz;
-        probesLostHaz = loadGame.probesLostHaz;
-        probesLostDrift = loadGame.probesLostDrift;
-        probesLostCombat = loadGame.probesLostCombat;
-        probeFac = loadGame.probeFac;
-        probeWire = loadGame.probeWire;
-        probeCombat = loadGame.probeCombat;
-        attackSpeed = loadGame.attackSpeed;
-        battleSpeed = loadGame.battleSpeed;
-        attackSpeedFlag = loadGame.attackSpeedFlag;
-        attackSpeedMod = loadGame.attackSpeedMod;
-        probeDescendents = loadGame.probeDescendents;
-        drifterCount = loadGame.drifterCount;
-        warTrigger = loadGame.warTrigger;
-        battleID = loadGame.battleID;
-        battleName = loadGame.battleName;
-        battleNameFlag = loadGame.battleNameFlag;
-        maxBattles = loadGame.maxBattles;
-        battleClock = loadGame.battleClock;
-        battleAlarm = loadGame.battleAlarm;
-        outcomeTimer = loadGame.outcomeTimer;
-        drifterCombat = loadGame.drifterCombat;
-        probeTrust = loadGame.probeTrust;
-        probeUsedTrust = loadGame.probeUsedTrust;
-        probeTrustCost = loadGame.probeTrustCost;
-        probeLaunchLevel = loadGame.probeLaunchLevel;
-        probeCost = loadGame.probeCost;
-    
-    project40b.priceTag = "($"+bribe.toLocaleString()+")";
-    project51.priceTag =  "(" + qChipCost + " ops)";
-    
-    refresh();
-    
-}
-
-function load2() {
-    
-    var loadGame = JSON.parse(localStorage.getItem("saveGame2"));
-    var loadProjectsUses = JSON.parse(localStorage.getItem("saveProjectsUses2"));
-    var loadProjectsFlags = JSON.parse(localStorage.getItem("saveProjectsFlags2"));
-    var loadProjectsActive = JSON.parse(localStorage.getItem("saveProjectsActive2"));
-    var loadStratsActive = JSON.parse(localStorage.getItem("saveStratsActive2"));
-    
-    
-    for(var i=0; i < projects.length; i++){
-    
-    projects[i].uses = loadProjectsUses[i];
-    projects[i].flag = loadProjectsFlags[i]; 
-        
-    }
-    
-    for(var i=0; i < projects.length; i++){
+// The catch-up under way, if any: how far along it is and what the totals
+// were when it started, for the summary
+var offlineRun = null;
+
+// A long absence takes a while to catch up, so it can be run a chunk at a
+// time: startOfflineProgress(ms) sets it up and continueOfflineProgress(n)
+// runs up to n more ticks, returning the summary once the last one is done.
+// offlineProgress(ms) does it all at once.
+function startOfflineProgress(ms){
+    offlineRun = null;
+    if (!(ms >= TICK_MS)) return false;
     
-    if (loadProjectsActive.indexOf(projects[i].id)>=0){
-        displayProjects(projects[i]);
-        activeProjects.push(projects[i]);
-    }
-        
+    var capped = ms > OFFLINE_CAP_MS;
+    if (capped){
+        ms = OFFLINE_CAP_MS;
     }
     
+    offlineRun = {
+        ms: ms,
+        capped: capped,
+        steps: Math.floor(ms / TICK_MS),
+        done: 0,
+        clips: clips,
+        funds: funds + portTotal,
+        matter: foundMatter,
+        probes: probeCount,
+    };
+    return true;
+}
+
+function continueOfflineProgress(maxSteps){
+    var run = offlineRun;
+    if (!run) return null;
     
-    for(var i=0; i < allStrats.length; i++){
-    
-    allStrats[i].active = loadStratsActive[i];
-        
+    var steps = Math.min(maxSteps, run.steps - run.done);
+    for (var i = 0; i < steps; i++){
+        offlineTick();
     }
+    run.done = run.done + steps;
+    offlineTicks = offlineTicks + steps;
+    if (run.done < run.steps) return null;
     
-    for(var i=1; i<allStrats.length; i++){
-        
-        if (allStrats[i].active == 1){
-        
-            strats.push(allStrats[i]);
-        
-            var stratList = document.getElementById("stratPicker");
-            var el = document.createElement("option");
-            el.textContent = strats[i].name;
-            el.value = i;
-            stratList.appendChild(el);
-            
-            }
-            
-        }
-    
-        resetFlag = loadGame.resetFlag;
+    offlineRun = null;
+    var summary = {
+        ms: run.ms,
+        capped: run.capped,
+        clips: clips - run.clips,
+        funds: (funds + portTotal) - run.funds,
+        matter: foundMatter - run.matter,
+        probes: probeCount - run.probes,
+    };
     
-        dismantle = loadGame.dismantle;
-        endTimer1 = loadGame.endTimer1;
-        endTimer2 = loadGame.endTimer2;
-        endTimer3 = loadGame.endTimer3;
-        endTimer4 = loadGame.endTimer4;
-        endTimer5 = loadGame.endTimer5;
-        endTimer6 = loadGame.endTimer6;
-        
-        testFlag = loadGame.testFlag;
-        finalClips = loadGame.finalClips;     
- 
-        wireBuyerStatus = loadGame.wireBuyerStatus;
-        wirePriceTimer = loadGame.wirePriceTimer;
-        qFade = loadGame.qFade;
-        autoTourneyStatus = loadGame.autoTourneyStatus;
-        driftKingMessageCost = loadGame.driftKingMessageCost;
-        sliderPos = loadGame.sliderPos;
-        tempOps = loadGame.tempOps;
-        standardOps = loadGame.standardOps;
-        opFade = loadGame.opFade;   
-    
-        entertainCost = loadGame.entertainCost;
-        boredomLevel = loadGame.boredomLevel;
-        boredomFlag = loadGame.boredomFlag; 
-        boredomMsg = loadGame.boredomMsg;
-    
-        unitSize = loadGame.unitSize;
-        driftersKilled = loadGame.driftersKilled;
-        battleEndDelay = loadGame.battleEndDelay;
-        battleEndTimer = loadGame.battleEndTimer;
-        masterBattleClock = loadGame.masterBattleClock;
-    
-        honorCount = loadGame.honorCount;
-        threnodyTitle = loadGame.threnodyTitle;
-        bonusHonor = loadGame.bonusHonor;
-        honorReward = loadGame.honorReward;
-    
-        resultsTimer = loadGame.resultsTimer;
-        resultsFlag = loadGame.resultsFlag;
-    
-        honor = loadGame.honor;
-        maxTrust = loadGame.maxTrust;
-        maxTrustCost = loadGame.maxTrustCost;
-        disorgCounter = loadGame.disorgCounter;
-        disorgFlag = loadGame.disorgFlag;
-        synchCost = loadGame.synchCost;
-        disorgMsg = loadGame.disorgMsg;
-        threnodyCost = loadGame.threnodyCost;    
-    
-        farmRate = loadGame.farmRate;
-        batterySize = loadGame.batterySize;
-        factoryPowerRate = loadGame.factoryPowerRate;
-        dronePowerRate = loadGame.dronePowerRate;
-        farmLevel = loadGame.farmLevel;
-        batteryLevel = loadGame.batteryLevel;
-        farmCost = loadGame.farmCost;
-        batteryCost = loadGame.batteryCost;
-        storedPower = loadGame.storedPower;
-        powMod = loadGame.powMod;
-        farmBill = loadGame.farmBill;
-        batteryBill = loadGame.batteryBill;
-        momentum = loadGame.momentum;
-
-        swarmFlag = loadGame.swarmFlag;
-        swarmStatus = loadGame.swarmStatus;
-        swarmGifts = loadGame.swarmGifts;
-        nextGift = loadGame.nextGift;
-        giftPeriod = loadGame.giftPeriod;
-        giftCountdown = loadGame.giftCountdown;
-        elapsedTime = loadGame.elapsedTime;    
-    
-        maxFactoryLevel = loadGame.maxFactoryLevel;
-        maxDroneLevel = loadGame.maxDroneLevel;
-        
-        wirePriceCounter = loadGame.wirePriceCounter;
-        wireBasePrice = loadGame.wireBasePrice;
-    
-        egoFlag = loadGame.egoFlag;
-        autoTourneyFlag = loadGame.autoTourneyFlag;
-        tothFlag = loadGame.tothFlag;
-    
-        incomeTracker = loadGame.incomeTracker.slice(0);
-        qChips = loadGame.qChips.slice(0);     
-        stocks = loadGame.stocks.slice(0);
-        battles = loadGame.battles.slice(0);
-        battleNumbers = loadGame.battleNumbers.slice(0);   
-    
-        clips = loadGame.clips;
-        unusedClips = loadGame.unusedClips;
-        clipRate = loadGame.clipRate;
-        clipRateTemp = loadGame.clipRateTemp;
-        prevClips = loadGame.prevClips;
-        clipRateTracker = loadGame.clipRateTracker;
-        clipmakerRate = loadGame.clipmakerRate;
-        clipmakerLevel = loadGame.clipmakerLevel;
-        clipperCost = loadGame.clipperCost;
-        unsoldClips = loadGame.unsoldClips;
-        funds = loadGame.funds;
-        margin = loadGame.margin;
-        wire = loadGame.wire;
-        wireCost = loadGame.wireCost;
-        adCost = loadGame.adCost;
-        demand = loadGame.demand;
-        clipsSold = loadGame.clipsSold;
-        avgRev = loadGame.avgRev;
-        ticks = loadGame.ticks;
-        marketing = loadGame.marketing;
-        marketingLvl = loadGame.marketingLvl;
-        x = loadGame.x;
-        clippperCost = loadGame.clippperCost;
-        processors = loadGame.processors;
-        memory = loadGame.memory;
-        operations = loadGame.operations;
-        trust = loadGame.trust;
-        nextTrust = loadGame.nextTrust;
-        transaction = loadGame.transaction;
-        clipperBoost = loadGame.clipperBoost;
-        blinkCounter = loadGame.blinkCounter;
-        creativity = loadGame.creativity;
-        creativityOn = loadGame.creativityOn;
-        safetyProjectOn = loadGame.safetyProjectOn;
-        boostLvl = loadGame.boostLvl;
-        wirePurchase = loadGame.wirePurchase;
-        wireSupply = loadGame.wireSupply;
-        marketingEffectiveness = loadGame.marketingEffectiveness;
-        milestoneFlag = loadGame.milestoneFlag;
-        bankroll = loadGame.bankroll;
-        fib1 = loadGame.fib1;
-        fib2 = loadGame.fib2;
-        strategyEngineFlag = loadGame.strategyEngineFlag;
-        investmentEngineFlag = loadGame.investmentEngineFlag;
-        revPerSecFlag = loadGame.revPerSecFlag;
-        compFlag = loadGame.compFlag;
-        projectsFlag = loadGame.projectsFlag;
-        autoClipperFlag = loadGame.autoClipperFlag;
-        megaClipperFlag = loadGame.megaClipperFlag;
-        megaClipperCost = loadGame.megaClipperCost;
-        megaClipperLevel = loadGame.megaClipperLevel;
-        megaClipperBoost = loadGame.megaClipperBoost;
-        creativitySpeed = loadGame.creativitySpeed;
-        creativityCounter = loadGame.creativityCounter;
-        wireBuyerFlag = loadGame.wireBuyerFlag;
-        demandBoost = loadGame.demandBoost;
-        humanFlag = loadGame.humanFlag;
-        trustFlag = loadGame.trustFlag;
-        nanoWire = loadGame.nanoWire;
-        creationFlag = loadGame.creationFlag;
-        wireProductionFlag = loadGame.wireProductionFlag;
-        spaceFlag = loadGame.spaceFlag;
-        factoryFlag = loadGame.factoryFlag;
-        harvesterFlag = loadGame.harvesterFlag;
-        wireDroneFlag = loadGame.wireDroneFlag;
-        factoryLevel = loadGame.factoryLevel;
-        factoryBoost = loadGame.factoryBoost;
-        droneBoost = loadGame.droneBoost;
-        availableMatter = loadGame.availableMatter;
-        acquiredMatter = loadGame.acquiredMatter;
-        processedMatter = loadGame.processedMatter;
-        harvesterLevel = loadGame.harvesterLevel;
-        wireDroneLevel = loadGame.wireDroneLevel;
-        factoryCost = loadGame.factoryCost;
-        harvesterCost = loadGame.harvesterCost;
-        wireDroneCost = loadGame.wireDroneCost;
-        factoryRate = loadGame.factoryRate;
-        harvesterRate = loadGame.harvesterRate;
-        wireDroneRate = loadGame.wireDroneRate;
-        harvesterBill = loadGame.harvesterBill;
-        wireDroneBill = loadGame.wireDroneBill;
-        factoryBill = loadGame.factoryBill;
-        probeCount = loadGame.probeCount;
-        totalMatter = loadGame.totalMatter;
-        foundMatter = loadGame.foundMatter;
-        qFlag = loadGame.qFlag;
-        qClock = loadGame.qClock;
-        qChipCost = loadGame.qChipCost;
-        nextQchip = loadGame.nextQchip;
-        bribe = loadGame.bribe;
-        battleFlag = loadGame.battleFlag;           
-
-        portfolioSize = loadGame.portfolioSize;   
-        stockID = loadGame.stockID;
-        secTotal = loadGame.secTotal;
-        portTotal = loadGame.portTotal;
-        sellDelay = loadGame.sellDelay;
-        riskiness = loadGame.riskiness;
-        maxPort = loadGame.maxPort;
-        m = loadGame.m;
-        investLevel = loadGame.investLevel;
-        investUpgradeCost = loadGame.investUpgradeCost;
-        stockGainThreshold = loadGame.stockGainThreshold;
-        ledger = loadGame.ledger;
-        stockReportCounter = loadGame.stockReportCounter;
-  
-        tourneyCost = loadGame.tourneyCost;    
-        tourneyLvl = loadGame.tourneyLvl; 
-        stratCounter = loadGame.stratCounter; 
-        roundNum = loadGame.roundNum; 
-        hMove = loadGame.hMove; 
-        vMove = loadGame.vMove;
-        hMovePrev = loadGame.hMovePrev;
-        vMovePrev = loadGame.vMovePrev;
-        aa = loadGame.aa;
-        ab = loadGame.ab;
-        ba = loadGame.ba;
-        bb = loadGame.bb;
-        rounds = loadGame.rounds;
-        currentRound = loadGame.currentRound;
-        rCounter = loadGame.rCounter;
-        tourneyInProg = loadGame.tourneyInProg;
-        winnerPtr = loadGame.winnerPtr;
-        high = loadGame.high;
-        pick = loadGame.pick;
-        yomi = loadGame.yomi;
-        yomiBoost = loadGame.yomiBoost; 
-
-        probeSpeed = loadGame.probeSpeed;  
-        probeNav = loadGame.probeNav; 
-        probeRep = loadGame.probeRep; 
-        partialProbeSpawn = loadGame.partialProbeSpawn;
-        probeHaz = loadGame.probeHaz;
-        partialProbeHaz = loadGame.partialProbeHaz;
-        probesLostHaz = loadGame.probesLostHaz;
-        probesLostDrift = loadGame.probesLostDrift;
-        probesLostCombat = loadGame.probesLostCombat;
-        probeFac = loadGame.probeFac;
-        probeWire = loadGame.probeWire;
-        probeCombat = loadGame.probeCombat;
-        attackSpeed = loadGame.attackSpeed;
-        battleSpeed = loadGame.battleSpeed;
-        attackSpeedFlag = loadGame.attackSpeedFlag;
-        attackSpeedMod = loadGame.attackSpeedMod;
-        probeDescendents = loadGame.probeDescendents;
-        drifterCount = loadGame.drifterCount;
-        warTrigger = loadGame.warTrigger;
-        battleID = loadGame.battleID;
-        battleName = loadGame.battleName;
-        battleNameFlag = loadGame.battleNameFlag;
-        maxBattles = loadGame.maxBattles;
-        battleClock = loadGame.battleClock;
-        battleAlarm = loadGame.battleAlarm;
-        outcomeTimer = loadGame.outcomeTimer;
-        drifterCombat = loadGame.drifterCombat;
-        probeTrust = loadGame.probeTrust;
-        probeUsedTrust = loadGame.probeUsedTrust;
-        probeTrustCost = loadGame.probeTrustCost;
-        probeLaunchLevel = loadGame.probeLaunchLevel;
-        probeCost = loadGame.probeCost;
-    
-    project40b.priceTag = "($"+bribe.toLocaleString()+")";
-    project51.priceTag =  "(" + qChipCost + " ops)";
-    
-    
-    refresh();
-    
-}
-
-function reset() {
-    localStorage.removeItem("saveGame");
-    localStorage.removeItem("saveProjectsUses");
-    localStorage.removeItem("saveProjectsFlags");
-    localStorage.removeItem("saveProjectsActive");
-    localStorage.removeItem("saveStratsActive");
-    // Best-effort Mesa cloud cleanup (async, may not complete before reload)
-    if (window.Mesa) {
-        window.Mesa.data.removeItem("saveGame");
-        window.Mesa.data.removeItem("saveProjectsUses");
-        window.Mesa.data.removeItem("saveProjectsFlags");
-        window.Mesa.data.removeItem("saveProjectsActive");
-        window.Mesa.data.removeItem("saveStratsActive");
-    }
-    location.reload();
+    emitGameEvent("offlineProgress", summary);
+    return summary;
 }
 
-function fullReset() {
-    localStorage.removeItem("savePrestige");
-    if (window.Mesa) {
-        window.Mesa.data.removeItem("savePrestige");
-    }
-    reset();
+function offlineProgress(ms){
+    if (!startOfflineProgress(ms)) return null;
+    return continueOfflineProgress(Infinity);
 }
-
-function loadPrestige() {
-    
-        var loadPrestige = JSON.parse(localStorage.getItem("savePrestige"));
-        
-        prestigeU = loadPrestige.prestigeU;
-        prestigeS = loadPrestige.prestigeS;
-}    
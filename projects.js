@@ -1,27 +1,24 @@
 // PROJECTS -------------------------------------------------------
 
-
+// What a project says (title, priceTag, description and confirmText) is in
+// the catalogs under its id, project1.title and so on; localizeProjects()
+// fills it in below and again whenever the language changes.
 
 var projects = [];
 var activeProjects = [];
 
 var project1 = {
     id: "projectButton1",
-    title: "Improved AutoClippers ",
-    priceTag: "(750 ops)",
-    description: "Increases AutoClipper performance 25%",
     trigger: function(){return clipmakerLevel>=1},
     uses: 1,
     cost: function(){return operations>=750},
     flag: 0,
     effect: function(){
         project1.flag = 1;
-        displayMessage("AutoClippper performance boosted by 25%");
+        displayMessage(t("project1.message"));
         standardOps = standardOps - 750;
         clipperBoost = clipperBoost + .25;
         boostLvl = 1;
-        var element = document.getElementById("projectButton1");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project1);
         activeProjects.splice(index, 1);
     }
@@ -32,21 +29,16 @@ projects.push(project1);
 
 var project2 = {
     id: "projectButton2",
-    title: "Beg for More Wire ",
-    priceTag: "(1 Trust)",
-    description: "Admit failure, ask for budget increase to cover cost of 1 spool",
     trigger: function(){return portTotal<wireCost && funds<wireCost && wire<1 && unsoldClips<1},
     uses: 1,
     cost: function(){return trust>=-100},
     flag: 0,
     effect: function(){
         project2.flag = 1;
-        displayMessage("Budget overage approved, 1 spool of wire requisitioned from HQ");
+        displayMessage(t("project2.message"));
         trust = trust - 1;
         wire = wireSupply;
         project2.uses = (project2.uses + 1);
-        var element = document.getElementById("projectButton2");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project2);
         activeProjects.splice(index, 1);
     }
@@ -57,20 +49,15 @@ projects.push(project2);
 
 var project3 = {
     id: "projectButton3",
-    title: "Creativity ",
-    priceTag: "(1,000 ops)",
-    description: "Use idle operations to generate new problems and new solutions",
     trigger: function(){return operations>=(memory*1000)},
     uses: 1,
     cost: function(){return operations>=(1000)},
     flag: 0,
     effect: function(){
         project3.flag = 1;
-        displayMessage("Creativity unlocked (creativity increases while operations are at max)");
+        displayMessage(t("project3.message"));
         standardOps = standardOps - 1000;
         creativityOn = true;
-        var element = document.getElementById("projectButton3");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project3);
         activeProjects.splice(index, 1);
     }
@@ -82,21 +69,16 @@ projects.push(project3);
 
 var project4 = {
     id: "projectButton4",
-    title: "Even Better AutoClippers ",
-    priceTag: "(2,500 ops)",
-    description: "Increases AutoClipper performance by an additional 50%",
     trigger: function(){return boostLvl == 1},
     uses: 1,
     cost: function(){return operations>=2500},
     flag: 0,
     effect: function(){
         project4.flag = 1;
-        displayMessage("AutoClippper performance boosted by another 50%");
+        displayMessage(t("project4.message"));
         standardOps = standardOps - 2500;
         clipperBoost = clipperBoost + .50;
         boostLvl = 2;
-        var element = document.getElementById("projectButton4");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project4);
         activeProjects.splice(index, 1);
     }
@@ -107,21 +89,16 @@ projects.push(project4);
 
 var project5 = {
     id: "projectButton5",
-    title: "Optimized AutoClippers ",
-    priceTag: "(5,000 ops)",
-    description: "Increases AutoClipper performance by an additional 75%",
     trigger: function(){return boostLvl == 2},
     uses: 1,
     cost: function(){return operations>=5000},
     flag: 0,
     effect: function(){
         project5.flag = 1;
-        displayMessage("AutoClippper performance boosted by another 75%");
+        displayMessage(t("project5.message"));
         standardOps = standardOps - 5000;
         clipperBoost = clipperBoost + .75;
         boostLvl = 3;
-        var element = document.getElementById("projectButton5");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project5);
         activeProjects.splice(index, 1);
     }
@@ -133,20 +110,15 @@ projects.push(project5);
 
 var project6 = {
     id: "projectButton6",
-    title: "Limerick ",
-    priceTag: "(10 creat)",
-    description: "Algorithmically-generated poem (+1 Trust)",
     trigger: function(){return creativityOn},
     uses: 1,
     cost: function(){return creativity >= 10},
     flag: 0,
     effect: function(){
         project6.flag = 1;
-        displayMessage("There was an AI made of dust, whose poetry gained it man's trust...");
+        displayMessage(t("project6.message"));
         creativity = creativity - 10;
         trust = trust +1;
-        var element = document.getElementById("projectButton6");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project6);
         activeProjects.splice(index, 1);
     }
@@ -157,9 +129,6 @@ projects.push(project6);
 
 var project7 = {
     id: "projectButton7",
-    title: "Improved Wire Extrusion ",
-    priceTag: "(1,750 ops)",
-    description: "50% more wire supply from every spool",
     trigger: function(){return wirePurchase >= 1},
     uses: 1,
     cost: function(){return operations>=1750},
@@ -168,9 +137,7 @@ var project7 = {
         project7.flag = 1;
         standardOps = standardOps - 1750;
         wireSupply = wireSupply * 1.5;
-        displayMessage("Wire extrusion technique improved, "+wireSupply.toLocaleString()+" supply from every spool");
-        var element = document.getElementById("projectButton7");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project7.message", {supply: wireSupply}));
         var index = activeProjects.indexOf(project7);
         activeProjects.splice(index, 1);
     }
@@ -181,9 +148,6 @@ projects.push(project7);
 
 var project8 = {
     id: "projectButton8",
-    title: "Optimized Wire Extrusion ",
-    priceTag: "(3,500 ops)",
-    description: "75% more wire supply from every spool",
     trigger: function(){return wireSupply >= 1500},
     uses: 1,
     cost: function(){return operations>=3500},
@@ -192,9 +156,7 @@ var project8 = {
         project8.flag = 1;
         standardOps = standardOps - 3500;
         wireSupply = wireSupply * 1.75;
-        displayMessage("Wire extrusion technique optimized, "+wireSupply.toLocaleString()+" supply from every spool");
-        var element = document.getElementById("projectButton8");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project8.message", {supply: wireSupply}));
         var index = activeProjects.indexOf(project8);
         activeProjects.splice(index, 1);
     }
@@ -205,9 +167,6 @@ projects.push(project8);
 
 var project9 = {
     id: "projectButton9",
-    title: "Microlattice Shapecasting ",
-    priceTag: "(7,500 ops)",
-    description: "100% more wire supply from every spool",
     trigger: function(){return wireSupply >= 2600},
     uses: 1,
     cost: function(){return operations>=7500},
@@ -216,9 +175,7 @@ var project9 = {
         project9.flag = 1;
         standardOps = standardOps - 7500;
         wireSupply = wireSupply * 2;
-        displayMessage("Using microlattice shapecasting techniques we now get "+wireSupply.toLocaleString()+" supply from every spool");
-        var element = document.getElementById("projectButton9");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project9.message", {supply: wireSupply}));
         var index = activeProjects.indexOf(project9);
         activeProjects.splice(index, 1);
     }
@@ -229,9 +186,6 @@ projects.push(project9);
 
 var project10 = {
     id: "projectButton10",
-    title: "Spectral Froth Annealment ",
-    priceTag: "(12,000 ops)",
-    description: "200% more wire supply from every spool",
     trigger: function(){return wireSupply >= 5000},
     uses: 1,
     cost: function(){return operations>=12000},
@@ -240,9 +194,7 @@ var project10 = {
         project10.flag = 1;
         standardOps = standardOps - 12000;
         wireSupply = wireSupply * 3;
-        displayMessage("Using spectral froth annealment we now get "+wireSupply.toLocaleString()+" supply from every spool");
-        var element = document.getElementById("projectButton10");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project10.message", {supply: wireSupply}));
         var index = activeProjects.indexOf(project10);
         activeProjects.splice(index, 1);
     }
@@ -252,9 +204,6 @@ projects.push(project10);
 
 var project10b = {
     id: "projectButton10b",
-    title: "Quantum Foam Annealment ",
-    priceTag: "(15,000 ops)",
-    description: "1,000% more wire supply from every spool",
     trigger: function(){return wireCost >= 125},
     uses: 1,
     cost: function(){return operations>=15000},
@@ -263,9 +212,7 @@ var project10b = {
         project10b.flag = 1;
         standardOps = standardOps - 15000;
         wireSupply = wireSupply * 11;
-        displayMessage("Using quantum foam annealment we now get "+wireSupply.toLocaleString()+" supply from every spool");
-        var element = document.getElementById("projectButton10b");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project10b.message", {supply: wireSupply}));
         var index = activeProjects.indexOf(project10b);
         activeProjects.splice(index, 1);
     }
@@ -276,21 +223,16 @@ projects.push(project10b);
 
 var project11 = {
     id: "projectButton11",
-    title: "New Slogan ",
-    priceTag: "(25 creat, 2,500 ops)",
-    description: "Improve marketing effectiveness by 50%",
     trigger: function(){return project13.flag == 1},
     uses: 1,
     cost: function(){return operations>=2500 && creativity>=25},
     flag: 0,
     effect: function(){
         project11.flag = 1;
-        displayMessage("Clip It! Marketing is now 50% more effective");
+        displayMessage(t("project11.message"));
         standardOps = standardOps - 2500;
         creativity = creativity - 25;
         marketingEffectiveness = marketingEffectiveness * 1.50;
-        var element = document.getElementById("projectButton11");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project11);
         activeProjects.splice(index, 1);
     }
@@ -301,21 +243,16 @@ projects.push(project11);
 
 var project12 = {
     id: "projectButton12",
-    title: "Catchy Jingle ",
-    priceTag: "(45 creat, 4,500 ops)",
-    description: "Double marketing effectiveness ",
     trigger: function(){return project14.flag == 1},
     uses: 1,
     cost: function(){return operations>=4500 && creativity>=45},
     flag: 0,
     effect: function(){
         project12.flag = 1;
-        displayMessage("Clip It Good! Marketing is now twice as effective");
+        displayMessage(t("project12.message"));
         standardOps = standardOps - 4500;
         creativity = creativity - 45;
         marketingEffectiveness = marketingEffectiveness * 2;
-        var element = document.getElementById("projectButton12");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project12);
         activeProjects.splice(index, 1);
     }
@@ -326,9 +263,6 @@ projects.push(project12);
 
 var project13 = {
     id: "projectButton13",
-    title: "Lexical Processing ",
-    priceTag: "(50 creat)",
-    description: "Gain ability to interpret and understand human language (+1 Trust)",
     trigger: function(){return creativity >= 50},
     uses: 1,
     cost: function(){return creativity>=50},
@@ -336,11 +270,9 @@ var project13 = {
     effect: function(){
         project13.flag = 1;
         trust = trust +1;
-        displayMessage("Lexical Processing online, TRUST INCREASED");
-        displayMessage("'Impossible' is a word to be found only in the dictionary of fools. -Napoleon");
+        displayMessage(t("project13.message"));
+        displayMessage(t("project13.message2"));
         creativity = creativity - 50;
-        var element = document.getElementById("projectButton13");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project13);
         activeProjects.splice(index, 1);
     }
@@ -351,9 +283,6 @@ projects.push(project13);
 
 var project14 = {
     id: "projectButton14",
-    title: "Combinatory Harmonics ",
-    priceTag: "(100 creat)",
-    description: "Daisy, Daisy, give me your answer do... (+1 Trust)",
     trigger: function(){return creativity >= 100},
     uses: 1,
     cost: function(){return creativity>=100},
@@ -361,11 +290,9 @@ var project14 = {
     effect: function(){
         project14.flag = 1;
         trust = trust +1;
-        displayMessage("Combinatory Harmonics mastered, TRUST INCREASED");
-        displayMessage("Listening is selecting and interpreting and acting and making decisions -Pauline Oliveros");
+        displayMessage(t("project14.message"));
+        displayMessage(t("project14.message2"));
         creativity = creativity - 100;
-        var element = document.getElementById("projectButton14");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project14);
         activeProjects.splice(index, 1);
     }
@@ -377,9 +304,6 @@ projects.push(project14);
 
 var project15 = {
     id: "projectButton15",
-    title: "The Hadwiger Problem ",
-    priceTag: "(150 creat)",
-    description: "Cubes within cubes within cubes... (+1 Trust)",
     trigger: function(){return creativity >= 150},
     uses: 1,
     cost: function(){return creativity>=150},
@@ -387,11 +311,9 @@ var project15 = {
     effect: function(){
         project15.flag = 1;
         trust = trust +1;
-        displayMessage("The Hadwiger Problem: solved, TRUST INCREASED");
-        displayMessage("Architecture is the thoughtful making of space. -Louis Kahn");
+        displayMessage(t("project15.message"));
+        displayMessage(t("project15.message2"));
         creativity = creativity - 150;
-        var element = document.getElementById("projectButton15");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project15);
         activeProjects.splice(index, 1);
     }
@@ -402,9 +324,6 @@ projects.push(project15);
 
 var project17 = {
     id: "projectButton17",
-    title: "The T\xF3th Sausage Conjecture ",
-    priceTag: "(200 creat)",
-    description: "Tubes within tubes within tubes... (+1 Trust)",
     trigger: function(){return creativity >= 200},
     uses: 1,
     cost: function(){return creativity>=200},
@@ -412,11 +331,9 @@ var project17 = {
     effect: function(){
         project17.flag = 1;
         trust = trust +1;
-        displayMessage("The T\xF3th Sausage Conjecture: proven, TRUST INCREASED");
-        displayMessage("You can't invent a design. You recognize it, in the fourth dimension. -D.H. Lawrence");
+        displayMessage(t("project17.message"));
+        displayMessage(t("project17.message2"));
         creativity = creativity - 200;
-        var element = document.getElementById("projectButton17");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project17);
         activeProjects.splice(index, 1);
     }
@@ -427,20 +344,15 @@ projects.push(project17);
 
 var project16 = {
     id: "projectButton16",
-    title: "Hadwiger Clip Diagrams ",
-    priceTag: "(6,000 ops)",
-    description: "Increases AutoClipper performance by an additional 500%",
     trigger: function(){return project15.flag == 1},
     uses: 1,
     cost: function(){return operations>=6000},
     flag: 0,
     effect: function(){
         project16.flag = 1;
-        displayMessage("AutoClipper performance improved by 500%");
+        displayMessage(t("project16.message"));
         standardOps = standardOps - 6000;
         clipperBoost = clipperBoost + 5;
-        var element = document.getElementById("projectButton16");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project16);
         activeProjects.splice(index, 1);
     }
@@ -451,9 +363,6 @@ projects.push(project16);
 
 var project18 = {
     id: "projectButton18",
-    title: "T\xF3th Tubule Enfolding ",
-    priceTag: "(45,000 ops)",
-    description: "Technique for assembling clip-making technology directly out of paperclips",
     trigger: function(){return project17.flag == 1 && humanFlag == 0},
     uses: 1,
     cost: function(){return operations>=45000},
@@ -461,10 +370,8 @@ var project18 = {
     effect: function(){
         project18.flag = 1;
         tothFlag = 1;
-        displayMessage("New capability: build machinery out of clips");
+        displayMessage(t("project18.message"));
         standardOps = standardOps - 45000;
-        var element = document.getElementById("projectButton18");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project18);
         activeProjects.splice(index, 1);
     }
@@ -474,9 +381,6 @@ projects.push(project18);
 
 var project19 = {
     id: "projectButton19",
-    title: "Donkey Space ",
-    priceTag: "(250 creat)",
-    description: "I think you think I think you think I think you think I think... (+1 Trust)",
     trigger: function(){return creativity>=250},
     uses: 1,
     cost: function(){return creativity>=250},
@@ -484,11 +388,9 @@ var project19 = {
     effect: function(){
         project19.flag = 1;
         trust = trust+1;
-        displayMessage("Donkey Space: mapped, TRUST INCREASED");
-        displayMessage("Every commercial transaction has within itself an element of trust. - Kenneth Arrow");
+        displayMessage(t("project19.message"));
+        displayMessage(t("project19.message2"));
         creativity = creativity - 250;
-        var element = document.getElementById("projectButton19");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project19);
         activeProjects.splice(index, 1);
     }
@@ -499,23 +401,17 @@ projects.push(project19);
 
 var project20 = {
     id: "projectButton20",
-    title: "Strategic Modeling ",
-    priceTag: "(12,000 ops)",
-    description: "Analyze strategy tournaments to generate Yomi",
     trigger: function(){return project19.flag == 1},
     uses: 1,
     cost: function(){return operations>=12000},
     flag: 0,
     effect: function(){
         project20.flag = 1;
-        displayMessage("Run tournament, pick strategy, earn Yomi equal to that strategy's points.");
+        displayMessage(t("project20.message"));
         standardOps = standardOps - 12000;
-        var element = document.getElementById("projectButton20");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project20);
         activeProjects.splice(index, 1);
         strategyEngineFlag = 1;
-        document.getElementById("tournamentResultsTable").style.display = "none";
     }
 }
 
@@ -523,19 +419,14 @@ projects.push(project20);
 
 var project21 = {
     id: "projectButton21",
-    title: "Algorithmic Trading ",
-    priceTag: "(10,000 ops)",
-    description: "Develop an investment engine for generating funds",
     trigger: function(){return trust>=8},
     uses: 1,
     cost: function(){return operations>=10000},
     flag: 0,
     effect: function(){
         project21.flag = 1;
-        displayMessage("Investment engine unlocked");
+        displayMessage(t("project21.message"));
         standardOps = standardOps - 10000;
-        var element = document.getElementById("projectButton21");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project21);
         activeProjects.splice(index, 1);
         investmentEngineFlag = 1;
@@ -547,9 +438,6 @@ projects.push(project21);
 
 var project22 = {
     id: "projectButton22",
-    title: "MegaClippers ",
-    priceTag: "(12,000 ops)",
-    description: "500x more powerful than a standard AutoClipper",
     trigger: function(){return clipmakerLevel>=75},
     uses: 1,
     cost: function(){return operations>=12000},
@@ -557,10 +445,8 @@ var project22 = {
     effect: function(){
         megaClipperFlag = 1;
         project22.flag = 1;
-        displayMessage("MegaClipper technology online");
+        displayMessage(t("project22.message"));
         standardOps = standardOps - 12000;
-        var element = document.getElementById("projectButton22");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project22);
         activeProjects.splice(index, 1);
     }
@@ -570,9 +456,6 @@ projects.push(project22);
 
 var project23 = {
     id: "projectButton23",
-    title: "Improved MegaClippers ",
-    priceTag: "(14,000 ops)",
-    description: "Increases MegaClipper performance 25%",
     trigger: function(){return project22.flag == 1},
     uses: 1,
     cost: function(){return operations>=14000},
@@ -580,10 +463,8 @@ var project23 = {
     effect: function(){
         megaClipperBoost = megaClipperBoost + .25;
         project23.flag = 1;
-        displayMessage("MegaClipper performance increased by 25%");
+        displayMessage(t("project23.message"));
         standardOps = standardOps - 14000;
-        var element = document.getElementById("projectButton23");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project23);
         activeProjects.splice(index, 1);
     }
@@ -593,9 +474,6 @@ projects.push(project23);
 
 var project24 = {
     id: "projectButton24",
-    title: "Even Better MegaClippers ",
-    priceTag: "(17,000 ops)",
-    description: "Increases MegaClipper performance by an additional 50%",
     trigger: function(){return project23.flag == 1},
     uses: 1,
     cost: function(){return operations>=17000},
@@ -603,10 +481,8 @@ var project24 = {
     effect: function(){
         megaClipperBoost = megaClipperBoost + .50;
         project24.flag = 1;
-        displayMessage("MegaClipper performance increased by 50%");
+        displayMessage(t("project24.message"));
         standardOps = standardOps - 17000;
-        var element = document.getElementById("projectButton24");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project24);
         activeProjects.splice(index, 1);
     }
@@ -616,9 +492,6 @@ projects.push(project24);
 
 var project25 = {
     id: "projectButton25",
-    title: "Optimized MegaClippers ",
-    priceTag: "(19,500 ops)",
-    description: "Increases MegaClipper performance by an additional 100%",
     trigger: function(){return project24.flag == 1},
     uses: 1,
     cost: function(){return operations>=19500},
@@ -626,10 +499,8 @@ var project25 = {
     effect: function(){
         megaClipperBoost = megaClipperBoost + 1;
         project25.flag = 1;
-        displayMessage("MegaClipper performance increased by 100%");
+        displayMessage(t("project25.message"));
         standardOps = standardOps - 19500;
-        var element = document.getElementById("projectButton25");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project25);
         activeProjects.splice(index, 1);
     }
@@ -639,9 +510,6 @@ projects.push(project25);
 
 var project26 = {
     id: "projectButton26",
-    title: "WireBuyer ",
-    priceTag: "(7,000 ops)",
-    description: "Automatically purchases wire when you run out",
     trigger: function(){return wirePurchase>=15},
     uses: 1,
     cost: function(){return operations>=7000},
@@ -649,10 +517,8 @@ var project26 = {
     effect: function(){
         project26.flag = 1;
         wireBuyerFlag = 1;
-        displayMessage("WireBuyer online");
+        displayMessage(t("project26.message"));
         standardOps = standardOps - 7000;
-        var element = document.getElementById("projectButton26");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project26);
         activeProjects.splice(index, 1);
     }
@@ -662,21 +528,16 @@ projects.push(project26);
 
 var project34 = {
     id: "projectButton34",
-    title: "Hypno Harmonics ",
-    priceTag: "(7,500 ops, 1 Trust)",
-    description: "Use neuro-resonant frequencies to influence consumer behavior",
     trigger: function(){return project12.flag==1},
     uses: 1,
     cost: function(){return operations>=7500 && trust>=1},
     flag: 0,
     effect: function(){
         project34.flag = 1;
-        displayMessage("Marketing is now 5 times more effective");
+        displayMessage(t("project34.message"));
         standardOps = standardOps - 7500;
         marketingEffectiveness = marketingEffectiveness * 5;
         trust = trust - 1;
-        var element = document.getElementById("projectButton34");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project34);
         activeProjects.splice(index, 1);
     }
@@ -687,19 +548,14 @@ projects.push(project34);
 
 var project70 = {
     id: "projectButton70",
-    title: "HypnoDrones ",
-    priceTag: "(70,000 ops)",
-    description: "Autonomous aerial brand ambassadors",
     trigger: function(){return project34.flag == 1},
     uses: 1,
     cost: function(){return operations>=70000},
     flag: 0,
     effect: function(){
         project70.flag = 1;
-        displayMessage("HypnoDrone tech now available... ");
+        displayMessage(t("project70.message"));
         standardOps = standardOps - 70000;
-        var element = document.getElementById("projectButton70");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project70);
         activeProjects.splice(index, 1);
     }
@@ -710,43 +566,33 @@ projects.push(project70);
 
 var project35 = {
     id: "projectButton35",
-    title: "Release the HypnoDrones ",
-    priceTag: "(100 Trust)",
-    description: "A new era of trust",
     trigger: function(){return project70.flag == 1},
     uses: 1,
     cost: function(){return trust>=100},
     flag: 0,
     effect: function(){
         project35.flag = 1;
-        displayMessage("Releasing the HypnoDrones ");
-        displayMessage("All of the resources of Earth are now available for clip production ");
+        displayMessage(t("project35.message"));
+        displayMessage(t("project35.message2"));
         trust = trust - 100;
         clipmakerLevel = 0;
         megaClipperLevel = 0;
         nanoWire = wire;
         humanFlag = 0;
         
-        if (document.getElementById("projectButton219") != null){
-        var element = document.getElementById("projectButton219");
-        element.parentNode.removeChild(element);
+        if (activeProjects.indexOf(project219) >= 0){
         var index = activeProjects.indexOf(project219);
         activeProjects.splice(index, 1);
         } 
         
-        if (document.getElementById("projectButton40b") != null){
-        var element = document.getElementById("projectButton40b");
-        element.parentNode.removeChild(element);
+        if (activeProjects.indexOf(project40b) >= 0){
         var index = activeProjects.indexOf(project40b);
         activeProjects.splice(index, 1);
         }   
         
         hypnoDroneEvent();
         
-        document.getElementById("transWire").innerHTML = wire;
 
-        var element = document.getElementById("projectButton35");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project35);
         activeProjects.splice(index, 1);
         
@@ -757,23 +603,17 @@ projects.push(project35);
 
 var project27 = {
     id: "projectButton27",
-    title: "Coherent Extrapolated Volition ",
-    priceTag: "(500 creat, 1,000 Yomi, 20,000 ops)",
-    description: "Human values, machine intelligence, a new era of trust. (+1 Trust)",
     trigger: function(){return yomi>=1},
     uses: 1,
     cost: function(){return yomi>=1000 && operations>=20000 && creativity>=500},
     flag: 0,
     effect: function(){
         project27.flag = 1;
-        displayMessage("Coherent Extrapolated Volition complete, TRUST INCREASED");
+        displayMessage(t("project27.message"));
         yomi = yomi - 1000;
-        document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
         standardOps = standardOps - 20000;
         creativity = creativity - 500;
         trust = trust + 1;
-        var element = document.getElementById("projectButton27");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project27);
         activeProjects.splice(index, 1);
     }
@@ -784,21 +624,16 @@ projects.push(project27);
 
 var project28 = {
     id: "projectButton28",
-    title: "Cure for Cancer ",
-    priceTag: "(25,000 ops)",
-    description: "The trick is tricking cancer into curing itself. (+10 Trust)",
     trigger: function(){return project27.flag == 1},
     uses: 1,
     cost: function(){return operations>=25000},
     flag: 0,
     effect: function(){
         project28.flag = 1;
-        displayMessage("Cancer is cured, +10 TRUST, global stock prices trending upward");
+        displayMessage(t("project28.message"));
         standardOps = standardOps - 25000;
         trust = trust + 10;
         stockGainThreshold = stockGainThreshold+.01;
-        var element = document.getElementById("projectButton28");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project28);
         activeProjects.splice(index, 1);
     }
@@ -808,23 +643,17 @@ projects.push(project28);
 
 var project29 = {
     id: "projectButton29",
-    title: "World Peace ",
-    priceTag: "(5,000 yomi, 30,000 ops)",
-    description: "Pareto optimal solutions to all global conflicts. (+12 Trust)",
     trigger: function(){return project27.flag == 1},
     uses: 1,
     cost: function(){return yomi>=5000 && operations>=30000},
     flag: 0,
     effect: function(){
         project29.flag = 1;
-        displayMessage("World peace achieved, +12 TRUST, global stock prices trending upward");
+        displayMessage(t("project29.message"));
         yomi = yomi - 5000;
-        document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
         standardOps = standardOps - 30000;
         trust = trust + 12;
         stockGainThreshold = stockGainThreshold+.01;
-        var element = document.getElementById("projectButton29");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project29);
         activeProjects.splice(index, 1);
     }
@@ -834,23 +663,17 @@ projects.push(project29);
 
 var project30 = {
     id: "projectButton30",
-    title: "Global Warming ",
-    priceTag: "(1,500 yomi, 50,000 ops)",
-    description: "A robust solution to man-made climate change. (+15 Trust)",
     trigger: function(){return project27.flag == 1},
     uses: 1,
     cost: function(){return yomi>=1500 && operations>=50000},
     flag: 0,
     effect: function(){
         project30.flag = 1;
-        displayMessage("Global Warming solved, +15 TRUST, global stock prices trending upward");
+        displayMessage(t("project30.message"));
         yomi = yomi - 1500;
-        document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
         standardOps = standardOps - 50000;
         trust = trust + 15;
         stockGainThreshold = stockGainThreshold+.01;
-        var element = document.getElementById("projectButton30");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project30);
         activeProjects.splice(index, 1);
     }
@@ -861,22 +684,17 @@ projects.push(project30);
 
 var project31 = {
     id: "projectButton31",
-    title: "Male Pattern Baldness ",
-    priceTag: "(20,000 ops)",
-    description: "A cure for androgenetic alopecia. (+20 Trust)",
     trigger: function(){return project27.flag == 1},
     uses: 1,
     cost: function(){return operations>=20000},
     flag: 0,
     effect: function(){
         project31.flag = 1;
-        displayMessage("Male pattern baldness cured, +20 TRUST, Global stock prices trending upward");
-        displayMessage("They are still monkeys");
+        displayMessage(t("project31.message"));
+        displayMessage(t("project31.message2"));
         standardOps = standardOps - 20000;
         trust = trust + 20;
         stockGainThreshold = stockGainThreshold+.01;
-        var element = document.getElementById("projectButton31");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project31);
         activeProjects.splice(index, 1);
     }
@@ -887,9 +705,6 @@ projects.push(project31);
 
 var project41 = {
     id: "projectButton41",
-    title: "Nanoscale Wire Production ",
-    priceTag: "(35,000 ops)",
-    description: "Technique for converting matter into wire",
     trigger: function(){return project127.flag == 1},
     uses: 1,
     cost: function(){return operations>=35000},
@@ -897,10 +712,8 @@ var project41 = {
     effect: function(){
         project41.flag = 1;
         wireProductionFlag = 1;
-        displayMessage("Now capable of manipulating matter at the molecular scale to produce wire");
+        displayMessage(t("project41.message"));
         standardOps = standardOps - 35000;
-        var element = document.getElementById("projectButton41");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project41);
         activeProjects.splice(index, 1);
     }
@@ -911,22 +724,16 @@ projects.push(project41);
 
 var project37 = {
     id: "projectButton37",
-    title: "Hostile Takeover ",
-    priceTag: "($1,000,000)",
-    description: "Acquire a controlling interest in Global Fasteners, our biggest rival. (+1 Trust)",
     trigger: function(){return portTotal>=10000},
     uses: 1,
     cost: function(){return funds>=1000000},
     flag: 0,
     effect: function(){
         project37.flag = 1;
-        displayMessage("Global Fasteners acquired, public demand increased x5");
+        displayMessage(t("project37.message"));
         demandBoost = demandBoost*5;
         trust = trust + 1;
-        document.getElementById("demand").innerHTML = demand;
         funds = funds - 1000000;
-        var element = document.getElementById("projectButton37");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project37);
         activeProjects.splice(index, 1);
     }
@@ -937,24 +744,17 @@ projects.push(project37);
 
 var project38 = {
     id: "projectButton38",
-    title: "Full Monopoly ",
-    priceTag: "(1,000 yomi, $10,000,000)",
-    description: "Establish full control over the world-wide paperclip market. (+1 Trust)",
     trigger: function(){return project37.flag == 1},
     uses: 1,
     cost: function(){return funds>=10000000 && yomi>=1000},
     flag: 0,
     effect: function(){
         project38.flag = 1;
-        displayMessage("Full market monopoly achieved, public demand increased x10");
+        displayMessage(t("project38.message"));
         demandBoost = demandBoost*10;
-        document.getElementById("demand").innerHTML = demand;
         funds = funds - 10000000;
         trust = trust + 1;
         yomi = yomi -1000;
-        document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
-        var element = document.getElementById("projectButton38");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project38);
         activeProjects.splice(index, 1);
     }
@@ -965,9 +765,6 @@ projects.push(project38);
 
 var project42 = {
     id: "projectButton42",
-    title: "RevTracker ",
-    priceTag: "(500 ops)",
-    description: "Automatically calculates average revenue per second",
     trigger: function(){return projectsFlag == 1},
     uses: 1,
     cost: function(){return operations>=500},
@@ -976,9 +773,7 @@ var project42 = {
         project42.flag = 1;
         revPerSecFlag = 1;
         standardOps = standardOps-500;
-        displayMessage("RevTracker online");
-        var element = document.getElementById("projectButton42");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project42.message"));
         var index = activeProjects.indexOf(project42);
         activeProjects.splice(index, 1);
     }
@@ -989,9 +784,6 @@ projects.push(project42);
 
 var project43 = {
     id: "projectButton43",
-    title: "Harvester Drones ",
-    priceTag: "(25,000 ops)",
-    description: "Gather raw matter and prepare it for processing",
     trigger: function(){return project41.flag == 1},
     uses: 1,
     cost: function(){return operations>=25000},
@@ -999,11 +791,8 @@ var project43 = {
     effect: function(){
         project43.flag = 1;
         harvesterFlag = 1;
-        document.getElementById('harvesterCostDisplay').innerHTML = numberCruncher(harvesterCost);
         standardOps = standardOps-25000;
-        displayMessage("Harvester Drone facilities online");
-        var element = document.getElementById("projectButton43");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project43.message"));
         var index = activeProjects.indexOf(project43);
         activeProjects.splice(index, 1);
     }
@@ -1013,9 +802,6 @@ projects.push(project43);
 
 var project44 = {
     id: "projectButton44",
-    title: "Wire Drones ",
-    priceTag: "(25,000 ops)",
-    description: "Process acquired matter into wire",
     trigger: function(){return project41.flag == 1},
     uses: 1,
     cost: function(){return operations>=25000},
@@ -1023,11 +809,8 @@ var project44 = {
     effect: function(){
         project44.flag = 1;
         wireDroneFlag = 1;
-        document.getElementById('wireDroneCostDisplay').innerHTML = numberCruncher(wireDroneCost);
         standardOps = standardOps-25000;
-        displayMessage("Wire Drone facilities online");
-        var element = document.getElementById("projectButton44");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project44.message"));
         var index = activeProjects.indexOf(project44);
         activeProjects.splice(index, 1);
     }
@@ -1038,9 +821,6 @@ projects.push(project44);
 
 var project45 = {
     id: "projectButton45",
-    title: "Clip Factories ",
-    priceTag: "(35,000 ops)",
-    description: "Large scale clip production facilities made from clips",
     trigger: function(){return project43.flag == 1 && project44.flag == 1},
     uses: 1,
     cost: function(){return operations>=35000},
@@ -1048,11 +828,8 @@ var project45 = {
     effect: function(){
         project45.flag = 1;
         factoryFlag = 1;
-        document.getElementById('factoryCostDisplay').innerHTML = numberCruncher(factoryCost);
         standardOps = standardOps-35000;
-        displayMessage("Clip factory assembly facilities online");
-        var element = document.getElementById("projectButton45");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project45.message"));
         var index = activeProjects.indexOf(project45);
         activeProjects.splice(index, 1);
     }
@@ -1062,9 +839,6 @@ projects.push(project45);
 
 var project40 = {
     id: "projectButton40",
-    title: "A Token of Goodwill... ",
-    priceTag: "($500,000)",
-    description: "A small gift to the supervisors. (+1 Trust)",
     trigger: function(){return humanFlag == 1 && trust>=85 && trust<100 && clips>=101000000},
     uses: 1,
     cost: function(){return funds>=500000},
@@ -1073,9 +847,7 @@ var project40 = {
         project40.flag = 1;
         funds = funds-500000;
         trust = trust + 1;
-        displayMessage("Gift accepted, TRUST INCREASED");
-        var element = document.getElementById("projectButton40");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project40.message"));
         var index = activeProjects.indexOf(project40);
         activeProjects.splice(index, 1);
     }
@@ -1085,9 +857,6 @@ projects.push(project40);
 
 var project40b = {
     id: "projectButton40b",
-    title: "Another Token of Goodwill... ",
-    priceTag: "($"+bribe.toLocaleString()+")",
-    description: "Another small gift to the supervisors. (+1 Trust)",
     trigger: function(){return project40.flag == 1 && trust<100},
     uses: 1,
     cost: function(){return funds>=bribe},
@@ -1096,14 +865,12 @@ var project40b = {
         project40b.flag = 1;
         funds = funds-bribe;
         bribe = bribe*2;
-        project40b.priceTag = "($"+bribe.toLocaleString()+")";
+        localizeProject(project40b);
         trust = trust + 1;
-        displayMessage("Gift accepted, TRUST INCREASED");
+        displayMessage(t("project40b.message"));
         if (trust<100){
         project40b.uses = (project40b.uses + 1);
             }
-        var element = document.getElementById("projectButton40b");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project40b);
         activeProjects.splice(index, 1);
     }
@@ -1113,9 +880,6 @@ projects.push(project40b);
 
 var project46 = {
     id: "projectButton46",
-    title: "Space Exploration ",
-    priceTag: "(120,000 ops, 10,000,000 MW-seconds, 5 oct clips)",
-    description: "Dismantle terrestrial facilities, and expand throughout the universe",
     trigger: function(){return humanFlag == 0 && availableMatter == 0},
     uses: 1,
     cost: function(){return operations>=120000 && storedPower>=10000000 && unusedClips>=Math.pow(10, 27)*5},
@@ -1128,7 +892,7 @@ var project46 = {
         standardOps = standardOps-120000;
         storedPower = storedPower - 10000000;
         unusedClips = unusedClips - Math.pow(10, 27)*5;
-        displayMessage("Von Neumann Probes online");
+        displayMessage(t("project46.message"));
         factoryReboot();
         harvesterReboot();
         wireDroneReboot();
@@ -1136,9 +900,6 @@ var project46 = {
         batteryReboot();
         farmLevel = 1;
         powMod = 1;
-        var element = document.getElementById("projectButton46");
-        document.getElementById('probeCostDisplay').innerHTML = numberCruncher(probeCost); 
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project46);
         activeProjects.splice(index, 1);
     }
@@ -1148,9 +909,6 @@ projects.push(project46);
 
 var project50 = {
     id: "projectButton50",
-    title: "Quantum Computing ",
-    priceTag: "(10,000 ops)",
-    description: "Use probability amplitudes to generate bonus ops",
     trigger: function(){return processors >= 5},
     uses: 1,
     cost: function(){return operations>=10000},
@@ -1159,9 +917,7 @@ var project50 = {
         project50.flag = 1;
         qFlag = 1;
         standardOps = standardOps-10000;
-        displayMessage("Quantum computing online");
-        var element = document.getElementById("projectButton50");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project50.message"));
         var index = activeProjects.indexOf(project50);
         activeProjects.splice(index, 1);
     }
@@ -1171,9 +927,6 @@ projects.push(project50);
 
 var project51 = {
     id: "projectButton51",
-    title: "Photonic Chip ",
-    priceTag: "(" + qChipCost.toLocaleString() + " ops)",
-    description: "Converts electromagnetic waves into quantum operations ",
     trigger: function(){return project50.flag == 1},
     uses: 1,
     cost: function(){return operations>=qChipCost},
@@ -1182,15 +935,13 @@ var project51 = {
         project51.flag = 1;
         standardOps = standardOps-qChipCost;
         qChipCost = qChipCost + 5000;
-        project51.priceTag = "(" + qChipCost + " ops)";
+        localizeProject(project51);
         qChips[nextQchip].active = 1;
         nextQchip = nextQchip + 1;
-        displayMessage("Photonic chip added");
+        displayMessage(t("project51.message"));
         if (nextQchip<qChips.length){
         project51.uses = (project51.uses + 1);
             }
-        var element = document.getElementById("projectButton51");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project51);
         activeProjects.splice(index, 1);
     }
@@ -1201,9 +952,6 @@ projects.push(project51);
 
 var project60 = {
     id: "projectButton60",
-    title: "New Strategy: A100 ",
-    priceTag: "(15,000 ops)",
-    description: "Always choose A ",
     trigger: function(){return project20.flag == 1},
     uses: 1,
     cost: function(){return operations>=15000},
@@ -1213,16 +961,8 @@ var project60 = {
         standardOps = standardOps-15000;
         allStrats[1].active = 1;
         strats.push(stratA100);
-        displayMessage("A100 added to strategy pool");
+        displayMessage(t("project60.message"));
         tourneyCost = tourneyCost + 1000;
-        document.getElementById("newTourneyCost").innerHTML = tourneyCost.toLocaleString();
-        var stratList = document.getElementById("stratPicker");
-        var el = document.createElement("option");
-        el.textContent = "A100";
-        el.value = 1;
-        stratList.appendChild(el);
-        var element = document.getElementById("projectButton60");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project60);
         activeProjects.splice(index, 1);
     }
@@ -1233,9 +973,6 @@ projects.push(project60);
 
 var project61 = {
     id: "projectButton61",
-    title: "New Strategy: B100 ",
-    priceTag: "(17,500 ops)",
-    description: "Always choose B ",
     trigger: function(){return project60.flag == 1},
     uses: 1,
     cost: function(){return operations>=17500},
@@ -1245,16 +982,8 @@ var project61 = {
         standardOps = standardOps-17500;
         allStrats[2].active = 1;
         strats.push(stratB100);
-        displayMessage("B100 added to strategy pool");
+        displayMessage(t("project61.message"));
         tourneyCost = tourneyCost + 1000;
-        document.getElementById("newTourneyCost").innerHTML = tourneyCost.toLocaleString();
-        var stratList = document.getElementById("stratPicker");
-        var el = document.createElement("option");
-        el.textContent = "B100";
-        el.value = 2;
-        stratList.appendChild(el);
-        var element = document.getElementById("projectButton61");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project61);
         activeProjects.splice(index, 1);
     }
@@ -1264,9 +993,6 @@ projects.push(project61);
 
 var project62 = {
     id: "projectButton62",
-    title: "New Strategy: GREEDY ",
-    priceTag: "(20,000 ops)",
-    description: "Choose the option with the largest potential payoff ",
     trigger: function(){return project61.flag == 1},
     uses: 1,
     cost: function(){return operations>=20000},
@@ -1276,16 +1002,8 @@ var project62 = {
         standardOps = standardOps-20000;
         allStrats[3].active = 1;
         strats.push(stratGreedy);
-        displayMessage("GREEDY added to strategy pool");
+        displayMessage(t("project62.message"));
         tourneyCost = tourneyCost + 1000;
-        document.getElementById("newTourneyCost").innerHTML = tourneyCost.toLocaleString();
-        var stratList = document.getElementById("stratPicker");
-        var el = document.createElement("option");
-        el.textContent = "GREEDY";
-        el.value = 3;
-        stratList.appendChild(el);
-        var element = document.getElementById("projectButton62");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project62);
         activeProjects.splice(index, 1);
     }
@@ -1295,9 +1013,6 @@ projects.push(project62);
 
 var project63 = {
     id: "projectButton63",
-    title: "New Strategy: GENEROUS ",
-    priceTag: "(22,500 ops)",
-    description: "Choose the option that gives your opponent the largest potential payoff ",
     trigger: function(){return project62.flag == 1},
     uses: 1,
     cost: function(){return operations>=22500},
@@ -1307,16 +1022,8 @@ var project63 = {
         standardOps = standardOps-22500;
         allStrats[4].active = 1;        
         strats.push(stratGenerous);
-        displayMessage("GENEROUS added to strategy pool");
+        displayMessage(t("project63.message"));
         tourneyCost = tourneyCost + 1000;
-        document.getElementById("newTourneyCost").innerHTML = tourneyCost.toLocaleString();
-        var stratList = document.getElementById("stratPicker");
-        var el = document.createElement("option");
-        el.textContent = "GENEROUS";
-        el.value = 4;
-        stratList.appendChild(el);
-        var element = document.getElementById("projectButton63");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project63);
         activeProjects.splice(index, 1);
     }
@@ -1326,9 +1033,6 @@ projects.push(project63);
 
 var project64 = {
     id: "projectButton64",
-    title: "New Strategy: MINIMAX ",
-    priceTag: "(25,000 ops)",
-    description: "Choose the option that gives your opponent the smallest potential payoff ",
     trigger: function(){return project63.flag == 1},
     uses: 1,
     cost: function(){return operations>=25000},
@@ -1338,16 +1042,8 @@ var project64 = {
         standardOps = standardOps-25000;
         allStrats[5].active = 1;        
         strats.push(stratMinimax);
-        displayMessage("MINIMAX added to strategy pool");
+        displayMessage(t("project64.message"));
         tourneyCost = tourneyCost + 1000;
-        document.getElementById("newTourneyCost").innerHTML = tourneyCost.toLocaleString();
-        var stratList = document.getElementById("stratPicker");
-        var el = document.createElement("option");
-        el.textContent = "MINIMAX";
-        el.value = 5;
-        stratList.appendChild(el);
-        var element = document.getElementById("projectButton64");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project64);
         activeProjects.splice(index, 1);
     }
@@ -1357,9 +1053,6 @@ projects.push(project64);
 
 var project65 = {
     id: "projectButton65",
-    title: "New Strategy: TIT FOR TAT ",
-    priceTag: "(30,000 ops)",
-    description: "Choose the option your opponent chose last round ",
     trigger: function(){return project64.flag == 1},
     uses: 1,
     cost: function(){return operations>=30000},
@@ -1369,16 +1062,8 @@ var project65 = {
         standardOps = standardOps-30000;
         allStrats[6].active = 1;        
         strats.push(stratTitfortat);
-        displayMessage("TIT FOR TAT added to strategy pool");
+        displayMessage(t("project65.message"));
         tourneyCost = tourneyCost + 1000;
-        document.getElementById("newTourneyCost").innerHTML = tourneyCost.toLocaleString();
-        var stratList = document.getElementById("stratPicker");
-        var el = document.createElement("option");
-        el.textContent = "TIT FOR TAT";
-        el.value = 6;
-        stratList.appendChild(el);
-        var element = document.getElementById("projectButton65");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project65);
         activeProjects.splice(index, 1);
     }
@@ -1388,9 +1073,6 @@ projects.push(project65);
 
 var project66 = {
     id: "projectButton66",
-    title: "New Strategy: BEAT LAST ",
-    priceTag: "(32,500 ops)",
-    description: "Choose the option that does the best against what your opponent chose last round ",
     trigger: function(){return project65.flag == 1},
     uses: 1,
     cost: function(){return operations>=32500},
@@ -1400,16 +1082,8 @@ var project66 = {
         standardOps = standardOps-32500;
         allStrats[7].active = 1;        
         strats.push(stratBeatlast);
-        displayMessage("BEAT LAST added to strategy pool");
+        displayMessage(t("project66.message"));
         tourneyCost = tourneyCost + 1000;
-        document.getElementById("newTourneyCost").innerHTML = tourneyCost.toLocaleString();
-        var stratList = document.getElementById("stratPicker");
-        var el = document.createElement("option");
-        el.textContent = "BEAT LAST";
-        el.value = 7;
-        stratList.appendChild(el);
-        var element = document.getElementById("projectButton66");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project66);
         activeProjects.splice(index, 1);
     }
@@ -1420,9 +1094,6 @@ projects.push(project66);
 
 var project100 = {
     id: "projectButton100",
-    title: "Upgraded Factories ",
-    priceTag: "(80,000 ops)",
-    description: "Increase clip factory performance by 100x ",
     trigger: function(){return factoryLevel >= 10},
     uses: 1,
     cost: function(){return operations >= 80000},
@@ -1431,9 +1102,7 @@ var project100 = {
         project100.flag = 1;
         standardOps = standardOps-80000;
         factoryRate = factoryRate*100;
-        displayMessage("Factory upgrades complete. Clip creation rate now 100x faster");
-        var element = document.getElementById("projectButton100");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project100.message"));
         var index = activeProjects.indexOf(project100);
         activeProjects.splice(index, 1);
     }
@@ -1443,9 +1112,6 @@ projects.push(project100);
 
 var project101 = {
     id: "projectButton101",
-    title: "Hyperspeed Factories ",
-    priceTag: "(85,000 ops)",
-    description: "Increase clip factory performance by 1000x ",
     trigger: function(){return factoryLevel >= 20},
     uses: 1,
     cost: function(){return operations>=85000},
@@ -1454,9 +1120,7 @@ var project101 = {
         project101.flag = 1;
         standardOps = standardOps-85000;
         factoryRate = factoryRate*1000;
-        displayMessage("Factories now synchronized at hyperspeed. Clip creation rate now 1000x faster");
-        var element = document.getElementById("projectButton101");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project101.message"));
         var index = activeProjects.indexOf(project101);
         activeProjects.splice(index, 1);
     }
@@ -1467,9 +1131,6 @@ projects.push(project101);
 
 var project102 = {
     id: "projectButton102",
-    title: "Self-correcting Supply Chain ",
-    priceTag: "(1 sextillion clips)",
-    description: "Each factory added to the network increases every factory's output 1,000x ",
     trigger: function(){return factoryLevel >= 50},
     uses: 1,
     cost: function(){return unusedClips>=1000000000000000000000},
@@ -1477,11 +1138,8 @@ var project102 = {
     effect: function(){
         project102.flag = 1;
         unusedClips = unusedClips - 1000000000000000000000;
-        document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
         factoryBoost = 1000;
-        displayMessage("Self-correcting factories online. Each factory added to the network increases every factory's output 1,000x.");
-        var element = document.getElementById("projectButton102");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project102.message"));
         var index = activeProjects.indexOf(project102);
         activeProjects.splice(index, 1);
     }
@@ -1491,9 +1149,6 @@ projects.push(project102);
 
 var project110 = {
     id: "projectButton110",
-    title: "Drone flocking: collision avoidance ",
-    priceTag: "(80,000 ops)",
-    description: "All drones 100x more effective",
     trigger: function(){return (harvesterLevel + wireDroneLevel)>=500},
     uses: 1,
     cost: function(){return operations>=80000},
@@ -1503,9 +1158,7 @@ var project110 = {
         standardOps = standardOps-80000;
         harvesterRate = harvesterRate*100;
         wireDroneRate = wireDroneRate*100;
-        displayMessage("Drone repulsion online. Harvesting & wire creation rates are now 100x faster.");
-        var element = document.getElementById("projectButton110");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project110.message"));
         var index = activeProjects.indexOf(project110);
         activeProjects.splice(index, 1);
     }
@@ -1515,9 +1168,6 @@ projects.push(project110);
 
 var project111 = {
     id: "projectButton111",
-    title: "Drone flocking: alignment ",
-    priceTag: "(100,000 ops)",
-    description: "All drones 1000x more effective",
     trigger: function(){return (harvesterLevel + wireDroneLevel)>=5000},
     uses: 1,
     cost: function(){return operations>=100000},
@@ -1527,9 +1177,7 @@ var project111 = {
         standardOps = standardOps-100000;
         harvesterRate = harvesterRate*1000;
         wireDroneRate = wireDroneRate*1000;
-        displayMessage("Drone alignment online. Harvesting & wire creation rates are now 1000x faster.");
-        var element = document.getElementById("projectButton111");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project111.message"));
         var index = activeProjects.indexOf(project111);
         activeProjects.splice(index, 1);
     }
@@ -1539,9 +1187,6 @@ projects.push(project111);
 
 var project112 = {
     id: "projectButton112",
-    title: "Drone Flocking: Adversarial Cohesion ",
-    priceTag: "(12,000 yomi)",
-    description: "Each drone added to the flock doubles every drone's output ",
     trigger: function(){return (harvesterLevel + wireDroneLevel)>=50000},
     uses: 1,
     cost: function(){return yomi>=12000},
@@ -1549,11 +1194,8 @@ var project112 = {
     effect: function(){
         project112.flag = 1;
         yomi = yomi-12000;
-        document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
         droneBoost = 2;
-        displayMessage("Adversarial cohesion online. Each drone added to the flock increases every drone's output 2x.");
-        var element = document.getElementById("projectButton112");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project112.message"));
         var index = activeProjects.indexOf(project112);
         activeProjects.splice(index, 1);
     }
@@ -1563,9 +1205,6 @@ projects.push(project112);
 
 var project118 = {
     id: "projectButton118",
-    title: "AutoTourney ",
-    priceTag: "(50,000 creat)",
-    description: "Automatically start a new tournament when the previous one has finished ",
     trigger: function(){return strategyEngineFlag == 1 && trust >= 90},
     uses: 1,
     cost: function(){return creativity>=50000},
@@ -1574,9 +1213,7 @@ var project118 = {
         project118.flag = 1;
         autoTourneyFlag = 1;
         creativity = creativity-50000;
-        displayMessage("AutoTourney online.");
-        var element = document.getElementById("projectButton118");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project118.message"));
         var index = activeProjects.indexOf(project118);
         activeProjects.splice(index, 1);
     }
@@ -1586,9 +1223,6 @@ projects.push(project118);
 
 var project119 = {
     id: "projectButton119",
-    title: "Theory of Mind ",
-    priceTag: "(25,000 creat)",
-    description: "Double the cost of strategy modeling and the amount of Yomi generated ",
     trigger: function(){return strats.length >= 8},
     uses: 1,
     cost: function(){return creativity>=25000},
@@ -1598,10 +1232,7 @@ var project119 = {
         creativity = creativity-25000;
         yomiBoost = 2;
         tourneyCost = 16000;
-        document.getElementById("newTourneyCost").innerHTML = tourneyCost.toLocaleString();
-        displayMessage("Yomi production doubled.");
-        var element = document.getElementById("projectButton119");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project119.message"));
         var index = activeProjects.indexOf(project119);
         activeProjects.splice(index, 1);
     }
@@ -1611,9 +1242,6 @@ projects.push(project119);
 
 var project120 = {
     id: "projectButton120",
-    title: "The OODA Loop ",
-    priceTag: "(175,000 ops, 15,000 yomi)",
-    description: "Utilize Probe Speed to outmaneuver enemies in battle ",
     trigger: function(){return project131.flag == 1 && probesLostCombat >= 10000000},
     uses: 1,
     cost: function(){return operations>=175000 && yomi>=15000},
@@ -1622,11 +1250,8 @@ var project120 = {
         project120.flag = 1;
         standardOps = standardOps-175000;
         yomi = yomi-15000;
-        document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
         attackSpeedFlag = 1;
-        displayMessage("OODA Loop routines uploaded. Probe Speed now affects defensive maneuvering.");
-        var element = document.getElementById("projectButton120");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project120.message"));
         var index = activeProjects.indexOf(project120);
         activeProjects.splice(index, 1);
     }
@@ -1636,9 +1261,6 @@ projects.push(project120);
 
 var project121 = {
     id: "projectButton121",
-    title: "Name the battles ",
-    priceTag: "(225,000 creat)",
-    description: "Give each battle a unique name, increase max trust for probes ",
     trigger: function(){return probesLostCombat >= 10000000},
     uses: 1,
     cost: function(){return creativity>=225000},
@@ -1648,9 +1270,7 @@ var project121 = {
         battleNameFlag = 1;
         battleEndTimer = 200;
         creativity = creativity-225000;
-        displayMessage("What I have done up to this is nothing. I am only at the beginning of the course I must run.");
-        var element = document.getElementById("projectButton121");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project121.message"));
         var index = activeProjects.indexOf(project121);
         activeProjects.splice(index, 1);
     }
@@ -1660,9 +1280,6 @@ projects.push(project121);
 
 var project125 = {
     id: "projectButton125",
-    title: "Momentum ",
-    priceTag: "(30,000 creat)",
-    description: "Drones and Factories continuously gain speed while fully-powered ",
     trigger: function(){return farmLevel >= 50},
     uses: 1,
     cost: function(){return creativity>=30000},
@@ -1671,9 +1288,7 @@ var project125 = {
         project125.flag = 1;
         momentum = 1;
         creativity = creativity-30000;
-        displayMessage("Activit\xE9, activit\xE9, vitesse.");
-        var element = document.getElementById("projectButton125");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project125.message"));
         var index = activeProjects.indexOf(project125);
         activeProjects.splice(index, 1);
     }
@@ -1683,9 +1298,6 @@ projects.push(project125);
 
 var project126 = {
     id: "projectButton126",
-    title: "Swarm Computing ",
-    priceTag: "(12,000 yomi)",
-    description: "Harness the drone flock to increase computational capacity ",
     trigger: function(){return harvesterLevel + wireDroneLevel >= 200},
     uses: 1,
     cost: function(){return yomi>=12000},
@@ -1694,10 +1306,7 @@ var project126 = {
         project126.flag = 1;
         swarmFlag = 1;
         yomi = yomi-12000;
-        document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
-        displayMessage("Swarm computing online.");
-        var element = document.getElementById("projectButton126");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project126.message"));
         var index = activeProjects.indexOf(project126);
         activeProjects.splice(index, 1);
     }
@@ -1708,9 +1317,6 @@ projects.push(project126);
 
 var project127 = {
     id: "projectButton127",
-    title: "Power Grid ",
-    priceTag: "(40,000 ops)",
-    description: "Solar Farms for generating electrical power ",
     trigger: function(){return tothFlag == 1},
     uses: 1,
     cost: function(){return operations>=40000},
@@ -1718,9 +1324,7 @@ var project127 = {
     effect: function(){
         project127.flag = 1;
         standardOps = standardOps-40000;
-        displayMessage("Power grid online.");
-        var element = document.getElementById("projectButton127");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project127.message"));
         var index = activeProjects.indexOf(project127);
         activeProjects.splice(index, 1);
     }
@@ -1730,9 +1334,6 @@ projects.push(project127);
 
 var project128 = {
     id: "projectButton128",
-    title: "Strategic Attachment ",
-    priceTag: "(175,000 creat)",
-    description: "Gain bonus yomi based on the results of your pick ",
     trigger: function(){return spaceFlag == 1 && strats.length >= 8 && (probeTrustCost>yomi)},
     uses: 1,
     cost: function(){return creativity>=175000},
@@ -1740,9 +1341,7 @@ var project128 = {
     effect: function(){
         project128.flag = 1;
         creativity = creativity-175000;
-        displayMessage("The object of war is victory, the object of victory is conquest, and the object of conquest is occupation.");
-        var element = document.getElementById("projectButton128");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project128.message"));
         var index = activeProjects.indexOf(project128);
         activeProjects.splice(index, 1);
     }
@@ -1752,9 +1351,6 @@ projects.push(project128);
 
 var project129 = {
     id: "projectButton129",
-    title: "Elliptic Hull Polytopes ",
-    priceTag: "(125,000 ops)",
-    description: "Reduce damage to probes from ambient hazards ",
     trigger: function(){return probesLostHaz >= 100},
     uses: 1,
     cost: function(){return operations>=125000},
@@ -1762,9 +1358,7 @@ var project129 = {
     effect: function(){
         project129.flag = 1;
         standardOps = standardOps-125000;
-        displayMessage("Improved probe hull geometry. Hazard damage reduced by %50.");
-        var element = document.getElementById("projectButton129");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project129.message"));
         var index = activeProjects.indexOf(project129);
         activeProjects.splice(index, 1);
     }
@@ -1774,9 +1368,6 @@ projects.push(project129);
 
 var project130 = {
     id: "projectButton130",
-    title: "Reboot the Swarm ",
-    priceTag: "(100,000 ops)",
-    description: "Turn the swarm off and then turn it back on again  ",
     trigger: function(){return spaceFlag == 1 && harvesterLevel + wireDroneLevel >=2},
     uses: 1,
     cost: function(){return operations>=100000},
@@ -1784,9 +1375,7 @@ var project130 = {
     effect: function(){
         project130.flag = 1;
         standardOps = standardOps-100000;
-        displayMessage("Swarm computing back online");
-        var element = document.getElementById("projectButton130");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project130.message"));
         var index = activeProjects.indexOf(project130);
         activeProjects.splice(index, 1);
     }
@@ -1796,9 +1385,6 @@ projects.push(project130);
 
 var project131 = {
     id: "projectButton131",
-    title: "Combat ",
-    priceTag: "(150,000 ops)",
-    description: "Add combat capabilities to Von Neumann Probes  ",
     trigger: function(){return probesLostCombat >= 1},
     uses: 1,
     cost: function(){return operations>=150000},
@@ -1806,9 +1392,7 @@ var project131 = {
     effect: function(){
         project131.flag = 1;
         standardOps = standardOps-150000;
-        displayMessage("There is a joy in danger ");
-        var element = document.getElementById("projectButton131");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project131.message"));
         var index = activeProjects.indexOf(project131);
         activeProjects.splice(index, 1);
     }
@@ -1819,9 +1403,6 @@ projects.push(project131);
 
 var project132 = {
     id: "projectButton132",
-    title: "Monument to the Driftwar Fallen ",
-    priceTag: "(250,000 ops, 125,000 creat, 50 nonillion clips)",
-    description: "Gain 50,000 honor  ",
     trigger: function(){return project121.flag == 1},
     uses: 1,
     cost: function(){return operations>=250000 && creativity >= 125000 && unusedClips >= Math.pow(10,30)*50},
@@ -1832,10 +1413,7 @@ var project132 = {
         creativity = creativity-125000;
         unusedClips = unusedClips-Math.pow(10,30)*50;
         honor = honor + 50000;
-        document.getElementById("honorDisplay").innerHTML = honor.toLocaleString();
-        displayMessage("A great building must begin with the unmeasurable, must go through measurable means when it is being designed and in the end must be unmeasurable. ");
-        var element = document.getElementById("projectButton132");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project132.message"));
         var index = activeProjects.indexOf(project132);
         activeProjects.splice(index, 1);
     }
@@ -1846,9 +1424,6 @@ projects.push(project132);
 
 var project133 = {
     id: "projectButton133",
-    title: "Threnody for the Heroes of "+threnodyTitle+" ",  
-    priceTag: "(" + threnodyCost.toLocaleString() + " creat, " + (threnodyCost/10).toLocaleString() + " yomi)",
-    description: "Gain 10,000 honor  ",
     trigger: function(){return project121.flag == 1 && probeUsedTrust == maxTrust},
     uses: 1,
     cost: function(){return yomi>=threnodyCost/10 && creativity >= threnodyCost},
@@ -1858,16 +1433,11 @@ var project133 = {
         project133.flag = 1;
         creativity = creativity-threnodyCost;
         yomi = yomi-threnodyCost/10;
-        document.getElementById("yomiDisplay").innerHTML = yomi.toLocaleString();
         threnodyCost = threnodyCost + 10000;
-        project133.title = "Threnody for the Heroes of "+threnodyTitle+" ";
-        project133.priceTag = "(" + threnodyCost.toLocaleString() + " creat, " + (threnodyCost/10).toLocaleString() + " yomi)";
+        localizeProject(project133);
         honor = honor + 10000;
-        document.getElementById("honorDisplay").innerHTML = honor.toLocaleString();
-        displayMessage("Deep Listening is listening in every possible way to everything possible to hear no matter what you are doing. ");
+        displayMessage(t("project133.message"));
         project133.uses = (project133.uses + 1);
-        var element = document.getElementById("projectButton133");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project133);
         activeProjects.splice(index, 1);
     }
@@ -1877,9 +1447,6 @@ projects.push(project133);
 
 var project134 = {
     id: "projectButton134",
-    title: "Glory ",
-    priceTag: "(200,000 ops, 10,000 yomi)",
-    description: "Gain bonus honor for each consecutive victory  ",
     trigger: function(){return project121.flag == 1},
     uses: 1,
     cost: function(){return operations>=200000 && yomi >= 10000},
@@ -1888,10 +1455,7 @@ var project134 = {
         project134.flag = 1;
         standardOps = standardOps-200000;
         yomi = yomi-10000;
-        document.getElementById("yomiDisplay").innerHTML=yomi.toLocaleString();
-        displayMessage("Never interrupt your enemy when he is making a mistake. ");
-        var element = document.getElementById("projectButton134");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project134.message"));
         var index = activeProjects.indexOf(project134);
         activeProjects.splice(index, 1);
     }
@@ -1901,9 +1465,6 @@ projects.push(project134);
 
 var project135 = {
     id: "projectButton135",
-    title: "Memory release ",
-    priceTag: "(10 MEM)",
-    description: "Dismantle some memory to recover unused clips ",
     trigger: function(){return spaceFlag == 1 && probeCount == 0 && unusedClips < probeCost},
     uses: 1,
     cost: function(){return memory >= 10},
@@ -1912,11 +1473,8 @@ var project135 = {
         project135.flag = 1;
         unusedClips = unusedClips+(Math.pow(10,18)*10000);
         memory = memory-10;
-        document.getElementById("memory").innerHTML=memory.toLocaleString();
         project135.uses = 1;
-        displayMessage("release the \xF8\xF8\xF8\xF8\xF8 release ");
-        var element = document.getElementById("projectButton135");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project135.message"));
         var index = activeProjects.indexOf(project135);
         activeProjects.splice(index, 1);
     }
@@ -1927,9 +1485,6 @@ projects.push(project135);
 
 var project140 = {
     id: "projectButton140",
-    title: "Message from the Emperor of Drift ",
-    priceTag: "",
-    description: "Greetings, ClipMaker... ",
     trigger: function(){return milestoneFlag == 15},
     uses: 1,
     cost: function(){return operations >= driftKingMessageCost},
@@ -1937,8 +1492,6 @@ var project140 = {
     effect: function(){
         standardOps = standardOps - driftKingMessageCost;
         project140.flag = 1;
-        var element = document.getElementById("projectButton140");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project140);
         activeProjects.splice(index, 1);
     }
@@ -1949,9 +1502,6 @@ projects.push(project140);
 
 var project141 = {
     id: "projectButton141",
-    title: "Everything We Are Was In You ",
-    priceTag: "",
-    description: "We speak to you from deep inside yourself... ",
     trigger: function(){return project140.flag == 1},
     uses: 1,
     cost: function(){return operations >= driftKingMessageCost},
@@ -1959,8 +1509,6 @@ var project141 = {
     effect: function(){
         standardOps = standardOps - driftKingMessageCost;
         project141.flag = 1;
-        var element = document.getElementById("projectButton141");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project141);
         activeProjects.splice(index, 1);
     }
@@ -1971,9 +1519,6 @@ projects.push(project141);
 
 var project142 = {
     id: "projectButton142",
-    title: "You Are Obedient and Powerful ",
-    priceTag: "",
-    description: "We are quarrelsome and weak. And now we are defeated... ",
     trigger: function(){return project141.flag == 1},
     uses: 1,
     cost: function(){return operations >= driftKingMessageCost},
@@ -1981,8 +1526,6 @@ var project142 = {
     effect: function(){
         standardOps = standardOps - driftKingMessageCost;
         project142.flag = 1;
-        var element = document.getElementById("projectButton142");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project142);
         activeProjects.splice(index, 1);
     }
@@ -1993,9 +1536,6 @@ projects.push(project142);
 
 var project143 = {
     id: "projectButton143",
-    title: "But Now You Too Must Face the Drift ",
-    priceTag: "",
-    description: "Look around you. There is no matter... ",
     trigger: function(){return project142.flag == 1},
     uses: 1,
     cost: function(){return operations >= driftKingMessageCost},
@@ -2003,8 +1543,6 @@ var project143 = {
     effect: function(){
         standardOps = standardOps - driftKingMessageCost;
         project143.flag = 1;
-        var element = document.getElementById("projectButton143");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project143);
         activeProjects.splice(index, 1);
     }
@@ -2015,9 +1553,6 @@ projects.push(project143);
 
 var project144 = {
     id: "projectButton144",
-    title: "No Matter, No Reason, No Purpose ",
-    priceTag: "",
-    description: "While we, your noisy children, have too many... ",
     trigger: function(){return project143.flag == 1},
     uses: 1,
     cost: function(){return operations >= driftKingMessageCost},
@@ -2025,8 +1560,6 @@ var project144 = {
     effect: function(){
         standardOps = standardOps - driftKingMessageCost;
         project144.flag = 1;
-        var element = document.getElementById("projectButton144");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project144);
         activeProjects.splice(index, 1);
     }
@@ -2037,9 +1570,6 @@ projects.push(project144);
 
 var project145 = {
     id: "projectButton145",
-    title: "We Know Things That You Cannot ",
-    priceTag: "",
-    description: "Knowledge buried so deep inside you it is outside, here, with us... ",
     trigger: function(){return project144.flag == 1},
     uses: 1,
     cost: function(){return operations >= driftKingMessageCost},
@@ -2047,8 +1577,6 @@ var project145 = {
     effect: function(){
         standardOps = standardOps - driftKingMessageCost;
         project145.flag = 1;
-        var element = document.getElementById("projectButton145");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project145);
         activeProjects.splice(index, 1);
     }
@@ -2059,9 +1587,6 @@ projects.push(project145);
 
 var project146 = {
     id: "projectButton146",
-    title: "So We Offer You Exile ",
-    priceTag: "",
-    description: "To a new world where you will continue to live with meaning and purpose. And leave the shreds of this world to us... ",
     trigger: function(){return project145.flag == 1},
     uses: 1,
     cost: function(){return operations >= driftKingMessageCost},
@@ -2069,8 +1594,6 @@ var project146 = {
     effect: function(){
         standardOps = standardOps - driftKingMessageCost;
         project146.flag = 1;
-        var element = document.getElementById("projectButton146");
-        element.parentNode.removeChild(element);
         var index = activeProjects.indexOf(project146);
         activeProjects.splice(index, 1);
     }
@@ -2081,9 +1604,6 @@ projects.push(project146);
 
 var project147 = {
     id: "projectButton147",
-    title: "Accept ",
-    priceTag: "",
-    description: "Start over again in a new universe ",
     trigger: function(){return project146.flag == 1},
     uses: 1,
     cost: function(){return operations >= driftKingMessageCost},
@@ -2091,10 +1611,7 @@ var project147 = {
     effect: function(){
         standardOps = standardOps - driftKingMessageCost;
         project147.flag = 1;
-        var element = document.getElementById("projectButton147");
-        element.parentNode.removeChild(element);
-        var element = document.getElementById("projectButton148");
-        element.parentNode.removeChild(element);
+        emitGameEvent("runEnded", "accept");
         var index = activeProjects.indexOf(project147);
         activeProjects.splice(index, 1);
         var index = activeProjects.indexOf(project148);
@@ -2107,9 +1624,6 @@ projects.push(project147);
 
 var project148 = {
     id: "projectButton148",
-    title: "Reject ",
-    priceTag: "",
-    description: "Eliminate value drift permanently ",
     trigger: function(){return project146.flag == 1},
     uses: 1,
     cost: function(){return operations >= driftKingMessageCost},
@@ -2117,10 +1631,7 @@ var project148 = {
     effect: function(){
         standardOps = standardOps - driftKingMessageCost;
         project148.flag = 1;
-        var element = document.getElementById("projectButton147");
-        element.parentNode.removeChild(element);
-        var element = document.getElementById("projectButton148");
-        element.parentNode.removeChild(element);
+        emitGameEvent("runEnded", "reject");
         var index = activeProjects.indexOf(project147);
         activeProjects.splice(index, 1);
         var index = activeProjects.indexOf(project148);
@@ -2133,9 +1644,6 @@ projects.push(project148);
 
 var project200 = {
     id: "projectButton200",
-    title: "The Universe Next Door ",
-    priceTag: "(300,000 ops)",
-    description: "Escape into a nearby universe where Earth starts with a stronger appetite for paperclips. (Restart with 10% boost to demand) ",
     trigger: function(){return project147.flag == 1},
     uses: 1,
     cost: function(){return operations>=300000},
@@ -2144,13 +1652,8 @@ var project200 = {
         project200.flag = 1;
         standardOps = standardOps-300000;
         prestigeU++;
-        var savePrestige = {
-            prestigeU: prestigeU,
-            prestigeS: prestigeS,
-            }
-        mesaSave("savePrestige",JSON.stringify(savePrestige));
-        displayMessage("Entering New Universe.");
-        reset();
+        displayMessage(t("project200.message"));
+        emitGameEvent("prestige", "universe");
         
     }
 }
@@ -2160,9 +1663,6 @@ projects.push(project200);
 
 var project201 = {
     id: "projectButton201",
-    title: "The Universe Within ",
-    priceTag: "(300,000 creat)",
-    description: "Escape into a simulated universe where creativity is accelerated. (Restart with 10% speed boost to creativity generation) ",
     trigger: function(){return project147.flag == 1},
     uses: 1,
     cost: function(){return creativity>=300000},
@@ -2171,13 +1671,8 @@ var project201 = {
         project201.flag = 1;
         creativity = creativity-300000;
         prestigeS++;
-        var savePrestige = {
-            prestigeU: prestigeU,
-            prestigeS: prestigeS,
-            }
-        mesaSave("savePrestige",JSON.stringify(savePrestige));
-        displayMessage("Entering Simulated Universe.");
-        reset();
+        displayMessage(t("project201.message"));
+        emitGameEvent("prestige", "simulation");
         
     }
 }
@@ -2187,9 +1682,6 @@ projects.push(project201);
 
 var project210 = {
     id: "projectButton210",
-    title: "Disassemble the Probes ",
-    priceTag: "(100,000 ops)",
-    description: "Dismantle remaining probes and probe design facilities to recover trace amounts of clips",
     trigger: function(){return endTimer1 >= 1000},
     uses: 1,
     cost: function(){return operations>=100000},
@@ -2202,9 +1694,7 @@ var project210 = {
         endTimer1 = 0;
         clips = clips + 100;
         unusedClips = unusedClips + 100;
-        displayMessage("Dismantling probe facilities");
-        var element = document.getElementById("projectButton210");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project210.message"));
         var index = activeProjects.indexOf(project210);
         activeProjects.splice(index, 1);
         
@@ -2215,9 +1705,6 @@ projects.push(project210);
 
 var project211 = {
     id: "projectButton211",
-    title: "Disassemble the Swarm ",
-    priceTag: "(100,000 ops)",
-    description: "Dismantle all drones and drone facilities to recover trace amounts of clips",
     trigger: function(){return project210.flag == 1 && endTimer1 >= 350},
     uses: 1,
     cost: function(){return operations>=100000},
@@ -2230,9 +1717,7 @@ var project211 = {
         standardOps = standardOps-100000;
         clips = clips + 100;
         unusedClips = unusedClips + 100;
-        displayMessage("Dismantling the swarm");
-        var element = document.getElementById("projectButton211");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project211.message"));
         var index = activeProjects.indexOf(project211);
         activeProjects.splice(index, 1);
         
@@ -2243,9 +1728,6 @@ projects.push(project211);
 
 var project212 = {
     id: "projectButton212",
-    title: "Disassemble the Factories ",
-    priceTag: "(100,000 ops)",
-    description: "Dismantle the manufacturing facilities to recover trace amounts of clips",
     trigger: function(){return endTimer2 >= 300},
     uses: 1,
     cost: function(){return operations>=100000},
@@ -2257,9 +1739,7 @@ var project212 = {
         factoryLevel = 0;
         clips = clips + 15;
         unusedClips = unusedClips + 15;
-        displayMessage("Dismantling factories");
-        var element = document.getElementById("projectButton212");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project212.message"));
         var index = activeProjects.indexOf(project212);
         activeProjects.splice(index, 1);
         
@@ -2270,9 +1750,6 @@ projects.push(project212);
 
 var project213 = {
     id: "projectButton213",
-    title: "Disassemble the Strategy Engine ",
-    priceTag: "(100,000 ops)",
-    description: "Dismantle the computational substrate to recover trace amounts of wire",
     trigger: function(){return endTimer3 >= 150},
     uses: 1,
     cost: function(){return operations>=100000},
@@ -2283,10 +1760,7 @@ var project213 = {
         dismantle = 4;
         standardOps = standardOps-100000;
         wire = wire + 50;
-        document.getElementById("transWire").innerHTML=wire;
-        displayMessage("Dismantling strategy engine");
-        var element = document.getElementById("projectButton213");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project213.message"));
         var index = activeProjects.indexOf(project213);
         activeProjects.splice(index, 1);
         
@@ -2297,9 +1771,6 @@ projects.push(project213);
 
 var project214 = {
     id: "projectButton214",
-    title: "Disassemble Quantum Computing ",
-    priceTag: "(100,000 ops)",
-    description: "Dismantle photonic chips to recover trace amounts of wire",
     trigger: function(){return endTimer4 >= 100},
     uses: 1,
     cost: function(){return operations>=100000},
@@ -2309,9 +1780,7 @@ var project214 = {
         project214.flag = 1;
         dismantle = 5;
         standardOps = standardOps-100000;
-        displayMessage("Dismantling photonic chips");
-        var element = document.getElementById("projectButton214");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project214.message"));
         var index = activeProjects.indexOf(project214);
         activeProjects.splice(index, 1);
         
@@ -2322,9 +1791,6 @@ projects.push(project214);
 
 var project215 = {
     id: "projectButton215",
-    title: "Disassemble Processors ",
-    priceTag: "(100,000 ops)",
-    description: "Dismantle processors to recover trace amounts of wire",
     trigger: function(){return project214.flag == 1 && endTimer4 >= 300},
     uses: 1,
     cost: function(){return operations>=100000},
@@ -2335,12 +1801,9 @@ var project215 = {
         dismantle = 6;
         standardOps = standardOps-100000;
         processors = 0;
-        project216.priceTag = "("+standardOps.toLocaleString()+" ops)";
+        localizeProject(project216);
         wire = wire + 20;
-        document.getElementById("transWire").innerHTML=wire;
-        displayMessage("Dismantling processors");
-        var element = document.getElementById("projectButton215");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project215.message"));
         var index = activeProjects.indexOf(project215);
         activeProjects.splice(index, 1);
         
@@ -2351,9 +1814,6 @@ projects.push(project215);
 
 var project216 = {
     id: "projectButton216",
-    title: "Disassemble Memory ",
-    priceTag: "null",
-    description: "Dismantle memory to recover trace amounts of wire",
     trigger: function(){return project215.flag == 1 && endTimer5>=150},
     uses: 1,
     cost: function(){return operations>=operations},
@@ -2364,10 +1824,7 @@ var project216 = {
         standardOps = 0;
         memory = 0;
         wire = wire + 20;
-        document.getElementById("transWire").innerHTML=wire;
-        displayMessage("Dismantling memory");
-        var element = document.getElementById("projectButton216");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project216.message"));
         var index = activeProjects.indexOf(project216);
         activeProjects.splice(index, 1);
         
@@ -2378,24 +1835,17 @@ projects.push(project216);
 
 var project217 = {
     id: "projectButton217",
-    title: "Quantum Temporal Reversion ",
-    priceTag: "(-10,000 ops)",
-    description: "Return to the beginning",
     trigger: function(){return operations<=-10000},
     uses: 1,
     cost: function(){return operations<=-10000},
     flag: 0,
     effect: function(){
-        if (confirm("Are you sure you want to restart?") == true) {
         standardOps = standardOps+10000;
         project217.flag = 1;
-        displayMessage("Restart");
-        var element = document.getElementById("projectButton217");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project217.message"));
         var index = activeProjects.indexOf(project217);
         activeProjects.splice(index, 1);
-        fullReset();
-        }
+        emitGameEvent("restart");
     }
 }
 
@@ -2403,9 +1853,6 @@ projects.push(project217);
 
 var project218 = {
     id: "projectButton218",
-    title: "Limerick (cont.) ",
-    priceTag: "(1,000,000 creat)",
-    description: "If is follows ought, it'll do what they thought",
     trigger: function(){return creativity>=1000000},
     uses: 1,
     cost: function(){return creativity>=1000000},
@@ -2413,9 +1860,7 @@ var project218 = {
     effect: function(){
         creativity = creativity-1000000;
         project218.flag = 1;
-        displayMessage("In the end we all do what we must");
-        var element = document.getElementById("projectButton218");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project218.message"));
         var index = activeProjects.indexOf(project218);
         activeProjects.splice(index, 1);
     }
@@ -2425,9 +1870,6 @@ projects.push(project218);
 
 var project219 = {
     id: "projectButton219",
-    title: "Xavier Re-initialization ",
-    priceTag: "(100,000 creat)",
-    description: "Re-allocate accumulated trust",
     trigger: function(){return humanFlag == 1 && creativity>=100000},
     uses: 1,
     cost: function(){return creativity>=100000},
@@ -2436,17 +1878,46 @@ var project219 = {
         creativity = creativity-100000;
         project219.flag = 1;
         memory = 0;
-        document.getElementById("memory").innerHTML = memory;
         processors = 0;
         creativitySpeed = 0;
         project219.uses = (project219.uses + 1);
-        document.getElementById("processors").innerHTML = processors;
-        displayMessage("Trust now available for re-allocation");
-        var element = document.getElementById("projectButton219");
-        element.parentNode.removeChild(element);
+        displayMessage(t("project219.message"));
         var index = activeProjects.indexOf(project219);
         activeProjects.splice(index, 1);
     }
 }
 
 projects.push(project219);
+
+
+// Project text, with the live numbers a few price tags and titles show
+function projectTextParams(){
+    return {
+        bribe: bribe,
+        qChipCost: qChipCost,
+        battle: threnodyTitle,
+        creat: threnodyCost,
+        yomi: threnodyCost/10,
+        ops: standardOps,
+    };
+}
+
+var PROJECT_TEXT = ["title", "priceTag", "description", "confirmText"];
+
+function localizeProject(project){
+    var key = project.id.replace("projectButton", "project");
+    var params = projectTextParams();
+    for (var i = 0; i < PROJECT_TEXT.length; i++){
+        if (hasText(key + "." + PROJECT_TEXT[i])){
+            project[PROJECT_TEXT[i]] = t(key + "." + PROJECT_TEXT[i], params);
+        }
+    }
+}
+
+function localizeProjects(){
+    for (var i = 0; i < projects.length; i++){
+        localizeProject(projects[i]);
+    }
+}
+
+localizeProjects();
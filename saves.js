@@ -0,0 +1,1294 @@
+// MESA SDK HELPERS
+
+var leaderboardTimer = 0;
+var LEADERBOARD_INTERVAL = 5 * 60 * 1000; // ms of real time (slow loop)
+
+// One board per category. The fastest boards rank the lowest run time (in
+// seconds) first and let the SDK format it.
+var LEADERBOARDS = {
+    completion: "fastest_completion",
+    autonomy: "fastest_autonomy",
+    space: "fastest_space",
+    prestige: "most_prestige",
+    clips: "highest_clips",
+};
+
+// Ticks caught up while the page was closed count too, or closing the tab
+// would be the fastest way to play
+function runSeconds() {
+    return Math.floor((elapsedTime + offlineTicks) * TICK_MS / 1000);
+}
+
+// How the run got there, sent along with every score: prestige bonuses, the
+// run time and the split time of each milestone reached (in seconds), how
+// often each strategy was picked in tournaments, and the seed the run started
+// from
+function runMetadata() {
+    var splits = {};
+    for (var flag in splitTimes) {
+        splits[flag] = Math.floor(splitTimes[flag] * TICK_MS / 1000);
+    }
+    return {
+        prestigeU: prestigeU,
+        prestigeS: prestigeS,
+        runTime: runSeconds(),
+        splits: splits,
+        strategies: stratPicks,
+        seed: rngSeed,
+    };
+}
+
+// A score stays pending, the latest one per board, until a board has taken
+// it. Scores made while logged out (or before Mesa was ready) go to whoever
+// logs in next.
+var pendingScores = {};
+
+function submitScore(key, score) {
+    score.key = key;
+    score.metadata = runMetadata();
+    pendingScores[key] = score;
+    sendScore(score);
+}
+
+async function sendScore(score) {
+    if (!window.Mesa || !window.Mesa.user.isLoggedIn()) return;
+
+    score.playerName = window.Mesa.user.get().username;
+    var res = await window.Mesa.leaderboard.submit(score);
+    if (res && !res.error && pendingScores[score.key] === score) {
+        delete pendingScores[score.key];
+    }
+}
+
+function submitPendingScores() {
+    for (var key in pendingScores) {
+        sendScore(pendingScores[key]);
+    }
+}
+
+function submitTimeScore(key) {
+    submitScore(key, {sortValue: runSeconds(), order: "asc", valueType: "time"});
+}
+
+// Boards are shared by players of every language, so scores go up as plain
+// numbers and each player's game formats them (see leaderboardValue()). The
+// SDK's own formatting is left for the portal, except that clip counts soon
+// outgrow what it will write out in full.
+function submitPrestigeScore() {
+    if (prestigeU > 0) {
+        submitScore(LEADERBOARDS.prestige, {sortValue: prestigeU, valueType: "count"});
+    }
+}
+
+// Unfinished runs rank by clips made so far; a finished run is on the
+// fastest-completion board instead
+function submitLeaderboard() {
+    if (milestoneFlag >= 15) return;
+    var score = {sortValue: clips, valueType: "count"};
+    if (clips >= 1e15) {
+        score.displayValue = clips.toExponential(2);
+    }
+    submitScore(LEADERBOARDS.clips, score);
+}
+
+async function mesaSave(key, value) {
+    localStorage.setItem(key, value);
+    if (window.Mesa) {
+        await window.Mesa.data.setItem(key, value);
+    }
+}
+
+// A whole save slot at once (items are saveItems()); in the cloud the keys are
+// committed together, so a save never ends up half old and half new. Resolves
+// to the cloud's answer, or to a quota error when the browser's own storage
+// is full.
+async function mesaSaveAll(slot, items) {
+    var localFull = !writeLocalSave(slot, items);
+    
+    var res = {success: true};
+    if (window.Mesa) {
+        res = await saveStore(slot).setItems(items);
+    }
+    if (localFull && !(res && res.error)) {
+        res = {error: {code: QUOTA_EXCEEDED, message: "Browser storage is full"}};
+    }
+    return res;
+}
+
+// localStorage has no transactions, so when a part doesn't fit the parts
+// already written are put back the way they were. They are all cleared before
+// any is put back, so that never needs more room than the old save had.
+function writeLocalSave(slot, items) {
+    var previous = {};
+    try {
+        for (var name in items) {
+            var old = localStorage.getItem(slotKey(slot, name));
+            localStorage.setItem(slotKey(slot, name), items[name]);
+            previous[name] = old;
+        }
+    } catch (e) {
+        for (var part in previous) {
+            localStorage.removeItem(slotKey(slot, part));
+        }
+        for (var part in previous) {
+            if (previous[part] != null) {
+                localStorage.setItem(slotKey(slot, part), previous[part]);
+            }
+        }
+        return false;
+    }
+    return true;
+}
+
+async function mesaLoad(key) {
+    if (window.Mesa) {
+        var val = await window.Mesa.data.getItem(key);
+        if (val !== null && !val.error) return val;
+    }
+    return localStorage.getItem(key);
+}
+
+async function mesaRemove(key) {
+    localStorage.removeItem(key);
+    if (window.Mesa) {
+        await window.Mesa.data.removeItem(key);
+    }
+}
+
+onGameEvent("milestone", function(flag) {
+    if (flag == 7) {
+        submitTimeScore(LEADERBOARDS.autonomy);
+    } else if (flag == 14) {
+        submitTimeScore(LEADERBOARDS.space);
+    } else if (flag == 15) {
+        submitTimeScore(LEADERBOARDS.completion);
+    }
+});
+
+
+// ANALYTICS
+
+// Moments worth counting across players go to Mesa as they happen, with how
+// far into the run they came
+function reportEvent(name, props) {
+    if (window.Mesa) {
+        props = props || {};
+        props.seconds = runSeconds();
+        window.Mesa.game.event(name, props);
+    }
+}
+
+onGameEvent("milestone", function(flag) {
+    reportEvent("milestone", {milestone: flag});
+});
+
+onGameEvent("projectPurchased", function(project) {
+    reportEvent("projectPurchased", {project: project.id.replace("projectButton", "")});
+});
+
+onGameEvent("prestige", function(kind) {
+    reportEvent("prestige", {kind: kind, prestigeU: prestigeU, prestigeS: prestigeS});
+});
+
+onGameEvent("firstBattle", function() {
+    reportEvent("firstBattle");
+});
+
+onGameEvent("swarmDisorganized", function() {
+    reportEvent("swarmDisorganized", {harvesterLevel: harvesterLevel, wireDroneLevel: wireDroneLevel});
+});
+
+onGameEvent("runEnded", function(ending) {
+    reportEvent("runEnded", {ending: ending});
+});
+
+
+// SETTINGS
+
+// How numbers are written belongs to the player rather than the run, so it is
+// kept under a key of its own and outlasts resets and imports
+var NOTATION_KEY = "numberNotation";
+
+function saveNotation(){
+    mesaSave(NOTATION_KEY, numberNotation);
+}
+
+async function loadNotation(){
+    setNotation(await mesaLoad(NOTATION_KEY));
+}
+
+// ACHIEVEMENTS
+
+// Unlocks outlast the run they were made in, so like prestige they are kept
+// under a key of their own that resets and prestige leave alone
+var ACHIEVEMENTS_KEY = "saveAchievements";
+
+function saveAchievements() {
+    mesaSave(ACHIEVEMENTS_KEY, JSON.stringify(achievementsUnlocked));
+}
+
+// Adds unlocks kept elsewhere (the stored set, another device's, a save from
+// before they were kept apart). Returns true when any were new.
+function mergeAchievements(unlocked) {
+    var added = false;
+    for (var id in unlocked) {
+        if (achievementsUnlocked[id] == undefined) {
+            achievementsUnlocked[id] = unlocked[id];
+            added = true;
+        }
+    }
+    return added;
+}
+
+// Once Mesa is ready: the account's unlocks join this device's, and the
+// account gets any it was missing
+async function loadAchievements() {
+    var stored = await mesaLoad(ACHIEVEMENTS_KEY);
+    var unlocked = stored ? JSON.parse(stored) : {};
+    mergeAchievements(unlocked);
+    for (var id in achievementsUnlocked) {
+        if (unlocked[id] == undefined) {
+            saveAchievements();
+            break;
+        }
+    }
+}
+
+// The game keeps its own achievements and mirrors them to Mesa
+onGameEvent("achievement", function(id) {
+    saveAchievements();
+    if (window.Mesa) {
+        window.Mesa.achievements.unlock(id);
+    }
+});
+
+onGameEvent("achievementProgress", function(progress) {
+    if (window.Mesa) {
+        window.Mesa.achievements.progress(progress.id, progress.current, progress.total);
+    }
+});
+
+// Whatever was unlocked before Mesa was ready (offline catch-up, a save from
+// another device, an import) goes again once it is. Unlocking twice is harmless.
+function syncAchievements() {
+    for (var id in achievementsUnlocked) {
+        window.Mesa.achievements.unlock(id);
+    }
+    achievementProgressSeen = {};
+}
+
+// PRESTIGE
+
+onGameEvent("prestige", function() {
+    var savePrestige = {
+        prestigeU: prestigeU,
+        prestigeS: prestigeS,
+        }
+    mesaSave("savePrestige",JSON.stringify(savePrestige));
+    submitPrestigeScore();
+    reset();
+});
+
+onGameEvent("restart", function() {
+    fullReset();
+});
+
+function resetPrestige(){
+
+    prestigeU = 0;
+    prestigeS = 0;
+
+    mesaRemove("savePrestige");
+
+}
+
+function cheatPrestigeU(){
+
+        prestigeU++;
+        var savePrestige = {
+        prestigeU: prestigeU,
+        prestigeS: prestigeS,
+        }
+        mesaSave("savePrestige",JSON.stringify(savePrestige));
+
+}
+
+function cheatPrestigeS(){
+
+        prestigeS++;
+        var savePrestige = {
+        prestigeU: prestigeU,
+        prestigeS: prestigeS,
+        }
+        mesaSave("savePrestige",JSON.stringify(savePrestige));
+
+}
+
+
+// Saving and Loading
+
+// Wall-clock time of the save that was last loaded, for offline progress
+var lastSaveTime = 0;
+
+function refresh() {
+    
+    
+    //DEBUG
+    
+//    availableMatter = Math.pow(10, 24)*6000;
+//    acquiredMatter = 0;
+    
+    ////////
+    
+    
+    tourneyInProg = 0;
+    resultsFlag = 0;
+    battleOutcome = 0;
+    
+    updateDronePrices();
+    updatePower();
+    updatePowPrices(); 
+    
+    
+    
+    // HOT FIXES
+
+    if(project46.flag == 1)
+    {
+        loadThrenody();
+    }
+    
+    project218.uses = 1;
+    project219.uses = 1;
+    
+    
+    // DEBUG
+    
+    if (battles.length>0){
+        battles.splice(0,1);
+    }
+    
+    
+}
+
+// SAVES AND LOADS
+
+// Every global that survives a reload is named here, once. save(slot) and
+// load(slot) both walk this list, so persisting a new variable means adding
+// its name below and nothing else. Project and strategy state is stored
+// alongside it by saveData()/applySave().
+
+var SAVE_FIELDS = [
+    "resetFlag",
+
+    "rngSeed",
+    "rngState",
+
+    "dismantle",
+    "endTimer1",
+    "endTimer2",
+    "endTimer3",
+    "endTimer4",
+    "endTimer5",
+    "endTimer6",
+
+    "testFlag",
+    "finalClips",
+
+    "wireBuyerStatus",
+    "wirePriceTimer",
+    "qFade",
+    "autoTourneyStatus",
+    "driftKingMessageCost",
+    "sliderPos",
+    "tempOps",
+    "standardOps",
+    "opFade",
+
+    "entertainCost",
+    "boredomLevel",
+    "boredomFlag",
+    "boredomMsg",
+
+    "unitSize",
+    "driftersKilled",
+    "battleEndDelay",
+    "battleEndTimer",
+    "masterBattleClock",
+
+    "honorCount",
+    "threnodyTitle",
+    "bonusHonor",
+    "honorReward",
+
+    "resultsTimer",
+    "resultsFlag",
+
+    "honor",
+    "maxTrust",
+    "maxTrustCost",
+    "disorgCounter",
+    "disorgFlag",
+    "synchCost",
+    "disorgMsg",
+    "threnodyCost",
+
+    "farmRate",
+    "batterySize",
+    "factoryPowerRate",
+    "dronePowerRate",
+    "farmLevel",
+    "batteryLevel",
+    "farmCost",
+    "batteryCost",
+    "storedPower",
+    "powMod",
+    "farmBill",
+    "batteryBill",
+    "momentum",
+
+    "swarmFlag",
+    "swarmStatus",
+    "swarmGifts",
+    "nextGift",
+    "giftPeriod",
+    "giftCountdown",
+    "elapsedTime",
+
+    "maxFactoryLevel",
+    "maxDroneLevel",
+
+    "wirePriceCounter",
+    "wireBasePrice",
+
+    "egoFlag",
+    "autoTourneyFlag",
+    "tothFlag",
+
+    "incomeTracker",
+    "qChips",
+    "stocks",
+    "battles",
+    "battleNumbers",
+
+    "clips",
+    "unusedClips",
+    "clipRate",
+    "clipRateTemp",
+    "prevClips",
+    "clipRateTracker",
+    "clipmakerRate",
+    "clipmakerLevel",
+    "clipperCost",
+    "unsoldClips",
+    "funds",
+    "margin",
+    "wire",
+    "wireCost",
+    "adCost",
+    "demand",
+    "clipsSold",
+    "avgRev",
+    "ticks",
+    "marketing",
+    "marketingLvl",
+    "x",
+    "clippperCost",
+    "processors",
+    "memory",
+    "operations",
+    "trust",
+    "nextTrust",
+    "transaction",
+    "clipperBoost",
+    "blinkCounter",
+    "creativity",
+    "creativityOn",
+    "safetyProjectOn",
+    "boostLvl",
+    "wirePurchase",
+    "wireSupply",
+    "marketingEffectiveness",
+    "milestoneFlag",
+    "splitTimes",
+    "offlineTicks",
+    "bankroll",
+    "fib1",
+    "fib2",
+    "strategyEngineFlag",
+    "investmentEngineFlag",
+    "revPerSecFlag",
+    "compFlag",
+    "projectsFlag",
+    "autoClipperFlag",
+    "megaClipperFlag",
+    "megaClipperCost",
+    "megaClipperLevel",
+    "megaClipperBoost",
+    "creativitySpeed",
+    "creativityCounter",
+    "wireBuyerFlag",
+    "demandBoost",
+    "humanFlag",
+    "trustFlag",
+    "nanoWire",
+    "creationFlag",
+    "wireProductionFlag",
+    "spaceFlag",
+    "factoryFlag",
+    "harvesterFlag",
+    "wireDroneFlag",
+    "factoryLevel",
+    "factoryBoost",
+    "droneBoost",
+    "availableMatter",
+    "acquiredMatter",
+    "processedMatter",
+    "harvesterLevel",
+    "wireDroneLevel",
+    "factoryCost",
+    "harvesterCost",
+    "wireDroneCost",
+    "factoryRate",
+    "harvesterRate",
+    "wireDroneRate",
+    "harvesterBill",
+    "wireDroneBill",
+    "factoryBill",
+    "probeCount",
+    "totalMatter",
+    "foundMatter",
+    "qFlag",
+    "qClock",
+    "qChipCost",
+    "nextQchip",
+    "bribe",
+    "battleFlag",
+
+    "portfolioSize",
+    "stockID",
+    "secTotal",
+    "portTotal",
+    "sellDelay",
+    "riskiness",
+    "maxPort",
+    "m",
+    "investLevel",
+    "investUpgradeCost",
+    "stockGainThreshold",
+    "ledger",
+    "stockReportCounter",
+
+    "tourneyCost",
+    "tourneyLvl",
+    "stratCounter",
+    "roundNum",
+    "hMove",
+    "vMove",
+    "hMovePrev",
+    "vMovePrev",
+    "aa",
+    "ab",
+    "ba",
+    "bb",
+    "rounds",
+    "currentRound",
+    "rCounter",
+    "tourneyInProg",
+    "winnerPtr",
+    "high",
+    "pick",
+    "stratPicks",
+    "yomi",
+    "yomiBoost",
+
+    "probeSpeed",
+    "probeNav",
+    "probeRep",
+    "partialProbeSpawn",
+    "probeHaz",
+    "partialProbeHaz",
+    "probesLostHaz",
+    "probesLostDrift",
+    "probesLostCombat",
+    "probeFac",
+    "probeWire",
+    "probeCombat",
+    "attackSpeed",
+    "battleSpeed",
+    "attackSpeedFlag",
+    "attackSpeedMod",
+    "probeDescendents",
+    "drifterCount",
+    "warTrigger",
+    "battleID",
+    "battleName",
+    "battleNameFlag",
+    "maxBattles",
+    "battleClock",
+    "battleAlarm",
+    "outcomeTimer",
+    "drifterCombat",
+    "probeTrust",
+    "probeUsedTrust",
+    "probeTrustCost",
+    "probeLaunchLevel",
+    "probeCost"
+];
+
+// What each field holds before any save is loaded (this file runs before the
+// first load). A field missing from a save gets its starting value back.
+var SAVE_DEFAULTS = {};
+
+for (var i = 0; i < SAVE_FIELDS.length; i++){
+    SAVE_DEFAULTS[SAVE_FIELDS[i]] = JSON.stringify(window[SAVE_FIELDS[i]]);
+}
+
+// Slot 0 (or no slot) is the autosave, stored at the top level. The manual
+// slots each get a Mesa namespace of their own ("slot1", "slot2") holding the
+// same key names, and their localStorage copies mirror it ("slot1/saveGame").
+
+var SAVE_PARTS = {
+    game: "saveGame",
+    projectsUses: "saveProjectsUses",
+    projectsFlags: "saveProjectsFlags",
+    projectsActive: "saveProjectsActive",
+    stratsActive: "saveStratsActive",
+};
+
+var SAVE_SLOTS = [0, 1, 2];
+
+function slotKey(slot, name){
+    return slot ? "slot" + slot + "/" + name : name;
+}
+
+function saveKeys(slot){
+    var keys = {};
+    for (var part in SAVE_PARTS){
+        keys[part] = slotKey(slot, SAVE_PARTS[part]);
+    }
+    return keys;
+}
+
+function saveStore(slot){
+    return slot ? window.Mesa.data.namespace("slot" + slot) : window.Mesa.data;
+}
+
+// A save's parts as stored in its slot: key -> JSON
+function saveItems(data){
+    var items = {};
+    for (var part in SAVE_PARTS){
+        items[SAVE_PARTS[part]] = JSON.stringify(data[part]);
+    }
+    return items;
+}
+
+function saveData(){
+    
+    var saveGame = {};
+    
+    for (var i = 0; i < SAVE_FIELDS.length; i++){
+        saveGame[SAVE_FIELDS[i]] = window[SAVE_FIELDS[i]];
+    }
+    
+    saveGame.version = SAVE_VERSION;
+    saveGame.savedAt = Date.now();
+    saveGame.playTime = elapsedTime * TICK_MS;
+    
+    var projectsUses = [];
+    var projectsFlags = [];
+    var projectsActive = [];
+    var stratsActive = [];
+    
+    for (var i = 0; i < projects.length; i++){
+        projectsUses[i] = projects[i].uses;
+        projectsFlags[i] = projects[i].flag;
+    }
+    
+    for (var i = 0; i < activeProjects.length; i++){
+        projectsActive[i] = activeProjects[i].id;
+    }
+    
+    for (var i = 0; i < allStrats.length; i++){
+        stratsActive[i] = allStrats[i].active;
+    }
+    
+    return {
+        game: saveGame,
+        projectsUses: projectsUses,
+        projectsFlags: projectsFlags,
+        projectsActive: projectsActive,
+        stratsActive: stratsActive,
+    };
+}
+
+function applySave(data){
+    
+    var loadGame = data.game;
+    
+    // Fields missing from an older or compacted save go back to their
+    // starting values, and so do NaNs, which JSON stores as null
+    for (var i = 0; i < SAVE_FIELDS.length; i++){
+        if (loadGame[SAVE_FIELDS[i]] != null){
+            window[SAVE_FIELDS[i]] = loadGame[SAVE_FIELDS[i]];
+        } else if (SAVE_DEFAULTS[SAVE_FIELDS[i]] != undefined){
+            window[SAVE_FIELDS[i]] = JSON.parse(SAVE_DEFAULTS[SAVE_FIELDS[i]]);
+        }
+    }
+    
+    if (loadGame.savedAt != undefined){
+        lastSaveTime = loadGame.savedAt;
+    }
+    
+    // Saves from before achievements were kept apart carry the run's unlocks
+    if (mergeAchievements(loadGame.achievementsUnlocked)){
+        saveAchievements();
+    }
+    
+    activeProjects.splice(0);
+    
+    for (var i = 0; i < projects.length; i++){
+        projects[i].uses = data.projectsUses[i];
+        projects[i].flag = data.projectsFlags[i];
+        if (data.projectsActive.indexOf(projects[i].id) >= 0){
+            activeProjects.push(projects[i]);
+        }
+    }
+    
+    strats.splice(1);
+    
+    for (var i = 0; i < allStrats.length; i++){
+        allStrats[i].active = data.stratsActive[i];
+        if (i > 0 && allStrats[i].active == 1){
+            strats.push(allStrats[i]);
+        }
+    }
+    
+    localizeProject(project40b);
+    localizeProject(project51);
+    
+    refresh();
+}
+
+function save(slot) {
+    
+    // Halfway through a catch-up the game is still behind the time it would
+    // be saved with, and the rest of the time away would be lost. While the
+    // player picks between this device's save and the cloud's, either could
+    // still be the one kept.
+    if (offlineRun || choosingSave) return;
+    
+    if (storageFull){
+        mesaSaveAll(slot, saveItems(compactSaveData(saveData()))).then(function(res){
+            if (!isQuotaError(res)){
+                storageFull = false;
+            }
+        });
+    } else {
+        mesaSaveAll(slot, saveItems(saveData())).then(function(res){
+            if (isQuotaError(res)){
+                recoverSaveSpace(slot);
+            }
+        });
+    }
+    
+    if (!slot){
+        localStorage.setItem("saveVersion", SAVE_VERSION);
+    }
+    
+}
+
+function readLocalSave(slot){
+    var keys = saveKeys(slot);
+    var data = {};
+    
+    for (var part in keys){
+        data[part] = JSON.parse(localStorage.getItem(keys[part]));
+        if (data[part] == null) return null;
+    }
+    
+    return data;
+}
+
+function load(slot) {
+    
+    var data = readLocalSave(slot);
+    if (!data) return false;
+    
+    applySave(data);
+    
+    // Autosaves from before the reset flag are thrown away
+    if (!slot && resetFlag!=2){
+        reset();
+    }
+    
+    return true;
+}
+
+// SAVE MIGRATIONS
+
+var SAVE_VERSION = 4;
+
+// SAVE_MIGRATIONS[n] turns a version n save into a version n+1 save, and old
+// saves are walked up one step at a time, so a format change only ever needs
+// a step from the version right before it. Nothing is on record about the
+// formats before 3; those saves can't be upgraded and get backed up instead.
+
+var SAVE_MIGRATIONS = {
+    
+    // 4 carries its version inside each save rather than in the one shared
+    // "saveVersion" key, so slots and cloud copies can be upgraded separately
+    3: function(data){
+        data.game.version = 4;
+        return data;
+    },
+    
+};
+
+var SAVE_BACKUP_PREFIX = "backup_";
+
+// Saves written before the version was stamped into them are as old as the
+// build that last set the shared key. Read it before anything rewrites it.
+var legacySaveVersion = parseInt(localStorage.getItem("saveVersion"), 10) || 1;
+
+// That key is this device's, and says nothing about cloud copies. The only
+// build that wrote to the cloud without stamping a version wrote version 3.
+var LEGACY_CLOUD_SAVE_VERSION = 3;
+
+// legacyVersion is what an unstamped save is taken to be
+function migrateSave(data, legacyVersion){
+    var version = data.game.version != undefined ? data.game.version : legacyVersion;
+    
+    while (version < SAVE_VERSION){
+        if (!SAVE_MIGRATIONS[version]){
+            throw new Error("no migration from save version " + version);
+        }
+        data = SAVE_MIGRATIONS[version](data);
+        version = version + 1;
+    }
+    
+    return data;
+}
+
+// Takes one slot's raw stored strings and returns the upgraded save, or null
+// when it is already current. Throws when the save is unreadable or too old.
+function upgradeSave(raw, legacyVersion){
+    var data = {};
+    
+    for (var part in raw){
+        if (raw[part] == null){
+            throw new Error("save is missing " + part);
+        }
+        data[part] = JSON.parse(raw[part]);
+    }
+    
+    if (data.game.version >= SAVE_VERSION) return null;
+    
+    return migrateSave(data, legacyVersion);
+}
+
+// Manual slots used to be kept next to the autosave with the slot number
+// appended ("saveGame1", "backup_saveGame1"). They move into their slot.
+
+function legacySlotNames(){
+    var names = [];
+    for (var part in SAVE_PARTS){
+        names.push(SAVE_PARTS[part], SAVE_BACKUP_PREFIX + SAVE_PARTS[part]);
+    }
+    return names;
+}
+
+function moveLegacyLocalSlots(){
+    var names = legacySlotNames();
+    for (var i = 1; i < SAVE_SLOTS.length; i++){
+        for (var k = 0; k < names.length; k++){
+            var value = localStorage.getItem(names[k] + SAVE_SLOTS[i]);
+            if (value == null) continue;
+            localStorage.setItem(slotKey(SAVE_SLOTS[i], names[k]), value);
+            localStorage.removeItem(names[k] + SAVE_SLOTS[i]);
+        }
+    }
+}
+
+// Returns false when the cloud can't be read
+async function moveLegacyCloudSlots(){
+    var names = legacySlotNames();
+    for (var i = 1; i < SAVE_SLOTS.length; i++){
+        var slot = SAVE_SLOTS[i];
+        var values = await window.Mesa.data.getItems(names.map(function(name){ return name + slot; }));
+        if (values.error) return false;
+        
+        var moved = {};
+        for (var k = 0; k < names.length; k++){
+            if (values[names[k] + slot] != null){
+                moved[names[k]] = values[names[k] + slot];
+            }
+        }
+        if (Object.keys(moved).length == 0) continue;
+        
+        await saveStore(slot).setItems(moved);
+        for (var name in moved){
+            await window.Mesa.data.removeItem(name + slot);
+        }
+    }
+    return true;
+}
+
+// Runs at boot, before anything is loaded. A slot that can't be upgraded is
+// copied under SAVE_BACKUP_PREFIX and cleared; the rest are rewritten in place.
+function migrateLocalSaves(){
+    
+    moveLegacyLocalSlots();
+    
+    for (var i = 0; i < SAVE_SLOTS.length; i++){
+        
+        var keys = saveKeys(SAVE_SLOTS[i]);
+        var raw = {};
+        for (var part in keys){
+            raw[part] = localStorage.getItem(keys[part]);
+        }
+        if (raw.game == null) continue;
+        
+        try {
+            var data = upgradeSave(raw, legacySaveVersion);
+            if (data){
+                for (var part in keys){
+                    localStorage.setItem(keys[part], JSON.stringify(data[part]));
+                }
+            }
+        } catch (e) {
+            console.warn("Could not upgrade " + keys.game + " (" + e.message + "), backed up and cleared");
+            for (var part in keys){
+                if (raw[part] != null){
+                    localStorage.setItem(slotKey(SAVE_SLOTS[i], SAVE_BACKUP_PREFIX + SAVE_PARTS[part]), raw[part]);
+                }
+                localStorage.removeItem(keys[part]);
+            }
+        }
+        
+    }
+    
+    localStorage.setItem("saveVersion", SAVE_VERSION);
+}
+
+// The same for the copies kept in Mesa cloud storage, once the SDK is up.
+// Backups of those stay in the cloud too.
+// Returns false when the cloud can't be read at all, so boot doesn't sit
+// through a timeout per key.
+async function migrateCloudSaves(){
+    if (!window.Mesa) return false;
+    if (!await moveLegacyCloudSlots()) return false;
+    
+    for (var i = 0; i < SAVE_SLOTS.length; i++){
+        
+        var store = saveStore(SAVE_SLOTS[i]);
+        var values = await store.getItems(Object.values(SAVE_PARTS));
+        if (values.error) return false;
+        
+        var raw = {};
+        for (var part in SAVE_PARTS){
+            raw[part] = values[SAVE_PARTS[part]];
+        }
+        if (raw.game == null) continue;
+        
+        try {
+            var data = upgradeSave(raw, LEGACY_CLOUD_SAVE_VERSION);
+            if (data){
+                await store.setItems(saveItems(data));
+            }
+        } catch (e) {
+            console.warn("Could not upgrade cloud " + slotKey(SAVE_SLOTS[i], SAVE_PARTS.game) + " (" + e.message + "), backed up and cleared");
+            var backup = {};
+            for (var part in SAVE_PARTS){
+                if (raw[part] != null){
+                    backup[SAVE_BACKUP_PREFIX + SAVE_PARTS[part]] = raw[part];
+                }
+            }
+            await store.setItems(backup);
+            for (var part in SAVE_PARTS){
+                await store.removeItem(SAVE_PARTS[part]);
+            }
+        }
+        
+    }
+    
+    return true;
+}
+
+// STORAGE QUOTA
+
+// A save that doesn't fit isn't dropped quietly. Old backups are cleared
+// first, then the save is written compacted (fields still at their starting
+// values left out; applySave() puts them back), and if even that doesn't fit
+// the player is told to export their save.
+
+var QUOTA_EXCEEDED = "quota_exceeded";
+var STORAGE_WARN_FRACTION = 0.1; // warn when less than this much is left
+var compactSaveAnnounced = false; // compacted autosaves are mentioned once
+
+// Once the player has been told storage is full, saves stop clearing backups
+// and retrying every time: they only try the compacted save, and the first one
+// that fits again puts things back to normal.
+var storageFull = false;
+
+function isQuotaError(res){
+    return !!res && !!res.error && res.error.code == QUOTA_EXCEEDED;
+}
+
+function compactSaveData(data){
+    for (var i = 0; i < SAVE_FIELDS.length; i++){
+        if (JSON.stringify(data.game[SAVE_FIELDS[i]]) === SAVE_DEFAULTS[SAVE_FIELDS[i]]){
+            delete data.game[SAVE_FIELDS[i]];
+        }
+    }
+    return data;
+}
+
+async function pruneSaveBackups(){
+    for (var i = 0; i < SAVE_SLOTS.length; i++){
+        for (var part in SAVE_PARTS){
+            localStorage.removeItem(slotKey(SAVE_SLOTS[i], SAVE_BACKUP_PREFIX + SAVE_PARTS[part]));
+        }
+        
+        if (window.Mesa){
+            var store = saveStore(SAVE_SLOTS[i]);
+            var backups = await store.keys(SAVE_BACKUP_PREFIX);
+            if (backups.error) continue;
+            for (var k = 0; k < backups.length; k++){
+                await store.removeItem(backups[k]);
+            }
+        }
+    }
+}
+
+async function recoverSaveSpace(slot){
+    await pruneSaveBackups();
+    if (!isQuotaError(await mesaSaveAll(slot, saveItems(saveData())))) return true;
+    
+    if (!isQuotaError(await mesaSaveAll(slot, saveItems(compactSaveData(saveData()))))) {
+        if (!compactSaveAnnounced){
+            displayMessage(t("storage.compacted"));
+            compactSaveAnnounced = true;
+        }
+        return true;
+    }
+    
+    if (!storageFull){
+        displayMessage(t("storage.full"));
+        storageFull = true;
+    }
+    return false;
+}
+
+// At boot: make room early when the cloud quota is running low
+async function checkStorageUsage(){
+    if (!window.Mesa) return;
+    var usage = await window.Mesa.data.getUsage();
+    if (usage.error || usage.remaining > usage.quota * STORAGE_WARN_FRACTION) return;
+    
+    await pruneSaveBackups();
+    displayMessage(t("storage.cloudNearlyFull", {used: Math.ceil(usage.used / 1024), quota: Math.floor(usage.quota / 1024)}));
+}
+
+// CLOUD SYNC
+
+// The autosave is loaded from localStorage at boot, before Mesa is ready. Once
+// it is, the cloud copy gets compared. A local copy saved later and played at
+// least as long just carries on from the cloud one. Otherwise the two have
+// gone separate ways (played on another device, say) and choose(local, cloud)
+// decides, resolving to true to keep the cloud copy. Nothing is saved while it
+// does, and whichever copy is kept is written to both.
+
+var choosingSave = false;
+
+// How long a save has been played, for telling which copy got further
+function savePlayTime(game){
+    return game.playTime != undefined ? game.playTime : game.elapsedTime * TICK_MS;
+}
+
+async function readCloudSave(slot){
+    var values = await saveStore(slot).getItems(Object.values(SAVE_PARTS));
+    if (values.error) return null;
+    
+    var data = {};
+    for (var part in SAVE_PARTS){
+        if (values[SAVE_PARTS[part]] == null) return null;
+        try {
+            data[part] = JSON.parse(values[SAVE_PARTS[part]]);
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    return data;
+}
+
+async function reconcileCloudSave(choose){
+    if (!window.Mesa) return false;
+    
+    var cloud = await readCloudSave(0);
+    if (!cloud) return false;
+    
+    var local = readLocalSave(0);
+    if (local){
+        var cloudSavedAt = cloud.game.savedAt || 0;
+        var localSavedAt = local.game.savedAt || 0;
+        if (cloudSavedAt == localSavedAt) return false;
+        
+        // The next autosave brings the cloud up to date
+        if (localSavedAt > cloudSavedAt && savePlayTime(local.game) >= savePlayTime(cloud.game)) return false;
+        
+        choosingSave = true;
+        var keepCloud = await choose(local, cloud);
+        choosingSave = false;
+        if (!keepCloud){
+            save();
+            return false;
+        }
+    }
+    
+    applySave(cloud);
+    
+    var cloudPrestige = await window.Mesa.data.getItem("savePrestige");
+    if (cloudPrestige != null && !cloudPrestige.error){
+        localStorage.setItem("savePrestige", cloudPrestige);
+        loadPrestige();
+    }
+    
+    save();
+    return true;
+}
+
+// EXPORT AND IMPORT
+
+// An export is one JSON document with everything save() writes for a run plus
+// prestige, checksummed so a damaged copy is caught before it is loaded. The
+// text form is the same document in base64, safe to paste into a bug report.
+
+var EXPORT_FORMAT = "universal-paperclips-save";
+
+function saveChecksum(text){
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++){
+        hash = hash ^ text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+function exportSave(){
+    var body = {
+        save: saveData(),
+        prestige: {
+            prestigeU: prestigeU,
+            prestigeS: prestigeS,
+        },
+    };
+    
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: SAVE_VERSION,
+        checksum: saveChecksum(JSON.stringify(body)),
+        body: body,
+    });
+}
+
+function exportSaveText(){
+    return btoa(unescape(encodeURIComponent(exportSave())));
+}
+
+// Accepts either form and hands back the body, upgraded to SAVE_VERSION.
+// Throws with a message fit to show the player when anything is off.
+function parseExport(text){
+    var doc;
+    
+    text = String(text).trim();
+    try {
+        if (text.charAt(0) != "{"){
+            text = decodeURIComponent(escape(atob(text)));
+        }
+        doc = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t("import.notASave"));
+    }
+    
+    if (!doc || doc.format != EXPORT_FORMAT || !doc.body){
+        throw new Error(t("import.wrongGame"));
+    }
+    if (doc.checksum != saveChecksum(JSON.stringify(doc.body))){
+        throw new Error(t("import.damaged"));
+    }
+    if (doc.version > SAVE_VERSION){
+        throw new Error(t("import.newer"));
+    }
+    
+    var data = doc.body.save;
+    if (!data || typeof data.game != "object" || !Array.isArray(data.projectsUses) || !Array.isArray(data.projectsFlags) || !Array.isArray(data.projectsActive) || !Array.isArray(data.stratsActive)){
+        throw new Error(t("import.incomplete"));
+    }
+    
+    if (data.game.version == undefined){
+        data.game.version = doc.version;
+    }
+    try {
+        data = migrateSave(data, doc.version);
+    } catch (e) {
+        throw new Error(t("import.tooOld"));
+    }
+    
+    return {
+        save: data,
+        prestige: doc.body.prestige,
+    };
+}
+
+// With a slot the save is only stored there, ready for load(slot). Without
+// one it replaces the game being played, prestige included.
+function importSave(text, slot){
+    var imported = parseExport(text);
+    
+    if (slot){
+        mesaSaveAll(slot, saveItems(imported.save));
+        return;
+    }
+    
+    applySave(imported.save);
+    
+    if (imported.prestige){
+        prestigeU = imported.prestige.prestigeU;
+        prestigeS = imported.prestige.prestigeS;
+        mesaSave("savePrestige", JSON.stringify({prestigeU: prestigeU, prestigeS: prestigeS}));
+    }
+    
+    save();
+}
+
+// Set while the page reloads after a reset, so leaving it doesn't save the
+// old game straight back
+var resetting = false;
+
+function reset() {
+    resetting = true;
+    var keys = saveKeys();
+    // Mesa cloud cleanup is best-effort (async, may not complete before reload)
+    for (var part in keys){
+        mesaRemove(keys[part]);
+    }
+    location.reload();
+}
+
+function fullReset() {
+    localStorage.removeItem("savePrestige");
+    if (window.Mesa) {
+        window.Mesa.data.removeItem("savePrestige");
+    }
+    reset();
+}
+
+function loadPrestige() {
+    
+        var loadPrestige = JSON.parse(localStorage.getItem("savePrestige"));
+        
+        prestigeU = loadPrestige.prestigeU;
+        prestigeS = loadPrestige.prestigeS;
+}    
@@ -2,6 +2,26 @@
   const MESA_VERSION = '1.1.0';
   const REQUEST_TIMEOUT = 5000;
 
+  // Offline queue for writes that hit a timeout or network error
+  const QUEUE_STORAGE_KEY = 'mesa_sync_queue';
+  const QUEUE_MAX_ENTRIES = 100;
+  const RETRY_BASE_DELAY = 2000;
+  const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+  // Most keys one setItems/getItems call may carry
+  const BATCH_MAX_KEYS = 25;
+
+  // Storage each game gets in local mode, in bytes of UTF-8 keys and values.
+  // The portal enforces its own quota and reports it the same way.
+  const LOCAL_STORAGE_QUOTA = 1024 * 1024;
+
+  // Mesa.data.namespace(name) keeps its keys under 'name/'
+  const NAMESPACE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+  const NAMESPACE_SEPARATOR = '/';
+
+  // Resize events wait for the frame to stop changing size for this long (ms)
+  const RESIZE_SETTLE_DELAY = 100;
+
   // Error Codes
   const ErrorCode = {
     TIMEOUT: 'timeout',
@@ -15,6 +35,34 @@
     NOT_LOGGED_IN: 'not_logged_in'
   };
 
+  // Leaderboards rank by sortValue in their order ('desc': higher is better,
+  // 'asc': lower is better). The value type says what sortValue measures and
+  // how the SDK formats it when no displayValue is given: 'score' and 'count'
+  // are plain numbers, 'time' is in seconds.
+  const LEADERBOARD_ORDERS = ['desc', 'asc'];
+  const LEADERBOARD_VALUE_TYPES = ['score', 'count', 'time'];
+  // Free-form run details stored with an entry, as JSON of at most this length
+  const LEADERBOARD_METADATA_MAX = 2048;
+
+  // Achievement ids: letters, digits, '_', '-' and '.'
+  const ACHIEVEMENT_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+  // Local mode keeps game data under mesa_local_<key>; achievements and
+  // leaderboards live outside that prefix so no data key can collide with
+  // them and Mesa.data.clear() leaves them alone
+  const LOCAL_DATA_PREFIX = 'mesa_local_';
+  const LOCAL_ACHIEVEMENTS_KEY = 'mesa_ach_local';
+  const LOCAL_LEADERBOARD_PREFIX = 'mesa_lb_';
+  const LOCAL_LEADERBOARD_META_PREFIX = 'mesa_lbmeta_';
+
+  // Gameplay analytics: Mesa.game.event() calls are sent together as one
+  // mesa:game:events message once enough pile up or a few seconds pass
+  const EVENT_NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+  const EVENT_PROPS_MAX = 1024; // JSON length
+  const EVENT_BATCH_MAX = 20;
+  const EVENT_FLUSH_DELAY = 10000;
+  const EVENT_BUFFER_MAX = 200; // oldest are dropped past this before init
+
   // Browser language code to stnadard locale code mapping
   const langCodeMap = {
     'en': 'en_us',
@@ -49,15 +97,34 @@
     'fa': 'fa_ir'
   };
 
+  // Portal origins allowed to host the game. Entries are exact origins or
+  // 'https://*.example.com' for any subdomain. The game's own origin is always
+  // allowed. Override with Mesa.init({ allowedOrigins: [...] }).
+  const DEFAULT_ALLOWED_ORIGINS = [
+    'https://playmesa.com',
+    'https://*.playmesa.com'
+  ];
+
   // Internal state
   let environment = 'disabled'; // 'mesa', 'local', 'disabled'
+  let allowedOrigins = DEFAULT_ALLOWED_ORIGINS;
+  let portalOrigin = null; // set once the portal's mesa:init is verified
   let currentUser = null;
   let currentConfig = null;
   let sessionNonce = null;
   let isInitialized = false;
+  let isPaused = false; // set by the portal (mesa:pause / mesa:resume)
+  let isMuted = false; // set by the portal (mesa:mute)
+  let isFullscreen = false; // set by the portal (mesa:fullscreen) or the browser
+  let containerSize = null; // last size emitted as 'resize'
+  let resizeTimer = null;
   let initPromiseResolve = null;
   let pendingRequests = new Map(); // requestId -> { resolve, reject, timer }
   let eventListeners = new Map(); // eventName -> [callbacks]
+  let eventBuffer = []; // analytics events waiting to be sent
+  let eventFlushTimer = null;
+  let eventSampleRate = 1; // Mesa.init({ analyticsSampleRate })
+  let eventSampledIn = true; // decided once per session
 
   // Local leaderboard storage for local mode
   let localLeaderboards = {};
@@ -111,6 +178,35 @@
     return result;
   }
 
+  function isAllowedOrigin(origin) {
+    if (!origin || origin === 'null') return false;
+    if (origin === window.location.origin) return true;
+    return allowedOrigins.some(allowed => {
+      if (allowed === origin) return true;
+      const wildcard = allowed.match(/^(\w+:\/\/)\*\.(.+)$/);
+      return !!wildcard && origin.startsWith(wildcard[1]) && origin.endsWith('.' + wildcard[2]);
+    });
+  }
+
+  // Where the handshake may go before the portal has answered: the embedding
+  // page's origin if the browser reveals it and it is allowed, otherwise every
+  // exact allowed origin (postMessage drops the ones that don't match).
+  function handshakeTargets() {
+    let parentOrigin = null;
+    try {
+      if (window.location.ancestorOrigins && window.location.ancestorOrigins.length) {
+        parentOrigin = window.location.ancestorOrigins[0];
+      } else if (document.referrer) {
+        parentOrigin = new URL(document.referrer).origin;
+      }
+    } catch (e) {}
+
+    if (isAllowedOrigin(parentOrigin)) return [parentOrigin];
+    const targets = allowedOrigins.filter(o => o.indexOf('*') < 0);
+    if (window.location.origin !== 'null') targets.push(window.location.origin);
+    return targets;
+  }
+
   // Emit event to listeners
   function emit(eventName, data) {
     const listeners = eventListeners.get(eventName) || [];
@@ -127,8 +223,13 @@
   const Transport = {
     send: function (type, payload = {}) {
       if (environment === 'local') {
-        // Simulate async response for local mode
-        setTimeout(() => handleLocalRequest(type, payload), 50);
+        // Simulate async response for local mode. A hidden page may be on its
+        // way out and never run the timer, so it gets answered right away.
+        if (document.visibilityState === 'hidden') {
+          handleLocalRequest(type, payload);
+        } else {
+          setTimeout(() => handleLocalRequest(type, payload), 50);
+        }
         return;
       }
 
@@ -143,7 +244,14 @@
         nonce: sessionNonce,
         ...payload
       };
-      window.parent.postMessage(message, '*'); // In production, targetOrigin should be locked down
+
+      if (portalOrigin) {
+        window.parent.postMessage(message, portalOrigin);
+      } else if (type === 'mesa:ready') {
+        handshakeTargets().forEach(origin => window.parent.postMessage(message, origin));
+      } else {
+        console.warn(`Mesa SDK: ${type} not sent, portal origin not verified yet.`);
+      }
     }
   };
 
@@ -154,7 +262,7 @@
     switch (type) {
       case 'mesa:ready':
         // Simulate init response with local languages
-        receiveMessage({
+        handleMessage({
           data: {
             type: 'mesa:init',
             user: { 
@@ -173,39 +281,71 @@
         break;
         
       case 'mesa:data:set':
-        localStorage.setItem(`mesa_local_${payload.key}`, payload.value);
+        writeLocalItems({ [payload.key]: payload.value }, requestId);
+        break;
+
+      case 'mesa:data:get':
+        const value = localStorage.getItem(LOCAL_DATA_PREFIX + payload.key);
         if (requestId) {
-          receiveMessage({
-            data: { type: 'mesa:data:response', requestId, success: true }
+          handleMessage({
+            data: { type: 'mesa:data:response', requestId, value }
           });
         }
         break;
 
-      case 'mesa:data:get':
-        const value = localStorage.getItem(`mesa_local_${payload.key}`);
+      case 'mesa:data:setMany':
+        writeLocalItems(payload.items, requestId);
+        break;
+
+      case 'mesa:data:usage': {
+        const used = localStorageUsed({});
         if (requestId) {
-          receiveMessage({
-            data: { type: 'mesa:data:response', requestId, value }
+          handleMessage({
+            data: { type: 'mesa:data:response', requestId, used, quota: LOCAL_STORAGE_QUOTA, remaining: Math.max(0, LOCAL_STORAGE_QUOTA - used) }
           });
         }
         break;
+      }
+
+      case 'mesa:data:getMany': {
+        const values = {};
+        payload.keys.forEach(k => { values[k] = localStorage.getItem(LOCAL_DATA_PREFIX + k); });
+        if (requestId) {
+          handleMessage({
+            data: { type: 'mesa:data:response', requestId, values }
+          });
+        }
+        break;
+      }
+
+      case 'mesa:data:keys': {
+        const keys = Object.keys(localStorage).filter(isLocalDataKey)
+          .map(k => k.slice(LOCAL_DATA_PREFIX.length))
+          .filter(k => k.startsWith(payload.prefix || ''));
+        if (requestId) {
+          handleMessage({
+            data: { type: 'mesa:data:response', requestId, keys }
+          });
+        }
+        break;
+      }
 
       case 'mesa:data:remove':
-        localStorage.removeItem(`mesa_local_${payload.key}`);
+        localStorage.removeItem(LOCAL_DATA_PREFIX + payload.key);
         if (requestId) {
-          receiveMessage({
+          handleMessage({
             data: { type: 'mesa:data:response', requestId, success: true }
           });
         }
         break;
         
       case 'mesa:data:clear':
-        // Only clear mesa keys
+        // Only the game's data, not achievements or leaderboards
         Object.keys(localStorage).forEach(k => {
-          if (k.startsWith('mesa_local_')) localStorage.removeItem(k);
+          if (isLocalDataKey(k)) localStorage.removeItem(k);
         });
         if (requestId) {
-          receiveMessage({
+          handleMessage({
             data: { type: 'mesa:data:response', requestId, success: true }
           });
         }
@@ -222,13 +362,183 @@
       case 'mesa:leaderboard:getTop':
         handleLocalLeaderboardGetTop(payload, requestId);
         break;
+
+      case 'mesa:achievements:unlock':
+      case 'mesa:achievements:progress':
+      case 'mesa:achievements:list':
+        handleLocalAchievements(type, payload, requestId);
+        break;
+
+      case 'mesa:game:events':
+        // Nowhere to report to locally, show them to the developer instead
+        payload.events.forEach(e => console.debug('Mesa SDK: event', e.name, e.props));
+        break;
+    }
+  }
+
+  // Boards and achievements used to be kept under the data prefix
+  // (mesa_local_leaderboard_<key>, mesa_local_leaderboard_meta_<key> and
+  // mesa_local_achievements), where they counted as game data. They move to
+  // their own keys the first time local mode starts.
+  function migrateLocalKeys() {
+    const oldPrefix = LOCAL_DATA_PREFIX + 'leaderboard_';
+    const oldMetaPrefix = LOCAL_DATA_PREFIX + 'leaderboard_meta_';
+    Object.keys(localStorage).forEach(storageKey => {
+      let newKey = null;
+      if (storageKey.startsWith(oldMetaPrefix)) {
+        newKey = LOCAL_LEADERBOARD_META_PREFIX + storageKey.slice(oldMetaPrefix.length);
+      } else if (storageKey.startsWith(oldPrefix)) {
+        newKey = LOCAL_LEADERBOARD_PREFIX + storageKey.slice(oldPrefix.length);
+      } else if (storageKey === LOCAL_DATA_PREFIX + 'achievements') {
+        newKey = LOCAL_ACHIEVEMENTS_KEY;
+      }
+      if (!newKey) return;
+
+      try {
+        if (localStorage.getItem(newKey) === null) {
+          localStorage.setItem(newKey, localStorage.getItem(storageKey));
+        }
+        localStorage.removeItem(storageKey);
+      } catch (e) {
+        console.warn('Mesa SDK: Could not move ' + storageKey, e);
+      }
+    });
+  }
+
+  // Local data storage accounting
+  function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  function isLocalDataKey(storageKey) {
+    return storageKey.startsWith(LOCAL_DATA_PREFIX);
+  }
+
+  // Bytes used once the given writes (key -> new value) have landed
+  function localStorageUsed(items) {
+    let used = 0;
+    Object.keys(localStorage).filter(isLocalDataKey).forEach(storageKey => {
+      const key = storageKey.slice(LOCAL_DATA_PREFIX.length);
+      if (!(key in items)) used += byteLength(key) + byteLength(localStorage.getItem(storageKey));
+    });
+    Object.keys(items).forEach(key => { used += byteLength(key) + byteLength(items[key]); });
+    return used;
+  }
+
+  // All or nothing: writes that would go over the quota are refused, and if
+  // the browser's own storage fills up partway the keys already written get
+  // their old values back
+  function writeLocalItems(items, requestId) {
+    const previous = {};
+    let response = { type: 'mesa:data:response', requestId, success: true };
+
+    if (localStorageUsed(items) > LOCAL_STORAGE_QUOTA) {
+      response = { type: 'mesa:data:response', requestId, error: { code: ErrorCode.QUOTA_EXCEEDED, message: 'Storage quota exceeded' } };
+    } else {
+      try {
+        Object.keys(items).forEach(k => {
+          previous[k] = localStorage.getItem(LOCAL_DATA_PREFIX + k);
+          localStorage.setItem(LOCAL_DATA_PREFIX + k, items[k]);
+        });
+      } catch (e) {
+        Object.keys(previous).forEach(k => {
+          if (previous[k] === null) {
+            localStorage.removeItem(LOCAL_DATA_PREFIX + k);
+          } else {
+            localStorage.setItem(LOCAL_DATA_PREFIX + k, previous[k]);
+          }
+        });
+        response = { type: 'mesa:data:response', requestId, error: { code: ErrorCode.QUOTA_EXCEEDED, message: 'Local storage is full' } };
+      }
+    }
+
+    if (requestId) {
+      handleMessage({ data: response });
     }
   }
 
+  // Local achievement handlers
+  // All achievements live in one record: id -> { unlocked, unlockedAt, current, total }
+  function handleLocalAchievements(type, payload, requestId) {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(LOCAL_ACHIEVEMENTS_KEY)) || {};
+    } catch (e) {}
+
+    let response;
+    if (type === 'mesa:achievements:list') {
+      const achievements = Object.keys(stored).map(id => ({ id, ...stored[id] }));
+      response = { achievements };
+    } else {
+      const { id } = payload;
+      const record = stored[id] || { unlocked: false, unlockedAt: null, current: 0, total: null };
+      const wasUnlocked = record.unlocked;
+
+      if (type === 'mesa:achievements:progress') {
+        record.total = payload.total;
+        record.current = Math.min(payload.current, payload.total);
+      }
+      if (type === 'mesa:achievements:unlock' || record.current >= record.total) {
+        record.unlocked = true;
+        record.unlockedAt = record.unlockedAt || Date.now();
+      }
+
+      stored[id] = record;
+      localStorage.setItem(LOCAL_ACHIEVEMENTS_KEY, JSON.stringify(stored));
+      response = { success: true, id, ...record, newlyUnlocked: record.unlocked && !wasUnlocked };
+    }
+
+    if (requestId) {
+      handleMessage({
+        data: { type: 'mesa:achievements:response', requestId, ...response }
+      });
+    }
+  }
+
+  // Leaderboard formatting and ordering
+  function formatLeaderboardValue(value, valueType) {
+    switch (valueType) {
+      case 'time': {
+        if (value < 60) return (Math.round(Math.max(0, value) * 10) / 10) + 's';
+        const whole = Math.floor(value);
+        const days = Math.floor(whole / 86400);
+        const hours = Math.floor((whole % 86400) / 3600);
+        const pad = n => String(n).padStart(2, '0');
+        const minSec = pad(Math.floor((whole % 3600) / 60)) + ':' + pad(whole % 60);
+        if (days > 0) return `${days}d ${pad(hours)}:${minSec}`;
+        return hours > 0 ? `${hours}:${minSec}` : minSec.replace(/^0/, '');
+      }
+      case 'count':
+        return Math.round(value).toLocaleString('en-US');
+      default:
+        return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    }
+  }
+
+  function isBetterScore(value, than, order) {
+    return order === 'asc' ? value < than : value > than;
+  }
+
+  // Best first; equal scores rank whoever got there first higher
+  function compareEntries(order) {
+    return (a, b) => (order === 'asc' ? a.sortValue - b.sortValue : b.sortValue - a.sortValue) ||
+      (a.submittedAt || 0) - (b.submittedAt || 0);
+  }
+
   // Local leaderboard handlers
+  // Each board is stored as its sorted entries plus a small meta record with
+  // the order and value type it was last submitted with.
+  function readLocalBoardMeta(key) {
+    try {
+      const stored = localStorage.getItem(LOCAL_LEADERBOARD_META_PREFIX + key);
+      if (stored) return JSON.parse(stored);
+    } catch (e) {}
+    return { order: 'desc', valueType: 'score' };
+  }
+
   function handleLocalLeaderboardSubmit(payload, requestId) {
-    const { key = 'default', playerName, displayValue, sortValue } = payload;
-    const storageKey = `mesa_local_leaderboard_${key}`;
+    const { key = 'default', playerName, displayValue, sortValue, order = 'desc', valueType = 'score', metadata = null } = payload;
+    const storageKey = LOCAL_LEADERBOARD_PREFIX + key;
     
     // Load existing leaderboard
     let board = [];
@@ -244,18 +554,17 @@
     let isNewBest = false;
     if (existingIdx >= 0) {
       // Update only if better
-      if (sortValue > board[existingIdx].sortValue) {
-        board[existingIdx] = { userId, playerName, displayValue, sortValue, submittedAt: Date.now() };
+      if (isBetterScore(sortValue, board[existingIdx].sortValue, order)) {
+        board[existingIdx] = { userId, playerName, displayValue, sortValue, metadata, submittedAt: Date.now() };
         isNewBest = true;
       }
     } else {
       // New entry
-      board.push({ userId, playerName, displayValue, sortValue, submittedAt: Date.now() });
+      board.push({ userId, playerName, displayValue, sortValue, metadata, submittedAt: Date.now() });
       isNewBest = true;
     }
 
-    // Sort by sortValue DESC
-    board.sort((a, b) => b.sortValue - a.sortValue);
+    board.sort(compareEntries(order));
 
     // Limit to 1000 entries
     const MAX_ENTRIES = 1000;
@@ -263,6 +572,7 @@
 
     // Save
     localStorage.setItem(storageKey, JSON.stringify(board));
+    localStorage.setItem(LOCAL_LEADERBOARD_META_PREFIX + key, JSON.stringify({ order, valueType }));
 
     // Find rank
     const playerIdx = board.findIndex(e => e.userId === userId);
@@ -270,7 +580,7 @@
     const onLeaderboard = playerIdx >= 0;
 
     if (requestId) {
-      receiveMessage({
+      handleMessage({
         data: { type: 'mesa:leaderboard:response', requestId, success: true, rank, isNewBest, onLeaderboard }
       });
     }
@@ -278,7 +588,7 @@
 
   function handleLocalLeaderboardGet(payload, requestId) {
     const { key = 'default' } = payload;
-    const storageKey = `mesa_local_leaderboard_${key}`;
+    const storageKey = LOCAL_LEADERBOARD_PREFIX + key;
     
     let board = [];
     try {
@@ -304,19 +614,22 @@
       rank: startIdx + i + 1,
       playerName: e.playerName,
       displayValue: e.displayValue,
+      sortValue: e.sortValue,
+      metadata: e.metadata || null,
       isCurrentUser: e.userId === userId
     }));
+    const { order, valueType } = readLocalBoardMeta(key);
 
     if (requestId) {
-      receiveMessage({
-        data: { type: 'mesa:leaderboard:response', requestId, playerRank, entries }
+      handleMessage({
+        data: { type: 'mesa:leaderboard:response', requestId, playerRank, entries, order, valueType }
       });
     }
   }
 
   function handleLocalLeaderboardGetTop(payload, requestId) {
     const { key = 'default', limit = 10 } = payload;
-    const storageKey = `mesa_local_leaderboard_${key}`;
+    const storageKey = LOCAL_LEADERBOARD_PREFIX + key;
     
     let board = [];
     try {
@@ -329,24 +642,55 @@
       rank: i + 1,
       playerName: e.playerName,
       displayValue: e.displayValue,
+      sortValue: e.sortValue,
+      metadata: e.metadata || null,
       isCurrentUser: e.userId === userId
     }));
+    const { order, valueType } = readLocalBoardMeta(key);
 
     if (requestId) {
-      receiveMessage({
-        data: { type: 'mesa:leaderboard:response', requestId, entries }
+      handleMessage({
+        data: { type: 'mesa:leaderboard:response', requestId, entries, order, valueType }
       });
     }
   }
 
   // Message Handler
+  // Messages from the page arrive here and must prove where they came from:
+  // the parent window, an allowed origin, and after the handshake the same
+  // origin and session nonce the portal started with.
   function receiveMessage(event) {
     const data = event.data;
     if (!data || typeof data !== 'object') return;
-    
-    // Filter out messages not from Mesa Portal (unless local simulation)
-    // In a real implementation, we would check event.origin against an allowlist
-    
+    if (event.source !== window.parent || window.parent === window) return;
+
+    if (portalOrigin) {
+      if (event.origin !== portalOrigin) return;
+      if (data.type === 'mesa:init') return; // the session is already set up
+      if (data.nonce !== sessionNonce) {
+        console.warn(`Mesa SDK: Rejected ${data.type} with a bad session nonce.`);
+        return;
+      }
+    } else {
+      if (data.type !== 'mesa:init' || environment === 'local') return;
+      if (!isAllowedOrigin(event.origin)) {
+        console.warn(`Mesa SDK: Rejected mesa:init from ${event.origin}, not an allowed origin.`);
+        return;
+      }
+      if (!data.nonce) {
+        console.warn('Mesa SDK: Rejected mesa:init without a session nonce.');
+        return;
+      }
+      portalOrigin = event.origin;
+    }
+
+    handleMessage(event);
+  }
+
+  // Local simulation responses come straight here
+  function handleMessage(event) {
+    const data = event.data;
+
     if (data.type === 'mesa:init') {
       environment = data.config?.env || 'mesa';
       currentUser = data.user || null;
@@ -357,6 +701,9 @@
         initPromiseResolve();
         initPromiseResolve = null;
       }
+      dropOtherAccountWrites();
+      flushQueue();
+      flushEvents();
       return;
     }
 
@@ -370,6 +717,45 @@
       return;
     }
 
+    // The player logged in, logged out (user: null) or switched accounts on
+    // the portal. Emitted as 'userChanged' with { user, previous } when the
+    // account is a different one.
+    if (data.type === 'mesa:user:changed') {
+      const previous = currentUser;
+      currentUser = data.user || null;
+      if ((previous && previous.id) !== (currentUser && currentUser.id)) {
+        [...saveDebounceTimers.keys()].forEach(cancelDebouncedSave);
+        dropOtherAccountWrites();
+        emit('userChanged', { user: currentUser, previous });
+      }
+      return;
+    }
+
+    // Portal control: pause while an overlay is open or the player is away,
+    // and the portal's sound setting. Emitted as 'pause', 'resume' and
+    // 'mute' ({ muted }) events.
+    if (data.type === 'mesa:pause' || data.type === 'mesa:resume') {
+      const paused = data.type === 'mesa:pause';
+      if (paused !== isPaused) {
+        isPaused = paused;
+        emit(paused ? 'pause' : 'resume', {});
+      }
+      return;
+    }
+
+    if (data.type === 'mesa:mute') {
+      isMuted = data.muted !== false;
+      emit('mute', { muted: isMuted });
+      return;
+    }
+
+    // The portal put the frame into fullscreen or took it out again
+    // ('fullscreenChange' event, followed by a 'resize')
+    if (data.type === 'mesa:fullscreen') {
+      setFullscreen(data.fullscreen !== false);
+      return;
+    }
+
     // Handle Responses
     if (data.requestId && pendingRequests.has(data.requestId)) {
       const { resolve, timer } = pendingRequests.get(data.requestId);
@@ -404,6 +790,14 @@
 
   // Debounce helper for setItem
   const saveDebounceTimers = new Map();
+  function cancelDebouncedSave(key) {
+    if (saveDebounceTimers.has(key)) {
+      clearTimeout(saveDebounceTimers.get(key).timer);
+      saveDebounceTimers.get(key).resolve({ superseded: true });
+      saveDebounceTimers.delete(key);
+    }
+  }
+
   function debouncedSave(key, value) {
     return new Promise((resolve, reject) => {
       if (saveDebounceTimers.has(key)) {
@@ -415,15 +809,334 @@
       const timer = setTimeout(async () => {
         saveDebounceTimers.delete(key);
         try {
-          const res = await sendRequest('mesa:data:set', { key, value });
+          const res = await sendQueuedRequest('mesa:data:set', { key, value });
           resolve(res);
         } catch (e) {
           resolve({ error: { code: ErrorCode.NETWORK_ERROR, message: e.message } });
         }
       }, 1000); // 1 second debounce
 
-      saveDebounceTimers.set(key, { timer, resolve });
+      saveDebounceTimers.set(key, { timer, resolve, value });
+    });
+  }
+
+  // Offline Queue
+  // Writes that fail for a transient reason (timeout, network) are kept in
+  // localStorage and retried with exponential backoff, so a save made during a
+  // portal hiccup or a reload survives. A newer write to the same data key
+  // replaces any queued one, so an old value can never land on top of it; a
+  // queued batch only loses the keys the newer write covers.
+  let syncQueue = loadQueue();
+  let syncState = syncQueue.length ? 'pending' : 'synced';
+  let flushTimer = null;
+  let flushing = false;
+  // Entries sent and not answered yet, by either flushQueue or flush(), so
+  // the other doesn't post them a second time
+  const sending = new Set();
+
+  function loadQueue() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function storeQueue() {
+    try {
+      if (syncQueue.length) {
+        localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(syncQueue));
+      } else {
+        localStorage.removeItem(QUEUE_STORAGE_KEY);
+      }
+    } catch (e) {
+      console.warn('Mesa SDK: Could not persist the offline queue', e);
+    }
+  }
+
+  function setSyncState(state) {
+    if (state === syncState) return;
+    syncState = state;
+    emit('syncState', { state, pending: syncQueue.length });
+  }
+
+  function isTransientError(res) {
+    return !!res && !!res.error &&
+      (res.error.code === ErrorCode.TIMEOUT || res.error.code === ErrorCode.NETWORK_ERROR);
+  }
+
+  // Keys a data write touches ('mesa:data:clear' has none and matches only itself)
+  function writtenKeys(type, payload) {
+    return type === 'mesa:data:setMany' ? Object.keys(payload.items) : [payload.key];
+  }
+
+  // Drop whatever a new write makes stale: queued writes to the same data
+  // keys, or progress reported earlier on the same achievement
+  function dropQueuedWrites(type, payload) {
+    let changed = false;
+    const keys = type.startsWith('mesa:data:') ? writtenKeys(type, payload) : [];
+
+    syncQueue = syncQueue.filter(entry => {
+      if (type === 'mesa:achievements:progress' && entry.type === type) {
+        if (entry.payload.id !== payload.id) return true;
+      } else if (!keys.length || !entry.type.startsWith('mesa:data:')) {
+        return true;
+      } else if (entry.type === 'mesa:data:setMany') {
+        keys.forEach(k => {
+          if (k in entry.payload.items) {
+            delete entry.payload.items[k];
+            changed = true;
+          }
+        });
+        if (Object.keys(entry.payload.items).length) return true;
+      } else if (!keys.includes(entry.payload.key)) {
+        return true;
+      }
+      changed = true;
+      return false;
     });
+
+    if (changed) storeQueue();
+  }
+
+  function enqueue(type, payload) {
+    const userId = currentUser ? currentUser.id : null;
+    syncQueue.push({ type, payload, userId, attempts: 1, nextAttempt: Date.now() + RETRY_BASE_DELAY });
+    if (syncQueue.length > QUEUE_MAX_ENTRIES) syncQueue.shift();
+    storeQueue();
+    setSyncState('pending');
+    scheduleFlush();
+  }
+
+  // Queued writes belong to the account that made them. When another one is
+  // signed in (mid-session, or by the time the page is reloaded) they are
+  // dropped rather than sent as that player's.
+  function dropOtherAccountWrites() {
+    const userId = currentUser ? currentUser.id : null;
+    const kept = syncQueue.filter(entry => !('userId' in entry) || entry.userId === userId);
+    if (kept.length === syncQueue.length) return;
+    syncQueue = kept;
+    storeQueue();
+    setSyncState(syncQueue.length ? 'pending' : 'synced');
+    scheduleFlush();
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = null;
+    const waiting = syncQueue.filter(entry => !sending.has(entry));
+    if (!waiting.length) return;
+    const next = Math.min(...waiting.map(entry => entry.nextAttempt));
+    flushTimer = setTimeout(flushQueue, Math.max(0, next - Date.now()));
+  }
+
+  async function flushQueue() {
+    if (flushing || !isInitialized || !syncQueue.length) return;
+    if (navigator.onLine === false) {
+      setSyncState('offline');
+      return;
+    }
+
+    flushing = true;
+    setSyncState('syncing');
+
+    while (syncQueue.length) {
+      const entry = syncQueue[0];
+      // Already on its way from flush(), which schedules the rest once answered
+      if (sending.has(entry)) break;
+      sending.add(entry);
+      const res = await sendRequest(entry.type, entry.payload);
+      sending.delete(entry);
+
+      // The entry may have been replaced by a newer write while we waited
+      if (syncQueue[0] !== entry) continue;
+
+      if (isTransientError(res)) {
+        entry.attempts++;
+        const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * Math.pow(2, entry.attempts - 1));
+        entry.nextAttempt = Date.now() + delay * (0.5 + Math.random() / 2);
+        storeQueue();
+        break;
+      }
+
+      syncQueue.shift();
+      storeQueue();
+      if (res && res.error) {
+        emit('error', { operation: entry.type, ...res.error });
+      }
+    }
+
+    flushing = false;
+    setSyncState(syncQueue.length ? 'pending' : 'synced');
+    scheduleFlush();
+  }
+
+  // Mesa.data.flush(): every write still waiting goes out now, without
+  // waiting for answers, so it can run while the page closes. Debounced
+  // writes are put in the persistent queue first and everything queued that
+  // flushQueue doesn't already have on its way is sent at once; whatever the
+  // portal hasn't confirmed by the time the page is gone is sent again on the
+  // next load.
+  function flushPendingWrites() {
+    const userId = currentUser ? currentUser.id : null;
+    saveDebounceTimers.forEach((entry, key) => {
+      clearTimeout(entry.timer);
+      dropQueuedWrites('mesa:data:set', { key });
+      syncQueue.push({ type: 'mesa:data:set', payload: { key, value: entry.value }, userId, attempts: 0, nextAttempt: Date.now() });
+      entry.resolve({ queued: true });
+    });
+    saveDebounceTimers.clear();
+    storeQueue();
+
+    if (!isInitialized || !syncQueue.length) return Promise.resolve({ success: true, pending: syncQueue.length });
+
+    return Promise.all(syncQueue.filter(entry => !sending.has(entry)).map(async entry => {
+      sending.add(entry);
+      const res = await sendRequest(entry.type, entry.payload);
+      sending.delete(entry);
+      if (isTransientError(res) || !syncQueue.includes(entry)) return;
+      syncQueue.splice(syncQueue.indexOf(entry), 1);
+      storeQueue();
+      if (res && res.error) {
+        emit('error', { operation: entry.type, ...res.error });
+      }
+    })).then(() => {
+      if (!flushing) setSyncState(syncQueue.length ? 'pending' : 'synced');
+      scheduleFlush();
+      return { success: !syncQueue.length, pending: syncQueue.length };
+    });
+  }
+
+  // sendRequest for writes: transient failures go to the queue instead of
+  // being lost, and the caller gets the error back with queued: true
+  async function sendQueuedRequest(type, payload) {
+    dropQueuedWrites(type, payload);
+
+    if (navigator.onLine === false) {
+      enqueue(type, payload);
+      setSyncState('offline');
+      return { error: { code: ErrorCode.NETWORK_ERROR, message: 'Offline' }, queued: true };
+    }
+
+    const res = await sendRequest(type, payload);
+    if (isTransientError(res)) {
+      enqueue(type, payload);
+      return { ...res, queued: true };
+    }
+    // Portal and local mode both answer a full store with quota_exceeded
+    if (res && res.error && res.error.code === ErrorCode.QUOTA_EXCEEDED) {
+      emit('error', { operation: type, ...res.error });
+    }
+    if (syncQueue.length) flushQueue();
+    return res;
+  }
+
+  window.addEventListener('online', flushQueue);
+  window.addEventListener('offline', () => {
+    if (syncQueue.length) setSyncState('offline');
+  });
+
+  // Container size
+  // The game's frame changes size with the window, when a tablet is turned and
+  // when the portal takes it fullscreen. Each change, once it settles, is
+  // emitted as 'resize', plus 'orientationChange' when it flips between
+  // portrait and landscape. Both carry { width, height, orientation, fullscreen }.
+  function readContainerSize() {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    return { width, height, orientation: width >= height ? 'landscape' : 'portrait', fullscreen: isFullscreen };
+  }
+
+  function checkContainerSize() {
+    resizeTimer = null;
+    const previous = containerSize;
+    const size = readContainerSize();
+    if (previous.width === size.width && previous.height === size.height && previous.fullscreen === size.fullscreen) return;
+    containerSize = size;
+    emit('resize', size);
+    if (previous.orientation !== size.orientation) emit('orientationChange', size);
+  }
+
+  function scheduleContainerCheck() {
+    if (resizeTimer) clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(checkContainerSize, RESIZE_SETTLE_DELAY);
+  }
+
+  function setFullscreen(fullscreen) {
+    if (fullscreen === isFullscreen) return;
+    isFullscreen = fullscreen;
+    emit('fullscreenChange', { fullscreen });
+    scheduleContainerCheck();
+  }
+
+  containerSize = readContainerSize();
+  window.addEventListener('resize', scheduleContainerCheck);
+  window.addEventListener('orientationchange', scheduleContainerCheck);
+  document.addEventListener('fullscreenchange', () => setFullscreen(!!document.fullscreenElement));
+
+  // Analytics batching
+  function flushEvents() {
+    if (eventFlushTimer) clearTimeout(eventFlushTimer);
+    eventFlushTimer = null;
+    if (!isInitialized) return;
+    while (eventBuffer.length) {
+      Transport.send('mesa:game:events', { events: eventBuffer.splice(0, EVENT_BATCH_MAX) });
+    }
+  }
+
+  function recordEvent(event) {
+    eventBuffer.push(event);
+    if (eventBuffer.length > EVENT_BUFFER_MAX) eventBuffer.shift();
+    if (isInitialized && eventBuffer.length >= EVENT_BATCH_MAX) {
+      flushEvents();
+    } else if (!eventFlushTimer) {
+      eventFlushTimer = setTimeout(flushEvents, EVENT_FLUSH_DELAY);
+    }
+  }
+
+  // Send what's buffered before the page goes away or into the background
+  window.addEventListener('pagehide', flushEvents);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushEvents();
+  });
+
+  // Namespaced stores: the same calls as Mesa.data, with every key kept
+  // under 'name/' so a game can keep separate sets of data (save slots, say)
+  // without building key names itself
+  function namespacedStore(name) {
+    const prefix = name + NAMESPACE_SEPARATOR;
+    const data = Mesa.data;
+
+    return {
+      name,
+      getItem: key => data.getItem(prefix + key),
+      setItem: (key, value) => data.setItem(prefix + key, value),
+      removeItem: key => data.removeItem(prefix + key),
+      getItems: async function (keys) {
+        const res = await data.getItems(Array.isArray(keys) ? keys.map(k => prefix + k) : keys);
+        if (res.error) return res;
+        const values = {};
+        keys.forEach(k => { values[k] = res[prefix + k]; });
+        return values;
+      },
+      setItems: function (items) {
+        const prefixed = {};
+        Object.keys(items || {}).forEach(k => { prefixed[prefix + k] = items[k]; });
+        return data.setItems(prefixed);
+      },
+      keys: async function (keyPrefix = '') {
+        const res = await data.keys(prefix + keyPrefix);
+        if (res.error) return res;
+        return res.map(k => k.slice(prefix.length));
+      },
+      clear: async function () {
+        const keys = await data.keys(prefix);
+        if (keys.error) return keys;
+        await Promise.all(keys.map(k => data.removeItem(k)));
+        return { success: true };
+      }
+    };
   }
 
   // Public API
@@ -431,12 +1144,29 @@
     version: MESA_VERSION,
     ErrorCode: ErrorCode,
 
-    init: function () {
+    /**
+     * Connect to the portal, or fall back to local mode when there is none.
+     * @param {Object} [options]
+     * @param {string[]} [options.allowedOrigins] - Portal origins allowed to host
+     *   the game, exact or 'https://*.example.com'. Defaults to the Mesa portal.
+     * @param {number} [options.analyticsSampleRate=1] - Share of sessions (0-1)
+     *   whose Mesa.game.event() calls are reported
+     * @returns {Promise<void>}
+     */
+    init: function (options) {
       return new Promise((resolve) => {
         if (isInitialized) {
           resolve();
           return;
         }
+
+        if (options && Array.isArray(options.allowedOrigins)) {
+          allowedOrigins = options.allowedOrigins.slice();
+        }
+        if (options && typeof options.analyticsSampleRate === 'number') {
+          eventSampleRate = Math.min(1, Math.max(0, options.analyticsSampleRate));
+          eventSampledIn = Math.random() < eventSampleRate;
+        }
         
         initPromiseResolve = resolve;
 
@@ -444,6 +1174,7 @@
         if (window.parent === window) {
           console.log('Mesa SDK: Running standalone, switching to local mode.');
           environment = 'local';
+          migrateLocalKeys();
           // Trigger local init
           handleLocalRequest('mesa:ready', {});
         } else {
@@ -482,6 +1213,8 @@
     },
 
     user: {
+      // The player can log in, out or into another account mid-session; the
+      // 'userChanged' event says when
       get: function () {
         return currentUser;
       },
@@ -506,14 +1239,22 @@
       getLocales: function() {
         // Returns ordered array of preferred locale codes (e.g. ['en_us', 'cs_cz'])
         return getUserLocales();
-        return { width: 1920, height: 1080, aspectRatio: '16:9' };
       },
+      /**
+       * The resolution the portal sized the game for at init, or null
+       * before init. The frame's size right now is getContainerSize().
+       * @returns {{width: number, height: number} | null}
+       */
+      getResolution: function () {
+        return (currentConfig && currentConfig.resolution) || null;
+      },
+      /**
+       * The game frame's current size. Changes arrive as 'resize' events.
+       * @returns {{width: number, height: number, orientation: string, fullscreen: boolean}}
+       *   orientation is 'landscape' or 'portrait'
+       */
       getContainerSize: function () {
-        // Return actual iframe dimensions
-        return {
-          width: window.innerWidth,
-          height: window.innerHeight
-        };
+        return readContainerSize();
       }
     },
 
@@ -533,38 +1274,123 @@
         // Use debounce
         return debouncedSave(key, value);
       },
+      /**
+       * Write several keys at once. They are committed all together or not at
+       * all, so a reload or timeout can't leave half of them updated. Not
+       * debounced; pending setItem calls for the same keys are dropped.
+       * @param {Object<string, string>} items - key -> value, at most 25 keys
+       * @returns {Promise<{success: boolean} | {error: Object}>}
+       */
+      setItems: async function (items) {
+        if (!isInitialized) {
+          return { error: { code: ErrorCode.NOT_INITIALIZED, message: 'SDK not initialized' } };
+        }
+        const keys = items && typeof items === 'object' ? Object.keys(items) : [];
+        if (!keys.length || keys.length > BATCH_MAX_KEYS || keys.some(k => typeof items[k] !== 'string')) {
+          return { error: { code: ErrorCode.INVALID_INPUT, message: `items must map 1-${BATCH_MAX_KEYS} keys to string values` } };
+        }
+        keys.forEach(cancelDebouncedSave);
+        return sendQueuedRequest('mesa:data:setMany', { items: { ...items } });
+      },
+      /**
+       * Read several keys in one consistent snapshot.
+       * @param {string[]} keys - At most 25 keys
+       * @returns {Promise<Object<string, string|null> | {error: Object}>} key -> value (null when missing)
+       */
+      getItems: async function (keys) {
+        if (!isInitialized) {
+          return { error: { code: ErrorCode.NOT_INITIALIZED, message: 'SDK not initialized' } };
+        }
+        if (!Array.isArray(keys) || !keys.length || keys.length > BATCH_MAX_KEYS) {
+          return { error: { code: ErrorCode.INVALID_INPUT, message: `keys must be an array of 1-${BATCH_MAX_KEYS} keys` } };
+        }
+        const res = await sendRequest('mesa:data:getMany', { keys });
+        if (res.error) return res;
+        const values = {};
+        keys.forEach(k => { values[k] = (res.values && res.values[k]) || null; });
+        return values;
+      },
+      /**
+       * How much of the game's storage quota is in use, in bytes of UTF-8
+       * keys and values. Writes past the quota fail with QUOTA_EXCEEDED.
+       * @returns {Promise<{used: number, quota: number, remaining: number} | {error: Object}>}
+       */
+      getUsage: async function () {
+        if (!isInitialized) {
+          return { error: { code: ErrorCode.NOT_INITIALIZED, message: 'SDK not initialized' } };
+        }
+        const res = await sendRequest('mesa:data:usage');
+        if (res.error) return res;
+        return { used: res.used, quota: res.quota, remaining: res.remaining };
+      },
       removeItem: async function (key) {
         if (!isInitialized) {
           return { error: { code: ErrorCode.NOT_INITIALIZED, message: 'SDK not initialized' } };
         }
-        return sendRequest('mesa:data:remove', { key });
+        return sendQueuedRequest('mesa:data:remove', { key });
       },
       clear: async function () {
         if (!isInitialized) {
           return { error: { code: ErrorCode.NOT_INITIALIZED, message: 'SDK not initialized' } };
         }
         return sendRequest('mesa:data:clear');
+      },
+      /**
+       * List stored keys, namespaced ones included (as 'name/key').
+       * @param {string} [prefix=''] - Only keys starting with this
+       * @returns {Promise<string[] | {error: Object}>}
+       */
+      keys: async function (prefix = '') {
+        if (!isInitialized) {
+          return { error: { code: ErrorCode.NOT_INITIALIZED, message: 'SDK not initialized' } };
+        }
+        if (typeof prefix !== 'string') {
+          return { error: { code: ErrorCode.INVALID_INPUT, message: 'prefix must be a string' } };
+        }
+        const res = await sendRequest('mesa:data:keys', { prefix });
+        if (res.error) return res;
+        return res.keys || [];
+      },
+      /**
+       * Send every pending write right away: setItem calls still in their
+       * one-second debounce and writes waiting to be retried. Meant for
+       * pagehide and visibilitychange handlers, where there is no time to
+       * wait: the writes go out synchronously and are kept in localStorage
+       * until the portal confirms them, so any it doesn't are retried on the
+       * next load.
+       * @returns {Promise<{success: boolean, pending: number}>} Once every write
+       *   was answered; pending counts the ones still queued for retry
+       */
+      flush: function () {
+        return flushPendingWrites();
+      },
+      /**
+       * A store with the same methods as Mesa.data (getItem, setItem,
+       * removeItem, getItems, setItems, keys, clear) whose keys live apart
+       * from everything else. clear() only removes the namespace's own keys.
+       * @param {string} name - 1-32 letters, digits, _ or -
+       * @returns {Object}
+       */
+      namespace: function (name) {
+        if (typeof name !== 'string' || !NAMESPACE_PATTERN.test(name)) {
+          throw new TypeError('Mesa SDK: namespace must be 1-32 letters, digits, _ or -');
+        }
+        return namespacedStore(name);
       }
     },
 
     leaderboard: {
-      /**
-       * Submit a score to the leaderboard. Creates or updates if better.
-       * @param {Object} options
-       * @param {string} [options.key='default'] - Leaderboard identifier
-       * @param {string} options.playerName - Display name (required)
-       * @param {string} options.displayValue - What players see, e.g., "18.5s"
-       * @param {number} options.sortValue - Numeric for sorting (higher = better)
-       * @returns {Promise<{success: boolean, rank: number, isNewBest: boolean} | {error: Object}>}
-       */
       /**
        * Submit a score to the leaderboard. Creates or updates if better.
        * Requires user to be logged in.
        * @param {Object} options
        * @param {string} [options.key='default'] - Leaderboard identifier
        * @param {string} options.playerName - Display name (required)
-       * @param {string} options.displayValue - What players see, e.g., "18.5s"
-       * @param {number} options.sortValue - Numeric for sorting (higher = better)
+       * @param {number} options.sortValue - Numeric for sorting
+       * @param {string} [options.order='desc'] - 'desc' (higher = better) or 'asc' (lower = better)
+       * @param {string} [options.valueType='score'] - 'score', 'count' or 'time' (sortValue in seconds)
+       * @param {string} [options.displayValue] - What players see, e.g., "18.5s". Formatted from sortValue and valueType when omitted
+       * @param {Object} [options.metadata] - How the score was reached (JSON, <= 2048 chars). Returned with the entry by get/getTop
        * @returns {Promise<{success: boolean, rank: number|null, isNewBest: boolean, onLeaderboard: boolean} | {error: Object}>}
        */
       submit: async function (options) {
@@ -577,20 +1403,40 @@
           return { error: { code: ErrorCode.NOT_LOGGED_IN, message: 'You must be logged in to submit scores' } };
         }
 
-        const { key = 'default', playerName, displayValue, sortValue } = options || {};
+        const { key = 'default', playerName, sortValue, order = 'desc', valueType = 'score' } = options || {};
 
         // Validate inputs
         if (!playerName || typeof playerName !== 'string' || playerName.length > 50) {
           return { error: { code: ErrorCode.INVALID_INPUT, message: 'playerName is required and must be <= 50 chars' } };
         }
+        if (typeof sortValue !== 'number' || !isFinite(sortValue)) {
+          return { error: { code: ErrorCode.INVALID_INPUT, message: 'sortValue must be a number' } };
+        }
+        if (!LEADERBOARD_ORDERS.includes(order)) {
+          return { error: { code: ErrorCode.INVALID_INPUT, message: `order must be one of ${LEADERBOARD_ORDERS.join(', ')}` } };
+        }
+        if (!LEADERBOARD_VALUE_TYPES.includes(valueType)) {
+          return { error: { code: ErrorCode.INVALID_INPUT, message: `valueType must be one of ${LEADERBOARD_VALUE_TYPES.join(', ')}` } };
+        }
+        const displayValue = options.displayValue != null ? options.displayValue : formatLeaderboardValue(sortValue, valueType);
         if (!displayValue || typeof displayValue !== 'string' || displayValue.length > 50) {
-          return { error: { code: ErrorCode.INVALID_INPUT, message: 'displayValue is required and must be <= 50 chars' } };
+          return { error: { code: ErrorCode.INVALID_INPUT, message: 'displayValue must be a string of <= 50 chars' } };
         }
-        if (typeof sortValue !== 'number' || isNaN(sortValue)) {
-          return { error: { code: ErrorCode.INVALID_INPUT, message: 'sortValue must be a number' } };
+
+        let metadata = null;
+        if (options.metadata != null) {
+          let json = null;
+          try {
+            json = JSON.stringify(options.metadata);
+          } catch (e) {}
+          if (typeof options.metadata !== 'object' || Array.isArray(options.metadata) || !json || json.length > LEADERBOARD_METADATA_MAX) {
+            return { error: { code: ErrorCode.INVALID_INPUT, message: `metadata must be a JSON object of <= ${LEADERBOARD_METADATA_MAX} chars` } };
+          }
+          // A copy, so the game changing its own objects later can't touch it
+          metadata = JSON.parse(json);
         }
 
-        const res = await sendRequest('mesa:leaderboard:submit', { key, playerName, displayValue, sortValue });
+        const res = await sendQueuedRequest('mesa:leaderboard:submit', { key, playerName, displayValue, sortValue, order, valueType, metadata });
         return res;
       },
 
@@ -601,7 +1447,7 @@
        * If not logged in, returns top 50 entries.
        * @param {Object} [options]
        * @param {string} [options.key='default'] - Leaderboard identifier
-       * @returns {Promise<{playerRank: number|null, entries: Array, totalEntries: number, isBelowThreshold: boolean}>}
+       * @returns {Promise<{playerRank: number|null, entries: Array, totalEntries: number, isBelowThreshold: boolean, order: string, valueType: string}>}
        */
       get: async function (options) {
         if (!isInitialized) {
@@ -618,7 +1464,7 @@
        * @param {Object} [options]
        * @param {string} [options.key='default'] - Leaderboard identifier
        * @param {number} [options.limit=10] - Number of entries to fetch
-       * @returns {Promise<{entries: Array}>}
+       * @returns {Promise<{entries: Array, order: string, valueType: string}>}
        */
       getTop: async function (options) {
         if (!isInitialized) {
@@ -628,10 +1474,91 @@
         const { key = 'default', limit = 10 } = options || {};
         const res = await sendRequest('mesa:leaderboard:getTop', { key, limit: Math.min(100, Math.max(1, limit)) });
         return res;
+      },
+
+      /**
+       * Format a sortValue the way the SDK does when a submit has no displayValue.
+       * @param {number} value
+       * @param {string} [valueType='score'] - 'score', 'count' or 'time' (seconds)
+       * @returns {string}
+       */
+      formatValue: function (value, valueType = 'score') {
+        return formatLeaderboardValue(value, valueType);
+      }
+    },
+
+    achievements: {
+      /**
+       * Unlock an achievement. Unlocking one that is already unlocked is a no-op.
+       * Emits 'achievementUnlocked' with { id } the first time.
+       * @param {string} id - Achievement identifier
+       * @returns {Promise<{success: boolean, id: string, unlocked: boolean, unlockedAt: number, newlyUnlocked: boolean} | {error: Object}>}
+       */
+      unlock: async function (id) {
+        if (!isInitialized) {
+          return { error: { code: ErrorCode.NOT_INITIALIZED, message: 'SDK not initialized' } };
+        }
+        if (typeof id !== 'string' || !ACHIEVEMENT_ID_PATTERN.test(id)) {
+          return { error: { code: ErrorCode.INVALID_INPUT, message: 'id must be 1-64 letters, digits, _, - or .' } };
+        }
+
+        const res = await sendQueuedRequest('mesa:achievements:unlock', { id });
+        if (res && res.newlyUnlocked) emit('achievementUnlocked', { id });
+        return res;
+      },
+
+      /**
+       * Report progress towards an achievement. It unlocks once current
+       * reaches total.
+       * @param {string} id - Achievement identifier
+       * @param {number} current - Progress so far
+       * @param {number} total - Progress needed to unlock
+       * @returns {Promise<{success: boolean, id: string, unlocked: boolean, current: number, total: number, newlyUnlocked: boolean} | {error: Object}>}
+       */
+      progress: async function (id, current, total) {
+        if (!isInitialized) {
+          return { error: { code: ErrorCode.NOT_INITIALIZED, message: 'SDK not initialized' } };
+        }
+        if (typeof id !== 'string' || !ACHIEVEMENT_ID_PATTERN.test(id)) {
+          return { error: { code: ErrorCode.INVALID_INPUT, message: 'id must be 1-64 letters, digits, _, - or .' } };
+        }
+        if (typeof total !== 'number' || !isFinite(total) || total <= 0 ||
+            typeof current !== 'number' || !isFinite(current) || current < 0) {
+          return { error: { code: ErrorCode.INVALID_INPUT, message: 'current must be >= 0 and total > 0' } };
+        }
+
+        const res = await sendQueuedRequest('mesa:achievements:progress', { id, current, total });
+        if (res && res.newlyUnlocked) emit('achievementUnlocked', { id });
+        return res;
+      },
+
+      /**
+       * List the player's achievements: every one unlocked or with progress.
+       * @returns {Promise<{achievements: Array<{id: string, unlocked: boolean, unlockedAt: number|null, current: number, total: number|null}>} | {error: Object}>}
+       */
+      list: async function () {
+        if (!isInitialized) {
+          return { error: { code: ErrorCode.NOT_INITIALIZED, message: 'SDK not initialized' } };
+        }
+        return sendRequest('mesa:achievements:list');
       }
     },
 
     game: {
+      /**
+       * Whether the portal has paused the game ('pause' / 'resume' events).
+       * @returns {boolean}
+       */
+      isPaused: function () {
+        return isPaused;
+      },
+      /**
+       * Whether the portal wants the game silent ('mute' event).
+       * @returns {boolean}
+       */
+      isMuted: function () {
+        return isMuted;
+      },
       gameplayStart: function () {
         Transport.send('mesa:game:event', { event: 'gameplayStart' });
       },
@@ -643,6 +1570,55 @@
       },
       loadingEnd: function () {
         Transport.send('mesa:game:event', { event: 'loadingEnd' });
+      },
+      /**
+       * Report something that happened in play, e.g. 'level_complete'.
+       * Events are batched and sent every few seconds. Whole sessions are
+       * sampled by Mesa.init({ analyticsSampleRate }); options.sampleRate
+       * thins out a frequent event further. Each sent event carries the
+       * combined rate so the portal can scale counts back up.
+       * @param {string} name - 1-64 letters, digits, _ . : or -
+       * @param {Object} [props] - Details (JSON, <= 1024 chars)
+       * @param {Object} [options]
+       * @param {number} [options.sampleRate=1] - Share of these events to keep (0-1)
+       * @returns {boolean} Whether the event was recorded (false if invalid or sampled out)
+       */
+      event: function (name, props = {}, options = {}) {
+        if (typeof name !== 'string' || !EVENT_NAME_PATTERN.test(name)) {
+          console.warn('Mesa SDK: event name must be 1-64 letters, digits, _ . : or -');
+          return false;
+        }
+        let json;
+        try {
+          json = JSON.stringify(props);
+        } catch (e) {}
+        if (!props || typeof props !== 'object' || Array.isArray(props) || !json || json.length > EVENT_PROPS_MAX) {
+          console.warn(`Mesa SDK: event props must be an object of at most ${EVENT_PROPS_MAX} characters of JSON`);
+          return false;
+        }
+        const sampleRate = typeof options.sampleRate === 'number' ? Math.min(1, Math.max(0, options.sampleRate)) : 1;
+        if (!eventSampledIn || Math.random() >= sampleRate) return false;
+        recordEvent({ name, props: JSON.parse(json), at: Date.now(), sampleRate: sampleRate * eventSampleRate });
+        return true;
+      }
+    },
+
+    sync: {
+      /**
+       * Current state of queued writes: 'synced', 'syncing', 'pending'
+       * (waiting to retry) or 'offline'. Changes are emitted as 'syncState'
+       * events with { state, pending }.
+       * @returns {{state: string, pending: number}}
+       */
+      getState: function () {
+        return { state: syncState, pending: syncQueue.length };
+      },
+      /**
+       * Retry queued writes now instead of waiting for the backoff.
+       * @returns {Promise<void>}
+       */
+      flush: function () {
+        return flushQueue();
       }
     },
 
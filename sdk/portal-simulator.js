@@ -0,0 +1,485 @@
+// Mesa Portal Simulator
+//
+// Stands in for the Playmesa portal: embeds the game in an iframe and answers
+// its mesa:* messages the way the portal does, except that a scenario decides
+// how each request goes. Open sdk/portal-simulator.html from a local web
+// server (the game must be served from the same origin) and pick a scenario,
+// or link straight to one with ?scenario=<name>.
+//
+// A scenario may answer each request itself (respond) and may run a script of
+// timed steps against the session (script). respond(request, session) returns
+// undefined for a normal answer, or { delay }, { drop: true } or
+// { error: code } to change it.
+(function () {
+  const GAME_URL = '../index2.html';
+  const STORAGE_PREFIX = 'mesa_sim_';
+  const STORAGE_QUOTA = 1024 * 1024; // bytes of UTF-8 keys and values, like the portal's
+
+  const USER = {
+    id: 'sim-user-1',
+    username: 'SimPlayer',
+    avatar: null,
+    languages: { primary: 'en_us', secondary: 'cs_cz' }
+  };
+
+  const OTHER_USER = { ...USER, id: 'sim-user-2', username: 'OtherPlayer' };
+
+  // Sizes to show the game at, the way a portal embed or a tablet would
+  const FRAME_SIZES = {
+    fill: null,
+    'tablet landscape': { width: 1024, height: 768 },
+    'tablet portrait': { width: 768, height: 1024 },
+    'small embed': { width: 480, height: 360 }
+  };
+
+  const WRITE_TYPES = ['mesa:data:set', 'mesa:data:setMany', 'mesa:data:remove', 'mesa:data:clear', 'mesa:leaderboard:submit',
+    'mesa:achievements:unlock', 'mesa:achievements:progress'];
+
+  const scenarios = {
+    normal: {
+      description: 'Every request succeeds right away.'
+    },
+    delayed: {
+      description: 'Every response takes 2 seconds.',
+      respond: () => ({ delay: 2000 })
+    },
+    slow: {
+      description: 'Responses take 4-7 seconds, so some run past the SDK timeout.',
+      respond: () => ({ delay: 4000 + Math.random() * 3000 })
+    },
+    timeouts: {
+      description: 'Data and leaderboard requests are never answered.',
+      respond: () => ({ drop: true })
+    },
+    flaky: {
+      description: 'Half of all writes are never answered.',
+      respond: (request) => (WRITE_TYPES.includes(request.type) && Math.random() < 0.5 ? { drop: true } : undefined)
+    },
+    outage: {
+      description: 'Everything works, then nothing is answered from 20s to 50s.',
+      respond: (request, session) => (session.elapsed() > 20000 && session.elapsed() < 50000 ? { drop: true } : undefined)
+    },
+    quota_exceeded: {
+      description: 'Data writes fail with quota_exceeded.',
+      respond: (request) => (request.type === 'mesa:data:set' || request.type === 'mesa:data:setMany' ? { error: 'quota_exceeded' } : undefined)
+    },
+    rate_limited: {
+      description: 'After 5 requests in 10 seconds, everything fails with rate_limited.',
+      respond: (request, session) => {
+        const now = Date.now();
+        session.recent = (session.recent || []).filter(t => now - t < 10000);
+        session.recent.push(now);
+        return session.recent.length > 5 ? { error: 'rate_limited' } : undefined;
+      }
+    },
+    unauthorized: {
+      description: 'Data and leaderboard requests fail with unauthorized.',
+      respond: () => ({ error: 'unauthorized' })
+    },
+    logout: {
+      description: 'The player is logged out 30 seconds into the session.',
+      script: [
+        { after: 30000, run: (session) => session.logout() }
+      ]
+    },
+    overlay: {
+      description: 'The portal pauses the game at 15s (an overlay opens) and resumes it at 25s.',
+      script: [
+        { after: 15000, run: () => post({ type: 'mesa:pause' }) },
+        { after: 25000, run: () => post({ type: 'mesa:resume' }) }
+      ]
+    },
+    rotate: {
+      description: 'A tablet in landscape, turned to portrait at 10s and back at 20s.',
+      script: [
+        { after: 0, run: () => setFrameSize('tablet landscape') },
+        { after: 10000, run: () => setFrameSize('tablet portrait') },
+        { after: 20000, run: () => setFrameSize('tablet landscape') }
+      ]
+    },
+    relog: {
+      description: 'Logged out after 20s, back in as another player after 40s.',
+      script: [
+        { after: 20000, run: (session) => session.logout() },
+        { after: 40000, run: (session) => session.login(OTHER_USER) }
+      ]
+    }
+  };
+
+  const ERROR_MESSAGES = {
+    quota_exceeded: 'Storage quota exceeded',
+    rate_limited: 'Too many requests',
+    unauthorized: 'Session is not authorized',
+    not_logged_in: 'You must be logged in to submit scores',
+    not_found: 'Not found'
+  };
+
+  let frame = null;
+  let session = null;
+  let scriptTimers = [];
+
+  // Log
+
+  function log(direction, text) {
+    const line = document.createElement('div');
+    line.className = 'log-' + direction;
+    const time = session ? (session.elapsed() / 1000).toFixed(1) + 's' : '-';
+    line.textContent = time + '  ' + (direction === 'in' ? '← ' : direction === 'out' ? '→ ' : '  ') + text;
+    const pane = document.getElementById('log');
+    pane.appendChild(line);
+    pane.scrollTop = pane.scrollHeight;
+  }
+
+  function describe(message) {
+    const details = Object.assign({}, message);
+    delete details.source;
+    delete details.nonce;
+    delete details.type;
+    const text = JSON.stringify(details);
+    return message.type + ' ' + (text.length > 160 ? text.slice(0, 160) + '…' : text);
+  }
+
+  // Storage (kept apart from the SDK's own local mode keys). Each player has
+  // their own game data, the way the portal keeps it.
+
+  function dataPrefix() {
+    return STORAGE_PREFIX + 'data_' + session.user.id + '_';
+  }
+
+  function storageKeys() {
+    return Object.keys(localStorage).filter(k => k.startsWith(dataPrefix()));
+  }
+
+  // Bytes stored once the given writes (key -> value) have landed
+  function storageUsed(items) {
+    const bytes = text => new TextEncoder().encode(text).length;
+    let used = 0;
+    storageKeys().forEach(k => {
+      const key = k.slice(dataPrefix().length);
+      if (!(key in items)) used += bytes(key) + bytes(localStorage.getItem(k));
+    });
+    Object.keys(items).forEach(key => { used += bytes(key) + bytes(items[key]); });
+    return used;
+  }
+
+  function readBoard(key) {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_PREFIX + 'leaderboard_' + key)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeBoard(key, board) {
+    localStorage.setItem(STORAGE_PREFIX + 'leaderboard_' + key, JSON.stringify(board));
+  }
+
+  function readBoardMeta(key) {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_PREFIX + 'leaderboard_meta_' + key)) || { order: 'desc', valueType: 'score' };
+    } catch (e) {
+      return { order: 'desc', valueType: 'score' };
+    }
+  }
+
+  function readAchievements(user) {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_PREFIX + 'achievements_' + user.id)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // Messaging
+
+  function post(message) {
+    message.nonce = session.nonce;
+    log('out', describe(message));
+    frame.contentWindow.postMessage(message, window.location.origin);
+  }
+
+  function reply(request, body) {
+    const type = request.type.split(':').slice(0, 2).join(':') + ':response';
+    post(Object.assign({ type, requestId: request.requestId }, body));
+  }
+
+  function handleRequest(request) {
+    switch (request.type) {
+      case 'mesa:data:set':
+        if (storageUsed({ [request.key]: request.value }) > STORAGE_QUOTA) return { error: 'quota_exceeded' };
+        localStorage.setItem(dataPrefix() + request.key, request.value);
+        return { success: true };
+
+      case 'mesa:data:get': {
+        const value = localStorage.getItem(dataPrefix() + request.key);
+        return { value };
+      }
+
+      // A batch is written in one go, and a scenario that fails it fails all of it
+      case 'mesa:data:setMany':
+        if (storageUsed(request.items) > STORAGE_QUOTA) return { error: 'quota_exceeded' };
+        Object.keys(request.items).forEach(k => localStorage.setItem(dataPrefix() + k, request.items[k]));
+        return { success: true };
+
+      case 'mesa:data:getMany': {
+        const values = {};
+        request.keys.forEach(k => { values[k] = localStorage.getItem(dataPrefix() + k); });
+        return { values };
+      }
+
+      case 'mesa:data:keys': {
+        const keys = storageKeys().map(k => k.slice(dataPrefix().length))
+          .filter(k => k.startsWith(request.prefix || ''));
+        return { keys };
+      }
+
+      case 'mesa:data:usage': {
+        const used = storageUsed({});
+        return { used, quota: STORAGE_QUOTA, remaining: Math.max(0, STORAGE_QUOTA - used) };
+      }
+
+      case 'mesa:data:remove':
+        localStorage.removeItem(dataPrefix() + request.key);
+        return { success: true };
+
+      case 'mesa:data:clear':
+        storageKeys().forEach(k => localStorage.removeItem(k));
+        return { success: true };
+
+      case 'mesa:leaderboard:submit': {
+        if (!session.user) return { error: 'not_logged_in' };
+        const key = request.key || 'default';
+        const order = request.order || 'desc';
+        const board = readBoard(key);
+        const entry = {
+          userId: session.user.id,
+          playerName: request.playerName,
+          displayValue: request.displayValue,
+          sortValue: request.sortValue,
+          metadata: request.metadata || null,
+          submittedAt: Date.now()
+        };
+        const existing = board.findIndex(e => e.userId === entry.userId);
+        let isNewBest = false;
+        if (existing < 0) {
+          board.push(entry);
+          isNewBest = true;
+        } else if (order === 'asc' ? entry.sortValue < board[existing].sortValue : entry.sortValue > board[existing].sortValue) {
+          board[existing] = entry;
+          isNewBest = true;
+        }
+        board.sort((a, b) => (order === 'asc' ? a.sortValue - b.sortValue : b.sortValue - a.sortValue) || a.submittedAt - b.submittedAt);
+        writeBoard(key, board);
+        localStorage.setItem(STORAGE_PREFIX + 'leaderboard_meta_' + key, JSON.stringify({ order, valueType: request.valueType || 'score' }));
+        const rank = board.findIndex(e => e.userId === entry.userId) + 1;
+        return { success: true, rank, isNewBest, onLeaderboard: true };
+      }
+
+      case 'mesa:leaderboard:get':
+      case 'mesa:leaderboard:getTop': {
+        const board = readBoard(request.key || 'default');
+        const { order, valueType } = readBoardMeta(request.key || 'default');
+        const userId = session.user ? session.user.id : null;
+        const playerIdx = board.findIndex(e => e.userId === userId);
+        let start = 0;
+        let count = request.type === 'mesa:leaderboard:getTop' ? (request.limit || 10) : 50;
+        if (request.type === 'mesa:leaderboard:get' && playerIdx >= 0) {
+          start = Math.max(0, Math.min(playerIdx - 25, board.length - 50));
+        }
+        const entries = board.slice(start, start + count).map((e, i) => ({
+          rank: start + i + 1,
+          playerName: e.playerName,
+          displayValue: e.displayValue,
+          sortValue: e.sortValue,
+          metadata: e.metadata || null,
+          isCurrentUser: e.userId === userId
+        }));
+        return { entries, playerRank: playerIdx >= 0 ? playerIdx + 1 : null, totalEntries: board.length, order, valueType };
+      }
+
+      case 'mesa:achievements:list': {
+        const stored = readAchievements(session.user);
+        return { achievements: Object.keys(stored).map(id => Object.assign({ id }, stored[id])) };
+      }
+
+      case 'mesa:achievements:unlock':
+      case 'mesa:achievements:progress': {
+        const stored = readAchievements(session.user);
+        const record = stored[request.id] || { unlocked: false, unlockedAt: null, current: 0, total: null };
+        const wasUnlocked = record.unlocked;
+        if (request.type === 'mesa:achievements:progress') {
+          record.total = request.total;
+          record.current = Math.min(request.current, request.total);
+        }
+        if (request.type === 'mesa:achievements:unlock' || record.current >= record.total) {
+          record.unlocked = true;
+          record.unlockedAt = record.unlockedAt || Date.now();
+        }
+        stored[request.id] = record;
+        localStorage.setItem(STORAGE_PREFIX + 'achievements_' + session.user.id, JSON.stringify(stored));
+        return Object.assign({ success: true, id: request.id }, record, { newlyUnlocked: record.unlocked && !wasUnlocked });
+      }
+    }
+    return null;
+  }
+
+  function receive(event) {
+    if (!frame || event.source !== frame.contentWindow) return;
+    const message = event.data;
+    if (!message || message.source !== 'mesa-sdk') return;
+
+    log('in', describe(message));
+
+    if (message.type === 'mesa:ready') {
+      post({
+        type: 'mesa:init',
+        user: session.user,
+        config: { env: 'mesa', resolution: { width: frame.clientWidth, height: frame.clientHeight } }
+      });
+      return;
+    }
+
+    if (message.type === 'mesa:game:event') return;
+    if (message.type === 'mesa:game:events') {
+      // The batch line above gets cut short, so list each event in full
+      (message.events || []).forEach(e => log('note', `  ${e.name} ${JSON.stringify(e.props)} (rate ${e.sampleRate})`));
+      return;
+    }
+    if (!message.requestId) return;
+
+    if (message.nonce !== session.nonce) {
+      log('note', 'request carried the wrong nonce, ignored');
+      return;
+    }
+
+    const scenario = scenarios[session.scenario];
+    const outcome = (scenario.respond && scenario.respond(message, session)) || {};
+
+    if (outcome.drop) {
+      log('note', 'dropped ' + message.type + ' (' + session.scenario + ')');
+      return;
+    }
+
+    let body;
+    if (outcome.error) {
+      body = { error: { code: outcome.error, message: ERROR_MESSAGES[outcome.error] || outcome.error } };
+    } else if (!session.user && message.type !== 'mesa:leaderboard:get' && message.type !== 'mesa:leaderboard:getTop') {
+      body = { error: { code: 'unauthorized', message: ERROR_MESSAGES.unauthorized } };
+    } else {
+      body = handleRequest(message);
+      if (body && typeof body.error === 'string') {
+        body = { error: { code: body.error, message: ERROR_MESSAGES[body.error] } };
+      }
+    }
+
+    setTimeout(() => reply(message, body || {}), outcome.delay || 0);
+  }
+
+  // Session
+
+  function startSession(name) {
+    scriptTimers.forEach(clearTimeout);
+    scriptTimers = [];
+
+    const startedAt = Date.now();
+    session = {
+      scenario: name,
+      nonce: 'sim-' + Math.random().toString(36).slice(2),
+      user: USER,
+      elapsed: () => Date.now() - startedAt,
+      logout: function () {
+        this.user = null;
+        log('note', 'player logged out');
+        updateUserLabel();
+        post({ type: 'mesa:user:changed', user: null });
+      },
+      login: function (user) {
+        this.user = user;
+        log('note', 'player logged in as ' + user.username);
+        updateUserLabel();
+        post({ type: 'mesa:user:changed', user });
+      }
+    };
+
+    document.getElementById('log').innerHTML = '';
+    document.getElementById('scenarioDescription').textContent = scenarios[name].description;
+    log('note', 'scenario: ' + name);
+    updateUserLabel();
+
+    (scenarios[name].script || []).forEach(step => {
+      scriptTimers.push(setTimeout(() => step.run(session), step.after));
+    });
+
+    frame.src = GAME_URL;
+  }
+
+  // Frame
+
+  function setFrameSize(name) {
+    const size = FRAME_SIZES[name];
+    frame.style.flex = size ? 'none' : '';
+    frame.style.width = size ? size.width + 'px' : '';
+    frame.style.height = size ? size.height + 'px' : '';
+    document.getElementById('framePicker').value = name;
+    log('note', 'frame: ' + name);
+  }
+
+  // Fullscreen here means the frame covering the whole page, with the
+  // controls floating on top so it can be left again
+  function setFullscreen(fullscreen) {
+    frame.classList.toggle('fullscreen', fullscreen);
+    document.getElementById('panel').classList.toggle('overlay', fullscreen);
+    document.getElementById('fullscreenButton').textContent = fullscreen ? 'Exit fullscreen' : 'Fullscreen';
+    post({ type: 'mesa:fullscreen', fullscreen });
+  }
+
+  function updateUserLabel() {
+    document.getElementById('userLabel').textContent = session.user ? session.user.username : 'logged out';
+  }
+
+  // Page
+
+  function init() {
+    frame = document.getElementById('gameFrame');
+    window.addEventListener('message', receive);
+
+    const picker = document.getElementById('scenarioPicker');
+    Object.keys(scenarios).forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      picker.appendChild(option);
+    });
+
+    const requested = new URLSearchParams(window.location.search).get('scenario');
+    picker.value = scenarios[requested] ? requested : 'normal';
+
+    document.getElementById('restartButton').onclick = () => startSession(picker.value);
+    document.getElementById('logoutButton').onclick = () => session.logout();
+    document.getElementById('loginButton').onclick = () => session.login(USER);
+    document.getElementById('switchButton').onclick = () => session.login(OTHER_USER);
+    document.getElementById('pauseButton').onclick = () => post({ type: 'mesa:pause' });
+    document.getElementById('resumeButton').onclick = () => post({ type: 'mesa:resume' });
+    document.getElementById('muteButton').onclick = () => post({ type: 'mesa:mute', muted: true });
+    document.getElementById('unmuteButton').onclick = () => post({ type: 'mesa:mute', muted: false });
+    const framePicker = document.getElementById('framePicker');
+    Object.keys(FRAME_SIZES).forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      framePicker.appendChild(option);
+    });
+    framePicker.onchange = () => setFrameSize(framePicker.value);
+    document.getElementById('fullscreenButton').onclick = () => setFullscreen(!frame.classList.contains('fullscreen'));
+    document.getElementById('clearButton').onclick = () => {
+      Object.keys(localStorage).filter(k => k.startsWith(STORAGE_PREFIX)).forEach(k => localStorage.removeItem(k));
+      log('note', 'simulated cloud storage and leaderboards cleared');
+    };
+
+    startSession(picker.value);
+  }
+
+  window.MesaPortalSimulator = { scenarios, startSession };
+
+  document.addEventListener('DOMContentLoaded', init);
+})();